@@ -0,0 +1,99 @@
+const UserModel = require('../models/userModel.js');
+const SessionModel = require('../models/sessionModel.js');
+const DB_Connection = require('../database/db.js');
+const outbox = require('../events/outbox.js');
+const Events = require('../events/eventsNames.js');
+const auditLog = require('../audit/auditLog.js');
+const AuditActions = require('../audit/auditActions.js');
+const AvatarService = require('./avatarService.js');
+const FileService = require('../files/fileService.js');
+
+const PURGE_BATCH_SIZE = 100;
+
+class AccountDeletionService {
+    constructor() {
+        this.db_connection = new DB_Connection();
+        this.userModel = new UserModel();
+        this.sessionModel = new SessionModel();
+        this.avatarService = new AvatarService();
+        this.fileService = new FileService();
+        this.grace_days = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS ?? '30');
+    }
+
+    // soft delete + sign out everywhere, with no grace period the account goes right away.
+    // req is the user's own request, for the audit log
+    scheduleDeletion = async (user, { req = null } = {}) => {
+        if (!(this.grace_days > 0)) {
+            const purged = await this.purgeUser(user, { req });
+            return { purged, purgeAfter: null };
+        }
+
+        const purgeAfter = new Date(Date.now() + this.grace_days*24*60*60*1000);
+        return this.db_connection.transaction(async () => {
+            const scheduled = await this.userModel.scheduleDeletion(user.id, purgeAfter);
+            if (!scheduled || scheduled.success === false) {
+                throw new Error('Failed to schedule account deletion');
+            }
+
+            const revokedIds = await this.sessionModel.revokeAllSessions(user.id);
+            if (revokedIds.length) await outbox.publish(Events.SESSION_REVOKED, { userId: user.id, sessionIds: revokedIds });
+            await outbox.publish(Events.USER_DELETION_SCHEDULED, { userId: user.id, email: user.email, purgeAfter });
+            await auditLog.record(req, AuditActions.DELETION_REQUESTED, { userId: user.id, metadata: { purge_after: scheduled.purge_after } });
+
+            return { purged: false, purgeAfter: scheduled.purge_after };
+        });
+    };
+
+    // logging in during the grace period keeps the account
+    cancelDeletion = async (user) => {
+        if (!user.deleted_at) return false;
+
+        return this.db_connection.transaction(async () => {
+            const restored = await this.userModel.cancelDeletion(user.id);
+            if (!restored || restored.success === false) return false;
+
+            await outbox.publish(Events.USER_DELETION_CANCELLED, { userId: user.id, email: user.email });
+            return true;
+        });
+    };
+
+    // hard delete, everything keyed on users(id) goes with the cascade; its audit log entries stay.
+    // req is the admin's or the user's request, none when the grace period ran out
+    purgeUser = async (user, { req = null } = {}) => {
+        // an orphaned image is not worth keeping the account around for, a failed delete only gets logged
+        await this.avatarService.deleteAvatarFiles(user);
+        await this.fileService.deleteAllStored(user.id);
+
+        return this.db_connection.transaction(async () => {
+            const deleted = await this.userModel.deleteUser(user.id);
+            if (!deleted || deleted.success === false) return false;
+
+            await outbox.publish(Events.USER_DELETED, { userId: user.id, email: user.email });
+            await auditLog.record(req, AuditActions.DELETED, {
+                userId: user.id,
+                metadata: { username: user.username, ...(!req && { reason: 'grace_period_over' }) }
+            });
+            return true;
+        });
+    };
+
+    purgeDueAccounts = async () => {
+        let purged = 0;
+        while (true) {
+            const users = await this.userModel.getUsersDueForPurge(PURGE_BATCH_SIZE);
+            if (!users.length) break;
+
+            let batchPurged = 0;
+            for (const user of users) {
+                if (await this.purgeUser(user)) batchPurged++;
+            }
+
+            purged += batchPurged;
+            // nothing went through, leave the rest for the next run instead of spinning
+            if (!batchPurged || users.length < PURGE_BATCH_SIZE) break;
+        }
+        return purged;
+    };
+}
+
+module.exports = AccountDeletionService;
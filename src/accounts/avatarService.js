@@ -0,0 +1,110 @@
+const UserModel = require('../models/userModel.js');
+const DB_Connection = require('../database/db.js');
+const outbox = require('../events/outbox.js');
+const Events = require('../events/eventsNames.js');
+const ImageProcessor = require('../media/imageProcessor.js');
+const { getStorage } = require('../storage/index.js');
+
+// square sizes in px, large is what avatar_url points at
+const AVATAR_SIZES = {
+    thumb: 64,
+    medium: 256,
+    large: 512
+};
+
+class AvatarService {
+    constructor() {
+        this.db_connection = new DB_Connection();
+        this.userModel = new UserModel();
+        this.imageProcessor = new ImageProcessor();
+    }
+
+    // -> { error } when the upload is not an image we take, see ImageProcessor.inspect
+    validate = (buffer) => this.imageProcessor.inspect(buffer);
+
+    // every stored file of the user's avatar, older rows only have the single avatar_key
+    storedKeys = (user) => {
+        if (user?.avatar_variants) return Object.values(user.avatar_variants).map(variant => variant.key);
+        return user?.avatar_key ? [user.avatar_key] : [];
+    };
+
+    // best effort: a leftover file costs a little space, failing the request over it would be worse
+    deleteStored = async (storageName, keys) => {
+        if (!storageName) return;
+        for (const key of keys) {
+            try {
+                await getStorage(storageName).delete(key);
+            } catch (error) {
+                console.log(`Deleting ${storageName} object ${key} failed: ${error.message}`);
+            }
+        }
+    };
+
+    deleteAvatarFiles = (user) => this.deleteStored(user?.avatar_storage, this.storedKeys(user));
+
+    // the same resized, metadata free copies whatever STORAGE_DRIVER is, then the user points at them
+    // and the avatar they replace is deleted. A new prefix per upload, so caches never serve the old picture
+    replaceAvatar = async (userId, file) => {
+        const previous = await this.userModel.getUserById(userId);
+        const storage = getStorage();
+        const prefix = `avatars/user_${userId}_${Date.now()}`;
+
+        const [images, placeholder] = await Promise.all([
+            this.imageProcessor.squareVariants(file.buffer, AVATAR_SIZES),
+            this.imageProcessor.placeholder(file.buffer)
+        ]);
+
+        const variants = {};
+        try {
+            for (const image of images) {
+                const stored = await storage.put({ key: `${prefix}/${image.name}.${image.extension}`, body: image.body, contentType: image.contentType });
+                variants[image.name] = { key: stored.key, url: stored.url, width: image.width, height: image.height };
+            }
+        } catch (error) {
+            await this.deleteStored(storage.name, Object.values(variants).map(variant => variant.key));
+            throw error;
+        }
+
+        let updated;
+        try {
+            updated = await this.db_connection.transaction(async () => {
+                const saved = await this.userModel.setAvatar(userId, {
+                    url: variants.large.url,
+                    key: variants.large.key,
+                    storage: storage.name,
+                    variants,
+                    ...placeholder
+                });
+                if (!saved || saved.success === false) throw new Error('Failed to save avatar URL');
+
+                await outbox.publish(Events.USER_PROFILE_UPDATED, { userId: parseInt(userId), changed: ['avatar_url'] });
+                return saved;
+            });
+        } catch (error) {
+            await this.deleteStored(storage.name, Object.values(variants).map(variant => variant.key));
+            throw error;
+        }
+
+        await this.deleteAvatarFiles(previous);
+        return updated;
+    };
+
+    // what clients get next to avatar_url
+    present = (user) => {
+        if (!user?.avatar_variants) return null;
+        return {
+            // smallest first, jsonb doesn't keep the order they were written in
+            variants: Object.fromEntries(Object.keys(AVATAR_SIZES)
+                .filter(name => user.avatar_variants[name])
+                .map(name => [name, {
+                    url: user.avatar_variants[name].url,
+                    width: user.avatar_variants[name].width,
+                    height: user.avatar_variants[name].height
+                }])),
+            blurhash: user.avatar_blurhash,
+            color: user.avatar_color
+        };
+    };
+}
+
+module.exports = AvatarService;
@@ -0,0 +1,125 @@
+const UserModel = require('../models/userModel.js');
+const SessionModel = require('../models/sessionModel.js');
+const RoleModel = require('../models/roleModel.js');
+const MfaModel = require('../models/mfaModel.js');
+const FileModel = require('../models/fileModel.js');
+const BillingModel = require('../models/billingModel.js');
+const NotificationModel = require('../models/notificationModel.js');
+const NotificationPreferenceModel = require('../models/notificationPreferenceModel.js');
+const AuditLogModel = require('../models/auditLogModel.js');
+const DeviceModel = require('../models/deviceModel.js');
+const auditLog = require('../audit/auditLog.js');
+
+// credentials and one-time tokens stay out of the archive, they say nothing about the person
+const EXCLUDED_USER_FIELDS = ['password_hash', 'verification_token', 'password_reset_token', 'password_reset_expires'];
+
+const AUDIT_BATCH_SIZE = 1000;
+
+// builds the GET /api/user/me/export archive, one key per section
+class DataExport {
+    constructor() {
+        this.userModel = new UserModel();
+        this.sessionModel = new SessionModel();
+        this.roleModel = new RoleModel();
+        this.mfaModel = new MfaModel();
+        this.fileModel = new FileModel();
+        this.billingModel = new BillingModel();
+        this.notificationModel = new NotificationModel();
+        this.notificationPreferenceModel = new NotificationPreferenceModel();
+        this.auditLogModel = new AuditLogModel();
+        this.deviceModel = new DeviceModel();
+
+        // new tables holding user data add a section here
+        this.sections = {
+            profile: this.profile,
+            roles: this.roles,
+            sessions: (userId) => this.sessionModel.listAllSessions(userId),
+            two_factor: this.twoFactor,
+            files: this.files,
+            billing: this.billing,
+            notifications: (userId) => this.notificationModel.listAllNotifications(userId),
+            notification_preferences: (userId) => this.notificationPreferenceModel.getPreferences(userId),
+            audit_logs: this.auditLogs,
+            known_devices: (userId) => this.deviceModel.listAllDevices(userId),
+            known_locations: (userId) => this.deviceModel.listLocations(userId)
+        };
+    }
+
+    profile = async (userId) => {
+        const user = await this.userModel.getUserById(userId);
+        if (!user) return null;
+
+        const profile = { ...user };
+        for (const field of EXCLUDED_USER_FIELDS) delete profile[field];
+        return profile;
+    };
+
+    roles = async (userId) => {
+        const { roles } = await this.roleModel.getUserAccess(userId);
+        return roles;
+    };
+
+    twoFactor = async (userId) => {
+        const mfa = await this.mfaModel.getMfa(userId);
+        if (!mfa) return { enabled: false };
+
+        return {
+            enabled: mfa.enabled,
+            confirmed_at: mfa.confirmed_at,
+            created_at: mfa.created_at,
+            recovery_codes_remaining: await this.mfaModel.countRemainingRecoveryCodes(userId)
+        };
+    };
+
+    // what was uploaded, not the bytes: those come from the download links of /api/files
+    files = async (userId) => {
+        const files = await this.fileModel.listAllFiles(userId);
+        return files.map(file => ({
+            id: file.id,
+            name: file.original_name,
+            content_type: file.content_type,
+            size_bytes: Number(file.size_bytes),
+            sha256: file.sha256,
+            created_at: file.created_at
+        }));
+    };
+
+    // card details never reach us, the provider keeps them
+    billing = async (userId) => {
+        const [customer, subscriptions, invoices] = await Promise.all([
+            this.billingModel.getCustomer(userId),
+            this.billingModel.listSubscriptions(userId),
+            this.billingModel.listInvoices(userId, { limit: 1000 })
+        ]);
+        return {
+            customer_id: customer?.customer_id || null,
+            subscriptions: subscriptions.map(({ is_live, ...subscription }) => subscription),
+            invoices
+        };
+    };
+
+    // the account's whole security activity, as GET /api/auth/security-activity shows it, oldest first
+    auditLogs = async (userId) => {
+        const entries = [];
+        let batch;
+        do {
+            batch = await this.auditLogModel.listEntriesAfter({ user_id: userId }, entries.length ? entries[entries.length - 1].id : 0, AUDIT_BATCH_SIZE);
+            entries.push(...batch);
+        } while (batch.length === AUDIT_BATCH_SIZE);
+        return entries.map(entry => auditLog.presentActivity(entry, userId));
+    };
+
+    build = async (userId) => {
+        const archive = {
+            format_version: 1,
+            exported_at: new Date().toISOString()
+        };
+
+        for (const [name, collect] of Object.entries(this.sections)) {
+            archive[name] = await collect(userId);
+        }
+        return archive;
+    };
+}
+
+module.exports = DataExport;
@@ -0,0 +1,34 @@
+// what goes into audit_logs.action; auth.* is signing in and credentials, account.* the account itself,
+// audit.* reading the log
+module.exports = {
+    REGISTERED: 'account.registered',
+    LOGIN: 'auth.login',
+    LOGOUT: 'auth.logout',
+    SESSIONS_REVOKED: 'auth.sessions.revoked',
+    REFRESH_TOKEN_REUSED: 'auth.token.reuse_detected',
+    DEVICE_NEW: 'auth.device.new',
+    DEVICE_CONFIRMED: 'auth.device.confirmed',
+    DEVICE_DENIED: 'auth.device.denied',
+    DEVICE_REMOVED: 'auth.device.removed',
+    EMAIL_VERIFICATION_SENT: 'auth.email.verification_sent',
+    EMAIL_VERIFIED: 'auth.email.verified',
+    PASSWORD_RESET_REQUESTED: 'auth.password.reset_requested',
+    PASSWORD_RESET: 'auth.password.reset',
+    PASSWORD_CHANGED: 'auth.password.changed',
+    MFA_ENABLED: 'auth.mfa.enabled',
+    MFA_DISABLED: 'auth.mfa.disabled',
+    MFA_RECOVERY_CODES_REGENERATED: 'auth.mfa.recovery_codes_regenerated',
+    ACCOUNT_LOCKED: 'account.locked',
+    ACCOUNT_UNLOCKED: 'account.unlocked',
+    ACCOUNT_DEACTIVATED: 'account.deactivated',
+    ACCOUNT_REACTIVATED: 'account.reactivated',
+    PROFILE_UPDATED: 'account.profile.updated',
+    AVATAR_UPDATED: 'account.avatar.updated',
+    PLAN_CHANGED: 'account.plan.changed',
+    ROLE_GRANTED: 'account.role.granted',
+    ROLE_REVOKED: 'account.role.revoked',
+    DATA_EXPORTED: 'account.data.exported',
+    DELETION_REQUESTED: 'account.deletion.requested',
+    DELETED: 'account.deleted',
+    AUDIT_EXPORTED: 'audit.exported'
+};
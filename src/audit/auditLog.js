@@ -0,0 +1,44 @@
+const AuditLogModel = require('../models/auditLogModel.js');
+const { getClientIp, getUserAgent, describeDevice } = require('../utils/requestUtils.js');
+
+// the security audit trail: one audit_logs row per auth or account action, with who did it, to which account,
+// from where and whether it worked. Call it inside the transaction of the change so the two commit together;
+// actions are in src/audit/auditActions.js. Keep secrets (passwords, tokens, codes) out of metadata
+class AuditLog {
+    constructor() {
+        this.auditLogModel = new AuditLogModel();
+    }
+
+    // req gives ip, user agent and the actor (req.user), null for jobs. actorId overrides the actor, e.g. the
+    // user who just proved who they are on login; userId is the account the action is about
+    record = (req, action, { userId = null, actorId, outcome = 'success', metadata = {} } = {}) => this.auditLogModel.createEntry({
+        action,
+        outcome,
+        actorId: actorId === undefined ? (req?.user?.id ?? null) : actorId,
+        userId,
+        ipAddress: req ? getClientIp(req) : null,
+        userAgent: req ? getUserAgent(req) : null,
+        metadata
+    });
+
+    failure = (req, action, { reason, ...options } = {}) => this.record(req, action, {
+        ...options,
+        outcome: 'failure',
+        metadata: { reason, ...(options.metadata || {}) }
+    });
+
+    // what a user sees of their own entries (security activity, data export): no raw user agent, and who acted
+    // rather than an id
+    presentActivity = (entry, userId) => ({
+        id: Number(entry.id),
+        action: entry.action,
+        outcome: entry.outcome,
+        ip_address: entry.ip_address,
+        device: describeDevice(entry.user_agent),
+        initiated_by: entry.actor_id === null ? null : (entry.actor_id === userId ? 'you' : 'admin'),
+        details: entry.metadata,
+        created_at: entry.created_at
+    });
+}
+
+module.exports = new AuditLog();
@@ -0,0 +1,32 @@
+// roles and permissions seeded into the database, routes refer to these names
+const Roles = {
+    USER: 'user',
+    ADMIN: 'admin'
+};
+
+const Permissions = {
+    USERS_READ: 'users:read',
+    USERS_UPDATE: 'users:update',
+    USERS_DELETE: 'users:delete',
+    USERS_MANAGE: 'users:manage',
+    SESSIONS_MANAGE: 'sessions:manage',
+    SUBSCRIPTIONS_MANAGE: 'subscriptions:manage',
+    ROLES_MANAGE: 'roles:manage',
+    OUTBOX_MANAGE: 'outbox:manage',
+    FILES_MANAGE: 'files:manage',
+    ANNOUNCEMENTS_MANAGE: 'announcements:manage',
+    WEBHOOKS_MANAGE: 'webhooks:manage',
+    AUDIT_READ: 'audit:read'
+};
+
+// plain users get nothing extra, acting on their own resources is handled by ownership checks
+const RolePermissions = {
+    [Roles.USER]: [],
+    [Roles.ADMIN]: Object.values(Permissions)
+};
+
+module.exports = {
+    Roles,
+    Permissions,
+    RolePermissions
+};
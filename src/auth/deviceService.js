@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const DeviceModel = require('../models/deviceModel.js');
+const SessionModel = require('../models/sessionModel.js');
+const UserModel = require('../models/userModel.js');
+const EmailUtils = require('../utils/emailUtils.js');
+const outbox = require('../events/outbox.js');
+const Events = require('../events/eventsNames.js');
+const auditLog = require('../audit/auditLog.js');
+const AuditActions = require('../audit/auditActions.js');
+const { geoIp } = require('./geoIp.js');
+const { hashToken } = require('../utils/tokenUtils.js');
+const { getClientIp, getUserAgent, describeDevice } = require('../utils/requestUtils.js');
+
+// how long the reset link sent after "this wasn't me" works, the same as a requested one
+const PASSWORD_RESET_MINUTES = 60;
+
+// recognizes the devices and countries a user signs in from. A device is a fingerprint of the browser and OS
+// ("Chrome on Windows"), or of the deviceId an app sends with its login; browser updates don't make it new.
+// A sign-in from a device or a country (GEOIP_DATABASE_PATH) the user hasn't used gets the "new sign-in" mail
+// with a "this wasn't me" link, and with DEVICE_CONFIRMATION_REQUIRED=true a new device only gets in once
+// the user confirmed it from their inbox. The very first sign-in of an account is trusted as is
+class DeviceService {
+    constructor() {
+        this.deviceModel = new DeviceModel();
+        this.sessionModel = new SessionModel();
+        this.userModel = new UserModel();
+        this.requireConfirmation = process.env.DEVICE_CONFIRMATION_REQUIRED === 'true';
+        this.confirmationMinutes = parseInt(process.env.DEVICE_CONFIRMATION_TTL_MINUTES || '60');
+        this.denyLinkDays = parseInt(process.env.DEVICE_DENY_LINK_TTL_DAYS || '7');
+    }
+
+    static fingerprint = (req) => {
+        const appDeviceId = req.body?.deviceId;
+        return hashToken(appDeviceId
+            ? `app:${String(appDeviceId).slice(0, 200)}`
+            : `agent:${describeDevice(getUserAgent(req))}`);
+    };
+
+    static describeLocation = (location) => (location
+        ? [location.city, location.region, location.country].filter(Boolean).join(', ')
+        : null);
+
+    static present = (device) => ({
+        id: device.id,
+        label: device.label,
+        last_ip: device.last_ip,
+        location: DeviceService.describeLocation(device),
+        confirmed: Boolean(device.confirmed_at),
+        first_seen_at: device.first_seen_at,
+        last_seen_at: device.last_seen_at
+    });
+
+    // -> the token to put in the link, only its hash is stored
+    issueToken = async (user, device, purpose, { ipAddress, newCountry }) => {
+        const token = crypto.randomBytes(32).toString('hex');
+        const ttlMs = purpose === 'confirm' ? this.confirmationMinutes * 60 * 1000 : this.denyLinkDays * 24 * 60 * 60 * 1000;
+        await this.deviceModel.createToken({
+            tokenHash: hashToken(token),
+            userId: user.id,
+            deviceId: device.id,
+            purpose,
+            ipAddress,
+            newCountry,
+            expiresAt: new Date(Date.now() + ttlMs)
+        });
+        return token;
+    };
+
+    // where the request comes from (see geoIp.js), null when unknown
+    locate = (req) => geoIp.lookup(getClientIp(req));
+
+    // call inside the login transaction, before the session is created. location is what locate() found, looked
+    // up before the transaction opened; without it recognize looks it up itself.
+    // -> { device, location, held }: held means the device waits for confirmation and the login has to stop
+    recognize = async (user, req, { location } = {}) => {
+        const ipAddress = getClientIp(req);
+        const userAgent = getUserAgent(req);
+        const label = (req.body?.deviceLabel || describeDevice(userAgent)).toString().slice(0, 100);
+        const fingerprint = DeviceService.fingerprint(req);
+        if (location === undefined) location = await this.locate(req);
+
+        const firstSignIn = !(await this.deviceModel.hasDevices(user.id));
+        let device = await this.deviceModel.getDevice(user.id, fingerprint);
+        const newDevice = !device && !firstSignIn;
+
+        if (!device) {
+            device = await this.deviceModel.createDevice({
+                userId: user.id,
+                fingerprint,
+                label,
+                userAgent,
+                ipAddress,
+                location,
+                confirmed: firstSignIn || !this.requireConfirmation
+            });
+        } else {
+            device = await this.deviceModel.touchDevice(device.id, { userAgent, ipAddress, location });
+        }
+
+        // the first country on record is the user's usual one, not an unusual location
+        let newCountry = null;
+        if (location) {
+            const knewAny = await this.deviceModel.hasLocations(user.id);
+            if (await this.deviceModel.rememberLocation(user.id, location.country) && knewAny) newCountry = location.country;
+        }
+
+        const held = this.requireConfirmation && !device.confirmed_at;
+        if (!newDevice && !newCountry && !held) return { device, location, held };
+
+        const details = {
+            device: device.label,
+            ipAddress,
+            location: DeviceService.describeLocation(location),
+            time: new Date()
+        };
+        const denyToken = await this.issueToken(user, device, 'deny', { ipAddress, newCountry });
+        if (held) {
+            const confirmToken = await this.issueToken(user, device, 'confirm', { ipAddress, newCountry });
+            await EmailUtils.sendDeviceConfirmationEmail(user, { ...details, confirmToken, denyToken });
+        } else {
+            await EmailUtils.sendNewLoginEmail(user, { ...details, denyToken });
+        }
+
+        await outbox.publish(Events.LOGIN_UNRECOGNIZED, {
+            userId: user.id,
+            deviceId: device.id,
+            device: device.label,
+            ipAddress,
+            country: location?.country,
+            newDevice: newDevice || held,
+            newLocation: Boolean(newCountry),
+            held
+        });
+        await auditLog.record(req, AuditActions.DEVICE_NEW, {
+            userId: user.id,
+            actorId: user.id,
+            metadata: { device_id: device.id, device: device.label, new_device: newDevice || held, new_country: newCountry, held }
+        });
+        return { device, location, held };
+    };
+
+    // the confirm link. -> the device, null for an unknown, used or expired token
+    confirm = async (token, req) => {
+        const used = await this.deviceModel.useToken(hashToken(token), 'confirm');
+        if (!used) return null;
+
+        const device = await this.deviceModel.confirmDevice(used.device_id);
+        await auditLog.record(req, AuditActions.DEVICE_CONFIRMED, {
+            userId: used.user_id,
+            actorId: used.user_id,
+            metadata: { device_id: used.device_id, device: device.label }
+        });
+        return device;
+    };
+
+    // "this wasn't me": the device and the country it brought are forgotten, every session ends and password
+    // sign-in waits for a reset, the link to which goes to the user's inbox. -> { sessions }, null for a bad token
+    deny = async (token, req) => {
+        const used = await this.deviceModel.useToken(hashToken(token), 'deny');
+        if (!used) return null;
+
+        const user = await this.userModel.getUserById(used.user_id);
+        const device = await this.deviceModel.deleteDevice(used.user_id, used.device_id);
+        if (!user || !device) return null;
+        if (used.new_country) await this.deviceModel.forgetLocation(user.id, used.new_country);
+
+        const revokedIds = await this.sessionModel.revokeAllSessions(user.id);
+        if (revokedIds.length) await outbox.publish(Events.SESSION_REVOKED, { userId: user.id, sessionIds: revokedIds });
+
+        await this.userModel.setPasswordResetRequired(user.id, true);
+        if (user.email) {
+            const resetToken = EmailUtils.generateToken();
+            await this.userModel.setPasswordResetToken(user.id, resetToken, new Date(Date.now() + PASSWORD_RESET_MINUTES * 60 * 1000));
+            await EmailUtils.sendPasswordResetEmail(user, resetToken);
+            await outbox.publish(Events.PASSWORD_RESET_REQUESTED, { userId: user.id, email: user.email });
+        }
+
+        await outbox.publish(Events.DEVICE_REJECTED, {
+            userId: user.id,
+            deviceId: device.id,
+            device: device.label,
+            sessionsRevoked: revokedIds.length
+        });
+        await auditLog.record(req, AuditActions.DEVICE_DENIED, {
+            userId: user.id,
+            actorId: user.id,
+            metadata: { device_id: device.id, device: device.label, sign_in_ip: used.ip_address, sessions: revokedIds.length }
+        });
+        return { sessions: revokedIds.length };
+    };
+}
+
+module.exports = DeviceService;
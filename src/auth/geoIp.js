@@ -0,0 +1,156 @@
+const fs = require('fs');
+const net = require('net');
+const readline = require('readline');
+
+// "1.2.3.4" -> { version: 4, value: 16909060n }, IPv6 the same with 128 bits. An IPv4-mapped IPv6 address
+// (::ffff:1.2.3.4, what node reports on a dual stack socket) counts as IPv4. Anything else -> null
+const parseIp = (ip) => {
+    let address = String(ip || '').trim().replace(/%.*$/, '');
+    if (address.toLowerCase().startsWith('::ffff:') && net.isIPv4(address.slice(7))) address = address.slice(7);
+
+    if (net.isIPv4(address)) {
+        return { version: 4, value: address.split('.').reduce((value, part) => value * 256n + BigInt(part), 0n) };
+    }
+    if (!net.isIPv6(address)) return null;
+
+    const compressed = address.includes('::');
+    const [head, tail] = compressed ? address.split('::') : [address, ''];
+    const before = head ? head.split(':') : [];
+    const after = tail ? tail.split(':') : [];
+
+    // a trailing dotted quad (::1.2.3.4, 64:ff9b::1.2.3.4) is the last two groups
+    const last = after.length ? after : before;
+    if (last.length && last[last.length - 1].includes('.')) {
+        const [a, b, c, d] = last.pop().split('.').map(Number);
+        last.push(((a << 8) | b).toString(16), ((c << 8) | d).toString(16));
+    }
+
+    const groups = [...before, ...Array(compressed ? 8 - before.length - after.length : 0).fill('0'), ...after];
+    return { version: 6, value: groups.reduce((value, group) => (value << 16n) + BigInt(parseInt(group, 16)), 0n) };
+};
+
+// one CSV line, double quoted fields may hold commas ("Washington, D.C.")
+const parseCsvLine = (line) => {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') quoted = false;
+            else field += char;
+        } else if (char === '"') quoted = true;
+        else if (char === ',') { fields.push(field); field = ''; }
+        else field += char;
+    }
+    fields.push(field);
+    return fields;
+};
+
+// where an IP address is, from a local copy of a DB-IP lite CSV (https://db-ip.com/db/lite.php), so no sign-in
+// waits on or leaks to an outside service. Both layouts work: country (start,end,country) and city
+// (start,end,continent,country,region,city,...). The file is kept in memory, the country file takes a few dozen
+// MB, the city one several hundred: index.js loads it on boot, before the first sign-in would otherwise wait on
+// (and hold a database connection through) the parse. Without GEOIP_DATABASE_PATH every lookup is null
+class GeoIp {
+    // without a path GEOIP_DATABASE_PATH is read when the file is, the module is required before dotenv has run
+    constructor(path) {
+        this.configuredPath = path;
+        this.loading = null;
+    }
+
+    get path() {
+        const path = this.configuredPath === undefined ? process.env.GEOIP_DATABASE_PATH : this.configuredPath;
+        return path || null;
+    }
+
+    set path(path) {
+        this.configuredPath = path;
+    }
+
+    get enabled() {
+        return Boolean(this.path);
+    }
+
+    // -> { 4: ranges, 6: ranges }, ranges sorted by start: { starts, ends, locations }, null without a database
+    load = () => {
+        if (!this.enabled) return Promise.resolve(null);
+        if (!this.loading) {
+            this.loading = this.read().catch(error => {
+                console.error(`GeoIP database ${this.path} could not be read, locations are unknown:`, error.message);
+                return null;
+            });
+        }
+        return this.loading;
+    };
+
+    read = async () => {
+        const rows = { 4: [], 6: [] };
+        // the same place repeats for thousands of ranges, each gets one object
+        const places = new Map();
+
+        const lines = readline.createInterface({ input: fs.createReadStream(this.path), crlfDelay: Infinity });
+        for await (const line of lines) {
+            if (!line.trim()) continue;
+            const fields = parseCsvLine(line);
+            const start = parseIp(fields[0]);
+            const end = parseIp(fields[1]);
+            // a header line or a range that mixes versions
+            if (!start || !end || start.version !== end.version) continue;
+
+            const [country, region, city] = fields.length >= 6 ? fields.slice(3, 6) : [fields[2], '', ''];
+            // ZZ is what DB-IP puts on private and reserved ranges
+            if (!/^[A-Z]{2}$/i.test(country || '') || country.toUpperCase() === 'ZZ') continue;
+
+            const key = `${country}|${region}|${city}`;
+            if (!places.has(key)) {
+                places.set(key, { country: country.toUpperCase(), region: region || null, city: city || null });
+            }
+            rows[start.version].push([start.value, end.value, places.get(key)]);
+        }
+
+        const ranges = {};
+        for (const version of [4, 6]) {
+            const sorted = rows[version].sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+            ranges[version] = {
+                starts: sorted.map(row => row[0]),
+                ends: sorted.map(row => row[1]),
+                locations: sorted.map(row => row[2])
+            };
+        }
+        return ranges;
+    };
+
+    // -> { country, region, city } (region and city null with a country file), null when unknown
+    lookup = async (ip) => {
+        if (!this.enabled) return null;
+        const address = parseIp(ip);
+        if (!address) return null;
+
+        const ranges = (await this.load())?.[address.version];
+        if (!ranges) return null;
+
+        // the last range starting at or before the address
+        let low = 0;
+        let high = ranges.starts.length - 1;
+        let found = -1;
+        while (low <= high) {
+            const middle = (low + high) >> 1;
+            if (ranges.starts[middle] <= address.value) {
+                found = middle;
+                low = middle + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+        if (found === -1 || ranges.ends[found] < address.value) return null;
+        return ranges.locations[found];
+    };
+}
+
+module.exports = {
+    GeoIp,
+    parseIp,
+    geoIp: new GeoIp()
+};
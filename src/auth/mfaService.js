@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const MfaModel = require('../models/mfaModel.js');
+const DB_Connection = require('../database/db.js');
+const outbox = require('../events/outbox.js');
+const Events = require('../events/eventsNames.js');
+const { hashToken, decryptSecret } = require('../utils/tokenUtils.js');
+const { verifyCode } = require('../utils/totp.js');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// shared by the enrollment endpoints and the second login step
+class MfaService{
+    constructor(){
+        this.db_connection = new DB_Connection();
+        this.mfaModel = new MfaModel();
+    }
+
+    normalizeRecoveryCode = (code)=> String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+    generateRecoveryCodes = async(userId)=>{
+        const codes = Array.from({length: RECOVERY_CODE_COUNT}, ()=>{
+            const raw = crypto.randomBytes(5).toString('hex');
+            return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+        });
+
+        await this.mfaModel.replaceRecoveryCodes(userId, codes.map(code => hashToken(this.normalizeRecoveryCode(code))));
+        return codes;
+    }
+
+    verifyTotp = async(mfa, code)=>{
+        if(!mfa || !code) return false;
+
+        const step = verifyCode(decryptSecret(mfa.totp_secret_encrypted), code);
+        if(step === null) return false;
+
+        // an already used step fails here, so an observed code can't be replayed
+        return !!(await this.mfaModel.markStepUsed(mfa.user_id, step));
+    }
+
+    // accepts a TOTP code or a one-time recovery code, returns the method used or null
+    verifySecondFactor = async(userId, {code, recoveryCode})=>{
+        const mfa = await this.mfaModel.getMfa(userId);
+        if(!mfa || !mfa.enabled) return null;
+
+        if(code && await this.verifyTotp(mfa, code)) return 'totp';
+
+        if(recoveryCode){
+            const used = await this.db_connection.transaction(async()=>{
+                const used = await this.mfaModel.consumeRecoveryCode(userId, hashToken(this.normalizeRecoveryCode(recoveryCode)));
+                if(used){
+                    const remaining = await this.mfaModel.countRemainingRecoveryCodes(userId);
+                    await outbox.publish(Events.MFA_RECOVERY_CODE_USED, { userId, remaining });
+                }
+                return used;
+            });
+            if(used) return 'recovery_code';
+        }
+
+        return null;
+    }
+}
+
+module.exports = MfaService;
@@ -0,0 +1,256 @@
+const BillingModel = require('../models/billingModel.js');
+const PlanModel = require('../models/planModel.js');
+const UserModel = require('../models/userModel.js');
+const DB_Connection = require('../database/db.js');
+const outbox = require('../events/outbox.js');
+const Events = require('../events/eventsNames.js');
+const PlanService = require('./planService.js');
+const webhookSignature = require('./webhookSignature.js');
+const { getBillingProvider } = require('./providers/index.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FREE_PLAN = 'free';
+const GRACE_STATUSES = ['past_due', 'unpaid'];
+
+const toDate = (seconds) => (seconds ? new Date(seconds * 1000) : null);
+
+// checkout out, webhooks in. The plan of a user is worked out from their subscriptions after every change
+// (best live one wins, free when none), so events can come in any order and more than once
+class BillingService {
+    constructor() {
+        this.db_connection = new DB_Connection();
+        this.billingModel = new BillingModel();
+        this.planModel = new PlanModel();
+        this.userModel = new UserModel();
+        this.planService = new PlanService();
+        this.trialDays = parseInt(process.env.BILLING_TRIAL_DAYS || '0');
+        this.graceDays = parseFloat(process.env.BILLING_GRACE_DAYS || '3');
+        this.successUrl = process.env.BILLING_SUCCESS_URL || 'http://localhost:3000/billing/success?session_id={CHECKOUT_SESSION_ID}';
+        this.cancelUrl = process.env.BILLING_CANCEL_URL || 'http://localhost:3000/billing/cancel';
+    }
+
+    // -> { session } or { status, error }. The plan only changes once the provider reports the payment
+    createCheckout = async (user, planCode) => {
+        const provider = getBillingProvider();
+        const plan = typeof planCode === 'string' ? await this.planModel.getPlan(planCode) : null;
+        if (!plan || !plan.is_active || plan.code === FREE_PLAN || (provider.needsPriceId && !plan.billing_price_id)) {
+            return { status: 400, error: 'This plan can\'t be bought' };
+        }
+
+        const subscriptions = await this.billingModel.listSubscriptions(user.id);
+        if (subscriptions.some(subscription => subscription.is_live && subscription.plan_code === plan.code)) {
+            return { status: 409, error: 'You already have a subscription for this plan' };
+        }
+
+        const customer = await this.billingModel.getCustomer(user.id);
+        const session = await provider.createCheckoutSession({
+            user,
+            plan,
+            customerId: customer?.customer_id,
+            // one trial per user, not per plan
+            trialDays: subscriptions.length ? 0 : this.trialDays,
+            successUrl: this.successUrl,
+            cancelUrl: this.cancelUrl
+        });
+        return { session };
+    };
+
+    // what GET /api/billing/subscription shows
+    getOverview = async (user) => {
+        const [subscriptions, invoices] = await Promise.all([
+            this.billingModel.listSubscriptions(user.id),
+            this.billingModel.listInvoices(user.id)
+        ]);
+        return { plan: user.subscription_type, subscriptions, invoices };
+    };
+
+    // -> { processed } or { status, error } when the request isn't a valid webhook.
+    // Throws when applying the event failed, the provider gets a 500 and delivers it again later
+    handleWebhook = async (rawBody, signatureHeader) => {
+        const secret = process.env.BILLING_WEBHOOK_SECRET;
+        if (!secret) {
+            console.error('Billing webhook received but BILLING_WEBHOOK_SECRET is not set');
+            return { status: 503, error: 'Billing webhooks are not configured' };
+        }
+        if (!Buffer.isBuffer(rawBody)) {
+            return { status: 400, error: 'Expected a JSON body' };
+        }
+
+        const signatureError = webhookSignature.verify(rawBody, signatureHeader, secret, {
+            toleranceSeconds: parseInt(process.env.BILLING_WEBHOOK_TOLERANCE_SECONDS || '300')
+        });
+        if (signatureError) {
+            return { status: 400, error: signatureError };
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(rawBody.toString('utf8'));
+        } catch (error) {
+            return { status: 400, error: 'Invalid JSON' };
+        }
+        if (typeof payload?.id !== 'string' || typeof payload.type !== 'string' || !payload.data?.object) {
+            return { status: 400, error: 'Not an event' };
+        }
+
+        const event = { id: payload.id, provider: getBillingProvider().name, type: payload.type, payload };
+        try {
+            const processed = await this.db_connection.transaction(async () => {
+                if (!await this.billingModel.recordEvent(event)) return false;
+                await this.applyEvent(payload);
+                await this.billingModel.markEventProcessed(event.id);
+                return true;
+            });
+            return { processed };
+        } catch (error) {
+            await this.billingModel.markEventFailed(event, error.message).catch(() => {});
+            throw error;
+        }
+    };
+
+    applyEvent = async (event) => {
+        const object = event.data.object;
+        switch (event.type) {
+            case 'checkout.session.completed':
+                return this.linkCustomer(object);
+            case 'customer.subscription.created':
+            case 'customer.subscription.updated':
+            case 'customer.subscription.paused':
+            case 'customer.subscription.resumed':
+                return this.applySubscription(object, event.created);
+            case 'customer.subscription.deleted':
+                return this.applySubscription({ ...object, status: 'canceled' }, event.created);
+            case 'customer.subscription.trial_will_end':
+                return this.announceTrialEnd(object);
+            case 'invoice.paid':
+            case 'invoice.payment_succeeded':
+            case 'invoice.payment_failed':
+            case 'invoice.finalized':
+            case 'invoice.voided':
+            case 'invoice.marked_uncollectible':
+                return this.applyInvoice(object, event.type);
+            default:
+                // stored in billing_events, nothing to do
+                return null;
+        }
+    };
+
+    // metadata.user_id is set at checkout; the customer id covers objects created outside of it (dashboard, portal)
+    findUserId = async (object) => {
+        const fromMetadata = parseInt(object.metadata?.user_id || object.client_reference_id);
+        if (Number.isInteger(fromMetadata) && await this.userModel.getUserById(fromMetadata)) return fromMetadata;
+
+        const fromCustomer = object.customer ? await this.billingModel.findUserIdByCustomer(object.customer) : null;
+        if (fromCustomer) return fromCustomer;
+
+        throw new Error(`No user for ${object.object || 'object'} ${object.id} (customer ${object.customer || 'none'})`);
+    };
+
+    linkCustomer = async (session) => {
+        if (!session.customer) return;
+        const userId = await this.findUserId(session);
+        await this.billingModel.saveCustomer(userId, getBillingProvider().name, session.customer);
+    };
+
+    applySubscription = async (subscription, eventCreated) => {
+        const userId = await this.findUserId(subscription);
+        const item = subscription.items?.data?.[0];
+        const plan = await this.planModel.findPlanForPrice(item?.price?.id, item?.price?.lookup_key);
+        if (!plan) {
+            throw new Error(`No plan for price ${item?.price?.id} of subscription ${subscription.id}`);
+        }
+
+        // the grace period starts with the first failed payment and isn't pushed back by later retries
+        const existing = await this.billingModel.getSubscription(subscription.id);
+        let graceUntil = null;
+        if (GRACE_STATUSES.includes(subscription.status)) {
+            graceUntil = existing?.grace_until || new Date(Date.now() + this.graceDays * DAY_MS);
+        }
+
+        if (subscription.customer) {
+            await this.billingModel.saveCustomer(userId, getBillingProvider().name, subscription.customer);
+        }
+
+        const saved = await this.billingModel.saveSubscription({
+            id: subscription.id,
+            userId,
+            provider: getBillingProvider().name,
+            customerId: subscription.customer || null,
+            planCode: plan.code,
+            status: subscription.status,
+            trialEndsAt: toDate(subscription.trial_end),
+            // newer API versions moved the period onto the items
+            currentPeriodEnd: toDate(subscription.current_period_end ?? item?.current_period_end),
+            cancelAtPeriodEnd: subscription.cancel_at_period_end,
+            canceledAt: toDate(subscription.canceled_at) || (subscription.status === 'canceled' ? new Date() : null),
+            graceUntil,
+            eventAt: toDate(eventCreated) || new Date()
+        });
+        if (!saved) return;
+
+        await this.syncPlan(userId);
+    };
+
+    applyInvoice = async (invoice, type) => {
+        const userId = await this.findUserId(invoice);
+        const saved = await this.billingModel.saveInvoice({
+            id: invoice.id,
+            userId,
+            subscriptionId: typeof invoice.subscription === 'string' ? invoice.subscription : invoice.subscription?.id || null,
+            status: invoice.status || 'open',
+            currency: invoice.currency || null,
+            amountDue: invoice.amount_due,
+            amountPaid: invoice.amount_paid,
+            hostedInvoiceUrl: invoice.hosted_invoice_url || null,
+            periodStart: toDate(invoice.period_start),
+            periodEnd: toDate(invoice.period_end),
+            createdAt: toDate(invoice.created)
+        });
+
+        if (type === 'invoice.payment_failed') {
+            const subscription = saved.subscription_id ? await this.billingModel.getSubscription(saved.subscription_id) : null;
+            await outbox.publish(Events.BILLING_PAYMENT_FAILED, {
+                userId,
+                invoiceId: saved.id,
+                amountDue: saved.amount_due,
+                currency: saved.currency,
+                hostedInvoiceUrl: saved.hosted_invoice_url,
+                graceUntil: subscription?.grace_until || null
+            });
+        }
+    };
+
+    announceTrialEnd = async (subscription) => {
+        const userId = await this.findUserId(subscription);
+        await outbox.publish(Events.BILLING_TRIAL_ENDING, {
+            userId,
+            subscriptionId: subscription.id,
+            trialEndsAt: toDate(subscription.trial_end)
+        });
+    };
+
+    // users.subscription_type follows the subscriptions, plans given by an admin are overwritten on the next billing event
+    syncPlan = async (userId) => {
+        const planCode = await this.billingModel.resolvePlanCode(userId) || FREE_PLAN;
+        const result = await this.planService.changePlan(userId, planCode, { source: 'billing', allowInactive: true });
+        if (result.error) throw new Error(`Plan sync for user ${userId} failed: ${result.error}`);
+        return result;
+    };
+
+    // run by src/jobs/billingGraceJob.js: users whose failed payment wasn't fixed in time lose the plan
+    expireGracePeriods = async () => {
+        const userIds = await this.billingModel.listExpiredGraceUserIds();
+        let downgraded = 0;
+        for (const userId of userIds) {
+            try {
+                const result = await this.db_connection.transaction(() => this.syncPlan(userId));
+                if (result.previous !== result.user.subscription_type) downgraded++;
+            } catch (error) {
+                console.error(`Grace period expiry for user ${userId} failed:`, error.message);
+            }
+        }
+        return downgraded;
+    };
+}
+
+module.exports = BillingService;
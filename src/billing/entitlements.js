@@ -0,0 +1,70 @@
+const PlanModel = require('../models/planModel.js');
+
+// used when a plan row doesn't set the limit, so adding a limit in code doesn't need every plan edited first
+const DEFAULT_LIMITS = {
+    storage_mb: 100,
+    api_requests_per_15m: 500
+};
+
+const FALLBACK_PLAN = 'free';
+
+// what a user's plan (users.subscription_type) allows. Plans are read on nearly every request (rate limit),
+// so they are cached per process; an edit through the admin API is seen here at once, on other instances within cacheMs
+class Entitlements {
+    constructor({ cacheMs = 60 * 1000 } = {}) {
+        this.planModel = new PlanModel();
+        this.cacheMs = cacheMs;
+        this.plans = null;
+        this.loadedAt = 0;
+        this.loading = null;
+    }
+
+    load = async () => {
+        if (this.plans && Date.now() - this.loadedAt < this.cacheMs) return this.plans;
+
+        // concurrent callers share one query
+        if (!this.loading) {
+            this.loading = this.planModel.listPlans()
+                .then(rows => {
+                    this.plans = new Map(rows.map(plan => [plan.code, plan]));
+                    this.loadedAt = Date.now();
+                    return this.plans;
+                })
+                .finally(() => { this.loading = null; });
+        }
+        return this.loading;
+    };
+
+    invalidate = () => {
+        this.loadedAt = 0;
+    };
+
+    // an unknown code (plan deleted by hand) gets the free plan rather than an error
+    getPlan = async (code) => {
+        const plans = await this.load();
+        return plans.get(code) || plans.get(FALLBACK_PLAN) || { code: FALLBACK_PLAN, features: {}, limits: {} };
+    };
+
+    hasFeature = async (user, feature) => {
+        const plan = await this.getPlan(user?.subscription_type);
+        return plan.features?.[feature] === true;
+    };
+
+    limit = async (user, name) => {
+        const plan = await this.getPlan(user?.subscription_type);
+        return plan.limits?.[name] ?? DEFAULT_LIMITS[name];
+    };
+
+    // { plan, name, features, limits } with the defaults filled in
+    forUser = async (user) => {
+        const plan = await this.getPlan(user?.subscription_type);
+        return {
+            plan: plan.code,
+            name: plan.name,
+            features: plan.features || {},
+            limits: { ...DEFAULT_LIMITS, ...plan.limits }
+        };
+    };
+}
+
+module.exports = new Entitlements();
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+
+// Stripe-shaped events for local testing, only the fields BillingService reads plus enough to look familiar.
+// Ids are derived from the user id, so consecutive scenarios act on the same customer and subscription
+const DAY_SECONDS = 24 * 60 * 60;
+
+const now = () => Math.floor(Date.now() / 1000);
+
+const ids = (userId) => ({
+    customer: `cus_mock_${userId}`,
+    subscription: `sub_mock_${userId}`
+});
+
+const event = (type, object, { created = now() } = {}) => ({
+    id: `evt_mock_${crypto.randomBytes(12).toString('hex')}`,
+    object: 'event',
+    api_version: '2024-06-20',
+    created,
+    livemode: false,
+    type,
+    data: { object }
+});
+
+const subscription = ({ userId, plan = 'plus', status = 'active', trialDays = 0, cancelAtPeriodEnd = false, periodDays = 30 }) => {
+    const start = now();
+    const trialEnd = trialDays > 0 ? start + trialDays * DAY_SECONDS : null;
+    const periodEnd = trialEnd || start + periodDays * DAY_SECONDS;
+    return {
+        id: ids(userId).subscription,
+        object: 'subscription',
+        customer: ids(userId).customer,
+        status: trialEnd && status === 'active' ? 'trialing' : status,
+        metadata: { user_id: String(userId), plan },
+        items: {
+            object: 'list',
+            data: [{
+                id: `si_mock_${userId}`,
+                object: 'subscription_item',
+                price: { id: `price_mock_${plan}`, object: 'price', lookup_key: plan, currency: 'usd', recurring: { interval: 'month' } },
+                quantity: 1,
+                current_period_start: start,
+                current_period_end: periodEnd
+            }]
+        },
+        current_period_start: start,
+        current_period_end: periodEnd,
+        trial_end: trialEnd,
+        cancel_at_period_end: cancelAtPeriodEnd,
+        canceled_at: status === 'canceled' || cancelAtPeriodEnd ? start : null
+    };
+};
+
+const invoice = ({ userId, status = 'paid', amount = 900 }) => ({
+    id: `in_mock_${crypto.randomBytes(8).toString('hex')}`,
+    object: 'invoice',
+    customer: ids(userId).customer,
+    subscription: ids(userId).subscription,
+    status,
+    currency: 'usd',
+    amount_due: amount,
+    amount_paid: status === 'paid' ? amount : 0,
+    hosted_invoice_url: null,
+    period_start: now(),
+    period_end: now() + 30 * DAY_SECONDS,
+    created: now()
+});
+
+// what the provider sends, in order, for each thing that can happen to a subscription
+const scenarios = {
+    checkout: ({ userId, plan, trialDays }) => [
+        event('checkout.session.completed', {
+            id: `cs_mock_${crypto.randomBytes(8).toString('hex')}`,
+            object: 'checkout.session',
+            mode: 'subscription',
+            client_reference_id: String(userId),
+            customer: ids(userId).customer,
+            subscription: ids(userId).subscription,
+            metadata: { user_id: String(userId), plan },
+            payment_status: trialDays > 0 ? 'no_payment_required' : 'paid'
+        }),
+        event('customer.subscription.created', subscription({ userId, plan, trialDays })),
+        event('invoice.paid', invoice({ userId, amount: trialDays > 0 ? 0 : undefined }))
+    ],
+    renew: ({ userId, plan }) => [
+        event('invoice.paid', invoice({ userId })),
+        event('customer.subscription.updated', subscription({ userId, plan }))
+    ],
+    'change-plan': ({ userId, plan }) => [
+        event('customer.subscription.updated', subscription({ userId, plan }))
+    ],
+    'trial-will-end': ({ userId, plan }) => [
+        event('customer.subscription.trial_will_end', subscription({ userId, plan, trialDays: 3 }))
+    ],
+    'payment-failed': ({ userId, plan }) => [
+        event('invoice.payment_failed', invoice({ userId, status: 'open' })),
+        event('customer.subscription.updated', subscription({ userId, plan, status: 'past_due' }))
+    ],
+    'cancel-at-period-end': ({ userId, plan }) => [
+        event('customer.subscription.updated', subscription({ userId, plan, cancelAtPeriodEnd: true }))
+    ],
+    cancel: ({ userId, plan }) => [
+        event('customer.subscription.deleted', subscription({ userId, plan, status: 'canceled' }))
+    ]
+};
+
+module.exports = {
+    event,
+    subscription,
+    invoice,
+    scenarios
+};
@@ -0,0 +1,55 @@
+// usage: node src/billing/mock/sendWebhook.js <scenario> --user <id> [--plan plus] [--trial-days 14] [--repeat 2] [--url ...]
+// signs Stripe-shaped events with BILLING_WEBHOOK_SECRET and posts them to the running API, no provider account needed
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config({path: path.resolve(__dirname, '../../.env')});
+
+const { scenarios } = require('./events.js');
+const webhookSignature = require('../webhookSignature.js');
+
+const parseArgs = (argv)=>{
+    const [scenario, ...rest] = argv;
+    const options = {};
+    for(let i = 0; i < rest.length; i += 2){
+        if(!rest[i].startsWith('--')) throw new Error(`Unexpected argument: ${rest[i]}`);
+        options[rest[i].slice(2)] = rest[i + 1];
+    }
+    return { scenario, options };
+}
+
+const main = async()=>{
+    const { scenario, options } = parseArgs(process.argv.slice(2));
+    if(!scenarios[scenario] || !options.user){
+        throw new Error(`Usage: sendWebhook.js <${Object.keys(scenarios).join(' | ')}> --user <id> [--plan plus] [--trial-days 14] [--repeat 2] [--url ...]`);
+    }
+
+    const secret = process.env.BILLING_WEBHOOK_SECRET;
+    if(!secret) throw new Error('BILLING_WEBHOOK_SECRET is not set');
+
+    const url = options.url || process.env.BILLING_WEBHOOK_URL || `http://localhost:${process.env.PORT || 3000}/api/billing/webhook`;
+    // --repeat sends every event more than once, the API should apply it a single time
+    const repeat = parseInt(options.repeat || '1');
+    const events = scenarios[scenario]({
+        userId: parseInt(options.user),
+        plan: options.plan || 'plus',
+        trialDays: parseInt(options['trial-days'] || '0')
+    });
+
+    for(const event of events){
+        const body = JSON.stringify(event);
+        for(let attempt = 0; attempt < repeat; attempt++){
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Stripe-Signature': webhookSignature.sign(body, secret) },
+                body
+            });
+            console.log(`${event.type} ${event.id} -> ${response.status} ${await response.text()}`);
+        }
+    }
+}
+
+main().catch((error)=>{
+    console.error(error.message);
+    process.exit(1);
+});
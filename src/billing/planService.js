@@ -0,0 +1,60 @@
+const UserModel = require('../models/userModel.js');
+const PlanModel = require('../models/planModel.js');
+const DB_Connection = require('../database/db.js');
+const outbox = require('../events/outbox.js');
+const Events = require('../events/eventsNames.js');
+const auditLog = require('../audit/auditLog.js');
+const AuditActions = require('../audit/auditActions.js');
+const entitlements = require('./entitlements.js');
+
+// the one place a user's plan changes, whoever asks for it (admin API, billing webhooks)
+class PlanService {
+    constructor() {
+        this.db_connection = new DB_Connection();
+        this.userModel = new UserModel();
+        this.planModel = new PlanModel();
+    }
+
+    // -> { user, previous } or { status, error } for the client.
+    // source ends up in the event; billing passes allowInactive, a subscription paid for keeps a retired plan.
+    // req, when a request made the change, puts its ip and user agent into the audit log
+    changePlan = async (userId, planCode, { changedBy = null, source = 'admin', allowInactive = false, req = null } = {}) => {
+        const plan = typeof planCode === 'string' ? await this.planModel.getPlan(planCode) : null;
+        if (!plan || (!plan.is_active && !allowInactive)) {
+            const active = await this.planModel.listPlans({ activeOnly: true });
+            return { status: 400, error: `Unknown or inactive plan, use one of: ${active.map(item => item.code).join(', ')}` };
+        }
+
+        return this.db_connection.transaction(async () => {
+            const user = await this.userModel.getUserById(userId);
+            if (!user) return { status: 404, error: 'User not found' };
+
+            const updated = await this.userModel.updateSubscriptionType(userId, plan.code);
+            if (!updated || updated.success === false) throw new Error('Failed to update subscription');
+
+            if (user.subscription_type !== plan.code) {
+                await outbox.publish(Events.USER_PLAN_CHANGED, {
+                    userId: user.id,
+                    from: user.subscription_type,
+                    to: plan.code,
+                    changedBy,
+                    source
+                });
+                await auditLog.record(req, AuditActions.PLAN_CHANGED, {
+                    userId: user.id,
+                    actorId: changedBy,
+                    metadata: { from: user.subscription_type, to: plan.code, source }
+                });
+            }
+            return { user: updated, previous: user.subscription_type };
+        });
+    };
+
+    upsertPlan = async (code, fields) => {
+        const plan = await this.planModel.upsertPlan(code, fields);
+        entitlements.invalidate();
+        return plan;
+    };
+}
+
+module.exports = PlanService;
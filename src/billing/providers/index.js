@@ -0,0 +1,35 @@
+const StripeProvider = require('./stripeProvider.js');
+const MockProvider = require('./mockProvider.js');
+
+const BILLING_PROVIDERS = ['stripe', 'mock'];
+
+const defaultProvider = (env = process.env) =>
+    (env.BILLING_PROVIDER || (env.STRIPE_SECRET_KEY ? 'stripe' : 'mock')).toLowerCase();
+
+const createBillingProvider = (name, env = process.env) => {
+    switch (name) {
+        case 'stripe':
+            return new StripeProvider({
+                secretKey: env.STRIPE_SECRET_KEY,
+                apiBase: env.STRIPE_API_BASE || undefined
+            });
+        case 'mock':
+            return new MockProvider();
+        default:
+            throw new Error(`Unknown BILLING_PROVIDER "${name}", use one of: ${BILLING_PROVIDERS.join(', ')}`);
+    }
+};
+
+let instance = null;
+
+// webhooks of every provider use the Stripe event format, only checkout differs
+const getBillingProvider = () => {
+    if (!instance) instance = createBillingProvider(defaultProvider());
+    return instance;
+};
+
+module.exports = {
+    BILLING_PROVIDERS,
+    createBillingProvider,
+    getBillingProvider
+};
@@ -0,0 +1,16 @@
+const crypto = require('crypto');
+
+// stands in for the provider offline: checkout "succeeds" at once by sending the browser to the success URL,
+// the webhooks the provider would send afterwards come from `npm run billing:mock` (src/billing/mock/sendWebhook.js)
+class MockProvider {
+    name = 'mock';
+    // the mock sender names prices after plan codes (lookup_key), no price ids to configure
+    needsPriceId = false;
+
+    createCheckoutSession = async ({ successUrl }) => {
+        const id = `cs_mock_${crypto.randomBytes(12).toString('hex')}`;
+        return { id, url: successUrl.replace('{CHECKOUT_SESSION_ID}', id) };
+    };
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,62 @@
+// Stripe through its REST API (no SDK). apiBase can point at stripe-mock or a compatible service.
+// Only checkout goes out from here, everything after it comes back as webhooks (src/billing/billingService.js)
+class StripeProvider {
+    name = 'stripe';
+    // checkout sells plans.billing_price_id, a plan without one can't be bought
+    needsPriceId = true;
+
+    constructor({ secretKey, apiBase = 'https://api.stripe.com' }) {
+        if (!secretKey) throw new Error('STRIPE_SECRET_KEY is required for the stripe billing provider');
+        this.secretKey = secretKey;
+        this.apiBase = apiBase.replace(/\/+$/, '');
+    }
+
+    // Stripe takes form bodies with nested keys: line_items[0][price]=...
+    encodeForm = (params, prefix = '', pairs = new URLSearchParams()) => {
+        for (const [key, value] of Object.entries(params)) {
+            if (value === undefined || value === null) continue;
+            const name = prefix ? `${prefix}[${key}]` : key;
+            if (typeof value === 'object') this.encodeForm(value, name, pairs);
+            else pairs.append(name, String(value));
+        }
+        return pairs;
+    };
+
+    request = async (path, params) => {
+        const response = await fetch(`${this.apiBase}/v1${path}`, {
+            method: 'POST',
+            headers: {
+                Authorization: `Bearer ${this.secretKey}`,
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: this.encodeForm(params)
+        });
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(`Stripe ${path} failed (${response.status}): ${body.error?.message || 'no details'}`);
+        }
+        return body;
+    };
+
+    // user_id goes on the session and the subscription, so webhooks can be matched to the user
+    // even when they arrive before checkout.session.completed
+    createCheckoutSession = async ({ user, plan, customerId, trialDays, successUrl, cancelUrl }) => {
+        const session = await this.request('/checkout/sessions', {
+            mode: 'subscription',
+            line_items: [{ price: plan.billing_price_id, quantity: 1 }],
+            success_url: successUrl,
+            cancel_url: cancelUrl,
+            client_reference_id: String(user.id),
+            customer: customerId || undefined,
+            customer_email: customerId ? undefined : user.email,
+            metadata: { user_id: String(user.id), plan: plan.code },
+            subscription_data: {
+                metadata: { user_id: String(user.id), plan: plan.code },
+                trial_period_days: trialDays > 0 ? trialDays : undefined
+            }
+        });
+        return { id: session.id, url: session.url };
+    };
+}
+
+module.exports = StripeProvider;
@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+
+// Stripe's scheme: `Stripe-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">`.
+// The timestamp is signed too, so a captured request can't be replayed after the tolerance window
+
+const computeSignature = (payload, secret, timestamp) => crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(payload)
+    .digest('hex');
+
+// header for a payload (string or Buffer), used by the mock sender and the tests
+const sign = (payload, secret, timestamp = Math.floor(Date.now() / 1000)) =>
+    `t=${timestamp},v1=${computeSignature(payload, secret, timestamp)}`;
+
+// -> error message or null. There can be several v1 entries (the provider signs with old and new secret while rolling it)
+const verify = (payload, header, secret, { toleranceSeconds = 300, now = Date.now() } = {}) => {
+    if (typeof header !== 'string' || !header) return 'Missing signature header';
+
+    const parts = header.split(',').map(part => part.trim().split('='));
+    const timestamp = Number(parts.find(([key]) => key === 't')?.[1]);
+    const signatures = parts.filter(([key, value]) => key === 'v1' && value).map(([, value]) => value);
+    if (!Number.isInteger(timestamp) || !signatures.length) return 'Malformed signature header';
+
+    if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) return 'Signature timestamp outside the tolerance window';
+
+    const expected = Buffer.from(computeSignature(payload, secret, timestamp), 'hex');
+    const matches = signatures.some(signature => {
+        const given = Buffer.from(signature, 'hex');
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    });
+    return matches ? null : 'Signature mismatch';
+};
+
+module.exports = {
+    sign,
+    verify
+};
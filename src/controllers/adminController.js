@@ -0,0 +1,395 @@
+const UserModel = require('../models/userModel.js');
+const SessionModel = require('../models/sessionModel.js');
+const RoleModel = require('../models/roleModel.js');
+const AccountDeletionService = require('../accounts/accountDeletionService.js');
+const outbox = require('../events/outbox.js');
+const DB_Connection = require('../database/db.js');
+const Events = require('../events/eventsNames.js');
+const auditLog = require('../audit/auditLog.js');
+const AuditActions = require('../audit/auditActions.js');
+const { Roles } = require('../auth/accessControl.js');
+
+const SORTABLE_COLUMNS = ['created_at', 'last_login', 'username', 'email', 'id'];
+const MAX_PAGE_SIZE = 100;
+
+class AdminController {
+    constructor() {
+        this.db_connection = new DB_Connection();
+        this.userModel = new UserModel();
+        this.sessionModel = new SessionModel();
+        this.roleModel = new RoleModel();
+        this.accountDeletionService = new AccountDeletionService();
+        this.account_lock_minutes = parseInt(process.env.ACCOUNT_LOCK_MINUTES || '15');
+    }
+
+    parseBoolean = (value) => {
+        if (value === undefined) return undefined;
+        if (value === 'true') return true;
+        if (value === 'false') return false;
+        return null;
+    };
+
+    parseDate = (value) => {
+        if (value === undefined) return undefined;
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    };
+
+    // resolves :userId and refuses actions an admin should not run on their own account
+    loadTarget = async (req, res, { allowSelf = true } = {}) => {
+        const userId = parseInt(req.params.userId);
+        if (!allowSelf && userId === req.user.id) {
+            res.status(400).json({ success: false, error: 'You cannot do this to your own account' });
+            return null;
+        }
+
+        const user = await this.userModel.getUserById(userId);
+        if (!user) {
+            res.status(404).json({ success: false, error: 'User not found' });
+            return null;
+        }
+        return user;
+    };
+
+    listUsers = async (req, res) => {
+        try {
+            const {
+                page = '1',
+                limit = '20',
+                sort = 'created_at',
+                order = 'desc',
+                email_verified,
+                is_active,
+                subscription_type,
+                provider,
+                created_from,
+                created_to,
+                search
+            } = req.query;
+
+            const pageNumber = parseInt(page);
+            const pageSize = parseInt(limit);
+            if (!Number.isInteger(pageNumber) || pageNumber < 1 || !Number.isInteger(pageSize) || pageSize < 1) {
+                return res.status(400).json({ success: false, error: 'page and limit must be positive integers' });
+            }
+
+            if (!SORTABLE_COLUMNS.includes(sort)) {
+                return res.status(400).json({ success: false, error: `sort must be one of: ${SORTABLE_COLUMNS.join(', ')}` });
+            }
+
+            if (!['asc', 'desc'].includes(order)) {
+                return res.status(400).json({ success: false, error: 'order must be asc or desc' });
+            }
+
+            const filters = {
+                email_verified: this.parseBoolean(email_verified),
+                is_active: this.parseBoolean(is_active),
+                created_from: this.parseDate(created_from),
+                created_to: this.parseDate(created_to),
+                subscription_type,
+                provider,
+                search
+            };
+
+            if (filters.email_verified === null || filters.is_active === null) {
+                return res.status(400).json({ success: false, error: 'email_verified and is_active must be true or false' });
+            }
+
+            if (filters.created_from === null || filters.created_to === null) {
+                return res.status(400).json({ success: false, error: 'created_from and created_to must be valid dates' });
+            }
+
+            const size = Math.min(pageSize, MAX_PAGE_SIZE);
+            const { users, total } = await this.userModel.listUsers({
+                filters,
+                sort,
+                order,
+                limit: size,
+                offset: (pageNumber - 1) * size
+            });
+
+            return res.status(200).json({
+                success: true,
+                users,
+                pagination: {
+                    page: pageNumber,
+                    limit: size,
+                    total,
+                    total_pages: Math.ceil(total / size)
+                }
+            });
+        } catch (error) {
+            console.error('Admin list users error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    getUser = async (req, res) => {
+        try {
+            const user = await this.loadTarget(req, res);
+            if (!user) return;
+
+            const { roles } = await this.roleModel.getUserAccess(user.id);
+            const sessions = await this.sessionModel.listActiveSessions(user.id);
+
+            return res.status(200).json({
+                success: true,
+                user: {
+                    id: user.id,
+                    username: user.username,
+                    email: user.email,
+                    full_name: user.full_name,
+                    is_active: user.is_active,
+                    email_verified: user.email_verified,
+                    subscription_type: user.subscription_type,
+                    provider: user.provider,
+                    avatar_url: user.avatar_url,
+                    last_login: user.last_login,
+                    login_attempts: user.login_attempts,
+                    locked_until: user.locked_until,
+                    created_at: user.created_at,
+                    updated_at: user.updated_at,
+                    deleted_at: user.deleted_at,
+                    purge_after: user.purge_after,
+                    roles,
+                    active_sessions: sessions.length
+                }
+            });
+        } catch (error) {
+            console.error('Admin get user error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    lockUser = async (req, res) => {
+        try {
+            const user = await this.loadTarget(req, res, { allowSelf: false });
+            if (!user) return;
+
+            const { minutes, until } = req.body || {};
+            let lockUntil;
+            if (until) {
+                lockUntil = this.parseDate(until);
+                if (!lockUntil || lockUntil <= new Date()) {
+                    return res.status(400).json({ success: false, error: 'until must be a future date' });
+                }
+            } else {
+                const lockMinutes = minutes === undefined ? this.account_lock_minutes : parseInt(minutes);
+                if (!Number.isInteger(lockMinutes) || lockMinutes < 1) {
+                    return res.status(400).json({ success: false, error: 'minutes must be a positive integer' });
+                }
+                lockUntil = new Date(Date.now() + lockMinutes*60*1000);
+            }
+
+            const locked = await this.db_connection.transaction(async () => {
+                const locked = await this.userModel.lockAccount(user.id, lockUntil);
+                if (!locked || locked.success === false) return null;
+
+                const revokedIds = await this.sessionModel.revokeAllSessions(user.id);
+                if (revokedIds.length) await outbox.publish(Events.SESSION_REVOKED, { userId: user.id, sessionIds: revokedIds });
+                await outbox.publish(Events.ACCOUNT_LOCKED, { userId: user.id, lockedUntil: lockUntil, reason: 'admin' });
+                await auditLog.record(req, AuditActions.ACCOUNT_LOCKED, { userId: user.id, metadata: { reason: 'admin', locked_until: lockUntil } });
+                return locked;
+            });
+            if (!locked) {
+                return res.status(500).json({ success: false, error: 'Failed to lock account' });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Account locked',
+                locked_until: locked.locked_until
+            });
+        } catch (error) {
+            console.error('Admin lock user error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    unlockUser = async (req, res) => {
+        try {
+            const user = await this.loadTarget(req, res);
+            if (!user) return;
+
+            const unlocked = await this.db_connection.transaction(async () => {
+                const unlocked = await this.userModel.resetLoginAttempts(user.id);
+                if (!unlocked || unlocked.success === false) return null;
+
+                await auditLog.record(req, AuditActions.ACCOUNT_UNLOCKED, { userId: user.id });
+                return unlocked;
+            });
+            if (!unlocked) {
+                return res.status(500).json({ success: false, error: 'Failed to unlock account' });
+            }
+
+            return res.status(200).json({ success: true, message: 'Account unlocked' });
+        } catch (error) {
+            console.error('Admin unlock user error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    deactivateUser = async (req, res) => {
+        try {
+            const user = await this.loadTarget(req, res, { allowSelf: false });
+            if (!user) return;
+
+            const updated = await this.db_connection.transaction(async () => {
+                const updated = await this.userModel.setActive(user.id, false);
+                if (!updated || updated.success === false) return null;
+
+                const revokedIds = await this.sessionModel.revokeAllSessions(user.id);
+                if (revokedIds.length) await outbox.publish(Events.SESSION_REVOKED, { userId: user.id, sessionIds: revokedIds });
+                await outbox.publish(Events.USER_DEACTIVATED, { userId: user.id });
+                await auditLog.record(req, AuditActions.ACCOUNT_DEACTIVATED, { userId: user.id, metadata: { sessions: revokedIds.length } });
+                return updated;
+            });
+            if (!updated) {
+                return res.status(500).json({ success: false, error: 'Failed to deactivate account' });
+            }
+
+            return res.status(200).json({ success: true, message: 'Account deactivated' });
+        } catch (error) {
+            console.error('Admin deactivate user error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    reactivateUser = async (req, res) => {
+        try {
+            const user = await this.loadTarget(req, res);
+            if (!user) return;
+
+            const updated = await this.db_connection.transaction(async () => {
+                const updated = await this.userModel.setActive(user.id, true);
+                if (!updated || updated.success === false) return null;
+
+                await outbox.publish(Events.USER_REACTIVATED, { userId: user.id });
+                await auditLog.record(req, AuditActions.ACCOUNT_REACTIVATED, { userId: user.id });
+                return updated;
+            });
+            if (!updated) {
+                return res.status(500).json({ success: false, error: 'Failed to reactivate account' });
+            }
+
+            return res.status(200).json({ success: true, message: 'Account reactivated' });
+        } catch (error) {
+            console.error('Admin reactivate user error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    verifyEmail = async (req, res) => {
+        try {
+            const user = await this.loadTarget(req, res);
+            if (!user) return;
+
+            if (user.email_verified) {
+                return res.status(200).json({ success: true, message: 'Email already verified' });
+            }
+
+            const updated = await this.db_connection.transaction(async () => {
+                const updated = await this.userModel.setEmailVerified(user.id);
+                if (!updated || updated.success === false) return null;
+
+                await outbox.publish(Events.USER_EMAIL_VERIFIED, { userId: user.id, email: user.email });
+                await auditLog.record(req, AuditActions.EMAIL_VERIFIED, { userId: user.id });
+                return updated;
+            });
+            if (!updated) {
+                return res.status(500).json({ success: false, error: 'Failed to verify email' });
+            }
+
+            return res.status(200).json({ success: true, message: 'Email marked as verified' });
+        } catch (error) {
+            console.error('Admin verify email error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    forceLogout = async (req, res) => {
+        try {
+            const user = await this.loadTarget(req, res);
+            if (!user) return;
+
+            const revokedIds = await this.db_connection.transaction(async () => {
+                const revokedIds = await this.sessionModel.revokeAllSessions(user.id);
+                if (revokedIds.length) await outbox.publish(Events.SESSION_REVOKED, { userId: user.id, sessionIds: revokedIds });
+                await auditLog.record(req, AuditActions.SESSIONS_REVOKED, { userId: user.id, metadata: { sessions: revokedIds.length } });
+                return revokedIds;
+            });
+
+            return res.status(200).json({
+                success: true,
+                message: 'User logged out from all sessions',
+                revoked: revokedIds.length
+            });
+        } catch (error) {
+            console.error('Admin force logout error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    // PUT grants :role, DELETE takes it away. Access tokens carry the roles they were issued with, so a change ends
+    // every session of the user: they log in again and get tokens with the new ones. Admins can't change their own
+    grantRole = (req, res) => this.changeRole(req, res, { grant: true });
+
+    revokeRole = (req, res) => this.changeRole(req, res, { grant: false });
+
+    changeRole = async (req, res, { grant }) => {
+        try {
+            const role = req.params.role;
+            if (!Object.values(Roles).includes(role)) {
+                return res.status(400).json({ success: false, error: `role must be one of: ${Object.values(Roles).join(', ')}` });
+            }
+
+            const user = await this.loadTarget(req, res, { allowSelf: false });
+            if (!user) return;
+
+            const revokedIds = await this.db_connection.transaction(async () => {
+                const changed = grant
+                    ? await this.roleModel.assignRole(user.id, role)
+                    : await this.roleModel.removeRole(user.id, role);
+                if (!changed) return null;
+
+                const revokedIds = await this.sessionModel.revokeAllSessions(user.id);
+                if (revokedIds.length) await outbox.publish(Events.SESSION_REVOKED, { userId: user.id, sessionIds: revokedIds });
+                await auditLog.record(req, grant ? AuditActions.ROLE_GRANTED : AuditActions.ROLE_REVOKED, {
+                    userId: user.id,
+                    metadata: { role, sessions: revokedIds.length }
+                });
+                return revokedIds;
+            });
+
+            const { roles } = await this.roleModel.getUserAccess(user.id);
+            return res.status(200).json({
+                success: true,
+                message: revokedIds ? `Role ${grant ? 'granted' : 'revoked'}, the user has to log in again` : 'Nothing changed',
+                roles,
+                revoked: revokedIds ? revokedIds.length : 0
+            });
+        } catch (error) {
+            console.error('Admin role change error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    deleteUser = async (req, res) => {
+        try {
+            const user = await this.loadTarget(req, res, { allowSelf: false });
+            if (!user) return;
+
+            const deleted = await this.accountDeletionService.purgeUser(user, { req });
+            if (!deleted) {
+                return res.status(500).json({ success: false, error: 'Failed to delete user' });
+            }
+
+            return res.status(200).json({ success: true, message: 'User deleted' });
+        } catch (error) {
+            console.error('Admin delete user error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+}
+
+module.exports = AdminController;
@@ -0,0 +1,201 @@
+const AnnouncementModel = require('../models/announcementModel.js');
+const PlanModel = require('../models/planModel.js');
+const DB_Connection = require('../database/db.js');
+const outbox = require('../events/outbox.js');
+const Events = require('../events/eventsNames.js');
+
+const STATUSES = ['scheduled', 'sending', 'sent', 'cancelled'];
+const MAX_TITLE_LENGTH = 200;
+const MAX_BODY_LENGTH = 5000;
+const MAX_USER_IDS = 1000;
+const MAX_PAGE_SIZE = 100;
+
+class AnnouncementController {
+    constructor() {
+        this.db_connection = new DB_Connection();
+        this.announcementModel = new AnnouncementModel();
+        this.planModel = new PlanModel();
+    }
+
+    present = (announcement) => ({
+        id: announcement.id,
+        title: announcement.title,
+        body: announcement.body,
+        audience: {
+            type: announcement.audience_type,
+            ...(announcement.audience_type === 'plans' && { plans: announcement.audience }),
+            ...(announcement.audience_type === 'users' && { user_ids: announcement.audience })
+        },
+        send_email: announcement.send_email,
+        status: announcement.status,
+        scheduled_at: announcement.scheduled_at,
+        recipients: announcement.recipients,
+        created_by: announcement.created_by,
+        created_at: announcement.created_at,
+        sent_at: announcement.sent_at,
+        cancelled_at: announcement.cancelled_at
+    });
+
+    // { type: 'all' } | { type: 'plans', plans: [codes] } | { type: 'users', user_ids: [ids] }
+    // -> { audienceType, audience } or { error }
+    parseAudience = async (audience) => {
+        if (!audience || typeof audience !== 'object' || Array.isArray(audience)) {
+            return { error: 'audience must be an object with a type of all, plans or users' };
+        }
+
+        if (audience.type === 'all') return { audienceType: 'all', audience: [] };
+
+        if (audience.type === 'plans') {
+            const plans = Array.isArray(audience.plans) ? [...new Set(audience.plans.map(String))] : [];
+            if (!plans.length) return { error: 'audience.plans must be a non-empty array of plan codes' };
+
+            const known = (await this.planModel.listPlans()).map(plan => plan.code);
+            const unknown = plans.filter(code => !known.includes(code));
+            if (unknown.length) return { error: `Unknown plan: ${unknown.join(', ')}` };
+            return { audienceType: 'plans', audience: plans };
+        }
+
+        if (audience.type === 'users') {
+            const userIds = Array.isArray(audience.user_ids) ? [...new Set(audience.user_ids)] : [];
+            if (!userIds.length || userIds.length > MAX_USER_IDS || !userIds.every(id => Number.isInteger(id) && id > 0)) {
+                return { error: `audience.user_ids must be 1 to ${MAX_USER_IDS} user ids` };
+            }
+            return { audienceType: 'users', audience: userIds };
+        }
+
+        return { error: 'audience.type must be all, plans or users' };
+    };
+
+    // a scheduled_at in the past (or none) sends it right away
+    createAnnouncement = async (req, res) => {
+        try {
+            const { title, body, audience, send_email = false, scheduled_at } = req.body || {};
+
+            if (typeof title !== 'string' || !title.trim() || title.trim().length > MAX_TITLE_LENGTH) {
+                return res.status(400).json({ success: false, error: `title is required, up to ${MAX_TITLE_LENGTH} characters` });
+            }
+
+            if (typeof body !== 'string' || !body.trim() || body.length > MAX_BODY_LENGTH) {
+                return res.status(400).json({ success: false, error: `body is required, up to ${MAX_BODY_LENGTH} characters` });
+            }
+
+            if (typeof send_email !== 'boolean') {
+                return res.status(400).json({ success: false, error: 'send_email must be true or false' });
+            }
+
+            let scheduledAt = null;
+            if (scheduled_at !== undefined && scheduled_at !== null) {
+                scheduledAt = new Date(scheduled_at);
+                if (typeof scheduled_at !== 'string' || isNaN(scheduledAt.getTime())) {
+                    return res.status(400).json({ success: false, error: 'scheduled_at must be a valid date' });
+                }
+            }
+
+            const parsed = await this.parseAudience(audience);
+            if (parsed.error) {
+                return res.status(400).json({ success: false, error: parsed.error });
+            }
+
+            // the event is held back until scheduled_at and only exists if the announcement does
+            const announcement = await this.db_connection.transaction(async () => {
+                const created = await this.announcementModel.createAnnouncement({
+                    title: title.trim(),
+                    body,
+                    audienceType: parsed.audienceType,
+                    audience: parsed.audience,
+                    sendEmail: send_email,
+                    scheduledAt,
+                    createdBy: req.user.id
+                });
+                await outbox.enqueue('event', Events.ANNOUNCEMENT_DUE, { announcementId: created.id }, { availableAt: created.scheduled_at });
+                return created;
+            });
+
+            return res.status(201).json({
+                success: true,
+                message: announcement.scheduled_at > new Date() ? 'Announcement scheduled' : 'Announcement is being sent',
+                announcement: this.present(announcement)
+            });
+        } catch (error) {
+            console.error('Create announcement error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    listAnnouncements = async (req, res) => {
+        try {
+            const { page = '1', limit = '20', status } = req.query;
+
+            const pageNumber = parseInt(page);
+            const pageSize = parseInt(limit);
+            if (!Number.isInteger(pageNumber) || pageNumber < 1 || !Number.isInteger(pageSize) || pageSize < 1) {
+                return res.status(400).json({ success: false, error: 'page and limit must be positive integers' });
+            }
+
+            if (status !== undefined && !STATUSES.includes(status)) {
+                return res.status(400).json({ success: false, error: `status must be one of: ${STATUSES.join(', ')}` });
+            }
+
+            const size = Math.min(pageSize, MAX_PAGE_SIZE);
+            const { announcements, total } = await this.announcementModel.listAnnouncements({
+                status,
+                limit: size,
+                offset: (pageNumber - 1) * size
+            });
+
+            return res.status(200).json({
+                success: true,
+                announcements: announcements.map(this.present),
+                pagination: {
+                    page: pageNumber,
+                    limit: size,
+                    total,
+                    total_pages: Math.ceil(total / size)
+                }
+            });
+        } catch (error) {
+            console.error('List announcements error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    getAnnouncement = async (req, res) => {
+        try {
+            const announcement = await this.announcementModel.getAnnouncementById(req.params.announcementId);
+            if (!announcement) {
+                return res.status(404).json({ success: false, error: 'Announcement not found' });
+            }
+
+            return res.status(200).json({ success: true, announcement: this.present(announcement) });
+        } catch (error) {
+            console.error('Get announcement error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    // the queued event stays, it finds the announcement cancelled and does nothing
+    cancelAnnouncement = async (req, res) => {
+        try {
+            const existing = await this.announcementModel.getAnnouncementById(req.params.announcementId);
+            if (!existing) {
+                return res.status(404).json({ success: false, error: 'Announcement not found' });
+            }
+
+            const announcement = await this.announcementModel.cancelAnnouncement(existing.id);
+            if (!announcement) {
+                return res.status(409).json({ success: false, error: `Announcement is ${existing.status}, only scheduled ones can be cancelled` });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Announcement cancelled',
+                announcement: this.present(announcement)
+            });
+        } catch (error) {
+            console.error('Cancel announcement error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+}
+
+module.exports = AnnouncementController;
@@ -0,0 +1,183 @@
+const AuditLogModel = require('../models/auditLogModel.js');
+const auditLog = require('../audit/auditLog.js');
+const AuditActions = require('../audit/auditActions.js');
+
+const OUTCOMES = ['success', 'failure'];
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+const EXPORT_BATCH_SIZE = 1000;
+const MAX_PAGE_SIZE = 100;
+const CSV_COLUMNS = ['id', 'created_at', 'action', 'outcome', 'actor_id', 'user_id', 'ip_address', 'user_agent', 'metadata'];
+const ACTION_PATTERN = /^[a-z_]+(\.[a-z_]+)*(\.\*)?$/;
+
+// resolves once the response takes writes again, or the client went away
+const drained = (res) => new Promise(resolve => {
+    const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+});
+
+class AuditController {
+    constructor() {
+        this.auditLogModel = new AuditLogModel();
+    }
+
+    parsePage = (query) => {
+        const pageNumber = parseInt(query.page ?? '1');
+        const pageSize = parseInt(query.limit ?? '20');
+        if (!Number.isInteger(pageNumber) || pageNumber < 1 || !Number.isInteger(pageSize) || pageSize < 1) {
+            return null;
+        }
+        return { page: pageNumber, size: Math.min(pageSize, MAX_PAGE_SIZE) };
+    };
+
+    pagination = ({ page, size }, total) => ({
+        page,
+        limit: size,
+        total,
+        total_pages: Math.ceil(total / size)
+    });
+
+    // query string -> { filters } or { error }
+    parseFilters = (query) => {
+        const filters = {};
+
+        for (const key of ['user_id', 'actor_id']) {
+            if (query[key] === undefined) continue;
+            if (!/^\d+$/.test(query[key])) return { error: `${key} must be an integer` };
+            filters[key] = parseInt(query[key]);
+        }
+
+        if (query.action !== undefined) {
+            if (!ACTION_PATTERN.test(query.action)) return { error: 'action must be an action name or a prefix like auth.*' };
+            filters.action = query.action;
+        }
+
+        if (query.outcome !== undefined) {
+            if (!OUTCOMES.includes(query.outcome)) return { error: `outcome must be one of: ${OUTCOMES.join(', ')}` };
+            filters.outcome = query.outcome;
+        }
+
+        if (query.ip !== undefined) filters.ip_address = String(query.ip);
+
+        for (const key of ['from', 'to']) {
+            if (query[key] === undefined) continue;
+            const date = new Date(query[key]);
+            if (isNaN(date.getTime())) return { error: 'from and to must be valid dates' };
+            filters[key] = date;
+        }
+
+        return { filters };
+    };
+
+    present = (entry) => ({ ...entry, id: Number(entry.id) });
+
+    // the caller's own account, newest first
+    listMyActivity = async (req, res) => {
+        try {
+            const page = this.parsePage(req.query);
+            if (!page) {
+                return res.status(400).json({ success: false, error: 'page and limit must be positive integers' });
+            }
+
+            const { entries, total } = await this.auditLogModel.listEntries({
+                filters: { user_id: req.user.id },
+                limit: page.size,
+                offset: (page.page - 1) * page.size
+            });
+
+            return res.status(200).json({
+                success: true,
+                activity: entries.map(entry => auditLog.presentActivity(entry, req.user.id)),
+                pagination: this.pagination(page, total)
+            });
+        } catch (error) {
+            console.error('Security activity error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    searchLogs = async (req, res) => {
+        try {
+            const page = this.parsePage(req.query);
+            if (!page) {
+                return res.status(400).json({ success: false, error: 'page and limit must be positive integers' });
+            }
+
+            const { filters, error } = this.parseFilters(req.query);
+            if (error) {
+                return res.status(400).json({ success: false, error });
+            }
+
+            const { entries, total } = await this.auditLogModel.listEntries({
+                filters,
+                limit: page.size,
+                offset: (page.page - 1) * page.size
+            });
+
+            return res.status(200).json({
+                success: true,
+                entries: entries.map(this.present),
+                pagination: this.pagination(page, total)
+            });
+        } catch (error) {
+            console.error('Audit log search error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    // quoted when needed; a leading = + - @ is defused so a spreadsheet doesn't run a user agent as a formula
+    csvCell = (value) => {
+        if (value === null || value === undefined) return '';
+        let text = value instanceof Date ? value.toISOString() : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+        if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    formatEntry = (entry, format) => (format === 'csv'
+        ? `${CSV_COLUMNS.map(column => this.csvCell(entry[column])).join(',')}\n`
+        : `${JSON.stringify(this.present(entry))}\n`);
+
+    // everything the filters match, oldest first, streamed in batches. Once the first row is out a failure can
+    // only cut the download short, so the response is destroyed and the client sees an incomplete transfer
+    exportLogs = async (req, res) => {
+        const format = req.query.format || 'csv';
+        if (!EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ success: false, error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+        }
+
+        const { filters, error } = this.parseFilters(req.query);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        try {
+            await auditLog.record(req, AuditActions.AUDIT_EXPORTED, { metadata: { format, filters } });
+
+            let batch = await this.auditLogModel.listEntriesAfter(filters, 0, EXPORT_BATCH_SIZE);
+
+            const stamp = new Date().toISOString().slice(0, 10);
+            res.status(200);
+            res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+            res.setHeader('Content-Disposition', `attachment; filename="audit-logs-${stamp}.${format}"`);
+            if (format === 'csv') res.write(`${CSV_COLUMNS.join(',')}\n`);
+
+            while (batch.length) {
+                const chunk = batch.map(entry => this.formatEntry(entry, format)).join('');
+                if (!res.write(chunk)) await drained(res);
+                if (res.destroyed || batch.length < EXPORT_BATCH_SIZE) break;
+                batch = await this.auditLogModel.listEntriesAfter(filters, batch[batch.length - 1].id, EXPORT_BATCH_SIZE);
+            }
+            return res.end();
+        } catch (error) {
+            console.error('Audit log export error:', error);
+            if (res.headersSent) return res.destroy(error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+}
+
+module.exports = AuditController;
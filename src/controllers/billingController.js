@@ -0,0 +1,68 @@
+const BillingService = require('../billing/billingService.js');
+
+class BillingController {
+    constructor() {
+        this.billingService = new BillingService();
+    }
+
+    presentSubscription = (subscription) => ({
+        id: subscription.id,
+        plan: subscription.plan_code,
+        status: subscription.status,
+        is_live: subscription.is_live,
+        trial_ends_at: subscription.trial_ends_at,
+        current_period_end: subscription.current_period_end,
+        cancel_at_period_end: subscription.cancel_at_period_end,
+        canceled_at: subscription.canceled_at,
+        grace_until: subscription.grace_until
+    });
+
+    createCheckout = async (req, res) => {
+        try {
+            const result = await this.billingService.createCheckout(req.user, (req.body || {}).plan);
+            if (result.error) {
+                return res.status(result.status).json({ success: false, error: result.error });
+            }
+
+            return res.status(201).json({
+                success: true,
+                session_id: result.session.id,
+                checkout_url: result.session.url
+            });
+        } catch (error) {
+            console.error('Create checkout error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    getSubscription = async (req, res) => {
+        try {
+            const { plan, subscriptions, invoices } = await this.billingService.getOverview(req.user);
+            return res.status(200).json({
+                success: true,
+                plan,
+                subscriptions: subscriptions.map(this.presentSubscription),
+                invoices
+            });
+        } catch (error) {
+            console.error('Get subscription error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    // called by the provider: anything but a 2xx makes it deliver the event again later
+    webhook = async (req, res) => {
+        try {
+            const result = await this.billingService.handleWebhook(req.rawBody, req.headers['stripe-signature']);
+            if (result.error) {
+                return res.status(result.status).json({ success: false, error: result.error });
+            }
+            return res.status(200).json({ success: true, received: true, duplicate: !result.processed });
+        } catch (error) {
+            console.error('Billing webhook error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+}
+
+module.exports = BillingController;
@@ -0,0 +1,103 @@
+const DeviceModel = require('../models/deviceModel.js');
+const DeviceService = require('../auth/deviceService.js');
+const DB_Connection = require('../database/db.js');
+const auditLog = require('../audit/auditLog.js');
+const AuditActions = require('../audit/auditActions.js');
+
+const TOKEN_PATTERN = /^[0-9a-f]{64}$/;
+
+class DeviceController {
+    constructor() {
+        this.db_connection = new DB_Connection();
+        this.deviceModel = new DeviceModel();
+        this.deviceService = new DeviceService();
+    }
+
+    listDevices = async (req, res) => {
+        try {
+            const devices = await this.deviceModel.listDevices(req.user.id);
+            return res.status(200).json({ success: true, devices: devices.map(DeviceService.present) });
+        } catch (error) {
+            console.error('List devices error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    // the next sign-in from it counts as a new device again; its sessions stay, those are under /sessions
+    removeDevice = async (req, res) => {
+        try {
+            const deviceId = parseInt(req.params.deviceId);
+            if (!Number.isInteger(deviceId) || deviceId < 1) {
+                return res.status(400).json({ success: false, error: 'Valid deviceId param required' });
+            }
+
+            const removed = await this.db_connection.transaction(async () => {
+                const removed = await this.deviceModel.deleteDevice(req.user.id, deviceId);
+                if (removed) {
+                    await auditLog.record(req, AuditActions.DEVICE_REMOVED, { userId: req.user.id, metadata: { device_id: deviceId, device: removed.label } });
+                }
+                return removed;
+            });
+            if (!removed) {
+                return res.status(404).json({ success: false, error: 'Device not found' });
+            }
+
+            return res.status(200).json({ success: true, message: 'Device removed' });
+        } catch (error) {
+            console.error('Remove device error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    // the token from the link in the confirmation mail, the frontend page posts it
+    confirmDevice = async (req, res) => {
+        try {
+            const { token } = req.body || {};
+            if (!token || !TOKEN_PATTERN.test(token)) {
+                return res.status(400).json({ success: false, error: 'Valid token required' });
+            }
+
+            const device = await this.db_connection.transaction(() => this.deviceService.confirm(token, req));
+            if (!device) {
+                await auditLog.failure(req, AuditActions.DEVICE_CONFIRMED, { reason: 'invalid_token' });
+                return res.status(400).json({ success: false, error: 'Invalid or expired link' });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Device confirmed, you can log in from it now',
+                device: DeviceService.present(device)
+            });
+        } catch (error) {
+            console.error('Confirm device error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    // "this wasn't me", from the new sign-in or the confirmation mail
+    denyDevice = async (req, res) => {
+        try {
+            const { token } = req.body || {};
+            if (!token || !TOKEN_PATTERN.test(token)) {
+                return res.status(400).json({ success: false, error: 'Valid token required' });
+            }
+
+            const result = await this.db_connection.transaction(() => this.deviceService.deny(token, req));
+            if (!result) {
+                await auditLog.failure(req, AuditActions.DEVICE_DENIED, { reason: 'invalid_token' });
+                return res.status(400).json({ success: false, error: 'Invalid or expired link' });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Every session was signed out, set a new password with the link we emailed you',
+                revoked: result.sessions
+            });
+        } catch (error) {
+            console.error('Deny device error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+}
+
+module.exports = DeviceController;
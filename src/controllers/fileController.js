@@ -0,0 +1,189 @@
+const os = require('os');
+const fs = require('fs/promises');
+const { pipeline } = require('stream/promises');
+const multer = require('multer');
+const FileModel = require('../models/fileModel.js');
+const FileService = require('../files/fileService.js');
+
+const MAX_PAGE_SIZE = 100;
+
+// boundary lines and part headers around the file, a request declaring more than this above the limit can't fit
+const MULTIPART_OVERHEAD_BYTES = 64 * 1024;
+
+class FileController {
+    constructor() {
+        this.fileModel = new FileModel();
+        this.fileService = new FileService();
+        this.uploadDir = process.env.FILE_UPLOAD_TMP_DIR || os.tmpdir();
+    }
+
+    // owner or files:manage, anyone else gets the same 404 as for a file that doesn't exist
+    findAccessibleFile = async (req, res) => {
+        const file = await this.fileModel.getFileById(req.params.fileId);
+        if (!this.fileService.canAccess(req.user, file)) {
+            res.status(404).json({ success: false, error: 'File not found' });
+            return null;
+        }
+        return file;
+    };
+
+    // middleware: multer streams the part to a temp file and stops at the per-file limit or the quota left,
+    // whichever is smaller, so nothing bigger than that is ever written or held in memory
+    receiveUpload = async (req, res, next) => {
+        try {
+            const { limitBytes, error } = await this.fileService.uploadLimit(req.user);
+            const declaredLength = parseInt(req.headers['content-length']);
+            if (limitBytes <= 0 || declaredLength > limitBytes + MULTIPART_OVERHEAD_BYTES) {
+                return res.status(413).json({ success: false, error });
+            }
+
+            const upload = multer({
+                dest: this.uploadDir,
+                defParamCharset: 'utf8',
+                limits: { fileSize: limitBytes, files: 1, fields: 5 }
+            });
+
+            upload.single('file')(req, res, (uploadError) => {
+                if (uploadError instanceof multer.MulterError) {
+                    const status = uploadError.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+                    return res.status(status).json({ success: false, error: status === 413 ? error : uploadError.message });
+                }
+                next(uploadError);
+            });
+        } catch (error) {
+            console.error('File upload limit error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    upload = async (req, res) => {
+        if (!req.file) {
+            return res.status(400).json({ success: false, error: 'No file was provided (multipart field "file")' });
+        }
+
+        try {
+            const result = await this.fileService.store(req.user, req.file);
+            if (result.error) {
+                return res.status(result.status).json({ success: false, error: result.error });
+            }
+
+            return res.status(201).json({
+                success: true,
+                message: 'File uploaded',
+                file: this.fileService.present(result.file)
+            });
+        } catch (error) {
+            console.error('File upload error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        } finally {
+            await fs.rm(req.file.path, { force: true });
+        }
+    };
+
+    listFiles = async (req, res) => {
+        try {
+            const { page = '1', limit = '20', q } = req.query;
+
+            const pageNumber = parseInt(page);
+            const pageSize = parseInt(limit);
+            if (!Number.isInteger(pageNumber) || pageNumber < 1 || !Number.isInteger(pageSize) || pageSize < 1) {
+                return res.status(400).json({ success: false, error: 'page and limit must be positive integers' });
+            }
+
+            const size = Math.min(pageSize, MAX_PAGE_SIZE);
+            const search = typeof q === 'string' && q.trim() ? q.trim().slice(0, 200) : undefined;
+            const [{ files, total }, usage] = await Promise.all([
+                this.fileModel.listFiles(req.user.id, { search, limit: size, offset: (pageNumber - 1) * size }),
+                this.fileService.getUsage(req.user)
+            ]);
+
+            return res.status(200).json({
+                success: true,
+                files: files.map(this.fileService.present),
+                usage,
+                pagination: {
+                    page: pageNumber,
+                    limit: size,
+                    total,
+                    total_pages: Math.ceil(total / size)
+                }
+            });
+        } catch (error) {
+            console.error('List files error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    getFile = async (req, res) => {
+        try {
+            const file = await this.findAccessibleFile(req, res);
+            if (!file) return;
+
+            return res.status(200).json({ success: true, file: this.fileService.present(file) });
+        } catch (error) {
+            console.error('Get file error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    getDownloadUrl = async (req, res) => {
+        try {
+            const file = await this.findAccessibleFile(req, res);
+            if (!file) return;
+
+            return res.status(200).json({ success: true, ...this.fileService.signDownload(file.id) });
+        } catch (error) {
+            console.error('File download URL error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    // no Authorization header here, the signature in the query is the permission
+    download = async (req, res) => {
+        try {
+            const { fileId } = req.params;
+            const { expires, signature } = req.query;
+            if (!this.fileService.verifyDownload(fileId, expires, signature)) {
+                return res.status(403).json({ success: false, error: 'Download link is invalid or has expired' });
+            }
+
+            const file = await this.fileModel.getFileById(fileId);
+            const body = file && await this.fileService.open(file);
+            if (!body) {
+                return res.status(404).json({ success: false, error: 'File not found' });
+            }
+
+            // always an attachment: the browser saves the file instead of rendering it on our origin
+            res.attachment(file.original_name);
+            res.set({
+                'Content-Type': file.content_type,
+                'Content-Length': String(file.size_bytes),
+                'Cache-Control': 'private, no-store'
+            });
+            await pipeline(body, res);
+        } catch (error) {
+            console.error('File download error:', error);
+            if (!res.headersSent) {
+                return res.status(500).json({ success: false, error: 'Internal server error' });
+            }
+            res.destroy(error);
+        }
+    };
+
+    deleteFile = async (req, res) => {
+        try {
+            const file = await this.findAccessibleFile(req, res);
+            if (!file) return;
+
+            if (!await this.fileService.remove(file, req.user.id)) {
+                return res.status(404).json({ success: false, error: 'File not found' });
+            }
+            return res.status(200).json({ success: true, message: 'File deleted' });
+        } catch (error) {
+            console.error('Delete file error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+}
+
+module.exports = FileController;
@@ -0,0 +1,172 @@
+const bcrypt = require('bcrypt');
+const MfaModel = require('../models/mfaModel.js');
+const MfaService = require('../auth/mfaService.js');
+const DB_Connection = require('../database/db.js');
+const outbox = require('../events/outbox.js');
+const Events = require('../events/eventsNames.js');
+const auditLog = require('../audit/auditLog.js');
+const AuditActions = require('../audit/auditActions.js');
+const { encryptSecret } = require('../utils/tokenUtils.js');
+const { generateSecret, buildOtpauthUri } = require('../utils/totp.js');
+
+class MfaController {
+    constructor() {
+        this.db_connection = new DB_Connection();
+        this.mfaModel = new MfaModel();
+        this.mfaService = new MfaService();
+        this.issuer = process.env.MFA_ISSUER || process.env.MAIL_FROM_NAME || 'Auth Template';
+    }
+
+    getStatus = async (req, res) => {
+        try {
+            const mfa = await this.mfaModel.getMfa(req.user.id);
+            const enabled = !!mfa?.enabled;
+
+            return res.status(200).json({
+                success: true,
+                mfa: {
+                    enabled,
+                    confirmed_at: enabled ? mfa.confirmed_at : null,
+                    recovery_codes_remaining: enabled ? await this.mfaModel.countRemainingRecoveryCodes(req.user.id) : 0
+                }
+            });
+        } catch (error) {
+            console.error('MFA status error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    setup = async (req, res) => {
+        try {
+            const secret = generateSecret();
+            const saved = await this.mfaModel.savePendingSecret(req.user.id, encryptSecret(secret));
+            if (!saved) {
+                return res.status(409).json({ success: false, error: 'Two-factor authentication is already enabled' });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Scan the URI with an authenticator app, then confirm with a code',
+                secret,
+                otpauth_uri: buildOtpauthUri({
+                    issuer: this.issuer,
+                    account: req.user.email || req.user.username,
+                    secret
+                })
+            });
+        } catch (error) {
+            console.error('MFA setup error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    confirm = async (req, res) => {
+        try {
+            const { code } = req.body || {};
+            if (!code) {
+                return res.status(400).json({ success: false, error: 'code required' });
+            }
+
+            const mfa = await this.mfaModel.getMfa(req.user.id);
+            if (!mfa) {
+                return res.status(400).json({ success: false, error: 'Start setup first' });
+            }
+            if (mfa.enabled) {
+                return res.status(409).json({ success: false, error: 'Two-factor authentication is already enabled' });
+            }
+
+            const valid = await this.mfaService.verifyTotp(mfa, code);
+            if (!valid) {
+                await auditLog.failure(req, AuditActions.MFA_ENABLED, { userId: req.user.id, reason: 'invalid_code' });
+                return res.status(400).json({ success: false, error: 'Invalid code' });
+            }
+
+            const recoveryCodes = await this.db_connection.transaction(async () => {
+                await this.mfaModel.enableMfa(req.user.id);
+                const recoveryCodes = await this.mfaService.generateRecoveryCodes(req.user.id);
+                await outbox.publish(Events.MFA_ENABLED, { userId: req.user.id });
+                await auditLog.record(req, AuditActions.MFA_ENABLED, { userId: req.user.id });
+                return recoveryCodes;
+            });
+
+            return res.status(200).json({
+                success: true,
+                message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe, they are shown only once',
+                recovery_codes: recoveryCodes
+            });
+        } catch (error) {
+            console.error('MFA confirm error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    disable = async (req, res) => {
+        try {
+            const { code, recoveryCode, password } = req.body || {};
+            if (!code && !recoveryCode) {
+                return res.status(400).json({ success: false, error: 'code or recoveryCode required' });
+            }
+
+            // google accounts have no usable password, the second factor alone confirms them
+            if (req.user.provider !== 'google') {
+                if (!password || !(await bcrypt.compare(password, req.user.password_hash))) {
+                    await auditLog.failure(req, AuditActions.MFA_DISABLED, { userId: req.user.id, reason: 'invalid_password' });
+                    return res.status(400).json({ success: false, error: 'Invalid password' });
+                }
+            }
+
+            const method = await this.mfaService.verifySecondFactor(req.user.id, { code, recoveryCode });
+            if (!method) {
+                await auditLog.failure(req, AuditActions.MFA_DISABLED, { userId: req.user.id, reason: 'invalid_code' });
+                return res.status(400).json({ success: false, error: 'Invalid code' });
+            }
+
+            await this.db_connection.transaction(async () => {
+                await this.mfaModel.disableMfa(req.user.id);
+                await outbox.publish(Events.MFA_DISABLED, { userId: req.user.id });
+                await auditLog.record(req, AuditActions.MFA_DISABLED, { userId: req.user.id, metadata: { second_factor: method } });
+            });
+
+            return res.status(200).json({ success: true, message: 'Two-factor authentication disabled' });
+        } catch (error) {
+            console.error('MFA disable error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    regenerateRecoveryCodes = async (req, res) => {
+        try {
+            const { code } = req.body || {};
+            if (!code) {
+                return res.status(400).json({ success: false, error: 'code required' });
+            }
+
+            const mfa = await this.mfaModel.getMfa(req.user.id);
+            if (!mfa?.enabled) {
+                return res.status(400).json({ success: false, error: 'Two-factor authentication is not enabled' });
+            }
+
+            if (!(await this.mfaService.verifyTotp(mfa, code))) {
+                await auditLog.failure(req, AuditActions.MFA_RECOVERY_CODES_REGENERATED, { userId: req.user.id, reason: 'invalid_code' });
+                return res.status(400).json({ success: false, error: 'Invalid code' });
+            }
+
+            const recoveryCodes = await this.db_connection.transaction(async () => {
+                const recoveryCodes = await this.mfaService.generateRecoveryCodes(req.user.id);
+                await auditLog.record(req, AuditActions.MFA_RECOVERY_CODES_REGENERATED, { userId: req.user.id });
+                return recoveryCodes;
+            });
+
+            return res.status(200).json({
+                success: true,
+                message: 'Old recovery codes no longer work',
+                recovery_codes: recoveryCodes
+            });
+        } catch (error) {
+            console.error('MFA recovery codes error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+}
+
+module.exports = MfaController;
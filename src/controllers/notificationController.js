@@ -0,0 +1,271 @@
+const NotificationModel = require('../models/notificationModel.js');
+const NotificationPreferenceModel = require('../models/notificationPreferenceModel.js');
+const UserModel = require('../models/userModel.js');
+const NotificationService = require('../notifications/notificationService.js');
+const { CHANNELS, NOTIFICATION_TYPES, resolveChannels } = require('../notifications/notificationTypes.js');
+const { TIME_PATTERN, isValidTimezone } = require('../notifications/quietHours.js');
+const unsubscribeLink = require('../notifications/unsubscribeLink.js');
+const { escapeHtml } = require('../email/templateRenderer.js');
+
+const MAX_PAGE_SIZE = 100;
+
+// what an unsubscribe link covers, "digest" is every low priority type
+const unsubscribeTypes = (type) => type === 'digest'
+    ? Object.keys(NOTIFICATION_TYPES).filter(name => NOTIFICATION_TYPES[name].priority === 'low')
+    : (NOTIFICATION_TYPES[type] ? [type] : []);
+
+class NotificationController {
+    constructor() {
+        this.notificationModel = new NotificationModel();
+        this.preferenceModel = new NotificationPreferenceModel();
+        this.userModel = new UserModel();
+    }
+
+    // the channels every type currently goes to, with the ones the user can't turn off
+    static presentPreferences = (row) => {
+        const preferences = NotificationService.readPreferences(row);
+        const channels = {};
+        const mandatory = {};
+        for (const [type, spec] of Object.entries(NOTIFICATION_TYPES)) {
+            channels[type] = resolveChannels(type, preferences.channels);
+            if (spec.mandatory) mandatory[type] = spec.mandatory;
+        }
+        return {
+            channels,
+            mandatory,
+            quiet_hours: preferences.quietHours,
+            email_digest: preferences.emailDigest,
+            updated_at: row?.updated_at || null
+        };
+    };
+
+    // -> { error } or the arguments of NotificationPreferenceModel.updatePreferences
+    static parsePreferences = (body) => {
+        const { channels, quiet_hours: quietHours, email_digest: emailDigest } = body;
+        const update = {};
+
+        if (channels !== undefined) {
+            if (!channels || typeof channels !== 'object' || Array.isArray(channels)) {
+                return { error: 'channels must be an object of notification type to channels' };
+            }
+            update.channels = {};
+            for (const [type, value] of Object.entries(channels)) {
+                const spec = NOTIFICATION_TYPES[type];
+                if (!spec) return { error: `Unknown notification type: ${type}` };
+
+                const picked = value === 'none' ? [] : value;
+                if (!Array.isArray(picked) || picked.some(channel => !CHANNELS.includes(channel))) {
+                    return { error: `channels.${type} must be "none" or a list of ${CHANNELS.join(', ')}` };
+                }
+                const missing = (spec.mandatory || []).filter(channel => !picked.includes(channel));
+                if (missing.length) {
+                    return { error: `${type} is a security notice, ${missing.join(' and ')} can't be turned off` };
+                }
+                update.channels[type] = [...new Set(picked)];
+            }
+        }
+
+        if (quietHours !== undefined) {
+            if (quietHours === null) {
+                update.quietHours = null;
+            } else {
+                const { start, end, timezone = 'UTC' } = quietHours || {};
+                if (!TIME_PATTERN.test(String(start)) || !TIME_PATTERN.test(String(end)) || start.slice(0, 5) === end.slice(0, 5)) {
+                    return { error: 'quiet_hours needs a different start and end as HH:MM' };
+                }
+                if (typeof timezone !== 'string' || !isValidTimezone(timezone)) {
+                    return { error: 'quiet_hours.timezone must be an IANA timezone like Europe/Madrid' };
+                }
+                update.quietHours = { start: start.slice(0, 5), end: end.slice(0, 5), timezone };
+            }
+        }
+
+        if (emailDigest !== undefined) {
+            if (!['daily', 'off'].includes(emailDigest)) {
+                return { error: 'email_digest must be daily or off' };
+            }
+            update.emailDigest = emailDigest;
+        }
+
+        return update;
+    };
+
+    listNotifications = async (req, res) => {
+        try {
+            const { page = '1', limit = '20', unread } = req.query;
+
+            const pageNumber = parseInt(page);
+            const pageSize = parseInt(limit);
+            if (!Number.isInteger(pageNumber) || pageNumber < 1 || !Number.isInteger(pageSize) || pageSize < 1) {
+                return res.status(400).json({ success: false, error: 'page and limit must be positive integers' });
+            }
+            if (unread !== undefined && unread !== 'true' && unread !== 'false') {
+                return res.status(400).json({ success: false, error: 'unread must be true or false' });
+            }
+
+            const size = Math.min(pageSize, MAX_PAGE_SIZE);
+            const [{ notifications, total }, unreadCount] = await Promise.all([
+                this.notificationModel.listNotifications(req.user.id, { unreadOnly: unread === 'true', limit: size, offset: (pageNumber - 1) * size }),
+                this.notificationModel.countUnread(req.user.id)
+            ]);
+
+            return res.status(200).json({
+                success: true,
+                notifications: notifications.map(NotificationService.present),
+                unread_count: unreadCount,
+                pagination: {
+                    page: pageNumber,
+                    limit: size,
+                    total,
+                    total_pages: Math.ceil(total / size)
+                }
+            });
+        } catch (error) {
+            console.error('List notifications error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    getUnreadCount = async (req, res) => {
+        try {
+            return res.status(200).json({ success: true, unread_count: await this.notificationModel.countUnread(req.user.id) });
+        } catch (error) {
+            console.error('Unread count error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    // body { read: true | false }, true when left out
+    updateNotification = async (req, res) => {
+        try {
+            const { read = true } = req.body || {};
+            if (typeof read !== 'boolean') {
+                return res.status(400).json({ success: false, error: 'read must be a boolean' });
+            }
+
+            const notification = await this.notificationModel.setRead(req.user.id, req.params.notificationId, read);
+            if (!notification) {
+                return res.status(404).json({ success: false, error: 'Notification not found' });
+            }
+
+            return res.status(200).json({
+                success: true,
+                notification: NotificationService.present(notification),
+                unread_count: await this.notificationModel.countUnread(req.user.id)
+            });
+        } catch (error) {
+            console.error('Update notification error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    markAllRead = async (req, res) => {
+        try {
+            const updated = await this.notificationModel.markAllRead(req.user.id);
+            return res.status(200).json({ success: true, message: 'All notifications marked as read', updated, unread_count: 0 });
+        } catch (error) {
+            console.error('Mark all read error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    deleteNotification = async (req, res) => {
+        try {
+            const deleted = await this.notificationModel.deleteNotification(req.user.id, req.params.notificationId);
+            if (!deleted) {
+                return res.status(404).json({ success: false, error: 'Notification not found' });
+            }
+            return res.status(200).json({ success: true, message: 'Notification deleted' });
+        } catch (error) {
+            console.error('Delete notification error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    getPreferences = async (req, res) => {
+        try {
+            const row = await this.preferenceModel.getPreferences(req.user.id);
+            return res.status(200).json({ success: true, preferences: NotificationController.presentPreferences(row) });
+        } catch (error) {
+            console.error('Get notification preferences error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    // partial: only the types and settings in the body change
+    updatePreferences = async (req, res) => {
+        try {
+            const update = NotificationController.parsePreferences(req.body || {});
+            if (update.error) {
+                return res.status(400).json({ success: false, error: update.error });
+            }
+
+            const row = await this.preferenceModel.updatePreferences(req.user.id, update);
+            return res.status(200).json({
+                success: true,
+                message: 'Notification preferences updated',
+                preferences: NotificationController.presentPreferences(row)
+            });
+        } catch (error) {
+            console.error('Update notification preferences error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    // -> { userId, types } or null for a link that isn't ours
+    readUnsubscribeToken = async (token) => {
+        const verified = unsubscribeLink.verifyToken(token);
+        const types = verified ? unsubscribeTypes(verified.type) : [];
+        if (!types.length || !(await this.userModel.getUserById(verified.userId))) return null;
+        return { userId: verified.userId, types };
+    };
+
+    // the link in the email only asks, a mail scanner opening it must not unsubscribe anyone
+    unsubscribePage = async (req, res) => {
+        try {
+            const link = await this.readUnsubscribeToken(req.query.token);
+            if (!link) {
+                return res.status(400).json({ success: false, error: 'Invalid unsubscribe link' });
+            }
+
+            return res.status(200).type('html').send(`<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Unsubscribe</title></head>
+<body style="font-family:Arial,Helvetica,sans-serif;max-width:480px;margin:48px auto;">
+<h2>Unsubscribe</h2>
+<p>Stop emails about: ${escapeHtml(link.types.join(', '))}?</p>
+<form method="post"><button type="submit">Unsubscribe</button></form>
+</body></html>`);
+        } catch (error) {
+            console.error('Unsubscribe page error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    // one-click (RFC 8058): mail clients POST here straight from the List-Unsubscribe header
+    unsubscribe = async (req, res) => {
+        try {
+            const link = await this.readUnsubscribeToken(req.query.token);
+            if (!link) {
+                return res.status(400).json({ success: false, error: 'Invalid unsubscribe link' });
+            }
+
+            const current = NotificationService.readPreferences(await this.preferenceModel.getPreferences(link.userId));
+            const channels = {};
+            for (const type of link.types) {
+                channels[type] = resolveChannels(type, current.channels).filter(channel => channel !== 'email');
+            }
+            await this.preferenceModel.updatePreferences(link.userId, { channels });
+
+            const message = `Unsubscribed from ${link.types.join(', ')} emails`;
+            return res.status(200).format({
+                json: () => res.json({ success: true, message, types: link.types }),
+                html: () => res.send(`<!DOCTYPE html><html><head><meta charset="utf-8"><title>Unsubscribed</title></head><body style="font-family:Arial,Helvetica,sans-serif;max-width:480px;margin:48px auto;"><p>${escapeHtml(message)}.</p></body></html>`)
+            });
+        } catch (error) {
+            console.error('Unsubscribe error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+}
+
+module.exports = NotificationController;
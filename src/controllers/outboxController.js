@@ -0,0 +1,109 @@
+const OutboxModel = require('../models/outboxModel.js');
+
+const STATUSES = ['pending', 'processing', 'sent', 'dead'];
+const KINDS = ['event', 'email', 'webhook'];
+const MAX_PAGE_SIZE = 100;
+
+// verification and reset tokens sit in email payloads, the admin view doesn't need them to diagnose a failure
+const REDACTED_KEYS = /token|secret|password/i;
+
+class OutboxController {
+    constructor() {
+        this.outboxModel = new OutboxModel();
+    }
+
+    redact = (value) => {
+        if (Array.isArray(value)) return value.map(this.redact);
+        if (!value || typeof value !== 'object') return value;
+
+        const out = {};
+        for (const [key, inner] of Object.entries(value)) {
+            out[key] = REDACTED_KEYS.test(key) ? '[REDACTED]' : this.redact(inner);
+        }
+        return out;
+    };
+
+    present = (message) => ({
+        ...message,
+        id: Number(message.id),
+        payload: this.redact(message.payload)
+    });
+
+    listMessages = async (req, res) => {
+        try {
+            const { page = '1', limit = '20', status, kind, topic } = req.query;
+
+            const pageNumber = parseInt(page);
+            const pageSize = parseInt(limit);
+            if (!Number.isInteger(pageNumber) || pageNumber < 1 || !Number.isInteger(pageSize) || pageSize < 1) {
+                return res.status(400).json({ success: false, error: 'page and limit must be positive integers' });
+            }
+
+            if (status !== undefined && !STATUSES.includes(status)) {
+                return res.status(400).json({ success: false, error: `status must be one of: ${STATUSES.join(', ')}` });
+            }
+
+            if (kind !== undefined && !KINDS.includes(kind)) {
+                return res.status(400).json({ success: false, error: `kind must be one of: ${KINDS.join(', ')}` });
+            }
+
+            const size = Math.min(pageSize, MAX_PAGE_SIZE);
+            const { messages, total } = await this.outboxModel.listMessages({
+                filters: { status, kind, topic },
+                limit: size,
+                offset: (pageNumber - 1) * size
+            });
+
+            return res.status(200).json({
+                success: true,
+                messages: messages.map(this.present),
+                pagination: {
+                    page: pageNumber,
+                    limit: size,
+                    total,
+                    total_pages: Math.ceil(total / size)
+                }
+            });
+        } catch (error) {
+            console.error('Admin list outbox error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    getStats = async (req, res) => {
+        try {
+            const stats = await this.outboxModel.getStats();
+            return res.status(200).json({ success: true, stats });
+        } catch (error) {
+            console.error('Admin outbox stats error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    // puts a dead (or still pending) message back in the queue with a fresh attempt budget
+    retryMessage = async (req, res) => {
+        try {
+            const messageId = req.params.messageId;
+            const existing = await this.outboxModel.getMessageById(messageId);
+            if (!existing) {
+                return res.status(404).json({ success: false, error: 'Message not found' });
+            }
+
+            const message = await this.outboxModel.retryMessage(messageId);
+            if (!message) {
+                return res.status(409).json({ success: false, error: `Message is ${existing.status}, only dead or pending messages can be retried` });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Message queued again',
+                outbox_message: this.present(message)
+            });
+        } catch (error) {
+            console.error('Admin retry outbox message error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+}
+
+module.exports = OutboxController;
@@ -0,0 +1,154 @@
+const PlanModel = require('../models/planModel.js');
+const PlanService = require('../billing/planService.js');
+const entitlements = require('../billing/entitlements.js');
+
+const PLAN_CODE_PATTERN = /^[a-z0-9_-]{1,20}$/;
+const ENTITLEMENT_KEY_PATTERN = /^[a-z][a-z0-9_.:-]{0,63}$/;
+
+class PlanController {
+    constructor() {
+        this.planModel = new PlanModel();
+        this.planService = new PlanService();
+    }
+
+    isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+    // -> error message or null. features are booleans, limits non-negative numbers
+    validatePlan = (body) => {
+        const { name, description, features, limits, is_active, sort_order, billing_price_id } = body;
+
+        if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > 100)) {
+            return 'name must be a non-empty string of at most 100 characters';
+        }
+        if (description !== undefined && description !== null && typeof description !== 'string') {
+            return 'description must be a string or null';
+        }
+        if (features !== undefined) {
+            if (!this.isPlainObject(features)) return 'features must be an object of booleans';
+            for (const [key, value] of Object.entries(features)) {
+                if (!ENTITLEMENT_KEY_PATTERN.test(key) || typeof value !== 'boolean') {
+                    return `features.${key} must be a boolean (keys: lowercase letters, digits, . _ : -)`;
+                }
+            }
+        }
+        if (limits !== undefined) {
+            if (!this.isPlainObject(limits)) return 'limits must be an object of numbers';
+            for (const [key, value] of Object.entries(limits)) {
+                if (!ENTITLEMENT_KEY_PATTERN.test(key) || typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+                    return `limits.${key} must be a non-negative number (keys: lowercase letters, digits, . _ : -)`;
+                }
+            }
+        }
+        if (is_active !== undefined && typeof is_active !== 'boolean') {
+            return 'is_active must be a boolean';
+        }
+        if (sort_order !== undefined && !Number.isInteger(sort_order)) {
+            return 'sort_order must be an integer';
+        }
+        if (billing_price_id !== undefined && billing_price_id !== null && (typeof billing_price_id !== 'string' || !/^[\w-]{1,100}$/.test(billing_price_id))) {
+            return 'billing_price_id must be the price id at the billing provider, or null';
+        }
+        return null;
+    };
+
+    present = (plan) => ({
+        code: plan.code,
+        name: plan.name,
+        description: plan.description,
+        features: plan.features,
+        limits: plan.limits,
+        is_active: plan.is_active,
+        sort_order: plan.sort_order,
+        billing_price_id: plan.billing_price_id
+    });
+
+    // public, for pricing pages
+    listPlans = async (req, res) => {
+        try {
+            const plans = await this.planModel.listPlans({ activeOnly: true });
+            return res.status(200).json({ success: true, plans: plans.map(this.present) });
+        } catch (error) {
+            console.error('List plans error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    getMyEntitlements = async (req, res) => {
+        try {
+            return res.status(200).json({ success: true, ...await entitlements.forUser(req.user) });
+        } catch (error) {
+            console.error('Get entitlements error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    // admin: inactive plans too
+    listAllPlans = async (req, res) => {
+        try {
+            const plans = await this.planModel.listPlans();
+            return res.status(200).json({ success: true, plans: plans.map(this.present) });
+        } catch (error) {
+            console.error('Admin list plans error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    // admin: creates the plan or updates the fields given. features / limits are replaced as a whole
+    savePlan = async (req, res) => {
+        try {
+            const { planCode } = req.params;
+            if (!PLAN_CODE_PATTERN.test(planCode)) {
+                return res.status(400).json({ success: false, error: 'planCode must be 1-20 lowercase letters, digits, _ or -' });
+            }
+
+            const body = req.body || {};
+            const error = this.validatePlan(body);
+            if (error) {
+                return res.status(400).json({ success: false, error });
+            }
+
+            const plan = await this.planService.upsertPlan(planCode, {
+                name: body.name?.trim(),
+                description: body.description,
+                features: body.features,
+                limits: body.limits,
+                isActive: body.is_active,
+                sortOrder: body.sort_order,
+                billingPriceId: body.billing_price_id
+            });
+
+            return res.status(plan.created ? 201 : 200).json({
+                success: true,
+                message: plan.created ? 'Plan created' : 'Plan updated',
+                plan: this.present(plan)
+            });
+        } catch (error) {
+            console.error('Admin save plan error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    // admin: moves a user to another plan, the only way a plan changes besides payments
+    changeUserPlan = async (req, res) => {
+        try {
+            const userId = parseInt(req.params.userId);
+            const result = await this.planService.changePlan(userId, (req.body || {}).plan, { changedBy: req.user.id, req });
+            if (result.error) {
+                return res.status(result.status).json({ success: false, error: result.error });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Plan changed',
+                user_id: userId,
+                previous_plan: result.previous,
+                subscription_type: result.user.subscription_type
+            });
+        } catch (error) {
+            console.error('Admin change plan error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+}
+
+module.exports = PlanController;
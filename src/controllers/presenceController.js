@@ -0,0 +1,28 @@
+const PresenceModel = require('../models/presenceModel.js');
+const { Presence } = require('../realtime/presence.js');
+
+const MAX_USER_IDS = 100;
+
+class PresenceController {
+    constructor() {
+        this.presenceModel = new PresenceModel();
+    }
+
+    // ?user_ids=1,2,3 -> who of them is online, and when the others were last seen
+    getPresence = async (req, res) => {
+        try {
+            const raw = String(req.query.user_ids || '').split(',').map(id => id.trim()).filter(Boolean);
+            if (!raw.length || raw.length > MAX_USER_IDS || raw.some(id => !/^[1-9]\d{0,9}$/.test(id))) {
+                return res.status(400).json({ success: false, error: `user_ids must be 1 to ${MAX_USER_IDS} comma separated user ids` });
+            }
+
+            const rows = await this.presenceModel.getPresence([...new Set(raw.map(Number))]);
+            return res.status(200).json({ success: true, presence: rows.map(Presence.present) });
+        } catch (error) {
+            console.error('Get presence error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+}
+
+module.exports = PresenceController;
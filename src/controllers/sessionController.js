@@ -0,0 +1,89 @@
+const SessionModel = require('../models/sessionModel.js');
+const DB_Connection = require('../database/db.js');
+const outbox = require('../events/outbox.js');
+const Events = require('../events/eventsNames.js');
+const auditLog = require('../audit/auditLog.js');
+const AuditActions = require('../audit/auditActions.js');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class SessionController {
+    constructor() {
+        this.db_connection = new DB_Connection();
+        this.sessionModel = new SessionModel();
+    }
+
+    listSessions = async (req, res) => {
+        try {
+            const sessions = await this.sessionModel.listActiveSessions(req.user.id);
+
+            return res.status(200).json({
+                success: true,
+                sessions: sessions.map(session => ({
+                    ...session,
+                    current: session.id === req.sessionId
+                }))
+            });
+        } catch (error) {
+            console.error('List sessions error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    revokeSession = async (req, res) => {
+        try {
+            const { sessionId } = req.params;
+            if (!sessionId || !UUID_PATTERN.test(sessionId)) {
+                return res.status(400).json({ success: false, error: 'Valid sessionId param required' });
+            }
+
+            const revoked = await this.db_connection.transaction(async () => {
+                const revoked = await this.sessionModel.revokeSession(req.user.id, sessionId);
+                if (revoked) {
+                    await outbox.publish(Events.SESSION_REVOKED, { userId: req.user.id, sessionIds: [sessionId] });
+                    await auditLog.record(req, AuditActions.SESSIONS_REVOKED, { userId: req.user.id, metadata: { session_id: sessionId } });
+                }
+                return revoked;
+            });
+            if (!revoked) {
+                return res.status(404).json({ success: false, error: 'Session not found' });
+            }
+
+            return res.status(200).json({ success: true, message: 'Session revoked' });
+        } catch (error) {
+            console.error('Revoke session error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    revokeOtherSessions = async (req, res) => {
+        try {
+            if (!req.sessionId) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Current session unknown, log in again to manage sessions'
+                });
+            }
+
+            const revokedIds = await this.db_connection.transaction(async () => {
+                const revokedIds = await this.sessionModel.revokeOtherSessions(req.user.id, req.sessionId);
+                if (revokedIds.length) {
+                    await outbox.publish(Events.SESSION_REVOKED, { userId: req.user.id, sessionIds: revokedIds });
+                    await auditLog.record(req, AuditActions.SESSIONS_REVOKED, { userId: req.user.id, metadata: { sessions: revokedIds.length, others: true } });
+                }
+                return revokedIds;
+            });
+
+            return res.status(200).json({
+                success: true,
+                message: 'Other sessions revoked',
+                revoked: revokedIds.length
+            });
+        } catch (error) {
+            console.error('Revoke other sessions error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+}
+
+module.exports = SessionController;
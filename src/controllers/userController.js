@@ -1,52 +1,130 @@
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const UserModel = require('../models/userModel.js')
+const SessionModel = require('../models/sessionModel.js');
+const RoleModel = require('../models/roleModel.js');
+const MfaModel = require('../models/mfaModel.js');
+const MfaService = require('../auth/mfaService.js');
+const DeviceService = require('../auth/deviceService.js');
+const AccountDeletionService = require('../accounts/accountDeletionService.js');
+const AvatarService = require('../accounts/avatarService.js');
+const DataExport = require('../accounts/dataExport.js');
+const PlanService = require('../billing/planService.js');
+const { Roles } = require('../auth/accessControl.js');
 const { OAuth2Client } = require('google-auth-library');
 const EmailUtils = require('../utils/emailUtils.js');
-const bus = require('../events/eventBus.js');
+const outbox = require('../events/outbox.js');
+const DB_Connection = require('../database/db.js');
 const Events = require('../events/eventsNames.js');
-const { uploadAvatarBuffer } = require('../utils/cloudinary.js');
+const auditLog = require('../audit/auditLog.js');
+const AuditActions = require('../audit/auditActions.js');
+const { hashToken } = require('../utils/tokenUtils.js');
+const { getClientIp, getUserAgent, describeDevice, normalizeLocale, getPreferredLocale } = require('../utils/requestUtils.js');
 
 class UserController {
     constructor() {
+        this.db_connection = new DB_Connection();
         this.userModel = new UserModel();
+        this.sessionModel = new SessionModel();
+        this.roleModel = new RoleModel();
+        this.mfaModel = new MfaModel();
+        this.mfaService = new MfaService();
+        this.deviceService = new DeviceService();
+        this.accountDeletionService = new AccountDeletionService();
+        this.avatarService = new AvatarService();
+        this.dataExport = new DataExport();
+        this.planService = new PlanService();
         this.salt_round = parseInt(process.env.PASSWORD_SALT_ROUNDS);
         this.max_login_attempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS);
         this.account_lock_minutes = parseInt(process.env.ACCOUNT_LOCK_MINUTES);
         this.access_token_secret = process.env.JWT_ACCESS_SECRET;
         this.refresh_token_secret = process.env.JWT_REFRESH_SECRET;
         this.access_token_expiry = process.env.ACCESS_TOKEN_TTL;
-        this.refresh_token_expiry = process.env.REFRESH_TOKEN_DAYS;
+        this.mfa_challenge_expiry = process.env.MFA_CHALLENGE_TTL || '5m';
+        this.refresh_token_days = parseInt(process.env.REFRESH_TOKEN_DAYS || '30');
+        this.refresh_token_expiry = `${this.refresh_token_days}d`;
         this.googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
         this.requireEmailVerification = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+        this.adminEmails = (process.env.ADMIN_EMAILS || '')
+            .split(',')
+            .map(email => email.trim().toLowerCase())
+            .filter(Boolean);
     }
 
-    generateTokens = (user) => {
+    // both tokens carry the session id, the session is the refresh token family
+    generateTokens = (user, sessionId) => {
         const accessPayload = {
             sub: user.id,
+            sid: sessionId,
             username: user.username,
-            email: user.email
+            email: user.email,
+            roles: user.roles || [],
+            perms: user.permissions || [],
+            // only sizes the rate limit, entitlement checks read the plan from the database
+            plan: user.subscription_type
         };
 
         const accessToken = jwt.sign(accessPayload, this.access_token_secret, { expiresIn: this.access_token_expiry });
-        const refreshToken = jwt.sign({ sub: user.id }, this.refresh_token_secret, { expiresIn: this.refresh_token_expiry });
+        const refreshToken = jwt.sign(
+            { sub: user.id, sid: sessionId, jti: crypto.randomUUID() },
+            this.refresh_token_secret,
+            { expiresIn: this.refresh_token_expiry }
+        );
 
         return { accessToken, refreshToken };
     };
-    
-    createTable = async(req, res)=>{
-        try {
-            await this.userModel.create_users_table();
-            res.status(201).json({
-                success: true,
-                message: "users table created"
-            });
-        } catch (error) {
-            console.error("Failed to create users table: " + error.message);
-            throw error;
+
+    // proves the password step passed, it is not an access token (authenticateToken rejects anything with a purpose)
+    generateMfaChallenge = (user) => {
+        return jwt.sign(
+            { sub: user.id, purpose: 'mfa_challenge', jti: crypto.randomUUID() },
+            this.access_token_secret,
+            { expiresIn: this.mfa_challenge_expiry }
+        );
+    };
+
+    mfaChallengeResponse = (res, user) => {
+        return res.status(200).json({
+            success: true,
+            mfa_required: true,
+            message: 'Enter the code from your authenticator app or a recovery code',
+            mfaToken: this.generateMfaChallenge(user)
+        });
+    };
+
+    refreshExpiresAt = () => new Date(Date.now() + this.refresh_token_days*24*60*60*1000);
+
+    // loads roles + permissions so they can be embedded in the access token. ADMIN_EMAILS only counts for an address
+    // its owner confirmed: email_verified is also set on sign up when verification is off, and profile edits reset both
+    withAccess = async (user) => {
+        if (user.email_confirmed_at && this.adminEmails.includes((user.email || '').toLowerCase())) {
+            await this.roleModel.assignRole(user.id, Roles.ADMIN);
         }
-    }
 
+        const access = await this.roleModel.getUserAccess(user.id);
+        return { ...user, ...access };
+    };
+
+    // every login gets its own session row so devices don't log each other out
+    startSession = async (user, req) => {
+        const sessionId = crypto.randomUUID();
+        const tokens = this.generateTokens(await this.withAccess(user), sessionId);
+        const userAgent = getUserAgent(req);
+
+        await this.sessionModel.createSession({
+            id: sessionId,
+            userId: user.id,
+            refreshTokenHash: hashToken(tokens.refreshToken),
+            deviceLabel: (req.body?.deviceLabel || describeDevice(userAgent)).toString().slice(0, 100),
+            userAgent,
+            ipAddress: getClientIp(req),
+            expiresAt: this.refreshExpiresAt()
+        });
+
+        return tokens;
+    };
+    
     googleLogin = async(req, res)=>{
         try {
             const {idToken} = req.body || {};
@@ -75,6 +153,7 @@ class UserController {
                 email,
                 name,
                 picture,
+                locale,
                 email_verified,
                 hd,
                 iss,
@@ -119,7 +198,8 @@ class UserController {
                     email: email || null,
                     fullName: name || null,
                     avatarUrl: picture || null,
-                    emailVerified: email_verified
+                    emailVerified: email_verified,
+                    locale: normalizeLocale(locale) || getPreferredLocale(req)
                 });
 
                 if (!user) {
@@ -128,29 +208,31 @@ class UserController {
                         error: 'Failed to create user account' 
                     });
                 }
+
+                await this.roleModel.assignRole(user.id, Roles.USER);
+                await auditLog.record(req, AuditActions.REGISTERED, { userId: user.id, actorId: user.id, metadata: { method: 'google' } });
             }
 
-            await this.userModel.setLastLogin(user.id);
-            const { accessToken, refreshToken } = this.generateTokens(user);
-            await this.userModel.updateRefreshToken(user.id, refreshToken);
+            if (user.is_active === false) {
+                await auditLog.failure(req, AuditActions.LOGIN, { userId: user.id, reason: 'deactivated', metadata: { method: 'google' } });
+                return res.status(403).json({ success: false, error: 'Account deactivated' });
+            }
 
-            return res.status(200).json({
-                success: true,
-                message: 'Google login successful',
-                user: {
-                    id: user.id,
-                    username: user.username,
-                    email: user.email,
-                    full_name: user.full_name,
-                    google_id: user.google_id,
-                    provider: user.provider,
-                    avatar_url: user.avatar_url,
-                    email_verified: user.email_verified,
-                    is_active: user.is_active,
-                    subscription_type: user.subscription_type
-                },
-                tokens: { accessToken, refreshToken }
-            });
+            if (user.locked_until && new Date(user.locked_until) > new Date()) {
+                await auditLog.failure(req, AuditActions.LOGIN, { userId: user.id, reason: 'locked', metadata: { method: 'google' } });
+                return res.status(423).json({
+                    success: false,
+                    error: 'Account locked',
+                    locked_until: user.locked_until
+                });
+            }
+
+            if (await this.mfaModel.isMfaEnabled(user.id)) {
+                return this.mfaChallengeResponse(res, user);
+            }
+
+            // the same device checks, session and USER_LOGIN event as a password login
+            return this.completeLogin(req, res, user, { method: 'google' });
 
         } catch (error) {
             console.error('Google OAuth login error:', error);
@@ -189,9 +271,28 @@ class UserController {
             }
 
             const passwordHash = await bcrypt.hash(password, this.salt_round);
-            const newUser = await this.userModel.createUser({ username, email, passwordHash });
 
-            if(!newUser){
+            // the user, its role, the verification mail and the event commit together or not at all
+            const newUser = await this.db_connection.transaction(async()=>{
+                const created = await this.userModel.createUser({ username, email, passwordHash, locale: getPreferredLocale(req) });
+                if(!created || created.success === false) return created;
+
+                await this.roleModel.assignRole(created.id, Roles.USER);
+
+                if(this.requireEmailVerification){
+                    const token = EmailUtils.generateToken();
+                    await this.userModel.setVerificationToken(created.id, token);
+                    await EmailUtils.sendVerificationEmail(created, token);
+                } else {
+                    await this.userModel.setEmailVerified(created.id);
+                }
+
+                await outbox.publish(Events.USER_REGISTERED, {userId: created.id, email: created.email, username: created.username});
+                await auditLog.record(req, AuditActions.REGISTERED, { userId: created.id, actorId: created.id, metadata: { method: 'password' } });
+                return created;
+            });
+
+            if(!newUser || newUser.success === false){
                 return res.status(500).json({
                     success: false,
                     message: "failed to create new user"
@@ -199,14 +300,8 @@ class UserController {
             }
 
             if(this.requireEmailVerification){
-                const token = EmailUtils.generateToken();
-                await this.userModel.setVerificationToken(newUser.id, token);
-                await EmailUtils.sendVerificationEmail(username, email, token);
-
                 const updatedUser = await this.userModel.getUserById(newUser.id);
 
-                bus.emit(Events.USER_REGISTERED, {userId: newUser.id, email: newUser.email, username: newUser.username});
-
                 return res.status(201).json({
                     success: true,
                     message: "User registered successfully. Please check your email for verification",
@@ -221,14 +316,10 @@ class UserController {
                     }
                 })
             } else {
-                await this.userModel.setEmailVerified(newUser.id);
-                const { accessToken, refreshToken } = this.generateTokens({
+                const { accessToken, refreshToken } = await this.startSession({
                     ...newUser,
                     email_verified: true
-                });
-
-                await this.userModel.updateRefreshToken(newUser.id, refreshToken);
-                bus.emit(Events.USER_REGISTERED, {userId: newUser.id, email: newUser.email, username: newUser.username});
+                }, req);
 
                 return res.status(201).json({
                     success: true,
@@ -286,8 +377,11 @@ class UserController {
             }
 
             const token = EmailUtils.generateToken();
-            await this.userModel.setVerificationToken(user.id, token);
-            await EmailUtils.sendVerificationEmail(email, token);
+            await this.db_connection.transaction(async()=>{
+                await this.userModel.setVerificationToken(user.id, token);
+                await EmailUtils.sendVerificationEmail(user, token);
+                await auditLog.record(req, AuditActions.EMAIL_VERIFICATION_SENT, { userId: user.id });
+            });
 
             return res.status(200).json({
                 success: true,
@@ -321,15 +415,18 @@ class UserController {
 
             const user = await this.userModel.getUserByVerificationToken(token);
             if (!user) {
+                await auditLog.failure(req, AuditActions.EMAIL_VERIFIED, { reason: 'invalid_token' });
                 return res.status(400).json({
                     success: false,
                     error: 'Invalid or expired verification token'
                 });
             }
 
-            await this.userModel.setEmailVerified(user.id);
-
-            bus.emit(Events.USER_EMAIL_VERIFIED, {userId:user.id, email: user.email});
+            await this.db_connection.transaction(async()=>{
+                await this.userModel.setEmailVerified(user.id, { confirmed: true });
+                await outbox.publish(Events.USER_EMAIL_VERIFIED, {userId:user.id, email: user.email});
+                await auditLog.record(req, AuditActions.EMAIL_VERIFIED, { userId: user.id, actorId: user.id });
+            });
 
             return res.status(200).json({
                 success: true,
@@ -363,10 +460,18 @@ class UserController {
             }
 
             if (!user) {
+                // the identifier shows what someone tried, e.g. during credential stuffing
+                await auditLog.failure(req, AuditActions.LOGIN, { reason: 'unknown_user', metadata: { identifier: String(identifier).slice(0, 255) } });
                 return res.status(401).json({ success: false, error: 'Invalid credentials' });
             }
 
+            if (!user.is_active) {
+                await auditLog.failure(req, AuditActions.LOGIN, { userId: user.id, reason: 'deactivated' });
+                return res.status(403).json({ success: false, error: 'Account deactivated' });
+            }
+
             if (user.locked_until && new Date(user.locked_until) > new Date()) {
+                await auditLog.failure(req, AuditActions.LOGIN, { userId: user.id, reason: 'locked' });
                 return res.status(423).json({
                     success: false,
                     error: 'Account locked',
@@ -376,62 +481,266 @@ class UserController {
 
             const match = await bcrypt.compare(password, user.password_hash);
             if (!match) {
-                const updated = await this.userModel.incrementLoginAttempts(user.id);
-                const attempts = updated ? updated.login_attempts : (user.login_attempts + 1);
-
-                if (attempts >= this.max_login_attempts) {
-                    const lockUntil = new Date(Date.now() + this.account_lock_minutes*60*1000);
-                    await this.userModel.lockAccount(user.id, lockUntil);
-                    return res.status(423).json({
-                        success: false,
-                        error: 'Account locked due to repeated failures',
-                        locked_until: lockUntil
-                    });
-                }
+                return this.failedLoginResponse(req, res, user, 'Invalid credentials', 'invalid_password');
+            }
 
-                return res.status(401).json({
+            // set by "this wasn't me" on a device email, the password is known to someone else
+            if (user.password_reset_required) {
+                await auditLog.failure(req, AuditActions.LOGIN, { userId: user.id, reason: 'password_reset_required' });
+                return res.status(403).json({
                     success: false,
-                    error: 'Invalid credentials',
-                    attempts,
-                    remaining: Math.max(this.max_login_attempts - attempts, 0)
+                    error: 'Password reset required, use the link we emailed you',
+                    password_reset_required: true
+                });
+            }
+
+            if (await this.mfaModel.isMfaEnabled(user.id)) {
+                return this.mfaChallengeResponse(res, user);
+            }
+
+            return this.completeLogin(req, res, user, { method: 'password' });
+        } catch (error) {
+            console.error('Login error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error during login' });
+        }
+    };
+
+    // wrong passwords and wrong second factor codes both count towards the lock
+    failedLoginResponse = async (req, res, user, message, reason) => {
+        await auditLog.failure(req, AuditActions.LOGIN, { userId: user.id, reason });
+        const updated = await this.userModel.incrementLoginAttempts(user.id);
+        const attempts = updated ? updated.login_attempts : (user.login_attempts + 1);
+
+        if (attempts >= this.max_login_attempts) {
+            const lockUntil = new Date(Date.now() + this.account_lock_minutes*60*1000);
+            await this.db_connection.transaction(async()=>{
+                await this.userModel.lockAccount(user.id, lockUntil);
+                await outbox.publish(Events.ACCOUNT_LOCKED, { userId: user.id, lockedUntil: lockUntil, reason: 'failed_logins' });
+                await auditLog.record(req, AuditActions.ACCOUNT_LOCKED, {
+                    userId: user.id,
+                    metadata: { reason: 'failed_logins', locked_until: lockUntil }
                 });
+            });
+            return res.status(423).json({
+                success: false,
+                error: 'Account locked due to repeated failures',
+                locked_until: lockUntil
+            });
+        }
+
+        return res.status(401).json({
+            success: false,
+            error: message,
+            attempts,
+            remaining: Math.max(this.max_login_attempts - attempts, 0)
+        });
+    };
+
+    // metadata says how they got in (method, second_factor), it goes into the audit log
+    completeLogin = async (req, res, user, metadata = {}) => {
+        // outside the transaction, nothing waits on the lookup with a connection checked out
+        const location = await this.deviceService.locate(req);
+        const { held, restored, accessToken, refreshToken } = await this.db_connection.transaction(async()=>{
+            // a device held back for confirmation still commits: its row, the tokens and the mail
+            const { held } = await this.deviceService.recognize(user, req, { location });
+            if (held) {
+                await auditLog.failure(req, AuditActions.LOGIN, { userId: user.id, reason: 'device_unconfirmed', metadata });
+                return { held };
             }
+
             await this.userModel.resetLoginAttempts(user.id);
             await this.userModel.setLastLogin(user.id);
+            const restored = await this.accountDeletionService.cancelDeletion(user);
+
+            const tokens = await this.startSession(user, req);
+
+            await outbox.publish(Events.USER_LOGIN, {
+                userId: user.id,
+                device: describeDevice(getUserAgent(req)),
+                ipAddress: getClientIp(req),
+                country: location?.country
+            });
+            await auditLog.record(req, AuditActions.LOGIN, {
+                userId: user.id,
+                actorId: user.id,
+                metadata: { ...metadata, ...(restored && { account_restored: true }) }
+            });
+            return { restored, ...tokens };
+        });
+
+        if (held) {
+            return res.status(403).json({
+                success: false,
+                error: 'New device, confirm it with the link we emailed you and log in again',
+                device_confirmation_required: true
+            });
+        }
+
+        const signedIn = metadata.method === 'google' ? 'Google login successful' : 'Login successful';
+        return res.status(200).json({
+            success: true,
+            message: restored ? `${signedIn}, account deletion cancelled` : signedIn,
+            ...(restored && { account_restored: true }),
+            user: {
+                id: user.id,
+                uuid: user.uuid,
+                username: user.username,
+                email: user.email,
+                full_name: user.full_name,
+                is_active: user.is_active,
+                avatar_url: user.avatar_url,
+                subscription_type: user.subscription_type,
+                ...(metadata.method === 'google' && {
+                    google_id: user.google_id,
+                    provider: user.provider,
+                    email_verified: user.email_verified
+                })
+            },
+            tokens: { accessToken, refreshToken }
+        });
+    };
+
+    verifyMfaLogin = async (req, res) => {
+        try {
+            const { mfaToken, code, recoveryCode } = req.body || {};
+            if (!mfaToken || (!code && !recoveryCode)) {
+                return res.status(400).json({ success: false, error: 'mfaToken and code or recoveryCode required' });
+            }
+
+            let decoded;
+            try {
+                decoded = jwt.verify(mfaToken, this.access_token_secret);
+            } catch (error) {
+                return res.status(401).json({ success: false, error: 'Invalid or expired MFA challenge, log in again' });
+            }
+            if (decoded.purpose !== 'mfa_challenge') {
+                return res.status(401).json({ success: false, error: 'Invalid or expired MFA challenge, log in again' });
+            }
+
+            const user = await this.userModel.getUserById(decoded.sub);
+            if (!user || !user.is_active) {
+                return res.status(401).json({ success: false, error: 'Invalid credentials' });
+            }
+
+            if (user.locked_until && new Date(user.locked_until) > new Date()) {
+                await auditLog.failure(req, AuditActions.LOGIN, { userId: user.id, reason: 'locked' });
+                return res.status(423).json({
+                    success: false,
+                    error: 'Account locked',
+                    locked_until: user.locked_until
+                });
+            }
+
+            const method = await this.mfaService.verifySecondFactor(user.id, { code, recoveryCode });
+            if (!method) {
+                return this.failedLoginResponse(req, res, user, 'Invalid code', 'invalid_mfa_code');
+            }
+
+            return this.completeLogin(req, res, user, { second_factor: method });
+        } catch (error) {
+            console.error('MFA login error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error during login' });
+        }
+    };
 
-            const { accessToken, refreshToken } = this.generateTokens(user);
-            await this.userModel.updateRefreshToken(user.id, refreshToken);
+    refreshToken = async (req, res) => {
+        try {
+            const { refreshToken } = req.body || {};
+            if (!refreshToken) {
+                return res.status(400).json({ success: false, error: 'refreshToken required' });
+            }
+
+            let decoded;
+            try {
+                decoded = jwt.verify(refreshToken, this.refresh_token_secret);
+            } catch (error) {
+                return res.status(401).json({
+                    success: false,
+                    error: error.name === 'TokenExpiredError' ? 'Refresh token expired' : 'Invalid refresh token'
+                });
+            }
+
+            const session = decoded.sid ? await this.sessionModel.getSessionById(decoded.sid) : null;
+            if (!session || session.user_id !== decoded.sub || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+                return res.status(401).json({ success: false, error: 'Session expired or revoked' });
+            }
+
+            // a valid but already rotated token means it leaked; which copy is the thief's is unknown, so every session goes
+            const presentedHash = hashToken(refreshToken);
+            if (session.refresh_token_hash !== presentedHash) {
+                await this.revokeOnReuse(req, session);
+                return res.status(401).json({ success: false, error: 'Refresh token reuse detected, all sessions revoked' });
+            }
+
+            const user = await this.userModel.getUserById(session.user_id);
+            if (!user || !user.is_active) {
+                return res.status(401).json({ success: false, error: 'Invalid refresh token' });
+            }
 
-            bus.emit(Events.USER_LOGIN, { userId: user.id });
+            const tokens = this.generateTokens(await this.withAccess(user), session.id);
+            const rotated = await this.sessionModel.rotateRefreshToken(
+                session.id,
+                presentedHash,
+                hashToken(tokens.refreshToken),
+                this.refreshExpiresAt(),
+                getClientIp(req)
+            );
+            if (!rotated) {
+                // another request rotated this token first, so it is being replayed
+                await this.revokeOnReuse(req, session);
+                return res.status(401).json({ success: false, error: 'Refresh token reuse detected, all sessions revoked' });
+            }
 
             return res.status(200).json({
                 success: true,
-                message: 'Login successful',
-                user: {
-                    id: user.id,
-                    uuid: user.uuid,
-                    username: user.username,
-                    email: user.email,
-                    full_name: user.full_name,
-                    is_active: user.is_active,
-                    avatar_url: user.avatar_url,
-                    subscription_type: user.subscription_type
-                },
-                tokens: { accessToken, refreshToken }
+                message: 'Token refreshed',
+                tokens
             });
         } catch (error) {
-            console.error('Login error:', error);
-            return res.status(500).json({ success: false, error: 'Internal server error during login' });
+            console.error('Refresh token error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
         }
     };
 
+    revokeOnReuse = async (req, session) => {
+        await this.db_connection.transaction(async()=>{
+            const revokedIds = await this.sessionModel.revokeAllSessions(session.user_id);
+            await outbox.publish(Events.REFRESH_TOKEN_REUSED, { userId: session.user_id, sessionId: session.id });
+            if (revokedIds.length) await outbox.publish(Events.SESSION_REVOKED, { userId: session.user_id, sessionIds: revokedIds });
+            // whoever presented the token is not known to be the user
+            await auditLog.record(req, AuditActions.REFRESH_TOKEN_REUSED, { userId: session.user_id, metadata: { session_id: session.id, sessions: revokedIds.length } });
+        });
+        console.warn(`Refresh token reuse detected for user ${session.user_id} on session ${session.id}, all sessions revoked`);
+    };
+
     logout = async (req, res) => {
         try {
             const { userId } = req.params;
             if (!userId) {
                 return res.status(400).json({ success: false, error: 'userId param required' });
             }
-            await this.userModel.clearRefreshToken(userId);
+
+            // an admin logging someone else out ends all of that user's sessions
+            if (parseInt(userId) !== req.user.id) {
+                await this.db_connection.transaction(async()=>{
+                    const revokedIds = await this.sessionModel.revokeAllSessions(userId);
+                    if (revokedIds.length) await outbox.publish(Events.SESSION_REVOKED, { userId: parseInt(userId), sessionIds: revokedIds });
+                    await auditLog.record(req, AuditActions.SESSIONS_REVOKED, { userId: parseInt(userId), metadata: { sessions: revokedIds.length } });
+                });
+                return res.status(200).json({ success: true, message: 'User logged out from all sessions' });
+            }
+
+            // only the session behind this access token ends, other devices stay logged in
+            const sessionId = req.sessionId || jwt.decode(req.body?.refreshToken || '')?.sid;
+            if (sessionId) {
+                await this.db_connection.transaction(async()=>{
+                    const revoked = await this.sessionModel.revokeSession(req.user.id, sessionId);
+                    if (revoked) {
+                        await outbox.publish(Events.SESSION_REVOKED, { userId: req.user.id, sessionIds: [sessionId] });
+                        await auditLog.record(req, AuditActions.LOGOUT, { userId: req.user.id, metadata: { session_id: sessionId } });
+                    }
+                });
+            }
             return res.status(200).json({ success: true, message: 'Logged out successfully' });
         } catch (error) {
             console.error('Logout error:', error);
@@ -441,7 +750,8 @@ class UserController {
 
     getProfile = async (req, res) => {
         try {
-            const { userId } = req.params;
+            // /api/auth/me has no param, it is the caller's own profile
+            const userId = req.params.userId || req.user?.id;
             if (!userId) {
                 return res.status(400).json({ success: false, error: 'userId param required' });
             }
@@ -459,7 +769,9 @@ class UserController {
                     email: user.email,
                     full_name: user.full_name,
                     is_active: user.is_active,
-                    subscription_type: user.subscription_type
+                    subscription_type: user.subscription_type,
+                    avatar_url: user.avatar_url,
+                    avatar: this.avatarService.present(user)
                 }
             });
         } catch (error) {
@@ -468,6 +780,68 @@ class UserController {
         }
     };
 
+    // the google account linked to this user has to sign in again, any other google account doesn't count
+    verifyGoogleReauth = async (idToken, user) => {
+        if (!user.google_id) return false;
+        try {
+            const ticket = await this.googleClient.verifyIdToken({
+                idToken,
+                audience: process.env.GOOGLE_CLIENT_ID
+            });
+            return ticket.getPayload()?.sub === user.google_id;
+        } catch (error) {
+            return false;
+        }
+    };
+
+    deleteAccount = async (req, res) => {
+        try {
+            const { password, idToken } = req.body || {};
+            if (!password && !idToken) {
+                return res.status(400).json({ success: false, error: 'password or idToken required' });
+            }
+
+            const user = req.user;
+            const confirmed = password
+                ? await bcrypt.compare(password, user.password_hash)
+                : await this.verifyGoogleReauth(idToken, user);
+            if (!confirmed) {
+                await auditLog.failure(req, AuditActions.DELETION_REQUESTED, {
+                    userId: user.id,
+                    reason: password ? 'invalid_password' : 'invalid_google_token'
+                });
+                return res.status(401).json({ success: false, error: password ? 'Invalid password' : 'Invalid Google token' });
+            }
+
+            const { purged, purgeAfter } = await this.accountDeletionService.scheduleDeletion(user, { req });
+            if (purged) {
+                return res.status(200).json({ success: true, message: 'Account deleted' });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Account scheduled for deletion, log in again before purge_after to keep it',
+                purge_after: purgeAfter
+            });
+        } catch (error) {
+            console.error('Delete account error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    exportData = async (req, res) => {
+        try {
+            const archive = await this.dataExport.build(req.user.id);
+            await auditLog.record(req, AuditActions.DATA_EXPORTED, { userId: req.user.id });
+
+            res.setHeader('Content-Disposition', `attachment; filename="user-${req.user.id}-export.json"`);
+            return res.status(200).json(archive);
+        } catch (error) {
+            console.error('Data export error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
     updateProfile = async (req, res) => {
         try {
             const { userId } = req.params;
@@ -475,18 +849,33 @@ class UserController {
                 return res.status(400).json({ success: false, error: 'userId param required' });
             }
 
-            if(parseInt(userId) !== req.user.id){
-                return res.status(403).json({
-                    success: false,
-                    error: "You are not authorized to update this profile"
-                });
+            const updates = { ...(req.body || {}) };
+            if (updates.locale !== undefined && updates.locale !== null) {
+                updates.locale = normalizeLocale(updates.locale);
+                if (!updates.locale) {
+                    return res.status(400).json({ success: false, error: 'locale must look like en or pt-BR' });
+                }
             }
 
-            const updatedUser = await this.userModel.updateUser(userId, req.body || {});
+            const updatedUser = await this.db_connection.transaction(async()=>{
+                const current = await this.userModel.getUserById(userId);
+                const updated = await this.userModel.updateUser(userId, updates);
+                if (updated && updated.success !== false) {
+                    // the model dropped the verification along with the old address, the new one gets a link of its own
+                    if (this.requireEmailVerification && current && updated.email !== current.email) {
+                        const token = EmailUtils.generateToken();
+                        await this.userModel.setVerificationToken(updated.id, token);
+                        await EmailUtils.sendVerificationEmail(updated, token);
+                        await auditLog.record(req, AuditActions.EMAIL_VERIFICATION_SENT, { userId: updated.id });
+                    }
+                    await outbox.publish(Events.USER_PROFILE_UPDATED, { userId: parseInt(userId), changed: Object.keys(req.body || {}) });
+                    await auditLog.record(req, AuditActions.PROFILE_UPDATED, { userId: parseInt(userId), metadata: { changed: Object.keys(req.body || {}) } });
+                }
+                return updated;
+            });
             if (!updatedUser || updatedUser.success === false) {
                 return res.status(400).json({ success: false, error: 'Update failed' });
             }
-            bus.emit(Events.USER_PROFILE_UPDATED, { userId, changed: Object.keys(req.body || {}) });
             return res.status(200).json({ 
                 success: true, 
                 user: {
@@ -512,6 +901,7 @@ class UserController {
 
             const user = await this.userModel.getUserByEmail(email);
             if(!user){
+                await auditLog.failure(req, AuditActions.PASSWORD_RESET_REQUESTED, { reason: 'unknown_email' });
                 return res.status(404).json({
                     success: true,
                     message: 'user does not exist'
@@ -521,10 +911,12 @@ class UserController {
             const token = EmailUtils.generateToken();
             const expiresAt = new Date(Date.now() + 60*60*1000);
 
-            await this.userModel.setPasswordResetToken(user.id, token, expiresAt);
-            await EmailUtils.sendPasswordResetEmail(user.username, email, token);
-
-            if(user) bus.emit(Events.PASSWORD_RESET_REQUESTED, { userId: user.id, email: user.email });
+            await this.db_connection.transaction(async()=>{
+                await this.userModel.setPasswordResetToken(user.id, token, expiresAt);
+                await EmailUtils.sendPasswordResetEmail(user, token);
+                await outbox.publish(Events.PASSWORD_RESET_REQUESTED, { userId: user.id, email: user.email });
+                await auditLog.record(req, AuditActions.PASSWORD_RESET_REQUESTED, { userId: user.id });
+            });
 
             return res.status(200).json({
                 success: true,
@@ -558,6 +950,7 @@ class UserController {
 
             const user = await this.userModel.getUserByPasswordResetToken(token);
             if (!user) {
+                await auditLog.failure(req, AuditActions.PASSWORD_RESET, { reason: 'invalid_token' });
                 return res.status(400).json({
                     success: false,
                     error: 'Invalid or expired reset token'
@@ -565,7 +958,11 @@ class UserController {
             }
 
             const hashedPassword = await bcrypt.hash(newPassword, this.salt_round);
-            await this.userModel.updatePassword(user.id, hashedPassword);
+            await this.db_connection.transaction(async()=>{
+                await this.userModel.updatePassword(user.id, hashedPassword);
+                await outbox.publish(Events.PASSWORD_CHANGED, { userId: user.id, via: 'reset' });
+                await auditLog.record(req, AuditActions.PASSWORD_RESET, { userId: user.id, actorId: user.id });
+            });
 
             return res.status(200).json({
                 success: true,
@@ -610,6 +1007,7 @@ class UserController {
 
             const isOldPasswordValid = await bcrypt.compare(oldPassword, user.password_hash);
             if (!isOldPasswordValid) {
+                await auditLog.failure(req, AuditActions.PASSWORD_CHANGED, { userId: user.id, reason: 'invalid_password' });
                 return res.status(400).json({
                     success: false,
                     error: 'Invalid old password'
@@ -625,9 +1023,11 @@ class UserController {
             }
 
             const hashedNewPassword = await bcrypt.hash(newPassword, this.salt_round);
-            await this.userModel.updatePassword(user.id, hashedNewPassword);
-
-            bus.emit(Events.PASSWORD_CHANGED, { userId: user.id });
+            await this.db_connection.transaction(async()=>{
+                await this.userModel.updatePassword(user.id, hashedNewPassword);
+                await outbox.publish(Events.PASSWORD_CHANGED, { userId: user.id, via: 'change' });
+                await auditLog.record(req, AuditActions.PASSWORD_CHANGED, { userId: user.id });
+            });
 
             return res.status(200).json({
                 success: true,
@@ -656,31 +1056,25 @@ class UserController {
         }
     }
 
+    // subscriptions:manage only, users can't pick their own plan any more
     changeSubscription = async (req, res) => {
         try {
             const { userId } = req.params;
             const { subscription_type } = req.body || {};
-            const allowed = ['free', 'plus', 'premium'];
 
             if (!userId) {
                 return res.status(400).json({ success: false, error: 'userId param required' });
             }
-            if (!subscription_type || !allowed.includes(subscription_type)) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'subscription_type must be one of: free, plus, premium'
-                });
-            }
 
-            const updated = await this.userModel.updateSubscriptionType(userId, subscription_type);
-            if (!updated || updated.success === false) {
-                return res.status(400).json({ success: false, error: 'Failed to update subscription' });
+            const result = await this.planService.changePlan(parseInt(userId), subscription_type, { changedBy: req.user.id, req });
+            if (result.error) {
+                return res.status(result.status).json({ success: false, error: result.error });
             }
 
             return res.status(200).json({
                 success: true,
                 message: 'Subscription updated',
-                subscription_type: updated.subscription_type
+                subscription_type: result.user.subscription_type
             });
         } catch (error) {
             console.error('Change subscription error:', error);
@@ -691,12 +1085,6 @@ class UserController {
     uploadAvatar = async(req, res)=>{
         try {
             const {userId} = req.params;
-            if(parseInt(userId) !== req.user.id){
-                return res.status(403).json({
-                    success: false, 
-                    error:'Forbidden'
-                });
-            }
 
             if(!req.file){
                 return res.status(400).json({
@@ -713,26 +1101,23 @@ class UserController {
                 });
             }
 
-            if(!/^image\/(png|jpe?g|webp)$/i.test(req.file.mimetype)){
+            // the file content decides, the mimetype multer reports is whatever the client claimed
+            const image = await this.avatarService.validate(req.file.buffer);
+            if(image.error){
                 return res.status(400).json({
                     success:false, 
-                    error:'Only png, jpg, jpeg, webp allowed' 
+                    error: image.error
                 });
             }
 
-            const result = await uploadAvatarBuffer(req.file.buffer, userId);
-            const updated = await this.userModel.setAvatarUrl(userId, result);
-
-            if(!updated || updated.success === false){
-                return res.status(500).json({ success:false, error:'Failed to save avatar URL' });
-            }
-
-            bus.emit(Events.USER_PROFILE_UPDATED, {userId, changed: ['avatar_url']});
+            const updated = await this.avatarService.replaceAvatar(userId, req.file);
+            await auditLog.record(req, AuditActions.AVATAR_UPDATED, { userId: parseInt(userId) });
 
             return res.status(200).json({
                 success: true,
                 message: 'Avatar updated',
-                avatar_url: result.secure_url
+                avatar_url: updated.avatar_url,
+                avatar: this.avatarService.present(updated)
             })
         } catch (error) {
             console.error('Avatar upload error:', error);
@@ -0,0 +1,272 @@
+const WebhookModel = require('../models/webhookModel.js');
+const WebhookService = require('../webhooks/webhookService.js');
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed', 'skipped'];
+const MAX_URL_LENGTH = 2000;
+const MAX_DESCRIPTION_LENGTH = 200;
+const MAX_EVENT_PATTERNS = 50;
+const MAX_PAGE_SIZE = 100;
+
+class WebhookController {
+    constructor() {
+        this.webhookModel = new WebhookModel();
+        this.webhookService = new WebhookService();
+    }
+
+    present = (endpoint) => ({
+        id: endpoint.id,
+        url: endpoint.url,
+        description: endpoint.description,
+        events: endpoint.events,
+        is_active: endpoint.is_active,
+        consecutive_failures: endpoint.consecutive_failures,
+        disabled_at: endpoint.disabled_at,
+        disabled_reason: endpoint.disabled_reason,
+        last_success_at: endpoint.last_success_at,
+        last_failure_at: endpoint.last_failure_at,
+        created_by: endpoint.created_by,
+        created_at: endpoint.created_at,
+        updated_at: endpoint.updated_at
+    });
+
+    presentDelivery = (delivery) => ({
+        ...delivery,
+        id: Number(delivery.id),
+        replay_of: delivery.replay_of === null ? null : Number(delivery.replay_of)
+    });
+
+    // plain http only outside production, receivers get user data
+    parseUrl = (value) => {
+        if (typeof value !== 'string' || !value || value.length > MAX_URL_LENGTH) return null;
+        try {
+            const url = new URL(value);
+            const allowed = process.env.NODE_ENV === 'production' ? ['https:'] : ['https:', 'http:'];
+            return allowed.includes(url.protocol) ? url.toString() : null;
+        } catch (error) {
+            return null;
+        }
+    };
+
+    // { url, events, description, is_active } -> { fields } or { error }; partial leaves out what wasn't sent
+    parseEndpoint = (body, { partial = false } = {}) => {
+        const fields = {};
+
+        if (!partial || body.url !== undefined) {
+            fields.url = this.parseUrl(body.url);
+            if (!fields.url) {
+                return { error: `url must be an ${process.env.NODE_ENV === 'production' ? 'https' : 'http(s)'} URL` };
+            }
+        }
+
+        if (!partial || body.events !== undefined) {
+            const events = Array.isArray(body.events) ? [...new Set(body.events)] : [];
+            if (!events.length || events.length > MAX_EVENT_PATTERNS || !events.every(event => typeof event === 'string' && event)) {
+                return { error: `events must be 1 to ${MAX_EVENT_PATTERNS} event names or patterns like user.password.*` };
+            }
+            const unknown = WebhookService.unknownPatterns(events);
+            if (unknown.length) {
+                return { error: `No event matches: ${unknown.join(', ')}. Events: ${WebhookService.EVENTS.join(', ')}` };
+            }
+            fields.events = events;
+        }
+
+        if (body.description !== undefined) {
+            if (body.description !== null && (typeof body.description !== 'string' || body.description.length > MAX_DESCRIPTION_LENGTH)) {
+                return { error: `description must be a string of up to ${MAX_DESCRIPTION_LENGTH} characters` };
+            }
+            fields.description = body.description;
+        }
+
+        if (partial && body.is_active !== undefined) {
+            if (typeof body.is_active !== 'boolean') return { error: 'is_active must be true or false' };
+            fields.isActive = body.is_active;
+        }
+
+        return { fields };
+    };
+
+    // resolves :endpointId, answers 404 itself
+    loadEndpoint = async (req, res) => {
+        const endpoint = await this.webhookModel.getEndpoint(req.params.endpointId);
+        if (!endpoint) {
+            res.status(404).json({ success: false, error: 'Webhook endpoint not found' });
+            return null;
+        }
+        return endpoint;
+    };
+
+    listEndpoints = async (req, res) => {
+        try {
+            const endpoints = await this.webhookModel.listEndpoints();
+            return res.status(200).json({
+                success: true,
+                endpoints: endpoints.map(this.present),
+                events: WebhookService.EVENTS
+            });
+        } catch (error) {
+            console.error('List webhook endpoints error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    // the signing secret is in the response this once (and after a rotation), store it on the receiving side
+    createEndpoint = async (req, res) => {
+        try {
+            const { fields, error } = this.parseEndpoint(req.body || {});
+            if (error) {
+                return res.status(400).json({ success: false, error });
+            }
+
+            const secret = WebhookService.createSecret();
+            const endpoint = await this.webhookModel.createEndpoint({ ...fields, secret, createdBy: req.user.id });
+
+            return res.status(201).json({
+                success: true,
+                message: 'Webhook endpoint created. Keep the secret, it is not shown again',
+                endpoint: this.present(endpoint),
+                secret
+            });
+        } catch (error) {
+            console.error('Create webhook endpoint error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    getEndpoint = async (req, res) => {
+        try {
+            const endpoint = await this.loadEndpoint(req, res);
+            if (!endpoint) return;
+
+            return res.status(200).json({ success: true, endpoint: this.present(endpoint) });
+        } catch (error) {
+            console.error('Get webhook endpoint error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    // is_active: true turns an endpoint that was disabled after failures back on
+    updateEndpoint = async (req, res) => {
+        try {
+            const { fields, error } = this.parseEndpoint(req.body || {}, { partial: true });
+            if (error) {
+                return res.status(400).json({ success: false, error });
+            }
+            if (!Object.keys(fields).length) {
+                return res.status(400).json({ success: false, error: 'Nothing to update, send url, events, description or is_active' });
+            }
+
+            const endpoint = await this.webhookModel.updateEndpoint(req.params.endpointId, fields);
+            if (!endpoint) {
+                return res.status(404).json({ success: false, error: 'Webhook endpoint not found' });
+            }
+
+            return res.status(200).json({ success: true, message: 'Webhook endpoint updated', endpoint: this.present(endpoint) });
+        } catch (error) {
+            console.error('Update webhook endpoint error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    deleteEndpoint = async (req, res) => {
+        try {
+            const deleted = await this.webhookModel.deleteEndpoint(req.params.endpointId);
+            if (!deleted) {
+                return res.status(404).json({ success: false, error: 'Webhook endpoint not found' });
+            }
+            return res.status(200).json({ success: true, message: 'Webhook endpoint deleted' });
+        } catch (error) {
+            console.error('Delete webhook endpoint error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    // the old secret stops working right away, deliveries still pending are signed with the new one
+    rotateSecret = async (req, res) => {
+        try {
+            const secret = WebhookService.createSecret();
+            const endpoint = await this.webhookModel.rotateSecret(req.params.endpointId, secret);
+            if (!endpoint) {
+                return res.status(404).json({ success: false, error: 'Webhook endpoint not found' });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Secret rotated. Keep it, it is not shown again',
+                endpoint: this.present(endpoint),
+                secret
+            });
+        } catch (error) {
+            console.error('Rotate webhook secret error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    listDeliveries = async (req, res) => {
+        try {
+            const { page = '1', limit = '20', status, event } = req.query;
+
+            const pageNumber = parseInt(page);
+            const pageSize = parseInt(limit);
+            if (!Number.isInteger(pageNumber) || pageNumber < 1 || !Number.isInteger(pageSize) || pageSize < 1) {
+                return res.status(400).json({ success: false, error: 'page and limit must be positive integers' });
+            }
+
+            if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+                return res.status(400).json({ success: false, error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+            }
+
+            const endpoint = await this.loadEndpoint(req, res);
+            if (!endpoint) return;
+
+            const size = Math.min(pageSize, MAX_PAGE_SIZE);
+            const { deliveries, total } = await this.webhookModel.listDeliveries(endpoint.id, {
+                status,
+                event,
+                limit: size,
+                offset: (pageNumber - 1) * size
+            });
+
+            return res.status(200).json({
+                success: true,
+                deliveries: deliveries.map(this.presentDelivery),
+                pagination: {
+                    page: pageNumber,
+                    limit: size,
+                    total,
+                    total_pages: Math.ceil(total / size)
+                }
+            });
+        } catch (error) {
+            console.error('List webhook deliveries error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+
+    replayDelivery = async (req, res) => {
+        try {
+            const endpoint = await this.loadEndpoint(req, res);
+            if (!endpoint) return;
+
+            const delivery = await this.webhookModel.getDelivery(req.params.deliveryId);
+            if (!delivery || delivery.endpoint_id !== endpoint.id) {
+                return res.status(404).json({ success: false, error: 'Delivery not found' });
+            }
+
+            if (!endpoint.is_active) {
+                return res.status(409).json({ success: false, error: 'Webhook endpoint is disabled, turn it back on first' });
+            }
+
+            const replay = await this.webhookService.replay(delivery);
+            return res.status(202).json({
+                success: true,
+                message: 'Delivery queued again',
+                delivery: this.presentDelivery(replay)
+            });
+        } catch (error) {
+            console.error('Replay webhook delivery error:', error);
+            return res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+}
+
+module.exports = WebhookController;
@@ -2,9 +2,13 @@ const dotenv = require('dotenv');
 const pkg = require('pg');
 const {Pool} = pkg;
 const path = require('path');
+const {AsyncLocalStorage} = require('async_hooks');
 
 // dotenv.config({path: path.resolve(__dirname, '../../.env')});
 
+// the open transaction of the current async call chain, models pick it up through query_executor
+const transactionContext = new AsyncLocalStorage();
+
 class DB_Connection{
     static #instance;
     pool;
@@ -35,7 +39,9 @@ class DB_Connection{
 
     query_executor = async(query, params=[])=>{
         const start = Date.now();
-        const client = await this.pool.connect();
+        const transaction = transactionContext.getStore();
+        const inTransaction = transaction && !transaction.done;
+        const client = inTransaction ? transaction.client : await this.pool.connect();
         try {
             const result = await client.query(query, params);
             if(process.env.LOG_SQL === 'true'){
@@ -46,10 +52,50 @@ class DB_Connection{
         } catch (error) {
             console.log("Error executing database query: " + error.message);
             throw error; 
+        } finally{
+            if(!inTransaction) client.release();
+        }
+    }
+
+    // runs callback(client) inside BEGIN/COMMIT, rolls back if it throws.
+    // query_executor calls made while the callback runs go through the same client,
+    // and a transaction() opened inside another one joins it instead of starting its own
+    transaction = async(callback)=>{
+        const current = transactionContext.getStore();
+        if(current && !current.done){
+            return callback(current.client);
+        }
+
+        const client = await this.pool.connect();
+        const context = {client, done: false, afterCommit: []};
+        try {
+            await client.query('BEGIN');
+            const result = await transactionContext.run(context, ()=> callback(client));
+            await client.query('COMMIT');
+            context.done = true;
+            for(const hook of context.afterCommit){
+                try { hook(); } catch (error) { console.log("afterCommit hook failed: " + error.message); }
+            }
+            return result;
+        } catch (error) {
+            context.done = true;
+            await client.query('ROLLBACK');
+            console.log("Transaction rolled back: " + error.message);
+            throw error;
         } finally{
             client.release();
         }
     }
+
+    // runs fn once the current transaction commits (never if it rolls back), or right away outside one
+    afterCommit = (fn)=>{
+        const current = transactionContext.getStore();
+        if(current && !current.done){
+            current.afterCommit.push(fn);
+            return;
+        }
+        fn();
+    }
 }
 
 module.exports = DB_Connection;
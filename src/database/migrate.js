@@ -0,0 +1,70 @@
+// usage: node src/database/migrate.js up | down [steps] | status | create <name>
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config({path: path.resolve(__dirname, '../.env')});
+
+const Migrator = require('./migrator.js');
+const RoleModel = require('../models/roleModel.js');
+const DB_Connection = require('./db.js');
+
+const create = (name)=>{
+    if(!name || !/^[\w-]+$/.test(name)){
+        throw new Error('Usage: migrate.js create <name> (letters, digits, _ and - only)');
+    }
+
+    const migrator = new Migrator();
+    const last = migrator.loadMigrations().at(-1);
+    const version = String(last ? Number(last.version) + 1 : 1).padStart(4, '0');
+
+    for(const direction of ['up', 'down']){
+        const file = path.join(migrator.directory, `${version}_${name}.${direction}.sql`);
+        fs.writeFileSync(file, '');
+        console.log(`Created ${path.relative(process.cwd(), file)}`);
+    }
+}
+
+const main = async()=>{
+    const [command = 'up', arg] = process.argv.slice(2);
+    const migrator = new Migrator();
+
+    switch(command){
+        case 'up': {
+            const ran = await migrator.up();
+            await new RoleModel().seedRolesAndPermissions();
+            if(!ran.length) console.log('Database is up to date');
+            break;
+        }
+        case 'down': {
+            const steps = arg === undefined ? 1 : parseInt(arg);
+            if(!Number.isInteger(steps) || steps < 1){
+                throw new Error('steps must be a positive integer');
+            }
+            const reverted = await migrator.down(steps);
+            if(!reverted.length) console.log('Nothing to revert');
+            break;
+        }
+        case 'status': {
+            const rows = await migrator.status();
+            for(const row of rows){
+                const state = row.applied_at ? `applied ${row.applied_at.toISOString()}` : 'pending';
+                console.log(`${row.version}_${row.name}  ${state}${row.changed ? '  (changed since applied)' : ''}`);
+            }
+            break;
+        }
+        case 'create':
+            create(arg);
+            return;
+        default:
+            throw new Error(`Unknown command: ${command}`);
+    }
+}
+
+main()
+    .then(()=> new DB_Connection().pool.end())
+    .catch(async(error)=>{
+        console.error(error.message);
+        await new DB_Connection().pool.end();
+        process.exit(1);
+    });
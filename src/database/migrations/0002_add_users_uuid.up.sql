@@ -0,0 +1,4 @@
+-- public identifier, so the serial id doesn't have to leave the API
+ALTER TABLE users ADD COLUMN IF NOT EXISTS uuid UUID NOT NULL DEFAULT gen_random_uuid();
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_uuid ON users(uuid);
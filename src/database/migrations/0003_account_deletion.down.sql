@@ -0,0 +1,5 @@
+DROP INDEX IF EXISTS idx_users_purge_after;
+
+ALTER TABLE users DROP COLUMN IF EXISTS avatar_public_id;
+ALTER TABLE users DROP COLUMN IF EXISTS purge_after;
+ALTER TABLE users DROP COLUMN IF EXISTS deleted_at;
@@ -0,0 +1,8 @@
+-- soft delete: the row stays until purge_after, logging in before that cancels the deletion
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS purge_after TIMESTAMP;
+
+-- cloudinary public id of the uploaded avatar, needed to delete the image with the account
+ALTER TABLE users ADD COLUMN IF NOT EXISTS avatar_public_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_users_purge_after ON users(purge_after) WHERE purge_after IS NOT NULL;
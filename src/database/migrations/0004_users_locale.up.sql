@@ -0,0 +1,2 @@
+-- preferred language for emails, NULL means the default locale
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locale VARCHAR(16);
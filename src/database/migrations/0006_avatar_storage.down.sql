@@ -0,0 +1,2 @@
+ALTER TABLE users DROP COLUMN IF EXISTS avatar_storage;
+ALTER TABLE users RENAME COLUMN avatar_key TO avatar_public_id;
@@ -0,0 +1,6 @@
+-- avatars can live in any storage driver now, so the row keeps the driver name next to the object key
+ALTER TABLE users RENAME COLUMN avatar_public_id TO avatar_key;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS avatar_storage VARCHAR(32);
+
+-- everything uploaded so far went to cloudinary
+UPDATE users SET avatar_storage = 'cloudinary' WHERE avatar_key IS NOT NULL;
@@ -0,0 +1,3 @@
+ALTER TABLE users DROP COLUMN IF EXISTS avatar_color;
+ALTER TABLE users DROP COLUMN IF EXISTS avatar_blurhash;
+ALTER TABLE users DROP COLUMN IF EXISTS avatar_variants;
@@ -0,0 +1,6 @@
+-- resized copies made by the server: {"thumb": {"key", "url", "width", "height"}, "medium": {...}, "large": {...}}
+ALTER TABLE users ADD COLUMN IF NOT EXISTS avatar_variants JSONB;
+
+-- shown while the image loads
+ALTER TABLE users ADD COLUMN IF NOT EXISTS avatar_blurhash VARCHAR(64);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS avatar_color VARCHAR(7);
@@ -0,0 +1,21 @@
+-- documents uploaded through /api/files. The bytes are a private object of the storage driver,
+-- text extracted from PDFs and plain text files feeds the search vector
+CREATE TABLE IF NOT EXISTS files (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    storage VARCHAR(20) NOT NULL,
+    storage_key TEXT NOT NULL,
+    original_name VARCHAR(255) NOT NULL,
+    content_type VARCHAR(100) NOT NULL,
+    size_bytes BIGINT NOT NULL,
+    sha256 CHAR(64) NOT NULL,
+    extracted_text TEXT,
+    text_status VARCHAR(16) NOT NULL DEFAULT 'none' CHECK (text_status IN ('none', 'extracted', 'failed')),
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        to_tsvector('simple', coalesce(original_name, '') || ' ' || coalesce(extracted_text, ''))
+    ) STORED,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_files_user_id ON files(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_files_search ON files USING GIN (search_vector);
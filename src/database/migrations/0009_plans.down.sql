@@ -0,0 +1,2 @@
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_subscription_type_fkey;
+DROP TABLE IF EXISTS plans;
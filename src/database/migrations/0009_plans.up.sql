@@ -0,0 +1,25 @@
+-- subscription plans and what they entitle to. users.subscription_type holds the plan code.
+-- features: flags checked per route ({"files.search": true}), limits: numbers read by the code enforcing them
+CREATE TABLE IF NOT EXISTS plans (
+    code VARCHAR(20) PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    features JSONB NOT NULL DEFAULT '{}',
+    limits JSONB NOT NULL DEFAULT '{}',
+    -- an inactive plan can't be given to anyone any more, users already on it keep it
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO plans (code, name, features, limits, sort_order) VALUES
+    ('free', 'Free', '{"files.upload": true, "files.search": false}', '{"storage_mb": 100, "api_requests_per_15m": 500}', 0),
+    ('plus', 'Plus', '{"files.upload": true, "files.search": true}', '{"storage_mb": 2048, "api_requests_per_15m": 2000}', 1),
+    ('premium', 'Premium', '{"files.upload": true, "files.search": true}', '{"storage_mb": 20480, "api_requests_per_15m": 10000}', 2)
+ON CONFLICT (code) DO NOTHING;
+
+UPDATE users SET subscription_type = 'free' WHERE subscription_type NOT IN (SELECT code FROM plans);
+
+ALTER TABLE users
+    ADD CONSTRAINT users_subscription_type_fkey FOREIGN KEY (subscription_type) REFERENCES plans(code) ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS billing_events;
+DROP TABLE IF EXISTS billing_invoices;
+DROP TABLE IF EXISTS billing_subscriptions;
+DROP TABLE IF EXISTS billing_customers;
+ALTER TABLE plans DROP COLUMN IF EXISTS billing_price_id;
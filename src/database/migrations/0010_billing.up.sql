@@ -0,0 +1,65 @@
+-- payments drive users.subscription_type: the provider's webhooks land in billing_events (once per event id),
+-- subscriptions and invoices are mirrored so the plan can be worked out without asking the provider
+
+-- price of the plan at the provider, checkout sells this price and webhooks map it back to the plan
+ALTER TABLE plans ADD COLUMN IF NOT EXISTS billing_price_id VARCHAR(100) UNIQUE;
+
+CREATE TABLE IF NOT EXISTS billing_customers (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    provider VARCHAR(20) NOT NULL,
+    customer_id VARCHAR(100) NOT NULL UNIQUE,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS billing_subscriptions (
+    id VARCHAR(100) PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    provider VARCHAR(20) NOT NULL,
+    customer_id VARCHAR(100),
+    plan_code VARCHAR(20) REFERENCES plans(code) ON UPDATE CASCADE,
+    -- provider status: trialing, active, past_due, unpaid, canceled, incomplete, incomplete_expired, paused
+    status VARCHAR(32) NOT NULL,
+    trial_ends_at TIMESTAMP,
+    current_period_end TIMESTAMP,
+    cancel_at_period_end BOOLEAN NOT NULL DEFAULT false,
+    canceled_at TIMESTAMP,
+    -- a past_due / unpaid subscription keeps its plan until then
+    grace_until TIMESTAMP,
+    -- creation time of the newest event applied, events arriving out of order are not applied over it
+    last_event_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_billing_subscriptions_user_id ON billing_subscriptions(user_id);
+CREATE INDEX IF NOT EXISTS idx_billing_subscriptions_grace ON billing_subscriptions(grace_until) WHERE grace_until IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS billing_invoices (
+    id VARCHAR(100) PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    subscription_id VARCHAR(100),
+    status VARCHAR(20) NOT NULL,
+    currency VARCHAR(3),
+    amount_due INTEGER NOT NULL DEFAULT 0,
+    amount_paid INTEGER NOT NULL DEFAULT 0,
+    hosted_invoice_url TEXT,
+    period_start TIMESTAMP,
+    period_end TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_billing_invoices_user_id ON billing_invoices(user_id, created_at DESC);
+
+-- every webhook event received. processed_at is set in the transaction that applied it,
+-- a redelivery of a processed event is acknowledged without doing anything
+CREATE TABLE IF NOT EXISTS billing_events (
+    id VARCHAR(100) PRIMARY KEY,
+    provider VARCHAR(20) NOT NULL,
+    type VARCHAR(100) NOT NULL,
+    payload JSONB NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 1,
+    last_error TEXT,
+    received_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    processed_at TIMESTAMP
+);
@@ -0,0 +1,24 @@
+-- per-user channel choices, see src/notifications/notificationTypes.js. channels only holds the types the user
+-- changed ({"plan_changed": ["in_app"]}), everything else follows the defaults. Quiet hours are wall-clock times
+-- in the user's timezone and may wrap past midnight (22:00 - 07:00)
+CREATE TABLE IF NOT EXISTS notification_preferences (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    channels JSONB NOT NULL DEFAULT '{}',
+    quiet_hours_start TIME,
+    quiet_hours_end TIME,
+    timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+    email_digest VARCHAR(10) NOT NULL DEFAULT 'daily' CHECK (email_digest IN ('daily', 'off')),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    CHECK ((quiet_hours_start IS NULL) = (quiet_hours_end IS NULL))
+);
+
+-- low priority emails waiting for the daily digest, removed once it is sent
+CREATE TABLE IF NOT EXISTS notification_digest_items (
+    id BIGSERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(50) NOT NULL,
+    data JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_digest_items_user_id ON notification_digest_items(user_id, id);
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS socket_io_attachments;
+ALTER TABLE users DROP COLUMN IF EXISTS last_seen_at;
+DROP TABLE IF EXISTS socket_connections;
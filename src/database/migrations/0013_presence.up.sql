@@ -0,0 +1,22 @@
+-- one row per open socket, written by the instance holding it (src/realtime/presence.js). A user is online while
+-- they have a row; instances refresh seen_at on a heartbeat, so the rows of a crashed instance age out
+CREATE TABLE IF NOT EXISTS socket_connections (
+    socket_id VARCHAR(64) PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    instance_id VARCHAR(128) NOT NULL,
+    connected_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    seen_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_socket_connections_user_id ON socket_connections(user_id);
+CREATE INDEX IF NOT EXISTS idx_socket_connections_instance_id ON socket_connections(instance_id);
+
+-- set when the last socket of the user goes away
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP;
+
+-- SOCKET_ADAPTER=postgres: packets over the NOTIFY size limit are passed through this table
+CREATE TABLE IF NOT EXISTS socket_io_attachments (
+    id BIGSERIAL UNIQUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    payload BYTEA
+);
@@ -0,0 +1,20 @@
+-- messages admins send to every user, the users of some plans or a list of users. audience holds the plan codes
+-- or user ids. Each recipient gets one as an 'announcement' notification when it goes out, see
+-- src/notifications/announcementSender.js; recipients is filled in then
+CREATE TABLE IF NOT EXISTS announcements (
+    id SERIAL PRIMARY KEY,
+    title VARCHAR(200) NOT NULL,
+    body TEXT NOT NULL,
+    audience_type VARCHAR(10) NOT NULL CHECK (audience_type IN ('all', 'plans', 'users')),
+    audience JSONB NOT NULL DEFAULT '[]',
+    send_email BOOLEAN NOT NULL DEFAULT false,
+    status VARCHAR(10) NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'sending', 'sent', 'cancelled')),
+    scheduled_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    recipients INTEGER,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    sent_at TIMESTAMP,
+    cancelled_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_announcements_created_at ON announcements(created_at DESC);
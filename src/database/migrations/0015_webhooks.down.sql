@@ -0,0 +1,6 @@
+DROP TABLE IF EXISTS webhook_deliveries;
+DROP TABLE IF EXISTS webhook_endpoints;
+
+DELETE FROM outbox_messages WHERE kind = 'webhook';
+ALTER TABLE outbox_messages DROP CONSTRAINT IF EXISTS outbox_messages_kind_check;
+ALTER TABLE outbox_messages ADD CONSTRAINT outbox_messages_kind_check CHECK (kind IN ('event', 'email'));
@@ -0,0 +1,5 @@
+ALTER TABLE users DROP COLUMN IF EXISTS password_reset_required;
+
+DROP TABLE IF EXISTS device_tokens;
+DROP TABLE IF EXISTS known_locations;
+DROP TABLE IF EXISTS known_devices;
@@ -0,0 +1,46 @@
+-- devices a user signed in from, keyed by a fingerprint of the browser and OS (or the id an app sends).
+-- confirmed_at stays NULL while DEVICE_CONFIRMATION_REQUIRED holds the device back until the user confirms it
+CREATE TABLE IF NOT EXISTS known_devices (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    fingerprint VARCHAR(64) NOT NULL,
+    label VARCHAR(100) NOT NULL,
+    user_agent TEXT,
+    last_ip VARCHAR(45),
+    country VARCHAR(2),
+    region VARCHAR(100),
+    city VARCHAR(100),
+    confirmed_at TIMESTAMP,
+    first_seen_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    last_seen_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    UNIQUE (user_id, fingerprint)
+);
+
+-- countries the user signed in from, a sign-in from any other one counts as an unusual location
+CREATE TABLE IF NOT EXISTS known_locations (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    country VARCHAR(2) NOT NULL,
+    first_seen_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    last_seen_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (user_id, country)
+);
+
+-- the links in the device emails: confirm lets a held back device in, deny ("this wasn't me") disowns it.
+-- new_country is the country the sign-in added to known_locations, a deny takes it back out
+CREATE TABLE IF NOT EXISTS device_tokens (
+    id SERIAL PRIMARY KEY,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    device_id INTEGER NOT NULL REFERENCES known_devices(id) ON DELETE CASCADE,
+    purpose VARCHAR(10) NOT NULL CHECK (purpose IN ('confirm', 'deny')),
+    ip_address VARCHAR(45),
+    new_country VARCHAR(2),
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_device_tokens_device_id ON device_tokens(device_id);
+
+-- set by "this wasn't me": the password is known to someone else, so password sign-in waits for a reset
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_reset_required BOOLEAN NOT NULL DEFAULT false;
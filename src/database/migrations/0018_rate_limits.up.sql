@@ -0,0 +1,9 @@
+-- rate limit counters for RATE_LIMIT_STORE=postgres, so every instance counts against the same limit.
+-- One row per policy and client (the key starts with the policy), a hit after reset_at starts the window over
+CREATE TABLE IF NOT EXISTS rate_limit_hits (
+    key VARCHAR(255) PRIMARY KEY,
+    hits INTEGER NOT NULL DEFAULT 0,
+    reset_at TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_hits_reset_at ON rate_limit_hits(reset_at);
@@ -0,0 +1,3 @@
+-- an event whose listeners partly failed is retried for those listeners only (their bus names),
+-- NULL delivers to every listener
+ALTER TABLE outbox_messages ADD COLUMN IF NOT EXISTS listeners TEXT[];
@@ -0,0 +1,2 @@
+-- the column comes back empty, the tokens it held are gone
+ALTER TABLE users ADD COLUMN IF NOT EXISTS refresh_token TEXT;
@@ -0,0 +1,3 @@
+-- databases from before migrations (the old init-table) still have the plaintext refresh JWT of each user's last
+-- login here. Sessions keep only a hash of theirs in user_sessions, nothing reads the column anymore
+ALTER TABLE users DROP COLUMN IF EXISTS refresh_token;
@@ -0,0 +1,3 @@
+-- email_verified is also set on sign up when REQUIRE_EMAIL_VERIFICATION is off, so it proves nothing about the
+-- address. This one is only set once the owner showed they read it: the verification link, or Google saying so
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_confirmed_at TIMESTAMPTZ;
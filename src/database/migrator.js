@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const DB_Connection = require('./db.js');
+
+// any constant works, it only has to be the same for every app instance
+const MIGRATION_LOCK_ID = 7217341;
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+class Migrator{
+    constructor(directory = path.join(__dirname, 'migrations')){
+        this.db_connection = new DB_Connection();
+        this.directory = directory;
+    }
+
+    checksum = (sql)=> crypto.createHash('sha256').update(sql).digest('hex');
+
+    // [{version, name, up, down}] sorted by version, down is null when there is no .down.sql
+    loadMigrations = ()=>{
+        const migrations = new Map();
+        for(const file of fs.readdirSync(this.directory)){
+            const match = FILE_PATTERN.exec(file);
+            if(!match) continue;
+
+            const [, version, name, direction] = match;
+            const migration = migrations.get(version) || {version, name, up: null, down: null};
+            if(migration.name !== name){
+                throw new Error(`Migration ${version} has two names: ${migration.name} and ${name}`);
+            }
+            migration[direction] = fs.readFileSync(path.join(this.directory, file), 'utf8');
+            migrations.set(version, migration);
+        }
+
+        const list = [...migrations.values()].sort((a, b)=> Number(a.version) - Number(b.version));
+        for(const migration of list){
+            if(!migration.up) throw new Error(`Migration ${migration.version}_${migration.name} has no .up.sql`);
+        }
+        return list;
+    }
+
+    // one client holds a session level advisory lock, so app containers booting together run migrations one at a time
+    withLock = async(callback)=>{
+        const client = await this.db_connection.pool.connect();
+        try {
+            await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+            await client.query(`
+                CREATE TABLE IF NOT EXISTS schema_migrations (
+                    version VARCHAR(32) PRIMARY KEY,
+                    name VARCHAR(255) NOT NULL,
+                    checksum VARCHAR(64) NOT NULL,
+                    applied_at TIMESTAMP DEFAULT NOW()
+                );
+            `);
+            return await callback(client);
+        } finally{
+            await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(()=>{});
+            client.release();
+        }
+    }
+
+    getApplied = async(client)=>{
+        const result = await client.query(`SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version`);
+        return new Map(result.rows.map(row => [row.version, row]));
+    }
+
+    runInTransaction = async(client, sql, record)=>{
+        try {
+            await client.query('BEGIN');
+            await client.query(sql);
+            await record();
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        }
+    }
+
+    // applies every pending migration in order, each one in its own transaction
+    up = async()=>{
+        const migrations = this.loadMigrations();
+
+        return this.withLock(async(client)=>{
+            const applied = await this.getApplied(client);
+            const ran = [];
+
+            for(const migration of migrations){
+                const existing = applied.get(migration.version);
+                if(existing){
+                    if(existing.checksum !== this.checksum(migration.up)){
+                        console.log(`Warning: migration ${migration.version}_${migration.name} changed after it was applied`);
+                    }
+                    continue;
+                }
+
+                try {
+                    await this.runInTransaction(client, migration.up, ()=> client.query(
+                        `INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)`,
+                        [migration.version, migration.name, this.checksum(migration.up)]
+                    ));
+                } catch (error) {
+                    console.log(`Migration ${migration.version}_${migration.name} failed: ${error.message}`);
+                    throw error;
+                }
+
+                console.log(`Applied migration ${migration.version}_${migration.name}`);
+                ran.push(`${migration.version}_${migration.name}`);
+            }
+
+            return ran;
+        });
+    }
+
+    // reverts the latest `steps` applied migrations
+    down = async(steps = 1)=>{
+        const migrations = new Map(this.loadMigrations().map(migration => [migration.version, migration]));
+
+        return this.withLock(async(client)=>{
+            const applied = [...(await this.getApplied(client)).values()].reverse().slice(0, steps);
+            const reverted = [];
+
+            for(const row of applied){
+                const migration = migrations.get(row.version);
+                if(!migration?.down){
+                    throw new Error(`Migration ${row.version}_${row.name} has no .down.sql, can't revert it`);
+                }
+
+                try {
+                    await this.runInTransaction(client, migration.down, ()=> client.query(
+                        `DELETE FROM schema_migrations WHERE version = $1`,
+                        [row.version]
+                    ));
+                } catch (error) {
+                    console.log(`Reverting migration ${row.version}_${row.name} failed: ${error.message}`);
+                    throw error;
+                }
+
+                console.log(`Reverted migration ${row.version}_${row.name}`);
+                reverted.push(`${row.version}_${row.name}`);
+            }
+
+            return reverted;
+        });
+    }
+
+    status = async()=>{
+        const migrations = this.loadMigrations();
+
+        return this.withLock(async(client)=>{
+            const applied = await this.getApplied(client);
+            return migrations.map(migration => {
+                const row = applied.get(migration.version);
+                return {
+                    version: migration.version,
+                    name: migration.name,
+                    applied_at: row ? row.applied_at : null,
+                    changed: row ? row.checksum !== this.checksum(migration.up) : false
+                };
+            });
+        });
+    }
+}
+
+module.exports = Migrator;
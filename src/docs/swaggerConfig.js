@@ -20,6 +20,68 @@ const swaggerJsdocOptions = {
           description: 'Add access token: Bearer <token>'
         }
       },
+      parameters: {
+        UserIdParam: {
+          in: 'path',
+          name: 'userId',
+          required: true,
+          schema: { type: 'integer' }
+        },
+        RoleParam: {
+          in: 'path',
+          name: 'role',
+          required: true,
+          schema: { type: 'string', enum: ['user', 'admin'] }
+        },
+        PageParam: {
+          in: 'query',
+          name: 'page',
+          schema: { type: 'integer', minimum: 1, default: 1 }
+        },
+        LimitParam: {
+          in: 'query',
+          name: 'limit',
+          schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+        },
+        AuditUserIdParam: {
+          in: 'query',
+          name: 'user_id',
+          description: 'The account the entry is about',
+          schema: { type: 'integer' }
+        },
+        AuditActorIdParam: {
+          in: 'query',
+          name: 'actor_id',
+          description: 'Who did it',
+          schema: { type: 'integer' }
+        },
+        AuditActionParam: {
+          in: 'query',
+          name: 'action',
+          description: 'An action or a prefix pattern',
+          schema: { type: 'string', example: 'auth.*' }
+        },
+        AuditOutcomeParam: {
+          in: 'query',
+          name: 'outcome',
+          schema: { type: 'string', enum: ['success', 'failure'] }
+        },
+        AuditIpParam: {
+          in: 'query',
+          name: 'ip',
+          schema: { type: 'string' }
+        },
+        AuditFromParam: {
+          in: 'query',
+          name: 'from',
+          schema: { type: 'string', format: 'date-time' }
+        },
+        AuditToParam: {
+          in: 'query',
+          name: 'to',
+          schema: { type: 'string', format: 'date-time' }
+        }
+      },
       schemas: {
         User: {
             type: 'object',
@@ -28,17 +90,30 @@ const swaggerJsdocOptions = {
               username: { type: 'string' },
               email: { type: 'string', format: 'email' },
               email_verified: { type: 'boolean' },
-              subscription_type: { type: 'string', enum: ['free','plus','premium'] },
+              subscription_type: { type: 'string', description: 'Plan code, see /api/plans' },
               avatar_url: { type: 'string' },
+              avatar: { $ref: '#/components/schemas/Avatar' },
+              locale: { type: 'string', nullable: true, example: 'pt-BR' },
               created_at: { type: 'string', format: 'date-time' }
             }
         },
+        UserUpdateRequest: {
+          type: 'object',
+          properties: {
+            username: { type: 'string' },
+            email: { type: 'string', format: 'email' },
+            full_name: { type: 'string' },
+            locale: { type: 'string', nullable: true, description: 'Email language, e.g. en, es, pt-BR. null goes back to the default', example: 'es' }
+          }
+        },
         AuthLoginRequest: {
           type: 'object',
           required: ['username','password'],
           properties: {
             username: { type: 'string' },
-            password: { type: 'string', format: 'password' }
+            password: { type: 'string', format: 'password' },
+            deviceLabel: { type: 'string', description: 'Optional name shown in the session list' },
+            deviceId: { type: 'string', description: 'Stable id an app keeps per install, recognizes the device instead of the user agent' }
           }
         },
         AuthLoginResponse: {
@@ -50,13 +125,716 @@ const swaggerJsdocOptions = {
             user: { $ref: '#/components/schemas/User' }
           }
         },
+        MfaChallengeResponse: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            mfa_required: { type: 'boolean', example: true },
+            message: { type: 'string' },
+            mfaToken: { type: 'string', description: 'Short lived challenge, send it to /api/auth/mfa/verify' }
+          }
+        },
+        MfaVerifyRequest: {
+          type: 'object',
+          required: ['mfaToken'],
+          properties: {
+            mfaToken: { type: 'string' },
+            code: { type: 'string', example: '123456' },
+            recoveryCode: { type: 'string', example: 'a1b2c-3d4e5' }
+          }
+        },
+        MfaCodeRequest: {
+          type: 'object',
+          required: ['code'],
+          properties: {
+            code: { type: 'string', example: '123456' }
+          }
+        },
+        MfaDisableRequest: {
+          type: 'object',
+          properties: {
+            password: { type: 'string', format: 'password', description: 'Not needed for Google accounts' },
+            code: { type: 'string' },
+            recoveryCode: { type: 'string' }
+          }
+        },
+        MfaSetupResponse: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            secret: { type: 'string', description: 'Base32 secret for manual entry' },
+            otpauth_uri: { type: 'string' }
+          }
+        },
+        MfaRecoveryCodesResponse: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' },
+            recovery_codes: { type: 'array', items: { type: 'string' } }
+          }
+        },
+        MfaStatusResponse: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            mfa: {
+              type: 'object',
+              properties: {
+                enabled: { type: 'boolean' },
+                confirmed_at: { type: 'string', format: 'date-time', nullable: true },
+                recovery_codes_remaining: { type: 'integer' }
+              }
+            }
+          }
+        },
+        RefreshTokenRequest: {
+          type: 'object',
+          required: ['refreshToken'],
+          properties: {
+            refreshToken: { type: 'string' }
+          }
+        },
+        RefreshTokenResponse: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' },
+            tokens: {
+              type: 'object',
+              properties: {
+                accessToken: { type: 'string' },
+                refreshToken: { type: 'string' }
+              }
+            }
+          }
+        },
+        Session: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            device_label: { type: 'string' },
+            user_agent: { type: 'string' },
+            ip_address: { type: 'string' },
+            created_at: { type: 'string', format: 'date-time' },
+            last_used_at: { type: 'string', format: 'date-time' },
+            expires_at: { type: 'string', format: 'date-time' },
+            current: { type: 'boolean' }
+          }
+        },
+        SessionListResponse: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            sessions: { type: 'array', items: { $ref: '#/components/schemas/Session' } }
+          }
+        },
+        KnownDevice: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            label: { type: 'string', example: 'Chrome on macOS' },
+            last_ip: { type: 'string', nullable: true },
+            location: { type: 'string', nullable: true, description: 'City, region, country from the GeoIP database', example: 'Berlin, Land Berlin, DE' },
+            confirmed: { type: 'boolean', description: 'false while the device waits for confirmation' },
+            first_seen_at: { type: 'string', format: 'date-time' },
+            last_seen_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        KnownDeviceListResponse: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            devices: { type: 'array', items: { $ref: '#/components/schemas/KnownDevice' } }
+          }
+        },
+        DeviceTokenRequest: {
+          type: 'object',
+          required: ['token'],
+          properties: {
+            token: { type: 'string', description: 'The token from the link in the device email' }
+          }
+        },
         RegisterRequest: {
           type: 'object',
           required: ['username','email','password'],
           properties: {
             username: { type: 'string' },
             email: { type: 'string', format: 'email' },
-            password: { type: 'string', format: 'password' }
+            password: { type: 'string', format: 'password' },
+            locale: { type: 'string', description: 'Email language, defaults to the Accept-Language header', example: 'es' }
+          }
+        },
+        Pagination: {
+          type: 'object',
+          properties: {
+            page: { type: 'integer' },
+            limit: { type: 'integer' },
+            total: { type: 'integer' },
+            total_pages: { type: 'integer' }
+          }
+        },
+        AdminUser: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            username: { type: 'string' },
+            email: { type: 'string', format: 'email' },
+            full_name: { type: 'string', nullable: true },
+            is_active: { type: 'boolean' },
+            email_verified: { type: 'boolean' },
+            subscription_type: { type: 'string', description: 'Plan code, see /api/plans' },
+            provider: { type: 'string', nullable: true },
+            last_login: { type: 'string', format: 'date-time', nullable: true },
+            login_attempts: { type: 'integer' },
+            locked_until: { type: 'string', format: 'date-time', nullable: true },
+            created_at: { type: 'string', format: 'date-time' },
+            updated_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        AdminUserListResponse: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            users: { type: 'array', items: { $ref: '#/components/schemas/AdminUser' } },
+            pagination: { $ref: '#/components/schemas/Pagination' }
+          }
+        },
+        AdminUserResponse: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            user: {
+              allOf: [
+                { $ref: '#/components/schemas/AdminUser' },
+                {
+                  type: 'object',
+                  properties: {
+                    roles: { type: 'array', items: { type: 'string' } },
+                    active_sessions: { type: 'integer' },
+                    deleted_at: { type: 'string', format: 'date-time', nullable: true },
+                    purge_after: { type: 'string', format: 'date-time', nullable: true }
+                  }
+                }
+              ]
+            }
+          }
+        },
+        AdminLockRequest: {
+          type: 'object',
+          description: 'Send minutes or until, defaults to ACCOUNT_LOCK_MINUTES',
+          properties: {
+            minutes: { type: 'integer', minimum: 1 },
+            until: { type: 'string', format: 'date-time' }
+          }
+        },
+        DeleteAccountRequest: {
+          type: 'object',
+          description: 'password, or a fresh Google idToken for the linked Google account',
+          properties: {
+            password: { type: 'string', format: 'password' },
+            idToken: { type: 'string' }
+          }
+        },
+        DeleteAccountResponse: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' },
+            purge_after: { type: 'string', format: 'date-time', description: 'Missing when ACCOUNT_DELETION_GRACE_DAYS is 0 (deleted right away)' }
+          }
+        },
+        DataExport: {
+          type: 'object',
+          description: 'Everything stored about the user, one key per section',
+          properties: {
+            format_version: { type: 'integer' },
+            exported_at: { type: 'string', format: 'date-time' },
+            profile: { type: 'object' },
+            roles: { type: 'array', items: { type: 'string' } },
+            sessions: { type: 'array', items: { $ref: '#/components/schemas/Session' } },
+            two_factor: { type: 'object' }
+          }
+        },
+        AvatarUploadResponse: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' },
+            avatar_url: { type: 'string', description: 'The large variant. Absolute for cloudinary / s3, /uploads/... for the local driver unless STORAGE_PUBLIC_BASE_URL is set' },
+            avatar: { $ref: '#/components/schemas/Avatar' }
+          }
+        },
+        Avatar: {
+          type: 'object',
+          nullable: true,
+          description: 'Null for avatars set before server side processing (or taken from Google)',
+          properties: {
+            variants: {
+              type: 'object',
+              description: 'Square webp copies: thumb 64px, medium 256px, large 512px',
+              additionalProperties: {
+                type: 'object',
+                properties: {
+                  url: { type: 'string' },
+                  width: { type: 'integer' },
+                  height: { type: 'integer' }
+                }
+              }
+            },
+            blurhash: { type: 'string', example: 'LKO2?U%2Tw=w]~RBVZRi};RPxuwH' },
+            color: { type: 'string', description: 'Dominant color', example: '#a4683c' }
+          }
+        },
+        File: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            user_id: { type: 'integer' },
+            name: { type: 'string', example: 'invoice-2026-03.pdf' },
+            content_type: { type: 'string', description: 'Detected from the file content', example: 'application/pdf' },
+            size_bytes: { type: 'integer' },
+            sha256: { type: 'string' },
+            text_status: { type: 'string', enum: ['none', 'extracted', 'failed'], description: 'Whether text was pulled out of the file for search (PDF and text files)' },
+            snippet: { type: 'string', nullable: true, description: 'Only when listing with q: the matching passage, words of the query wrapped in <b>' },
+            created_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        FileUsage: {
+          type: 'object',
+          properties: {
+            used_bytes: { type: 'integer' },
+            file_count: { type: 'integer' },
+            quota_bytes: { type: 'integer', description: 'storage_mb limit of the plan' },
+            max_file_bytes: { type: 'integer' }
+          }
+        },
+        FileResponse: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' },
+            file: { $ref: '#/components/schemas/File' }
+          }
+        },
+        FileListResponse: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            files: { type: 'array', items: { $ref: '#/components/schemas/File' } },
+            usage: { $ref: '#/components/schemas/FileUsage' },
+            pagination: { $ref: '#/components/schemas/Pagination' }
+          }
+        },
+        FileUrlResponse: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            url: { type: 'string', example: '/api/files/0b8f.../download?expires=1767225900&signature=...' },
+            expires_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        Plan: {
+          type: 'object',
+          properties: {
+            code: { type: 'string', example: 'plus' },
+            name: { type: 'string', example: 'Plus' },
+            description: { type: 'string', nullable: true },
+            features: { type: 'object', additionalProperties: { type: 'boolean' }, example: { 'files.upload': true, 'files.search': true } },
+            limits: { type: 'object', additionalProperties: { type: 'number' }, example: { storage_mb: 2048, api_requests_per_15m: 2000 } },
+            is_active: { type: 'boolean' },
+            sort_order: { type: 'integer' },
+            billing_price_id: { type: 'string', nullable: true, description: 'Price at the billing provider, null when the plan is not for sale' }
+          }
+        },
+        PlanListResponse: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            plans: { type: 'array', items: { $ref: '#/components/schemas/Plan' } }
+          }
+        },
+        PlanUpdateRequest: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            description: { type: 'string', nullable: true },
+            features: { type: 'object', additionalProperties: { type: 'boolean' } },
+            limits: { type: 'object', additionalProperties: { type: 'number', minimum: 0 } },
+            is_active: { type: 'boolean', description: 'Inactive plans are hidden and can\'t be assigned; users already on them keep them' },
+            sort_order: { type: 'integer' },
+            billing_price_id: { type: 'string', nullable: true, example: 'price_1PqA...' }
+          }
+        },
+        EntitlementsResponse: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            plan: { type: 'string', example: 'free' },
+            name: { type: 'string', example: 'Free' },
+            features: { type: 'object', additionalProperties: { type: 'boolean' } },
+            limits: { type: 'object', additionalProperties: { type: 'number' } }
+          }
+        },
+        BillingEvent: {
+          type: 'object',
+          required: ['id', 'type', 'data'],
+          properties: {
+            id: { type: 'string', example: 'evt_1PqA...' },
+            type: { type: 'string', example: 'customer.subscription.updated' },
+            created: { type: 'integer', description: 'Unix seconds, older events than the last applied one are ignored' },
+            data: {
+              type: 'object',
+              properties: {
+                object: { type: 'object', description: 'checkout.session, subscription or invoice' }
+              }
+            }
+          }
+        },
+        CheckoutResponse: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            session_id: { type: 'string' },
+            checkout_url: { type: 'string', description: 'Send the browser here' }
+          }
+        },
+        BillingSubscription: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: 'sub_1PqA...' },
+            plan: { type: 'string', example: 'plus' },
+            status: { type: 'string', enum: ['trialing', 'active', 'past_due', 'unpaid', 'canceled', 'incomplete', 'incomplete_expired', 'paused'] },
+            is_live: { type: 'boolean', description: 'Grants its plan right now' },
+            trial_ends_at: { type: 'string', format: 'date-time', nullable: true },
+            current_period_end: { type: 'string', format: 'date-time', nullable: true },
+            cancel_at_period_end: { type: 'boolean' },
+            canceled_at: { type: 'string', format: 'date-time', nullable: true },
+            grace_until: { type: 'string', format: 'date-time', nullable: true, description: 'Past due subscriptions keep the plan until then' }
+          }
+        },
+        BillingInvoice: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            subscription_id: { type: 'string', nullable: true },
+            status: { type: 'string', example: 'paid' },
+            currency: { type: 'string', example: 'usd' },
+            amount_due: { type: 'integer', description: 'Smallest currency unit (cents)' },
+            amount_paid: { type: 'integer' },
+            hosted_invoice_url: { type: 'string', nullable: true },
+            period_start: { type: 'string', format: 'date-time', nullable: true },
+            period_end: { type: 'string', format: 'date-time', nullable: true },
+            created_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        BillingOverviewResponse: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            plan: { type: 'string' },
+            subscriptions: { type: 'array', items: { $ref: '#/components/schemas/BillingSubscription' } },
+            invoices: { type: 'array', items: { $ref: '#/components/schemas/BillingInvoice' } }
+          }
+        },
+        Presence: {
+          type: 'object',
+          properties: {
+            user_id: { type: 'integer' },
+            online: { type: 'boolean' },
+            last_seen_at: { type: 'string', format: 'date-time', nullable: true, description: 'null while online or if never connected' }
+          }
+        },
+        Notification: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            type: { type: 'string', example: 'password_changed' },
+            data: { type: 'object', example: { message: 'Password updated' } },
+            read: { type: 'boolean' },
+            read_at: { type: 'string', format: 'date-time', nullable: true },
+            created_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        NotificationListResponse: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            notifications: { type: 'array', items: { $ref: '#/components/schemas/Notification' } },
+            unread_count: { type: 'integer' },
+            pagination: { $ref: '#/components/schemas/Pagination' }
+          }
+        },
+        NotificationPreferences: {
+          type: 'object',
+          properties: {
+            channels: {
+              type: 'object',
+              description: 'Notification type -> channels it goes to (in_app, push, email), an empty list is none',
+              additionalProperties: { type: 'array', items: { type: 'string', enum: ['in_app', 'push', 'email'] } },
+              example: { plan_changed: ['in_app', 'push', 'email'], login: ['in_app', 'email'] }
+            },
+            mandatory: {
+              type: 'object',
+              description: 'Channels of security notices that stay on',
+              additionalProperties: { type: 'array', items: { type: 'string' } },
+              example: { login: ['email'] }
+            },
+            quiet_hours: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                start: { type: 'string', example: '22:00' },
+                end: { type: 'string', example: '07:00' },
+                timezone: { type: 'string', example: 'Europe/Madrid' }
+              }
+            },
+            email_digest: { type: 'string', enum: ['daily', 'off'] },
+            updated_at: { type: 'string', format: 'date-time', nullable: true }
+          }
+        },
+        NotificationPreferencesUpdate: {
+          type: 'object',
+          properties: {
+            channels: {
+              type: 'object',
+              description: 'Only the listed types change. A list of channels or "none"',
+              additionalProperties: {
+                oneOf: [
+                  { type: 'array', items: { type: 'string', enum: ['in_app', 'push', 'email'] } },
+                  { type: 'string', enum: ['none'] }
+                ]
+              },
+              example: { plan_changed: ['in_app'], welcome: 'none' }
+            },
+            quiet_hours: {
+              type: 'object',
+              nullable: true,
+              description: 'null turns quiet hours off',
+              properties: {
+                start: { type: 'string', example: '22:00' },
+                end: { type: 'string', example: '07:00' },
+                timezone: { type: 'string', example: 'Europe/Madrid', default: 'UTC' }
+              }
+            },
+            email_digest: { type: 'string', enum: ['daily', 'off'], description: 'off sends low priority emails one by one' }
+          }
+        },
+        SubscriptionUpdateRequest: {
+          type: 'object',
+          required: ['subscription_type'],
+          properties: {
+            subscription_type: { type: 'string', example: 'plus' }
+          }
+        },
+        OutboxMessage: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            kind: { type: 'string', enum: ['event', 'email', 'webhook'] },
+            topic: { type: 'string', description: 'Event name, or the email type for kind email' },
+            payload: { type: 'object', description: 'Token, secret and password keys are redacted' },
+            status: { type: 'string', enum: ['pending', 'processing', 'sent', 'dead'] },
+            attempts: { type: 'integer' },
+            max_attempts: { type: 'integer' },
+            available_at: { type: 'string', format: 'date-time', description: 'Next attempt for pending messages' },
+            locked_at: { type: 'string', format: 'date-time', nullable: true },
+            locked_by: { type: 'string', nullable: true },
+            last_error: { type: 'string', nullable: true },
+            created_at: { type: 'string', format: 'date-time' },
+            processed_at: { type: 'string', format: 'date-time', nullable: true }
+          }
+        },
+        OutboxListResponse: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            messages: { type: 'array', items: { $ref: '#/components/schemas/OutboxMessage' } },
+            pagination: { $ref: '#/components/schemas/Pagination' }
+          }
+        },
+        Announcement: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            title: { type: 'string' },
+            body: { type: 'string' },
+            audience: { $ref: '#/components/schemas/AnnouncementAudience' },
+            send_email: { type: 'boolean' },
+            status: { type: 'string', enum: ['scheduled', 'sending', 'sent', 'cancelled'] },
+            scheduled_at: { type: 'string', format: 'date-time' },
+            recipients: { type: 'integer', nullable: true, description: 'Users it went to, set once sent' },
+            created_by: { type: 'integer', nullable: true },
+            created_at: { type: 'string', format: 'date-time' },
+            sent_at: { type: 'string', format: 'date-time', nullable: true },
+            cancelled_at: { type: 'string', format: 'date-time', nullable: true }
+          }
+        },
+        AnnouncementAudience: {
+          type: 'object',
+          required: ['type'],
+          properties: {
+            type: { type: 'string', enum: ['all', 'plans', 'users'] },
+            plans: { type: 'array', items: { type: 'string' }, description: 'Plan codes, for type plans', example: ['plus', 'premium'] },
+            user_ids: { type: 'array', items: { type: 'integer' }, maxItems: 1000, description: 'For type users' }
+          }
+        },
+        AnnouncementCreateRequest: {
+          type: 'object',
+          required: ['title', 'body', 'audience'],
+          properties: {
+            title: { type: 'string', maxLength: 200, example: 'Scheduled maintenance' },
+            body: { type: 'string', maxLength: 5000, example: 'The app is read-only on Sunday 02:00 - 03:00 UTC.' },
+            audience: { $ref: '#/components/schemas/AnnouncementAudience' },
+            send_email: { type: 'boolean', default: false },
+            scheduled_at: { type: 'string', format: 'date-time', nullable: true, description: 'Leave out to send right away' }
+          }
+        },
+        AnnouncementResponse: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' },
+            announcement: { $ref: '#/components/schemas/Announcement' }
+          }
+        },
+        AnnouncementListResponse: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            announcements: { type: 'array', items: { $ref: '#/components/schemas/Announcement' } },
+            pagination: { $ref: '#/components/schemas/Pagination' }
+          }
+        },
+        WebhookEndpoint: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            url: { type: 'string', format: 'uri' },
+            description: { type: 'string', nullable: true },
+            events: { type: 'array', items: { type: 'string' }, example: ['user.registered', 'user.password.*'] },
+            is_active: { type: 'boolean' },
+            consecutive_failures: { type: 'integer', description: 'Failed attempts in a row, it is disabled at WEBHOOK_DISABLE_AFTER_FAILURES' },
+            disabled_at: { type: 'string', format: 'date-time', nullable: true },
+            disabled_reason: { type: 'string', nullable: true },
+            last_success_at: { type: 'string', format: 'date-time', nullable: true },
+            last_failure_at: { type: 'string', format: 'date-time', nullable: true },
+            created_by: { type: 'integer', nullable: true },
+            created_at: { type: 'string', format: 'date-time' },
+            updated_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        WebhookEndpointRequest: {
+          type: 'object',
+          required: ['url', 'events'],
+          properties: {
+            url: { type: 'string', format: 'uri', example: 'https://crm.example.com/hooks/users' },
+            events: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 50, description: 'Event names or patterns', example: ['user.registered', 'user.email.verified'] },
+            description: { type: 'string', maxLength: 200, nullable: true }
+          }
+        },
+        WebhookEndpointResponse: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' },
+            endpoint: { $ref: '#/components/schemas/WebhookEndpoint' }
+          }
+        },
+        WebhookEndpointSecretResponse: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' },
+            endpoint: { $ref: '#/components/schemas/WebhookEndpoint' },
+            secret: { type: 'string', example: 'whsec_4h7X...', description: 'Signs the deliveries, not shown again' }
+          }
+        },
+        WebhookDelivery: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            endpoint_id: { type: 'integer' },
+            event: { type: 'string', example: 'user.registered' },
+            event_id: { type: 'string', description: 'Sent as X-Webhook-Id, the same for replays', example: 'evt_1042' },
+            payload: { type: 'object', additionalProperties: true },
+            status: { type: 'string', enum: ['pending', 'succeeded', 'failed', 'skipped'], description: 'pending until it succeeds or runs out of attempts, skipped when the endpoint was disabled meanwhile' },
+            attempts: { type: 'integer' },
+            last_status_code: { type: 'integer', nullable: true },
+            last_error: { type: 'string', nullable: true },
+            response_body: { type: 'string', nullable: true, description: 'Start of the last answer' },
+            duration_ms: { type: 'integer', nullable: true },
+            replay_of: { type: 'integer', nullable: true },
+            created_at: { type: 'string', format: 'date-time' },
+            last_attempt_at: { type: 'string', format: 'date-time', nullable: true },
+            delivered_at: { type: 'string', format: 'date-time', nullable: true }
+          }
+        },
+        WebhookDeliveryListResponse: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            deliveries: { type: 'array', items: { $ref: '#/components/schemas/WebhookDelivery' } },
+            pagination: { $ref: '#/components/schemas/Pagination' }
+          }
+        },
+        AuditLogEntry: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            action: { type: 'string', example: 'auth.login', description: 'See src/audit/auditActions.js' },
+            outcome: { type: 'string', enum: ['success', 'failure'] },
+            actor_id: { type: 'integer', nullable: true, description: 'Who did it, null when unknown (a failed login) or a job' },
+            user_id: { type: 'integer', nullable: true, description: 'The account it is about, kept after the account is deleted' },
+            ip_address: { type: 'string', nullable: true },
+            user_agent: { type: 'string', nullable: true },
+            metadata: { type: 'object', additionalProperties: true, example: { reason: 'invalid_password' } },
+            created_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        AuditLogListResponse: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            entries: { type: 'array', items: { $ref: '#/components/schemas/AuditLogEntry' } },
+            pagination: { $ref: '#/components/schemas/Pagination' }
+          }
+        },
+        SecurityActivity: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            action: { type: 'string', example: 'auth.login' },
+            outcome: { type: 'string', enum: ['success', 'failure'] },
+            ip_address: { type: 'string', nullable: true },
+            device: { type: 'string', example: 'Chrome on macOS' },
+            initiated_by: { type: 'string', enum: ['you', 'admin'], nullable: true, description: 'null when it is not known who it was, e.g. a wrong password' },
+            details: { type: 'object', additionalProperties: true, example: { method: 'password' } },
+            created_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        SecurityActivityResponse: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            activity: { type: 'array', items: { $ref: '#/components/schemas/SecurityActivity' } },
+            pagination: { $ref: '#/components/schemas/Pagination' }
+          }
+        },
+        OutboxStatsResponse: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            stats: {
+              type: 'object',
+              properties: {
+                pending: { type: 'integer' },
+                processing: { type: 'integer' },
+                sent: { type: 'integer' },
+                dead: { type: 'integer' },
+                oldest_pending_at: { type: 'string', format: 'date-time', nullable: true }
+              }
+            }
           }
         },
         BasicSuccess: {
@@ -72,6 +850,24 @@ const swaggerJsdocOptions = {
             success: { type: 'boolean', example: false },
             error: { type: 'string' }
           }
+        },
+        RateLimitResponse: {
+          type: 'object',
+          description: 'The RateLimit and RateLimit-Policy headers name the policy that refused the request',
+          properties: {
+            success: { type: 'boolean', example: false },
+            error: { type: 'string', example: 'Too many requests, try again later' },
+            retry_after: { type: 'integer', nullable: true, description: 'Seconds until the window resets' }
+          }
+        },
+        RoleChangeResponse: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: true },
+            message: { type: 'string', example: 'Role granted, the user has to log in again' },
+            roles: { type: 'array', items: { type: 'string' }, example: ['user', 'admin'] },
+            revoked: { type: 'integer', description: 'Sessions ended, 0 when the user already had (or lacked) the role' }
+          }
         }
       }
     },
@@ -80,7 +876,13 @@ const swaggerJsdocOptions = {
     ],
     tags: [
       { name: 'Auth', description: 'Authentication & tokens' },
-      { name: 'User', description: 'User profile & settings' }
+      { name: 'User', description: 'User profile & settings' },
+      { name: 'Admin', description: 'Operator tools (users:manage permission)' },
+      { name: 'Files', description: 'Document uploads, search and signed downloads' },
+      { name: 'Plans', description: 'Subscription plans and entitlements' },
+      { name: 'Billing', description: 'Checkout and payment provider webhooks' },
+      { name: 'Notifications', description: 'In-app notification inbox' },
+      { name: 'Presence', description: 'Who is online' }
     ]
   },
   apis: [
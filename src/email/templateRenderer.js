@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+
+// Tiny mustache-like syntax, enough for transactional mail:
+//   {{name}}            escaped value (dots walk into objects: {{user.username}})
+//   {{{name}}}          raw value, only for HTML we built ourselves
+//   {{#if name}}..{{/if}}  kept when the value is truthy (no nesting of the same block)
+//   {{> partial key=path key="literal"}}  partial rendered with the current values plus the arguments
+// Templates live in <locale>/<name>.html and start with a front matter block holding the subject.
+// Partials are looked up in partials/<locale>/ first, then partials/.
+
+const TEMPLATES_DIR = path.join(__dirname, 'templates');
+const DEFAULT_LAYOUT = 'default';
+
+const TAG_PATTERN = /\{\{#if ([\w.]+)\}\}([\s\S]*?)\{\{\/if\}\}|\{\{>\s*([\w-]+)([^}]*)\}\}|\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([\w.]+)\s*\}\}/g;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+const lookup = (values, key) => key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), values);
+
+class TemplateRenderer {
+    constructor({ directory = TEMPLATES_DIR, defaultLocale = process.env.EMAIL_DEFAULT_LOCALE || 'en' } = {}) {
+        this.directory = directory;
+        this.defaultLocale = defaultLocale;
+        this.cache = new Map();
+    }
+
+    read = (relativePath) => {
+        if (!this.cache.has(relativePath)) {
+            const file = path.join(this.directory, relativePath);
+            this.cache.set(relativePath, fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null);
+        }
+        return this.cache.get(relativePath);
+    };
+
+    locales = () => fs.readdirSync(this.directory, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && !['layouts', 'partials'].includes(entry.name))
+        .map(entry => entry.name);
+
+    // "pt-BR" tries pt-BR, then pt, then the default locale
+    resolveLocale = (name, locale) => {
+        const candidates = [];
+        if (locale) {
+            const normalized = String(locale).replace('_', '-');
+            candidates.push(normalized, normalized.split('-')[0]);
+        }
+        candidates.push(this.defaultLocale);
+
+        const found = candidates.find(candidate => /^[\w-]+$/.test(candidate) && this.read(`${candidate}/${name}.html`) !== null);
+        if (!found) throw new Error(`Email template "${name}" not found for locale ${this.defaultLocale}`);
+        return found;
+    };
+
+    parseFrontMatter = (source) => {
+        const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(source);
+        if (!match) return { meta: {}, body: source };
+
+        const meta = {};
+        for (const line of match[1].split(/\r?\n/)) {
+            const separator = line.indexOf(':');
+            if (separator > 0) meta[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+        }
+        return { meta, body: source.slice(match[0].length) };
+    };
+
+    parseArguments = (source, values) => {
+        const args = {};
+        const pattern = /([\w-]+)=(?:"([^"]*)"|([\w.]+))/g;
+        let match;
+        while ((match = pattern.exec(source))) {
+            args[match[1]] = match[2] !== undefined ? match[2] : lookup(values, match[3]);
+        }
+        return args;
+    };
+
+    // one pass over the source, so nothing a value inserts is ever read as a tag
+    interpolate = (source, values, depth = 0) => {
+        if (depth > 5) throw new Error('Email partials nested too deep');
+
+        return source.replace(TAG_PATTERN, (match, ifKey, ifInner, partialName, partialArgs, rawKey, key) => {
+            if (ifKey) {
+                return lookup(values, ifKey) ? this.interpolate(ifInner, values, depth) : '';
+            }
+            if (partialName) {
+                const partial = this.read(`partials/${values.locale}/${partialName}.html`) ?? this.read(`partials/${partialName}.html`);
+                if (partial === null) throw new Error(`Email partial "${partialName}" not found`);
+                return this.interpolate(partial, { ...values, ...this.parseArguments(partialArgs, values) }, depth + 1);
+            }
+            if (rawKey) return String(lookup(values, rawKey) ?? '');
+            return escapeHtml(lookup(values, key));
+        });
+    };
+
+    // the text part comes from the same HTML, so the two can't drift apart
+    htmlToText = (html) => html
+        .replace(/<(head|style|script)[\s\S]*?<\/\1>/gi, '')
+        .replace(/<a [^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+            const text = label.replace(/<[^>]+>/g, '').trim();
+            return text && text !== href ? `${text}: ${href}` : href;
+        })
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<li[^>]*>/gi, '- ')
+        .replace(/<\/(p|div|h[1-6]|li|tr|pre|table)>/gi, '\n\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&(amp|lt|gt|quot|#39);/g, (match) => Object.keys(HTML_ESCAPES).find(char => HTML_ESCAPES[char] === match))
+        .split('\n')
+        .map(line => line.trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+
+    // -> { subject, html, text, locale }
+    render = (name, values = {}, locale) => {
+        const resolved = this.resolveLocale(name, locale);
+        const { meta, body } = this.parseFrontMatter(this.read(`${resolved}/${name}.html`));
+        const context = { ...values, locale: resolved };
+
+        const content = this.interpolate(body, context);
+        const layout = this.read(`layouts/${meta.layout || DEFAULT_LAYOUT}.html`);
+        if (layout === null) throw new Error(`Email layout "${meta.layout || DEFAULT_LAYOUT}" not found`);
+
+        const subject = this.interpolate(meta.subject || '', context);
+        const html = this.interpolate(layout, { ...context, subject, content });
+
+        return {
+            subject: this.htmlToText(subject),
+            html,
+            text: this.htmlToText(html),
+            locale: resolved
+        };
+    };
+}
+
+module.exports = {
+    TemplateRenderer,
+    escapeHtml
+};
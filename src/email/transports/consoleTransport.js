@@ -0,0 +1,18 @@
+// development fallback, prints the mail instead of sending it
+class ConsoleTransport {
+    name = 'console';
+
+    send = async (message) => {
+        console.log(`
+            ========== EMAIL (${message.category || 'general'}) ==========
+            To: ${message.to.map(recipient => recipient.email).join(', ')}
+            Subject: ${message.subject}
+
+${message.text}
+            ==========================================
+        `);
+        return { messageId: null };
+    };
+}
+
+module.exports = ConsoleTransport;
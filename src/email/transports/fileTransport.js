@@ -0,0 +1,28 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { toNodemailerMessage } = require('./nodemailerMessage.js');
+
+// writes every mail as an .eml file, nothing leaves the machine. Tests read the outbox to check what was sent
+class FileTransport {
+    name = 'file';
+
+    constructor({ directory }) {
+        this.directory = path.resolve(directory);
+        this.transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    }
+
+    send = async (message) => {
+        const info = await this.transporter.sendMail(toNodemailerMessage(message));
+
+        // timestamp first so a directory listing is in send order
+        const file = path.join(this.directory, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.writeFile(file, info.message);
+
+        return { messageId: info.messageId, file };
+    };
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,36 @@
+const ConsoleTransport = require('./consoleTransport.js');
+const MailtrapTransport = require('./mailtrapTransport.js');
+const SmtpTransport = require('./smtpTransport.js');
+const FileTransport = require('./fileTransport.js');
+
+const TRANSPORTS = ['mailtrap', 'smtp', 'file', 'console'];
+
+// EMAIL_TRANSPORT picks one, without it mailtrap is used when a token is set and console otherwise
+const createTransport = (env = process.env) => {
+    const name = (env.EMAIL_TRANSPORT || (env.MAILTRAP_TOKEN ? 'mailtrap' : 'console')).toLowerCase();
+
+    switch (name) {
+        case 'mailtrap':
+            return new MailtrapTransport({ token: env.MAILTRAP_TOKEN });
+        case 'smtp':
+            return new SmtpTransport({
+                url: env.SMTP_URL,
+                host: env.SMTP_HOST,
+                port: parseInt(env.SMTP_PORT || '587'),
+                secure: env.SMTP_SECURE === 'true',
+                user: env.SMTP_USER,
+                pass: env.SMTP_PASS
+            });
+        case 'file':
+            return new FileTransport({ directory: env.EMAIL_OUTBOX_DIR || 'outbox' });
+        case 'console':
+            return new ConsoleTransport();
+        default:
+            throw new Error(`Unknown EMAIL_TRANSPORT "${name}", use one of: ${TRANSPORTS.join(', ')}`);
+    }
+};
+
+module.exports = {
+    createTransport,
+    TRANSPORTS
+};
@@ -0,0 +1,25 @@
+const { MailtrapClient } = require('mailtrap');
+
+class MailtrapTransport {
+    name = 'mailtrap';
+
+    constructor({ token }) {
+        if (!token) throw new Error('MAILTRAP_TOKEN is required for the mailtrap email transport');
+        this.client = new MailtrapClient({ token });
+    }
+
+    send = async (message) => {
+        const response = await this.client.send({
+            from: message.from,
+            to: message.to,
+            subject: message.subject,
+            text: message.text,
+            html: message.html,
+            category: message.category,
+            headers: message.headers
+        });
+        return { messageId: response?.message_ids?.[0] || null };
+    };
+}
+
+module.exports = MailtrapTransport;
@@ -0,0 +1,18 @@
+const formatAddress = ({ email, name }) => (name ? { name, address: email } : email);
+
+// our message shape ({ email, name } recipients, like mailtrap) into what nodemailer expects
+const toNodemailerMessage = (message) => ({
+    from: formatAddress(message.from),
+    to: message.to.map(formatAddress),
+    subject: message.subject,
+    text: message.text,
+    html: message.html,
+    headers: {
+        ...(message.category && { 'X-Category': message.category }),
+        ...message.headers
+    }
+});
+
+module.exports = {
+    toNodemailerMessage
+};
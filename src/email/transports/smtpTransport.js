@@ -0,0 +1,25 @@
+const nodemailer = require('nodemailer');
+const { toNodemailerMessage } = require('./nodemailerMessage.js');
+
+// any SMTP server: Postfix, SES / SendGrid SMTP relays, MailHog / Mailpit while developing
+class SmtpTransport {
+    name = 'smtp';
+
+    constructor({ url, host, port, secure, user, pass }) {
+        if (!url && !host) throw new Error('SMTP_URL or SMTP_HOST is required for the smtp email transport');
+
+        this.transporter = nodemailer.createTransport(url || {
+            host,
+            port,
+            secure,
+            auth: user ? { user, pass } : undefined
+        });
+    }
+
+    send = async (message) => {
+        const info = await this.transporter.sendMail(toNodemailerMessage(message));
+        return { messageId: info.messageId };
+    };
+}
+
+module.exports = SmtpTransport;
@@ -1,27 +1,105 @@
-const {EventEmitter} = require('events');
-const bus = new EventEmitter();
-
-bus.setMaxListeners(30);
-
-bus.asyncEmit = async(event, payload)=>{
-    console.log("events: " + event);
-    
-    const listeners = bus.listeners(event);
-    
-    if(!listeners.length){
-        return;
+const client = require('prom-client');
+const Events = require('./eventsNames.js');
+const { validatePayload } = require('./eventSchemas.js');
+
+const KNOWN_EVENTS = Object.values(Events);
+
+const listenerFailures = new client.Counter({
+    name: 'event_listener_failures_total',
+    help: 'Event listeners that threw, rejected or ran past their timeout',
+    labelNames: ['event', 'listener', 'reason']
+});
+
+const listenerDuration = new client.Histogram({
+    name: 'event_listener_duration_seconds',
+    help: 'How long event listeners took, timed out ones included',
+    labelNames: ['event', 'listener'],
+    buckets: [0.005, 0.05, 0.1, 0.5, 1, 5, 10, 30]
+});
+
+// user.password.* matches everything below user.password, a * in the middle one segment, * alone every event
+const compilePattern = (pattern) => {
+    const segments = pattern.split('.').map((segment, index, all) => {
+        if (segment !== '*') return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return index === all.length - 1 ? '.+' : '[^.]+';
+    });
+    return new RegExp(`^${segments.join('\\.')}$`);
+};
+
+// the in-process side of the outbox: the dispatcher emits every published event here.
+// Payloads are checked against src/events/eventSchemas.js on publish and again on emit. Each listener runs on its
+// own: one that throws, rejects or runs past its timeout is logged and counted, the others still get the event
+class EventBus {
+    constructor() {
+        this.listeners = [];
+    }
+
+    // read on every run: this module is loaded before index.js gets to dotenv
+    get timeoutMs() {
+        return parseInt(process.env.EVENT_LISTENER_TIMEOUT_MS || '10000');
     }
 
-    const promises = listeners.map(fn => {
+    // throws when the payload doesn't fit the event's schema
+    validate = (event, payload) => {
+        const problems = validatePayload(event, payload);
+        if (problems.length) throw new Error(`Invalid ${event} payload: ${problems.join(', ')}`);
+    };
+
+    matches = (pattern, event) => (pattern.includes('*') ? compilePattern(pattern).test(event) : pattern === event);
+
+    // listener(payload, { event, id }), id is the outbox message's when the dispatcher emitted it.
+    // name labels its log lines and metrics, timeoutMs overrides EVENT_LISTENER_TIMEOUT_MS.
+    // A pattern that matches no known event is a typo and throws. -> a function that removes the listener
+    on = (pattern, listener, { name = listener.name || 'anonymous', timeoutMs = null } = {}) => {
+        const matcher = pattern.includes('*') ? compilePattern(pattern) : null;
+        if (!KNOWN_EVENTS.some(event => this.matches(pattern, event))) {
+            throw new Error(`No event matches ${pattern}`);
+        }
+
+        const entry = { pattern, matcher, listener, name, timeoutMs };
+        this.listeners.push(entry);
+        return () => this.off(pattern, listener);
+    };
+
+    off = (pattern, listener) => {
+        this.listeners = this.listeners.filter(entry => entry.pattern !== pattern || entry.listener !== listener);
+    };
+
+    listenersFor = (event) => this.listeners.filter(entry => (entry.matcher ? entry.matcher.test(event) : entry.pattern === event));
+
+    run = async (entry, event, payload, context) => {
+        const endTimer = listenerDuration.startTimer({ event, listener: entry.name });
+        const timeoutMs = entry.timeoutMs ?? this.timeoutMs;
+        let timer;
         try {
-            console.log(fn);
-            const r = fn(payload);
-            return r instanceof Promise ? r: Promise.resolve(r);
+            const timeout = new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(Object.assign(new Error(`timed out after ${timeoutMs}ms`), { timedOut: true })), timeoutMs);
+            });
+            // the async wrapper turns a synchronous throw into a rejection, the listener still starts right away
+            await Promise.race([(async () => entry.listener(payload, context))(), timeout]);
+            return null;
         } catch (error) {
-            return Promise.reject(error)
+            const reason = error?.timedOut ? 'timeout' : 'error';
+            listenerFailures.inc({ event, listener: entry.name, reason });
+            console.error(`Event listener ${entry.name} for ${event} failed: ${error?.message || error}`);
+            return { listener: entry.name, reason, error: error?.message || String(error) };
+        } finally {
+            clearTimeout(timer);
+            endTimer();
         }
-    });
-    return Promise.allSettled(promises);
+    };
+
+    // all listeners start right away; the promise settles once each finished or timed out (a listener that timed
+    // out keeps running, it is only not waited for). Rejects only for a payload that doesn't fit the schema.
+    // only (listener names) limits the delivery to those, the dispatcher's retry of the ones that failed.
+    // -> { event, listeners, failed: [{ listener, reason, error }] }
+    emit = async (event, payload, { id = null, only = null } = {}) => {
+        this.validate(event, payload);
+
+        const entries = this.listenersFor(event).filter(entry => !only || only.includes(entry.name));
+        const results = await Promise.all(entries.map(entry => this.run(entry, event, payload, { event, id })));
+        return { event, listeners: entries.length, failed: results.filter(Boolean) };
+    };
 }
 
-module.exports = bus;
\ No newline at end of file
+module.exports = new EventBus();
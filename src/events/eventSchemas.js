@@ -0,0 +1,87 @@
+const Events = require('./eventsNames.js');
+
+// the payload of every event in eventsNames.js. Field types: integer, number, string, boolean, date (a Date,
+// or the ISO string it becomes on its way through the outbox) and [type] for an array of them.
+// A trailing ? makes the field optional, null counts as left out. Fields that aren't listed are refused
+const EventSchemas = {
+    [Events.USER_REGISTERED]: { userId: 'integer', email: 'string', username: 'string' },
+    [Events.USER_EMAIL_VERIFIED]: { userId: 'integer', email: 'string' },
+    [Events.USER_LOGIN]: { userId: 'integer', device: 'string?', ipAddress: 'string?', country: 'string?' },
+    [Events.LOGIN_UNRECOGNIZED]: {
+        userId: 'integer',
+        deviceId: 'integer',
+        device: 'string',
+        ipAddress: 'string?',
+        country: 'string?',
+        newDevice: 'boolean',
+        newLocation: 'boolean',
+        held: 'boolean'
+    },
+    [Events.DEVICE_REJECTED]: { userId: 'integer', deviceId: 'integer', device: 'string', sessionsRevoked: 'integer' },
+    [Events.USER_PROFILE_UPDATED]: { userId: 'integer', changed: ['string'] },
+    [Events.PASSWORD_RESET_REQUESTED]: { userId: 'integer', email: 'string' },
+    [Events.PASSWORD_CHANGED]: { userId: 'integer', via: 'string?' },
+    [Events.REFRESH_TOKEN_REUSED]: { userId: 'integer', sessionId: 'string?' },
+    [Events.SESSION_REVOKED]: { userId: 'integer', sessionIds: ['string'] },
+    [Events.ACCOUNT_LOCKED]: { userId: 'integer', lockedUntil: 'date', reason: 'string' },
+    [Events.USER_DEACTIVATED]: { userId: 'integer' },
+    [Events.USER_REACTIVATED]: { userId: 'integer' },
+    [Events.USER_DELETION_SCHEDULED]: { userId: 'integer', email: 'string?', purgeAfter: 'date' },
+    [Events.USER_DELETION_CANCELLED]: { userId: 'integer', email: 'string?' },
+    [Events.USER_DELETED]: { userId: 'integer', email: 'string?' },
+    [Events.MFA_ENABLED]: { userId: 'integer' },
+    [Events.MFA_DISABLED]: { userId: 'integer' },
+    [Events.MFA_RECOVERY_CODE_USED]: { userId: 'integer', remaining: 'integer' },
+    [Events.FILE_UPLOADED]: { userId: 'integer', fileId: 'string', contentType: 'string', sizeBytes: 'integer' },
+    [Events.FILE_DELETED]: { userId: 'integer', fileId: 'string', deletedBy: 'integer?' },
+    [Events.USER_PLAN_CHANGED]: { userId: 'integer', from: 'string?', to: 'string', changedBy: 'integer?', source: 'string' },
+    [Events.BILLING_PAYMENT_FAILED]: {
+        userId: 'integer',
+        invoiceId: 'string',
+        amountDue: 'integer',
+        currency: 'string',
+        hostedInvoiceUrl: 'string?',
+        graceUntil: 'date?'
+    },
+    [Events.BILLING_TRIAL_ENDING]: { userId: 'integer', subscriptionId: 'string', trialEndsAt: 'date?' },
+    [Events.ANNOUNCEMENT_DUE]: { announcementId: 'integer' }
+};
+
+const checks = {
+    integer: (value) => Number.isInteger(value),
+    number: (value) => typeof value === 'number' && Number.isFinite(value),
+    string: (value) => typeof value === 'string',
+    boolean: (value) => typeof value === 'boolean',
+    date: (value) => (value instanceof Date || typeof value === 'string') && !isNaN(new Date(value).getTime())
+};
+
+// -> what is wrong with the payload, [] when it fits
+const validatePayload = (event, payload) => {
+    const schema = EventSchemas[event];
+    if (!schema) return [`unknown event ${event}`];
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) return ['payload must be an object'];
+
+    const problems = Object.keys(payload).filter(key => !(key in schema)).map(key => `${key} is not part of the payload`);
+    for (const [field, spec] of Object.entries(schema)) {
+        const isArray = Array.isArray(spec);
+        const type = (isArray ? spec[0] : spec).replace(/\?$/, '');
+        const optional = !isArray && spec.endsWith('?');
+        const value = payload[field];
+
+        if (value === undefined || value === null) {
+            if (!optional) problems.push(`${field} is required`);
+        } else if (isArray ? !(Array.isArray(value) && value.every(checks[type])) : !checks[type](value)) {
+            problems.push(`${field} must be ${isArray ? `an array of ${type}s` : `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`}`);
+        }
+    }
+    return problems;
+};
+
+// a new event name without a schema should fail at boot, not on its first publish
+const missing = Object.values(Events).filter(event => !EventSchemas[event]);
+if (missing.length) throw new Error(`Events without a payload schema: ${missing.join(', ')}`);
+
+module.exports = {
+    EventSchemas,
+    validatePayload
+};
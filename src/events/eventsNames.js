@@ -2,7 +2,26 @@ module.exports = {
     USER_REGISTERED: 'user.registered',
     USER_EMAIL_VERIFIED: 'user.email.verified',
     USER_LOGIN: 'user.login',
+    LOGIN_UNRECOGNIZED: 'user.login.unrecognized',
+    DEVICE_REJECTED: 'user.device.rejected',
     USER_PROFILE_UPDATED: 'user.profile.updated',
     PASSWORD_RESET_REQUESTED: 'user.password.reset.requested',
-    PASSWORD_CHANGED: 'user.password.changed'
+    PASSWORD_CHANGED: 'user.password.changed',
+    REFRESH_TOKEN_REUSED: 'user.token.reuse.detected',
+    SESSION_REVOKED: 'user.session.revoked',
+    ACCOUNT_LOCKED: 'user.account.locked',
+    USER_DEACTIVATED: 'user.deactivated',
+    USER_REACTIVATED: 'user.reactivated',
+    USER_DELETION_SCHEDULED: 'user.deletion.scheduled',
+    USER_DELETION_CANCELLED: 'user.deletion.cancelled',
+    USER_DELETED: 'user.deleted',
+    MFA_ENABLED: 'user.mfa.enabled',
+    MFA_DISABLED: 'user.mfa.disabled',
+    MFA_RECOVERY_CODE_USED: 'user.mfa.recovery_code.used',
+    FILE_UPLOADED: 'user.file.uploaded',
+    FILE_DELETED: 'user.file.deleted',
+    USER_PLAN_CHANGED: 'user.plan.changed',
+    BILLING_PAYMENT_FAILED: 'user.billing.payment_failed',
+    BILLING_TRIAL_ENDING: 'user.billing.trial_ending',
+    ANNOUNCEMENT_DUE: 'announcement.due'
 };
\ No newline at end of file
@@ -0,0 +1,43 @@
+const OutboxModel = require('../models/outboxModel.js');
+const DB_Connection = require('../database/db.js');
+const bus = require('./eventBus.js');
+
+// write side of the transactional outbox. Called inside db_connection.transaction() the message is stored
+// with the caller's changes and exists only if they commit; src/jobs/outboxDispatcher.js delivers it afterwards.
+// Events end up on the in-process bus (src/events/eventBus.js), emails go through EmailUtils.deliver,
+// webhooks through src/webhooks/webhookService.js.
+class Outbox {
+    constructor() {
+        this.outboxModel = new OutboxModel();
+        this.db_connection = new DB_Connection();
+        this.wakeDispatcher = null;
+    }
+
+    // the dispatcher registers itself so new messages go out without waiting for the next poll
+    onEnqueue = (callback) => {
+        this.wakeDispatcher = callback;
+    };
+
+    // availableAt holds a message back until then, e.g. an email during the user's quiet hours.
+    // maxAttempts overrides the default of 8 tries
+    enqueue = async (kind, topic, payload, { availableAt = null, maxAttempts } = {}) => {
+        const message = await this.outboxModel.enqueue({ kind, topic, payload, availableAt, maxAttempts });
+        this.db_connection.afterCommit(() => this.wakeDispatcher?.());
+        return message;
+    };
+
+    // payloads go through JSON, Dates arrive at the listeners as ISO strings. One that doesn't fit the event's
+    // schema throws here, in the request that made it, instead of failing in the dispatcher later
+    publish = async (event, payload) => {
+        bus.validate(event, payload);
+        return this.enqueue('event', event, payload);
+    };
+
+    // type is a key of EmailUtils.emails, the recipient is snapshotted so a later profile change can't redirect the mail
+    enqueueEmail = (type, user, data = {}, options = {}) => this.enqueue('email', type, {
+        user: { id: user.id, email: user.email, username: user.username, locale: user.locale || null },
+        data
+    }, options);
+}
+
+module.exports = new Outbox();
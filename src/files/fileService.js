@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const FileModel = require('../models/fileModel.js');
+const DB_Connection = require('../database/db.js');
+const outbox = require('../events/outbox.js');
+const Events = require('../events/eventsNames.js');
+const TextExtractor = require('./textExtractor.js');
+const { ALLOWED_DESCRIPTION, detectFileType } = require('./fileTypes.js');
+const { Permissions } = require('../auth/accessControl.js');
+const { getStorage } = require('../storage/index.js');
+const entitlements = require('../billing/entitlements.js');
+
+// enough to tell the types in fileTypes.js apart
+const SNIFF_BYTES = 8192;
+
+const formatMb = (bytes) => `${(bytes / 1048576).toFixed(1)}MB`;
+
+// the name is only shown back and used in Content-Disposition, never as a path
+const cleanName = (name) => {
+    const base = String(name || '').split(/[\\/]/).pop().replace(/[\u0000-\u001f\u007f]/g, '').trim();
+    return (base || 'file').slice(0, 255);
+};
+
+// uploads, quotas and signed download links of /api/files. Every file is a private object of the
+// storage driver, the only way to its bytes is a link from signDownload() that expires
+class FileService {
+    constructor() {
+        this.db_connection = new DB_Connection();
+        this.fileModel = new FileModel();
+        this.textExtractor = new TextExtractor();
+        this.maxFileBytes = parseInt(process.env.FILE_MAX_SIZE_BYTES || '26214400');
+        this.urlTtlSeconds = parseInt(process.env.FILE_URL_TTL_SECONDS || '300');
+    }
+
+    // the storage_mb limit of the user's plan
+    quotaFor = async (user) => Math.floor(Number(await entitlements.limit(user, 'storage_mb')) * 1048576);
+
+    getUsage = async (user) => {
+        const usage = await this.fileModel.getUsage(user.id);
+        return {
+            ...usage,
+            quota_bytes: await this.quotaFor(user),
+            max_file_bytes: this.maxFileBytes
+        };
+    };
+
+    // how big the next upload may be: the per-file limit, or what is left of the quota when that is less.
+    // -> { limitBytes, error } where error is the message for an upload going past the limit
+    uploadLimit = async (user) => {
+        const usage = await this.getUsage(user);
+        const remaining = Math.max(usage.quota_bytes - usage.used_bytes, 0);
+        if (remaining < this.maxFileBytes) {
+            return { limitBytes: remaining, error: `Storage quota exceeded (${formatMb(remaining)} of ${formatMb(usage.quota_bytes)} left)` };
+        }
+        return { limitBytes: this.maxFileBytes, error: `File too large (max ${formatMb(this.maxFileBytes)})` };
+    };
+
+    canAccess = (user, file) => !!file && (file.user_id === user.id || (user.permissions || []).includes(Permissions.FILES_MANAGE));
+
+    readHead = async (filePath) => {
+        const handle = await fs.promises.open(filePath, 'r');
+        try {
+            const buffer = Buffer.alloc(SNIFF_BYTES);
+            const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+            return buffer.subarray(0, bytesRead);
+        } finally {
+            await handle.close();
+        }
+    };
+
+    sha256 = async (filePath) => {
+        const hash = crypto.createHash('sha256');
+        await pipeline(fs.createReadStream(filePath), hash);
+        return hash.digest('hex');
+    };
+
+    deleteStored = async (storageName, key) => {
+        try {
+            await getStorage(storageName).delete(key, { visibility: 'private' });
+        } catch (error) {
+            console.log(`Deleting ${storageName} object ${key} failed: ${error.message}`);
+        }
+    };
+
+    // upload: the file multer wrote to disk. -> { file } or { error, status } for the client.
+    // The quota is checked again with the user row locked, the limit multer enforced was read before the upload
+    store = async (user, upload) => {
+        const fileType = detectFileType(await this.readHead(upload.path), upload.mimetype, upload.originalname);
+        if (!fileType) {
+            return { status: 415, error: `Only ${ALLOWED_DESCRIPTION} are allowed` };
+        }
+
+        const [sha256, extracted] = await Promise.all([
+            this.sha256(upload.path),
+            this.textExtractor.extract(upload.path, fileType, upload.size)
+        ]);
+
+        const storage = getStorage();
+        const stored = await storage.put({
+            key: `files/user_${user.id}/${crypto.randomUUID()}.${fileType.extension}`,
+            body: fs.createReadStream(upload.path),
+            contentType: fileType.contentType,
+            contentLength: upload.size,
+            visibility: 'private'
+        });
+
+        const quotaBytes = await this.quotaFor(user);
+        try {
+            const file = await this.db_connection.transaction(async () => {
+                const usage = await this.fileModel.getUsage(user.id, { lock: true });
+                if (usage.used_bytes + upload.size > quotaBytes) return null;
+
+                const file = await this.fileModel.createFile({
+                    userId: user.id,
+                    storage: storage.name,
+                    storageKey: stored.key,
+                    originalName: cleanName(upload.originalname),
+                    contentType: fileType.contentType,
+                    sizeBytes: upload.size,
+                    sha256,
+                    extractedText: extracted.text,
+                    textStatus: extracted.status
+                });
+                await outbox.publish(Events.FILE_UPLOADED, {
+                    userId: user.id,
+                    fileId: file.id,
+                    contentType: file.content_type,
+                    sizeBytes: upload.size
+                });
+                return file;
+            });
+
+            if (!file) {
+                await this.deleteStored(storage.name, stored.key);
+                return { status: 413, error: `Storage quota exceeded (${formatMb(quotaBytes)} on your plan)` };
+            }
+            return { file };
+        } catch (error) {
+            await this.deleteStored(storage.name, stored.key);
+            throw error;
+        }
+    };
+
+    // -> readable stream of the file's bytes, or null when the storage lost the object
+    open = (file) => getStorage(file.storage).get(file.storage_key, { visibility: 'private' });
+
+    // the row goes first, a failed storage delete leaves an orphaned object instead of a row pointing at nothing
+    remove = async (file, actorId) => {
+        const deleted = await this.db_connection.transaction(async () => {
+            const deleted = await this.fileModel.deleteFile(file.id);
+            if (deleted) await outbox.publish(Events.FILE_DELETED, { userId: file.user_id, fileId: file.id, deletedBy: actorId });
+            return deleted;
+        });
+        if (deleted) await this.deleteStored(deleted.storage, deleted.storage_key);
+        return !!deleted;
+    };
+
+    // stored objects of a user whose rows are about to go with the account
+    deleteAllStored = async (userId) => {
+        for (const file of await this.fileModel.listAllFiles(userId)) {
+            await this.deleteStored(file.storage, file.storage_key);
+        }
+    };
+
+    signingKey = () => process.env.FILE_URL_SECRET || process.env.JWT_ACCESS_SECRET;
+
+    signature = (fileId, expires) => crypto.createHmac('sha256', this.signingKey()).update(`${fileId}:${expires}`).digest('base64url');
+
+    // a link anyone holding it can use until it expires, so it can go in an <a href> or an <img src>
+    signDownload = (fileId) => {
+        const expires = Math.floor(Date.now() / 1000) + this.urlTtlSeconds;
+        const base = (process.env.STORAGE_PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+        const query = new URLSearchParams({ expires: String(expires), signature: this.signature(fileId, expires) });
+        return {
+            url: `${base}/api/files/${fileId}/download?${query}`,
+            expires_at: new Date(expires * 1000).toISOString()
+        };
+    };
+
+    verifyDownload = (fileId, expires, signature) => {
+        if (!/^\d+$/.test(String(expires)) || typeof signature !== 'string') return false;
+        const expiresAt = parseInt(expires);
+        if (expiresAt * 1000 < Date.now()) return false;
+
+        const expected = Buffer.from(this.signature(fileId, expiresAt));
+        const given = Buffer.from(signature);
+        return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+    };
+
+    present = (file) => ({
+        id: file.id,
+        user_id: file.user_id,
+        name: file.original_name,
+        content_type: file.content_type,
+        size_bytes: Number(file.size_bytes),
+        sha256: file.sha256,
+        text_status: file.text_status,
+        ...(file.snippet !== undefined && { snippet: file.snippet || null }),
+        created_at: file.created_at
+    });
+}
+
+module.exports = FileService;
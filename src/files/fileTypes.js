@@ -0,0 +1,67 @@
+const path = require('path');
+const ImageProcessor = require('../media/imageProcessor.js');
+
+const imageProcessor = new ImageProcessor();
+
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+// what /api/files takes. The stored content type comes from the file's first bytes; the name and the
+// Content-Type the client sent only pick between types that look the same (office documents are zip archives)
+const FILE_TYPES = [
+    { contentType: 'application/pdf', extension: 'pdf', kind: 'pdf' },
+    { contentType: 'image/png', extension: 'png', kind: 'image', image: 'png' },
+    { contentType: 'image/jpeg', extension: 'jpg', kind: 'image', image: 'jpeg' },
+    { contentType: 'image/webp', extension: 'webp', kind: 'image', image: 'webp' },
+    { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx', kind: 'zip' },
+    { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx', kind: 'zip' },
+    { contentType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', extension: 'pptx', kind: 'zip' },
+    { contentType: 'text/csv', extension: 'csv', kind: 'text' },
+    { contentType: 'text/markdown', extension: 'md', kind: 'text' },
+    { contentType: 'text/plain', extension: 'txt', kind: 'text' }
+];
+
+const ALLOWED_DESCRIPTION = 'PDF, PNG, JPEG, WebP, Word, Excel, PowerPoint and plain text files';
+
+// the declared type or the name's extension, whichever names a type of this kind
+const byClaim = (kind, declaredType, originalName) => {
+    const candidates = FILE_TYPES.filter(type => type.kind === kind);
+    const extension = path.extname(originalName || '').slice(1).toLowerCase();
+    return candidates.find(type => type.contentType === declaredType)
+        || candidates.find(type => type.extension === extension || (extension === 'jpeg' && type.extension === 'jpg'))
+        || null;
+};
+
+// text means valid UTF-8 without NUL bytes, the last few bytes may be a character cut in half by the sample
+const looksLikeText = (head) => {
+    if (head.includes(0)) return false;
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(head.subarray(0, Math.max(head.length - 3, 0)));
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// head: the first few KB of the file. -> one of FILE_TYPES, or null when we don't take the file
+const detectFileType = (head, declaredType, originalName) => {
+    if (head.length >= 5 && head.toString('latin1', 0, 5) === '%PDF-') {
+        return FILE_TYPES.find(type => type.kind === 'pdf');
+    }
+
+    const image = imageProcessor.sniff(head);
+    if (image) return FILE_TYPES.find(type => type.image === image);
+
+    if (head.subarray(0, 4).equals(ZIP_SIGNATURE)) return byClaim('zip', declaredType, originalName);
+
+    if (head.length && looksLikeText(head)) {
+        return byClaim('text', declaredType, originalName) || FILE_TYPES.find(type => type.contentType === 'text/plain');
+    }
+
+    return null;
+};
+
+module.exports = {
+    FILE_TYPES,
+    ALLOWED_DESCRIPTION,
+    detectFileType
+};
@@ -0,0 +1,46 @@
+const fs = require('fs/promises');
+// the package's index.js runs a self test when it thinks it is the main module, the library itself doesn't
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+
+// tsvector is capped at 1MB, this much text stays well below it
+const MAX_TEXT_CHARS = 500000;
+const MAX_PDF_PAGES = 500;
+
+// text for the search index, taken from PDFs and text files. pdf.js runs on the main thread,
+// so files above FILE_TEXT_EXTRACT_MAX_BYTES are stored without text rather than stalling every other request
+class TextExtractor {
+    constructor({ maxBytes = parseInt(process.env.FILE_TEXT_EXTRACT_MAX_BYTES || '10485760') } = {}) {
+        this.maxBytes = maxBytes;
+    }
+
+    normalize = (text) => text
+        .replace(/\u0000/g, '')
+        .replace(/[ \t\f\v\r]+/g, ' ')
+        .replace(/\s*\n\s*/g, '\n')
+        .trim()
+        .slice(0, MAX_TEXT_CHARS);
+
+    readPdf = async (filePath) => {
+        // pdf.js reads offsets against the whole ArrayBuffer, a Buffer sliced from node's shared pool would confuse it
+        const data = new Uint8Array(await fs.readFile(filePath));
+        const result = await pdfParse(data, { max: MAX_PDF_PAGES });
+        return result.text;
+    };
+
+    // -> { text, status } with status 'extracted', 'failed', or 'none' for types without text / oversized files
+    extract = async (filePath, fileType, sizeBytes) => {
+        if (!['pdf', 'text'].includes(fileType.kind) || sizeBytes > this.maxBytes) {
+            return { text: null, status: 'none' };
+        }
+
+        try {
+            const raw = fileType.kind === 'pdf' ? await this.readPdf(filePath) : await fs.readFile(filePath, 'utf8');
+            return { text: this.normalize(raw), status: 'extracted' };
+        } catch (error) {
+            console.log(`Text extraction failed for a ${fileType.contentType} file: ${error.message}`);
+            return { text: null, status: 'failed' };
+        }
+    };
+}
+
+module.exports = TextExtractor;
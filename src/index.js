@@ -8,24 +8,45 @@ const { createLogger, transports } = require("winston");
 const LokiTransport = require("winston-loki");
 const responseTime = require('response-time');
 const path = require('path');
-const {rateLimit} = require('express-rate-limit');
 const http = require('http');
 const createSocketServer = require('./realtime/socketServer.js');
 const NotificationService = require('./notifications/notificationService.js');
+const WebhookService = require('./webhooks/webhookService.js');
 const swaggerUi = require('swagger-ui-express');
 const swaggerJsdoc = require('swagger-jsdoc');
 const { swaggerJsdocOptions } = require('./docs/swaggerConfig.js');
+const Migrator = require('./database/migrator.js');
+const RoleModel = require('./models/roleModel.js');
+const AccountPurgeJob = require('./jobs/accountPurgeJob.js');
+const OutboxDispatcher = require('./jobs/outboxDispatcher.js');
+const BillingGraceJob = require('./jobs/billingGraceJob.js');
+const NotificationDigestJob = require('./jobs/notificationDigestJob.js');
+const AuditRetentionJob = require('./jobs/auditRetentionJob.js');
+const EmailUtils = require('./utils/emailUtils.js');
+const { getStorage } = require('./storage/index.js');
+const { geoIp } = require('./auth/geoIp.js');
+const { createPlanRateLimiter } = require('./middlewares/planRateLimit.js');
 
 dotenv.config({path: path.resolve(__dirname, '.env')});
 
 const app = express();
 const {authRouter} = require('./routes/authRoutes.js');
 const {userRouter} = require('./routes/userRoutes.js');
+const {adminRouter} = require('./routes/adminRoutes.js');
+const {fileRouter} = require('./routes/fileRoutes.js');
+const {planRouter} = require('./routes/planRoutes.js');
+const {billingRouter, billingWebhookRouter} = require('./routes/billingRoutes.js');
+const {notificationRouter} = require('./routes/notificationRoutes.js');
+const {presenceRouter} = require('./routes/presenceRoutes.js');
 const PORT = process.env.PORT || 8000;
 const server = http.createServer(app);
 const socketLayer = createSocketServer(server);
 const swaggerSpec = swaggerJsdoc(swaggerJsdocOptions);
 new NotificationService(socketLayer);
+new WebhookService().registerListeners();
+// a misconfigured transport should stop the boot, not the first password reset
+console.log(`Email transport: ${EmailUtils.getTransport().name}`);
+console.log(`Storage driver: ${getStorage().name}`);
 
 
 const corsOptions = {
@@ -37,21 +58,8 @@ const corsOptions = {
     maxAge: 600, 
 }
 
-const apiLimiter = rateLimit({
-	windowMs: 15 * 60 * 1000, 
-	limit: 500, 
-	standardHeaders: 'draft-8', 
-	legacyHeaders: false, 
-	ipv6Subnet: 56
-});
-
-const loginLimiter = rateLimit({
-	windowMs: 5 * 60 * 1000, 
-	limit: 50, 
-	standardHeaders: 'draft-8', 
-	legacyHeaders: false, 
-	ipv6Subnet: 64
-});
+// per user with the limit of their plan, per IP without a token
+const apiLimiter = createPlanRateLimiter();
 
 const SENSITIVE_FIELDS = ['password', 'oldPassword', 'newPassword', 'token', 'refreshToken', 'accessToken'];
 
@@ -104,8 +112,20 @@ const reqResTime = new client.Histogram({
     buckets: [1, 50, 100, 200, 500, 800, 1000, 2000]
 });
 
+// behind a load balancer req.ip is the balancer's address, which sessions, the audit log and device
+// locations would all record. TRUST_PROXY: a hop count, true, or the proxy addresses / subnets to trust
+if(process.env.TRUST_PROXY){
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : (trustProxy === 'true' ? true : trustProxy));
+}
+
 app.use(cors(corsOptions));
-app.use(express.json());
+// webhook signatures are computed over the exact bytes received, keep them next to the parsed body
+app.use(express.json({
+    verify: (req, res, buffer)=>{
+        if(req.originalUrl.startsWith('/api/billing/webhook')) req.rawBody = buffer;
+    }
+}));
 app.use(helmet());
 app.use(morgan(format));
 
@@ -123,8 +143,26 @@ app.use(
         }).observe(time)
 }))
 
-app.use('/api/auth', loginLimiter, authRouter);
+// files of the local storage driver. Keys are random per upload, so they can be cached for good;
+// helmet's same-origin resource policy would stop a frontend on another origin from showing them
+app.use('/uploads', express.static(path.resolve(process.env.STORAGE_LOCAL_DIR || 'uploads'), {
+    index: false,
+    dotfiles: 'deny',
+    immutable: true,
+    maxAge: '365d',
+    setHeaders: (res)=> res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin')
+}));
+
+// sign-in, registration and the email / token endpoints add their own policies on top, see authRoutes.js
+app.use('/api/auth', apiLimiter, authRouter);
 app.use('/api/user', apiLimiter, userRouter);
+app.use('/api/admin', apiLimiter, adminRouter);
+app.use('/api/files', apiLimiter, fileRouter);
+app.use('/api/plans', apiLimiter, planRouter);
+app.use('/api/billing/webhook', billingWebhookRouter);
+app.use('/api/billing', apiLimiter, billingRouter);
+app.use('/api/notifications', apiLimiter, notificationRouter);
+app.use('/api/presence', apiLimiter, presenceRouter);
 
 const options = {
   transports: [
@@ -159,9 +197,47 @@ app.get('/', (req, res)=>{
 })
  
 
-server.listen(PORT, '0.0.0.0', ()=>{    
-    console.log(`Listening on: http://0.0.0.0:${PORT}`);
-    if(process.env.ENABLE_WEBSOCKETS === 'true'){
-        console.log("Websockets enabled");
-    }
-})
\ No newline at end of file
+// every instance may run this, the migrator's advisory lock keeps them from racing
+const migrate = async()=>{
+    if(process.env.RUN_MIGRATIONS_ON_BOOT === 'false') return;
+    await new Migrator().up();
+    await new RoleModel().seedRolesAndPermissions();
+}
+
+migrate()
+    .then(()=> socketLayer?.start())
+    .then(()=> geoIp.load())
+    .then((ranges)=>{
+        if(ranges) console.log(`GeoIP database: ${ranges[4].starts.length} IPv4 and ${ranges[6].starts.length} IPv6 ranges`);
+    })
+    .then(()=>{
+        server.listen(PORT, '0.0.0.0', ()=>{    
+            console.log(`Listening on: http://0.0.0.0:${PORT}`);
+            if(process.env.ENABLE_WEBSOCKETS === 'true'){
+                console.log("Websockets enabled");
+            }
+        })
+
+        // without a dispatcher queued emails and events stay in outbox_messages until some instance runs one
+        if(process.env.ENABLE_OUTBOX_DISPATCHER !== 'false'){
+            new OutboxDispatcher().start();
+        }
+
+        if(process.env.ENABLE_SCHEDULED_JOBS !== 'false'){
+            new AccountPurgeJob().start();
+            new BillingGraceJob().start();
+            new NotificationDigestJob().start();
+            new AuditRetentionJob().start();
+        }
+    })
+    .catch((error)=>{
+        console.error("Startup failed: " + error.message);
+        process.exit(1);
+    });
+
+// other instances see this one's users go offline right away instead of after the presence timeout
+process.once('SIGTERM', ()=>{
+    Promise.resolve(socketLayer?.stop())
+        .catch(error => console.error('Presence cleanup failed:', error.message))
+        .finally(()=> process.exit(0));
+});
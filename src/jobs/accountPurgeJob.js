@@ -0,0 +1,35 @@
+const cron = require('node-cron');
+const AccountDeletionService = require('../accounts/accountDeletionService.js');
+
+// hard deletes accounts whose deletion grace period is over
+class AccountPurgeJob {
+    constructor() {
+        this.accountDeletionService = new AccountDeletionService();
+        this.schedule = process.env.ACCOUNT_PURGE_CRON || '0 3 * * *';
+        this.running = false;
+    }
+
+    run = async () => {
+        if (this.running) return;
+        this.running = true;
+        try {
+            const purged = await this.accountDeletionService.purgeDueAccounts();
+            if (purged) console.log(`Account purge: ${purged} account(s) deleted`);
+        } catch (error) {
+            console.error('Account purge job failed:', error.message);
+        } finally {
+            this.running = false;
+        }
+    };
+
+    start = () => {
+        if (!cron.validate(this.schedule)) {
+            console.error(`Account purge job not started, invalid ACCOUNT_PURGE_CRON: ${this.schedule}`);
+            return null;
+        }
+        this.task = cron.schedule(this.schedule, this.run);
+        return this.task;
+    };
+}
+
+module.exports = AccountPurgeJob;
@@ -0,0 +1,45 @@
+const cron = require('node-cron');
+const AuditLogModel = require('../models/auditLogModel.js');
+
+const PRUNE_BATCH_SIZE = 5000;
+
+// deletes audit log entries older than AUDIT_LOG_RETENTION_DAYS, in batches so no single delete holds the table
+// for long. 0 keeps them forever
+class AuditRetentionJob {
+    constructor() {
+        this.auditLogModel = new AuditLogModel();
+        this.schedule = process.env.AUDIT_RETENTION_CRON || '30 3 * * *';
+        this.retentionDays = parseInt(process.env.AUDIT_LOG_RETENTION_DAYS ?? '365');
+        this.running = false;
+    }
+
+    run = async () => {
+        if (this.running || !(this.retentionDays > 0)) return;
+        this.running = true;
+        try {
+            const before = new Date(Date.now() - this.retentionDays*24*60*60*1000);
+            let pruned = 0;
+            while (true) {
+                const removed = await this.auditLogModel.deleteBefore(before, PRUNE_BATCH_SIZE);
+                pruned += removed;
+                if (removed < PRUNE_BATCH_SIZE) break;
+            }
+            if (pruned) console.log(`Audit retention: ${pruned} entr${pruned === 1 ? 'y' : 'ies'} older than ${this.retentionDays} days deleted`);
+        } catch (error) {
+            console.error('Audit retention job failed:', error.message);
+        } finally {
+            this.running = false;
+        }
+    };
+
+    start = () => {
+        if (!cron.validate(this.schedule)) {
+            console.error(`Audit retention job not started, invalid AUDIT_RETENTION_CRON: ${this.schedule}`);
+            return null;
+        }
+        this.task = cron.schedule(this.schedule, this.run);
+        return this.task;
+    };
+}
+
+module.exports = AuditRetentionJob;
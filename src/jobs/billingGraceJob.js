@@ -0,0 +1,35 @@
+const cron = require('node-cron');
+const BillingService = require('../billing/billingService.js');
+
+// moves users back to free once the grace period of their failed payment is over
+class BillingGraceJob {
+    constructor() {
+        this.billingService = new BillingService();
+        this.schedule = process.env.BILLING_GRACE_CRON || '*/15 * * * *';
+        this.running = false;
+    }
+
+    run = async () => {
+        if (this.running) return;
+        this.running = true;
+        try {
+            const downgraded = await this.billingService.expireGracePeriods();
+            if (downgraded) console.log(`Billing grace: ${downgraded} user(s) downgraded`);
+        } catch (error) {
+            console.error('Billing grace job failed:', error.message);
+        } finally {
+            this.running = false;
+        }
+    };
+
+    start = () => {
+        if (!cron.validate(this.schedule)) {
+            console.error(`Billing grace job not started, invalid BILLING_GRACE_CRON: ${this.schedule}`);
+            return null;
+        }
+        this.task = cron.schedule(this.schedule, this.run);
+        return this.task;
+    };
+}
+
+module.exports = BillingGraceJob;
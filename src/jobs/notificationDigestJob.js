@@ -0,0 +1,35 @@
+const cron = require('node-cron');
+const NotificationDigest = require('../notifications/notificationDigest.js');
+
+// sends the daily digest of low priority notifications, in UTC for everyone (quiet hours still hold it back)
+class NotificationDigestJob {
+    constructor() {
+        this.notificationDigest = new NotificationDigest();
+        this.schedule = process.env.NOTIFICATION_DIGEST_CRON || '0 8 * * *';
+        this.running = false;
+    }
+
+    run = async () => {
+        if (this.running) return;
+        this.running = true;
+        try {
+            const sent = await this.notificationDigest.sendAll();
+            if (sent) console.log(`Notification digest: ${sent} email(s) queued`);
+        } catch (error) {
+            console.error('Notification digest job failed:', error.message);
+        } finally {
+            this.running = false;
+        }
+    };
+
+    start = () => {
+        if (!cron.validate(this.schedule)) {
+            console.error(`Notification digest job not started, invalid NOTIFICATION_DIGEST_CRON: ${this.schedule}`);
+            return null;
+        }
+        this.task = cron.schedule(this.schedule, this.run, { timezone: 'UTC' });
+        return this.task;
+    };
+}
+
+module.exports = NotificationDigestJob;
@@ -0,0 +1,147 @@
+const os = require('os');
+const OutboxModel = require('../models/outboxModel.js');
+const outbox = require('../events/outbox.js');
+const bus = require('../events/eventBus.js');
+const EmailUtils = require('../utils/emailUtils.js');
+const WebhookService = require('../webhooks/webhookService.js');
+
+const MAX_BACKOFF_SECONDS = 6 * 60 * 60;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+// delivers outbox_messages: polls for due rows and is also woken right after a message commits.
+// Delivery is at least once, a crash between sending and marking the row sent repeats the send.
+class OutboxDispatcher {
+    constructor() {
+        this.outboxModel = new OutboxModel();
+        this.webhookService = new WebhookService();
+        this.workerId = `${os.hostname()}:${process.pid}`;
+        this.pollIntervalMs = parseInt(process.env.OUTBOX_POLL_INTERVAL_MS || '2000');
+        this.batchSize = parseInt(process.env.OUTBOX_BATCH_SIZE || '20');
+        this.retryBaseSeconds = parseInt(process.env.OUTBOX_RETRY_BASE_SECONDS || '30');
+        this.retentionHours = parseInt(process.env.OUTBOX_RETENTION_HOURS || '168');
+        this.leaseSeconds = 60;
+        this.running = false;
+        this.pending = false;
+    }
+
+    // 30s, 1m, 2m, 4m... capped at 6h, with +-20% jitter so a burst of failures doesn't retry in lockstep
+    backoffSeconds = (attempts) => {
+        const seconds = Math.min(this.retryBaseSeconds * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_SECONDS);
+        return Math.round(seconds * (0.8 + Math.random() * 0.4));
+    };
+
+    // an event is sent once every listener finished. One that failed or timed out fails the message, and the retry
+    // goes to the failed listeners only (message.listeners), the ones that worked don't see the event twice.
+    // A payload that doesn't fit the event's schema fails it for every listener, and ends up dead
+    handle = async (message) => {
+        if (message.kind === 'email') {
+            const { user, data } = message.payload;
+            return EmailUtils.deliver(message.topic, user, data);
+        }
+        if (message.kind === 'webhook') {
+            return this.webhookService.deliver(message);
+        }
+        const { failed } = await bus.emit(message.topic, message.payload, { id: String(message.id), only: message.listeners });
+        if (failed.length) {
+            const error = new Error(failed.map(({ listener, error }) => `${listener}: ${error}`).join('; '));
+            error.listeners = failed.map(({ listener }) => listener);
+            throw error;
+        }
+    };
+
+    // the handler can outlive the lease: the row then belongs to the worker that reclaimed it (or went dead) and
+    // isn't marked from here
+    process = async (message) => {
+        const describe = `Outbox message ${message.id} (${message.kind} ${message.topic})`;
+        try {
+            await this.handle(message);
+            if (!await this.outboxModel.markSent(message.id, this.workerId)) {
+                console.warn(`${describe} was handled after this worker lost its lease, not marked sent`);
+            }
+        } catch (error) {
+            const retryAt = new Date(Date.now() + this.backoffSeconds(message.attempts) * 1000);
+            const updated = await this.outboxModel.markFailed(message.id, this.workerId, error.message, retryAt, error.listeners);
+            if (!updated) {
+                console.warn(`${describe} failed after this worker lost its lease, not marked failed: ${error.message}`);
+            } else if (updated.status === 'dead') {
+                console.error(`${describe} gave up after ${updated.attempts} attempts: ${error.message}`);
+            } else {
+                console.warn(`${describe} failed, retrying at ${retryAt.toISOString()}: ${error.message}`);
+            }
+        }
+    };
+
+    // a batch is worked one message at a time, slow handlers (webhooks wait up to their timeout) could add up to
+    // more than the lease: the messages still waiting get theirs renewed once a third of it has passed, and a
+    // message this worker lost meanwhile is left to the worker that reclaimed it
+    work = async (batch) => {
+        let leasedAt = Date.now();
+        let held = new Set(batch.map(message => String(message.id)));
+
+        for (const [index, message] of batch.entries()) {
+            if (Date.now() - leasedAt > this.leaseSeconds * 1000 / 3) {
+                const waiting = batch.slice(index).map(item => String(item.id));
+                held = new Set(await this.outboxModel.renewLeases({ workerId: this.workerId, messageIds: waiting }));
+                leasedAt = Date.now();
+            }
+            if (!held.has(String(message.id))) {
+                console.warn(`Outbox message ${message.id} (${message.kind} ${message.topic}) was reclaimed by another worker, skipped`);
+                continue;
+            }
+            await this.process(message);
+        }
+    };
+
+    // a wake-up during a run is not lost, the loop goes round once more
+    run = async () => {
+        if (this.running) {
+            this.pending = true;
+            return;
+        }
+        this.running = true;
+        try {
+            do {
+                this.pending = false;
+                for (const message of await this.outboxModel.deadLetterExpired({ leaseSeconds: this.leaseSeconds })) {
+                    console.error(`Outbox message ${message.id} (${message.kind} ${message.topic}) gave up after ${message.attempts} attempts: its worker stopped while handling it`);
+                }
+                const batch = await this.outboxModel.claimBatch({
+                    workerId: this.workerId,
+                    limit: this.batchSize,
+                    leaseSeconds: this.leaseSeconds
+                });
+                await this.work(batch);
+                if (batch.length === this.batchSize) this.pending = true;
+            } while (this.pending);
+        } catch (error) {
+            console.error('Outbox dispatch failed:', error.message);
+        } finally {
+            this.running = false;
+        }
+    };
+
+    cleanup = async () => {
+        try {
+            const removed = await this.outboxModel.deleteSentBefore(new Date(Date.now() - this.retentionHours * 60 * 60 * 1000));
+            if (removed) console.log(`Outbox cleanup: ${removed} sent message(s) removed`);
+        } catch (error) {
+            console.error('Outbox cleanup failed:', error.message);
+        }
+    };
+
+    start = () => {
+        outbox.onEnqueue(() => setImmediate(this.run));
+        this.pollTimer = setInterval(this.run, this.pollIntervalMs);
+        this.cleanupTimer = setInterval(this.cleanup, CLEANUP_INTERVAL_MS);
+        this.run();
+        return this;
+    };
+
+    stop = () => {
+        outbox.onEnqueue(null);
+        clearInterval(this.pollTimer);
+        clearInterval(this.cleanupTimer);
+    };
+}
+
+module.exports = OutboxDispatcher;
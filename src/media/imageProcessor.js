@@ -0,0 +1,84 @@
+const sharp = require('sharp');
+const { encode } = require('blurhash');
+
+// the first bytes of the file decide what it is, not the name or the Content-Type the client sent
+const SIGNATURES = [
+    { format: 'png', test: (b) => b.length >= 8 && b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { format: 'jpeg', test: (b) => b.length >= 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+    { format: 'webp', test: (b) => b.length >= 12 && b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' }
+];
+
+const toHex = ({ r, g, b }) => '#' + [r, g, b].map(value => value.toString(16).padStart(2, '0')).join('');
+
+class ImageProcessor {
+    constructor({ maxPixels = parseInt(process.env.IMAGE_MAX_PIXELS || '25000000'), maxDimension = 8000 } = {}) {
+        this.maxPixels = maxPixels;
+        this.maxDimension = maxDimension;
+    }
+
+    // -> 'png' | 'jpeg' | 'webp' | null
+    sniff = (buffer) => SIGNATURES.find(signature => signature.test(buffer))?.format || null;
+
+    // sharp never decodes more than maxPixels, so a tiny file claiming a huge canvas fails here instead of eating memory
+    open = (buffer) => sharp(buffer, { limitInputPixels: this.maxPixels, failOn: 'error' });
+
+    // reads the header only. -> { format, width, height } or { error } with a message for the client
+    inspect = async (buffer, allowed = ['png', 'jpeg', 'webp']) => {
+        const format = this.sniff(buffer);
+        if (!format || !allowed.includes(format)) {
+            return { error: `Only ${allowed.join(', ')} images are allowed` };
+        }
+
+        let metadata;
+        try {
+            // header only, sharp's own pixel limit would hide the real reason behind a generic error
+            metadata = await sharp(buffer, { limitInputPixels: false }).metadata();
+        } catch (error) {
+            return { error: 'The image could not be read' };
+        }
+
+        if (metadata.format !== format) {
+            return { error: 'The image could not be read' };
+        }
+        if (!metadata.width || !metadata.height || metadata.width > this.maxDimension || metadata.height > this.maxDimension
+            || metadata.width * metadata.height > this.maxPixels) {
+            return { error: `Image too large (max ${this.maxDimension}px per side, ${Math.round(this.maxPixels / 1e6)} megapixels)` };
+        }
+
+        return { format, width: metadata.width, height: metadata.height };
+    };
+
+    // square webp copies, one per size. rotate() applies the EXIF orientation first; the output
+    // carries no metadata at all, so EXIF (GPS position, camera serial...) never leaves the server
+    squareVariants = async (buffer, sizes) => {
+        const variants = [];
+        for (const [name, size] of Object.entries(sizes)) {
+            const body = await this.open(buffer)
+                .rotate()
+                .resize(size, size, { fit: 'cover', position: 'attention' })
+                .webp({ quality: 82 })
+                .toBuffer();
+            variants.push({ name, body, width: size, height: size, contentType: 'image/webp', extension: 'webp' });
+        }
+        return variants;
+    };
+
+    // -> { blurhash, color }, computed on a 32px copy so it costs next to nothing
+    placeholder = async (buffer) => {
+        const { data, info } = await this.open(buffer)
+            .rotate()
+            .resize(32, 32, { fit: 'inside' })
+            .ensureAlpha()
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+
+        const { dominant } = await this.open(buffer).stats();
+
+        return {
+            blurhash: encode(new Uint8ClampedArray(data), info.width, info.height, 4, 4),
+            color: toHex(dominant)
+        };
+    };
+}
+
+module.exports = ImageProcessor;
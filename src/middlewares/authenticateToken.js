@@ -2,14 +2,72 @@ const dotenv = require('dotenv');
 const jwt = require('jsonwebtoken');
 const path = require('path');
 const UserModel = require('../models/userModel');
+const SessionModel = require('../models/sessionModel');
+const RoleModel = require('../models/roleModel');
 
 // dotenv.config({ path: path.resolve(__dirname, '../../.env') });
 
 class AuthenticateToken{
     constructor(){
         this.userModel = new UserModel();
+        this.sessionModel = new SessionModel();
+        this.roleModel = new RoleModel();
     }
     
+    // the checks every access token goes through, for HTTP requests and socket connections alike.
+    // -> { error: { status, message } } or { user, access, sessionId, expiresAt }
+    verifyAccessToken = async(token)=>{
+        let decoded;
+        try {
+            decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+        } catch (error) {
+            console.error('Token verification error:', error.message);
+            return error.name === 'TokenExpiredError'
+                ? { error: { status: 401, message: 'Token expired' } }
+                : { error: { status: 403, message: 'Invalid token' } };
+        }
+
+        if(decoded.purpose){
+            // e.g. an MFA challenge token, signed with the same secret but not an access token
+            return { error: { status: 401, message: "Not an access token" } };
+        }
+
+        const userId = decoded.sub || decoded.id;
+        const user = await this.userModel.getUserById(userId);
+
+        if(!user){
+            return { error: { status: 401, message: "User not found" } };
+        }
+
+        if(!user.is_active){
+            return { error: { status: 403, message: "Account deactivated" } };
+        }
+
+        if(user.deleted_at){
+            return { error: { status: 403, message: "Account scheduled for deletion, log in again to keep it" } };
+        }
+
+        // tokens issued at login carry the session, a revoked session kills its access tokens too
+        if(decoded.sid){
+            const session = await this.sessionModel.getActiveSession(decoded.sid);
+            if(!session || session.user_id !== user.id){
+                return { error: { status: 401, message: "Session expired or revoked" } };
+            }
+        }
+
+        // roles come from the token, older tokens without them fall back to the database
+        const access = Array.isArray(decoded.roles)
+            ? { roles: decoded.roles, permissions: decoded.perms || [] }
+            : await this.roleModel.getUserAccess(user.id);
+
+        return {
+            user,
+            access,
+            sessionId: decoded.sid || null,
+            expiresAt: decoded.exp ? new Date(decoded.exp * 1000) : null
+        };
+    }
+
     authenticateToken = async(req, res, next)=>{
         try {
             console.log("Authenticating users");
@@ -27,28 +85,19 @@ class AuthenticateToken{
 
             console.log("Verifying token");
 
-            const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
-            const userId = decoded.sub || decoded.id;
-            const user = await this.userModel.getUserById(userId);
-
-            if(!user){
-                return res.status(401).json({
+            const verified = await this.verifyAccessToken(token);
+            if(verified.error){
+                return res.status(verified.error.status).json({
                     success: false,
-                    message: "User not found"
+                    message: verified.error.message
                 });
             }
 
-            req.user = user;
+            req.user = { ...verified.user, ...verified.access };
+            req.sessionId = verified.sessionId;
             next();
         } catch (error) {
             console.error('Token verification error:', error.message);
-        
-            if (error.name === 'TokenExpiredError') {
-                return res.status(401).json({ 
-                    success: false, 
-                    message: 'Token expired' 
-                });
-            }
             return res.status(403).json({ 
                 success: false, 
                 message: 'Invalid token' 
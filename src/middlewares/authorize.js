@@ -0,0 +1,49 @@
+// runs after authenticateToken, which puts roles + permissions on req.user
+class Authorize{
+    forbidden = (res)=>{
+        return res.status(403).json({
+            success: false,
+            error: "Insufficient permissions"
+        });
+    }
+
+    // passes when the caller has any of the roles
+    requireRole = (...roles)=>{
+        return (req, res, next)=>{
+            const userRoles = req.user?.roles || [];
+            if(!roles.some(role => userRoles.includes(role))){
+                return this.forbidden(res);
+            }
+            next();
+        }
+    }
+
+    // passes when the caller has all of the permissions
+    requirePermission = (...permissions)=>{
+        return (req, res, next)=>{
+            const userPermissions = req.user?.permissions || [];
+            if(!permissions.every(permission => userPermissions.includes(permission))){
+                return this.forbidden(res);
+            }
+            next();
+        }
+    }
+
+    // the owner of :param may act on their own resource, anyone else needs the permission (admin override)
+    requireSelfOrPermission = (permission, param = 'userId')=>{
+        return (req, res, next)=>{
+            const targetId = parseInt(req.params[param]);
+            if(!Number.isInteger(targetId)){
+                return res.status(400).json({
+                    success: false,
+                    error: `${param} param must be an integer`
+                });
+            }
+
+            if(req.user && targetId === req.user.id) return next();
+            return this.requirePermission(permission)(req, res, next);
+        }
+    }
+}
+
+module.exports = Authorize;
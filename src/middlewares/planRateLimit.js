@@ -0,0 +1,47 @@
+const jwt = require('jsonwebtoken');
+const entitlements = require('../billing/entitlements.js');
+const { createRateLimiter, ipKey } = require('./rateLimit.js');
+
+const WINDOW_MS = 15 * 60 * 1000;
+
+// signed in callers are counted per user with the api_requests_per_15m of their plan, everyone else per IP.
+// It runs before the routers, so the plan comes from the token's `plan` claim instead of a database lookup;
+// the token is only verified, authenticateToken still decides whether it is accepted
+const identify = async (req) => {
+    if (req.rateLimitSubject) return req.rateLimitSubject;
+
+    let subject = { key: ipKey(req), limit: parseInt(process.env.API_RATE_LIMIT_ANONYMOUS || '500') };
+
+    const header = req.headers['authorization'];
+    const token = header && header.split(' ')[1];
+    if (token) {
+        try {
+            const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+            const userId = decoded.sub || decoded.id;
+            if (userId && !decoded.purpose) {
+                // tokens from before the claim existed count against the free plan until they expire
+                subject = {
+                    key: `user:${userId}`,
+                    limit: await entitlements.limit({ subscription_type: decoded.plan || 'free' }, 'api_requests_per_15m')
+                };
+            }
+        } catch (error) {
+            // expired or forged, counted by IP like any anonymous request
+        }
+    }
+
+    req.rateLimitSubject = subject;
+    return subject;
+};
+
+// counted in the RATE_LIMIT_STORE like the route policies, as policy api
+const createPlanRateLimiter = () => createRateLimiter({
+    name: 'api',
+    windowMs: WINDOW_MS,
+    limit: async (req) => (await identify(req)).limit,
+    keyGenerator: async (req) => (await identify(req)).key
+});
+
+module.exports = {
+    createPlanRateLimiter
+};
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const client = require('prom-client');
+const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
+const { createStore } = require('../rateLimit/rateLimitStores.js');
+const { resolvePolicy } = require('../rateLimit/rateLimitPolicies.js');
+
+const rateLimitRequests = new client.Counter({
+    name: 'rate_limit_requests_total',
+    help: 'Requests a rate limit policy let through or refused with 429',
+    labelNames: ['policy', 'outcome']
+});
+
+const rateLimitStoreErrors = new client.Counter({
+    name: 'rate_limit_store_errors_total',
+    help: 'Rate limit store calls that failed, the request went through uncounted',
+    labelNames: ['policy']
+});
+
+const ipKey = (req) => `ip:${ipKeyGenerator(req.ip, 56)}`;
+
+// the store never sees the username or email, only a digest of it
+const accountKey = (value) => `account:${crypto.createHash('sha256').update(String(value).trim().toLowerCase()).digest('hex')}`;
+
+// a store that fails lets requests through (passOnStoreError) instead of taking the API down with it
+const instrument = (store, name) => {
+    const increment = store.increment.bind(store);
+    store.increment = async (key) => {
+        try {
+            return await increment(key);
+        } catch (error) {
+            rateLimitStoreErrors.inc({ policy: name });
+            throw error;
+        }
+    };
+    return store;
+};
+
+// -> express middleware for one policy. limit and keyGenerator may be functions of the request (see planRateLimit.js);
+// the 429 answer says when to come back
+const createRateLimiter = ({ name, limit, windowMs, keyGenerator = ipKey, skip, failuresOnly = false }) => {
+    const limiter = rateLimit({
+        windowMs,
+        limit,
+        keyGenerator,
+        skip,
+        skipSuccessfulRequests: failuresOnly,
+        store: instrument(createStore(`rl:${name}:`), name),
+        identifier: name,
+        passOnStoreError: true,
+        standardHeaders: 'draft-8',
+        legacyHeaders: false,
+        handler: (req, res) => {
+            rateLimitRequests.inc({ policy: name, outcome: 'limited' });
+            const resetTime = req.rateLimit?.resetTime;
+            return res.status(429).json({
+                success: false,
+                error: 'Too many requests, try again later',
+                retry_after: resetTime ? Math.max(Math.ceil((resetTime.getTime() - Date.now()) / 1000), 0) : null
+            });
+        }
+    });
+
+    return (req, res, next) => limiter(req, res, (error) => {
+        if (!error) rateLimitRequests.inc({ policy: name, outcome: 'allowed' });
+        next(error);
+    });
+};
+
+// one limiter per policy, so every route using a policy counts against the same limit
+const limiters = new Map();
+
+const limiterFor = (name) => {
+    if (!limiters.has(name)) {
+        const policy = resolvePolicy(name);
+        limiters.set(name, createRateLimiter({
+            ...policy,
+            keyGenerator: policy.by === 'account' ? (req) => accountKey(req.body[policy.field]) : ipKey,
+            // without the field the controller answers 400, there is no account to count against
+            skip: policy.by === 'account' ? (req) => !req.body?.[policy.field] : undefined
+        }));
+    }
+    return limiters.get(name);
+};
+
+// route level: authRouter.post('/login', rateLimits('signin', 'signin_account'), ...), see src/rateLimit/rateLimitPolicies.js
+const rateLimits = (...names) => names.map(limiterFor);
+
+module.exports = {
+    createRateLimiter,
+    rateLimits,
+    ipKey
+};
@@ -0,0 +1,28 @@
+const entitlements = require('../billing/entitlements.js');
+
+// runs after authenticateToken: the plan comes from req.user.subscription_type, read from the database on every request
+class RequireEntitlement{
+    // passes when the caller's plan has all of the features
+    requireFeature = (...features)=>{
+        return async(req, res, next)=>{
+            try {
+                for(const feature of features){
+                    if(!await entitlements.hasFeature(req.user, feature)){
+                        return res.status(403).json({
+                            success: false,
+                            error: `Your plan does not include ${feature}`,
+                            required_feature: feature,
+                            plan: req.user?.subscription_type || null
+                        });
+                    }
+                }
+                next();
+            } catch (error) {
+                console.error('Entitlement check error:', error);
+                return res.status(500).json({ success: false, error: 'Internal server error' });
+            }
+        }
+    }
+}
+
+module.exports = RequireEntitlement;
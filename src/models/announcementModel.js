@@ -0,0 +1,137 @@
+const DB_Connection = require('../database/db.js')
+
+class AnnouncementModel {
+    constructor(){
+        this.db_connection = new DB_Connection();
+    }
+
+    createAnnouncement = async({title, body, audienceType, audience = [], sendEmail = false, scheduledAt = null, createdBy})=>{
+        try {
+            const query = `
+                INSERT INTO announcements (title, body, audience_type, audience, send_email, scheduled_at, created_by)
+                VALUES ($1, $2, $3, $4, $5, COALESCE($6, NOW()), $7)
+                RETURNING *;
+            `;
+            const result = await this.db_connection.query_executor(query, [
+                title, body, audienceType, JSON.stringify(audience), sendEmail, scheduledAt, createdBy
+            ]);
+            return result.rows[0];
+        } catch (error) {
+            console.log(`Creating announcement failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    getAnnouncementById = async(id)=>{
+        try {
+            const result = await this.db_connection.query_executor(`SELECT * FROM announcements WHERE id = $1`, [id]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Finding announcement failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // newest first
+    listAnnouncements = async({status, limit = 20, offset = 0} = {})=>{
+        try {
+            const where = status !== undefined ? 'WHERE status = $1' : '';
+            const values = status !== undefined ? [status] : [];
+
+            const countResult = await this.db_connection.query_executor(
+                `SELECT COUNT(*)::int AS total FROM announcements ${where}`,
+                values
+            );
+
+            const query = `
+                SELECT *
+                FROM announcements
+                ${where}
+                ORDER BY id DESC
+                LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+            `;
+            const result = await this.db_connection.query_executor(query, [...values, limit, offset]);
+
+            return { announcements: result.rows, total: countResult.rows[0].total };
+        } catch (error) {
+            console.log(`Listing announcements failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // -> the cancelled row, null when it already went out (or is going out)
+    cancelAnnouncement = async(id)=>{
+        try {
+            const query = `
+                UPDATE announcements
+                SET status = 'cancelled', cancelled_at = NOW()
+                WHERE id = $1 AND status = 'scheduled'
+                RETURNING *;
+            `;
+            const result = await this.db_connection.query_executor(query, [id]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Cancelling announcement failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // only one instance gets the row. -> null when it was cancelled, is already out or isn't due yet
+    claimAnnouncement = async(id)=>{
+        try {
+            const query = `
+                UPDATE announcements
+                SET status = 'sending'
+                WHERE id = $1 AND status = 'scheduled' AND scheduled_at <= NOW()
+                RETURNING *;
+            `;
+            const result = await this.db_connection.query_executor(query, [id]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Claiming announcement failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    markSent = async(id, recipients)=>{
+        try {
+            const result = await this.db_connection.query_executor(
+                `UPDATE announcements SET status = 'sent', sent_at = NOW(), recipients = $2 WHERE id = $1 RETURNING *`,
+                [id, recipients]
+            );
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Marking announcement sent failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // active accounts in the audience, one page at a time in id order. Ids of users that are gone are skipped
+    listRecipientIds = async(announcement, {afterId = 0, limit = 500} = {})=>{
+        try {
+            const audience = {
+                all: 'TRUE',
+                plans: 'subscription_type = ANY(ARRAY(SELECT jsonb_array_elements_text($3::jsonb)))',
+                users: 'id = ANY(ARRAY(SELECT jsonb_array_elements_text($3::jsonb)::int))'
+            }[announcement.audience_type];
+
+            const query = `
+                SELECT id
+                FROM users
+                WHERE id > $1 AND is_active = true AND deleted_at IS NULL AND ${audience}
+                ORDER BY id
+                LIMIT $2
+            `;
+            const values = [afterId, limit];
+            if(announcement.audience_type !== 'all') values.push(JSON.stringify(announcement.audience));
+
+            const result = await this.db_connection.query_executor(query, values);
+            return result.rows.map(row => row.id);
+        } catch (error) {
+            console.log(`Listing announcement recipients failed: ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+module.exports = AnnouncementModel;
@@ -0,0 +1,114 @@
+const DB_Connection = require('../database/db.js')
+
+const ENTRY_COLUMNS = 'id, action, outcome, actor_id, user_id, ip_address, user_agent, metadata, created_at';
+
+class AuditLogModel {
+    constructor(){
+        this.db_connection = new DB_Connection();
+    }
+
+    // inside db_connection.transaction() the entry commits or rolls back with the change it records
+    createEntry = async({action, outcome, actorId = null, userId = null, ipAddress = null, userAgent = null, metadata = {}})=>{
+        try {
+            const query = `
+                INSERT INTO audit_logs (action, outcome, actor_id, user_id, ip_address, user_agent, metadata)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)
+                RETURNING ${ENTRY_COLUMNS};
+            `;
+            const result = await this.db_connection.query_executor(query, [
+                action, outcome, actorId, userId, ipAddress, userAgent, JSON.stringify(metadata)
+            ]);
+            return result.rows[0];
+        } catch (error) {
+            console.log(`Writing audit log entry failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // action is a name or a prefix pattern like auth.* ; from / to bound created_at
+    buildWhere = (filters = {}, values = [])=>{
+        const where = [];
+        const add = (sql, value)=>{
+            values.push(value);
+            where.push(sql.replace('?', `$${values.length}`));
+        };
+
+        if(filters.user_id !== undefined) add('user_id = ?', filters.user_id);
+        if(filters.actor_id !== undefined) add('actor_id = ?', filters.actor_id);
+        if(filters.action !== undefined){
+            if(filters.action.endsWith('.*')) add(`action LIKE ?`, `${filters.action.slice(0, -1).replace(/[\\%_]/g, '\\$&')}%`);
+            else add('action = ?', filters.action);
+        }
+        if(filters.outcome !== undefined) add('outcome = ?', filters.outcome);
+        if(filters.ip_address !== undefined) add('ip_address = ?', filters.ip_address);
+        if(filters.from !== undefined) add('created_at >= ?', filters.from);
+        if(filters.to !== undefined) add('created_at <= ?', filters.to);
+
+        return { whereSql: where.length ? `WHERE ${where.join(' AND ')}` : '', values };
+    }
+
+    // newest first
+    listEntries = async({filters = {}, limit = 20, offset = 0} = {})=>{
+        try {
+            const { whereSql, values } = this.buildWhere(filters);
+
+            const countResult = await this.db_connection.query_executor(
+                `SELECT COUNT(*)::int AS total FROM audit_logs ${whereSql}`,
+                values
+            );
+
+            const query = `
+                SELECT ${ENTRY_COLUMNS}
+                FROM audit_logs
+                ${whereSql}
+                ORDER BY id DESC
+                LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+            `;
+            const result = await this.db_connection.query_executor(query, [...values, limit, offset]);
+
+            return { entries: result.rows, total: countResult.rows[0].total };
+        } catch (error) {
+            console.log(`Listing audit log entries failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // oldest first, the entries after afterId; an export walks the whole match this way
+    listEntriesAfter = async(filters, afterId, limit)=>{
+        try {
+            const { whereSql, values } = this.buildWhere(filters, [afterId]);
+            const query = `
+                SELECT ${ENTRY_COLUMNS}
+                FROM audit_logs
+                ${whereSql ? `${whereSql} AND` : 'WHERE'} id > $1
+                ORDER BY id
+                LIMIT $${values.length + 1}
+            `;
+            const result = await this.db_connection.query_executor(query, [...values, limit]);
+            return result.rows;
+        } catch (error) {
+            console.log(`Reading audit log entries failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // the append-only trigger lets deletes through only with audit.pruning set for the transaction.
+    // -> how many entries went, at most `limit`
+    deleteBefore = async(before, limit = 5000)=>{
+        try {
+            return await this.db_connection.transaction(async()=>{
+                await this.db_connection.query_executor(`SELECT set_config('audit.pruning', 'on', true)`);
+                const result = await this.db_connection.query_executor(
+                    `DELETE FROM audit_logs WHERE id IN (SELECT id FROM audit_logs WHERE created_at < $1 ORDER BY id LIMIT $2)`,
+                    [before, limit]
+                );
+                return result.rowCount;
+            });
+        } catch (error) {
+            console.log(`Pruning audit log failed: ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+module.exports = AuditLogModel;
@@ -0,0 +1,227 @@
+const DB_Connection = require('../database/db.js')
+
+// subscription statuses that keep the plan. past_due / unpaid keep it only until grace_until
+const LIVE_CONDITION = `(s.status IN ('trialing', 'active') OR (s.status IN ('past_due', 'unpaid') AND s.grace_until > NOW()))`;
+
+class BillingModel {
+    constructor(){
+        this.db_connection = new DB_Connection();
+    }
+
+    // -> true when the event has to be processed: first delivery, or a redelivery of one that failed.
+    // Inside the processing transaction, so a concurrent delivery of the same id waits here until the first one commits
+    recordEvent = async({id, provider, type, payload})=>{
+        try {
+            const query = `
+                INSERT INTO billing_events (id, provider, type, payload)
+                VALUES ($1, $2, $3, $4)
+                ON CONFLICT (id) DO UPDATE SET attempts = billing_events.attempts + 1
+                WHERE billing_events.processed_at IS NULL
+                RETURNING id;
+            `;
+            const result = await this.db_connection.query_executor(query, [id, provider, type, JSON.stringify(payload)]);
+            return result.rowCount > 0;
+        } catch (error) {
+            console.log(`Recording billing event failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    markEventProcessed = async(eventId)=>{
+        try {
+            await this.db_connection.query_executor(
+                `UPDATE billing_events SET processed_at = NOW(), last_error = NULL WHERE id = $1`,
+                [eventId]
+            );
+        } catch (error) {
+            console.log(`Marking billing event processed failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // outside the rolled back transaction, so the failure stays visible while the provider retries
+    markEventFailed = async({id, provider, type, payload}, message)=>{
+        try {
+            const query = `
+                INSERT INTO billing_events (id, provider, type, payload, last_error)
+                VALUES ($1, $2, $3, $4, $5)
+                ON CONFLICT (id) DO UPDATE SET last_error = EXCLUDED.last_error, attempts = billing_events.attempts + 1
+                WHERE billing_events.processed_at IS NULL;
+            `;
+            await this.db_connection.query_executor(query, [id, provider, type, JSON.stringify(payload), message]);
+        } catch (error) {
+            console.log(`Recording billing event failure failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    getCustomer = async(userId)=>{
+        try {
+            const result = await this.db_connection.query_executor(`SELECT * FROM billing_customers WHERE user_id = $1`, [userId]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Finding billing customer failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    findUserIdByCustomer = async(customerId)=>{
+        try {
+            const result = await this.db_connection.query_executor(`SELECT user_id FROM billing_customers WHERE customer_id = $1`, [customerId]);
+            return result.rows[0]?.user_id ?? null;
+        } catch (error) {
+            console.log(`Finding billing customer failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // the first customer id seen for a user sticks, later checkouts reuse it
+    saveCustomer = async(userId, provider, customerId)=>{
+        try {
+            const query = `
+                INSERT INTO billing_customers (user_id, provider, customer_id)
+                VALUES ($1, $2, $3)
+                ON CONFLICT DO NOTHING;
+            `;
+            await this.db_connection.query_executor(query, [userId, provider, customerId]);
+        } catch (error) {
+            console.log(`Saving billing customer failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    getSubscription = async(subscriptionId)=>{
+        try {
+            const result = await this.db_connection.query_executor(`SELECT * FROM billing_subscriptions WHERE id = $1`, [subscriptionId]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Finding subscription failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // -> the saved row, or null when a newer event was already applied (the provider doesn't guarantee order)
+    saveSubscription = async({id, userId, provider, customerId, planCode, status, trialEndsAt, currentPeriodEnd, cancelAtPeriodEnd, canceledAt, graceUntil, eventAt})=>{
+        try {
+            const query = `
+                INSERT INTO billing_subscriptions
+                    (id, user_id, provider, customer_id, plan_code, status, trial_ends_at, current_period_end, cancel_at_period_end, canceled_at, grace_until, last_event_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+                ON CONFLICT (id) DO UPDATE SET
+                    plan_code = EXCLUDED.plan_code,
+                    status = EXCLUDED.status,
+                    trial_ends_at = EXCLUDED.trial_ends_at,
+                    current_period_end = EXCLUDED.current_period_end,
+                    cancel_at_period_end = EXCLUDED.cancel_at_period_end,
+                    canceled_at = EXCLUDED.canceled_at,
+                    grace_until = EXCLUDED.grace_until,
+                    last_event_at = EXCLUDED.last_event_at,
+                    updated_at = NOW()
+                WHERE billing_subscriptions.last_event_at <= EXCLUDED.last_event_at
+                RETURNING *;
+            `;
+            const params = [id, userId, provider, customerId, planCode, status, trialEndsAt, currentPeriodEnd, !!cancelAtPeriodEnd, canceledAt, graceUntil, eventAt];
+            const result = await this.db_connection.query_executor(query, params);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Saving subscription failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // the best plan among the user's live subscriptions (by plans.sort_order), null when none is live
+    resolvePlanCode = async(userId)=>{
+        try {
+            const query = `
+                SELECT s.plan_code
+                FROM billing_subscriptions s
+                JOIN plans p ON p.code = s.plan_code
+                WHERE s.user_id = $1 AND ${LIVE_CONDITION}
+                ORDER BY p.sort_order DESC
+                LIMIT 1;
+            `;
+            const result = await this.db_connection.query_executor(query, [userId]);
+            return result.rows[0]?.plan_code ?? null;
+        } catch (error) {
+            console.log(`Resolving plan failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    listSubscriptions = async(userId)=>{
+        try {
+            const query = `
+                SELECT s.*, ${LIVE_CONDITION} AS is_live
+                FROM billing_subscriptions s
+                WHERE s.user_id = $1
+                ORDER BY s.created_at DESC;
+            `;
+            const result = await this.db_connection.query_executor(query, [userId]);
+            return result.rows;
+        } catch (error) {
+            console.log(`Listing subscriptions failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // users still on the plan of a subscription whose grace period ran out
+    listExpiredGraceUserIds = async()=>{
+        try {
+            const query = `
+                SELECT DISTINCT s.user_id
+                FROM billing_subscriptions s
+                JOIN users u ON u.id = s.user_id
+                WHERE s.status IN ('past_due', 'unpaid')
+                  AND s.grace_until <= NOW()
+                  AND u.subscription_type = s.plan_code;
+            `;
+            const result = await this.db_connection.query_executor(query);
+            return result.rows.map(row => row.user_id);
+        } catch (error) {
+            console.log(`Listing expired grace periods failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    saveInvoice = async({id, userId, subscriptionId, status, currency, amountDue, amountPaid, hostedInvoiceUrl, periodStart, periodEnd, createdAt})=>{
+        try {
+            const query = `
+                INSERT INTO billing_invoices
+                    (id, user_id, subscription_id, status, currency, amount_due, amount_paid, hosted_invoice_url, period_start, period_end, created_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, COALESCE($11, NOW()))
+                ON CONFLICT (id) DO UPDATE SET
+                    status = EXCLUDED.status,
+                    amount_due = EXCLUDED.amount_due,
+                    amount_paid = EXCLUDED.amount_paid,
+                    hosted_invoice_url = COALESCE(EXCLUDED.hosted_invoice_url, billing_invoices.hosted_invoice_url),
+                    updated_at = NOW()
+                RETURNING *;
+            `;
+            const params = [id, userId, subscriptionId, status, currency, amountDue ?? 0, amountPaid ?? 0, hostedInvoiceUrl, periodStart, periodEnd, createdAt];
+            const result = await this.db_connection.query_executor(query, params);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Saving invoice failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    listInvoices = async(userId, {limit = 20} = {})=>{
+        try {
+            const query = `
+                SELECT id, subscription_id, status, currency, amount_due, amount_paid, hosted_invoice_url, period_start, period_end, created_at
+                FROM billing_invoices
+                WHERE user_id = $1
+                ORDER BY created_at DESC
+                LIMIT $2;
+            `;
+            const result = await this.db_connection.query_executor(query, [userId, limit]);
+            return result.rows;
+        } catch (error) {
+            console.log(`Listing invoices failed: ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+module.exports = BillingModel;
@@ -0,0 +1,241 @@
+const DB_Connection = require('../database/db.js')
+
+const DEVICE_COLUMNS = `id, label, last_ip, country, region, city, confirmed_at, first_seen_at, last_seen_at`;
+
+class DeviceModel {
+    constructor(){
+        this.db_connection = new DB_Connection();
+    }
+
+    hasDevices = async(userId)=>{
+        try {
+            const query = `SELECT 1 FROM known_devices WHERE user_id = $1 LIMIT 1;`;
+            const result = await this.db_connection.query_executor(query, [userId]);
+            return result.rowCount === 1;
+        } catch (error) {
+            console.log(`Checking known devices failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    getDevice = async(userId, fingerprint)=>{
+        try {
+            const query = `SELECT * FROM known_devices WHERE user_id = $1 AND fingerprint = $2 LIMIT 1;`;
+            const result = await this.db_connection.query_executor(query, [userId, fingerprint]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Finding device failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    getDeviceById = async(deviceId)=>{
+        try {
+            const query = `SELECT * FROM known_devices WHERE id = $1 LIMIT 1;`;
+            const result = await this.db_connection.query_executor(query, [deviceId]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Finding device by id failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    listDevices = async(userId)=>{
+        try {
+            const query = `
+                SELECT ${DEVICE_COLUMNS}
+                FROM known_devices
+                WHERE user_id = $1
+                ORDER BY last_seen_at DESC;
+            `;
+            const result = await this.db_connection.query_executor(query, [userId]);
+            return result.rows;
+        } catch (error) {
+            console.log(`Listing devices failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // every column, for the data export
+    listAllDevices = async(userId)=>{
+        try {
+            const query = `
+                SELECT id, fingerprint, label, user_agent, last_ip, country, region, city, confirmed_at, first_seen_at, last_seen_at
+                FROM known_devices
+                WHERE user_id = $1
+                ORDER BY first_seen_at;
+            `;
+            const result = await this.db_connection.query_executor(query, [userId]);
+            return result.rows;
+        } catch (error) {
+            console.log(`Listing all devices failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // two sign-ins of a new device at once: the second gets the row the first created
+    createDevice = async({userId, fingerprint, label, userAgent, ipAddress, location, confirmed})=>{
+        try {
+            const query = `
+                INSERT INTO known_devices
+                (user_id, fingerprint, label, user_agent, last_ip, country, region, city, confirmed_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CASE WHEN $9::boolean THEN NOW() END)
+                ON CONFLICT (user_id, fingerprint) DO UPDATE SET last_seen_at = NOW()
+                RETURNING *;
+            `;
+            const params = [
+                userId, fingerprint, label, userAgent, ipAddress,
+                location?.country || null, location?.region || null, location?.city || null,
+                Boolean(confirmed)
+            ];
+            const result = await this.db_connection.query_executor(query, params);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Device creation failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // a sign-in from a device it already knows, the location follows the latest IP
+    touchDevice = async(deviceId, {userAgent, ipAddress, location})=>{
+        try {
+            const query = `
+                UPDATE known_devices
+                SET user_agent = COALESCE($2, user_agent),
+                    last_ip = COALESCE($3, last_ip),
+                    country = COALESCE($4, country),
+                    region = CASE WHEN $4::varchar IS NULL THEN region ELSE $5 END,
+                    city = CASE WHEN $4::varchar IS NULL THEN city ELSE $6 END,
+                    last_seen_at = NOW()
+                WHERE id = $1
+                RETURNING *;
+            `;
+            const params = [deviceId, userAgent, ipAddress, location?.country || null, location?.region || null, location?.city || null];
+            const result = await this.db_connection.query_executor(query, params);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Device update failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    confirmDevice = async(deviceId)=>{
+        try {
+            const query = `
+                UPDATE known_devices
+                SET confirmed_at = COALESCE(confirmed_at, NOW())
+                WHERE id = $1
+                RETURNING ${DEVICE_COLUMNS};
+            `;
+            const result = await this.db_connection.query_executor(query, [deviceId]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Device confirmation failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // its tokens go with it
+    deleteDevice = async(userId, deviceId)=>{
+        try {
+            const query = `DELETE FROM known_devices WHERE id = $1 AND user_id = $2 RETURNING id, label;`;
+            const result = await this.db_connection.query_executor(query, [deviceId, userId]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Device deletion failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    hasLocations = async(userId)=>{
+        try {
+            const query = `SELECT 1 FROM known_locations WHERE user_id = $1 LIMIT 1;`;
+            const result = await this.db_connection.query_executor(query, [userId]);
+            return result.rowCount === 1;
+        } catch (error) {
+            console.log(`Checking known locations failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // -> true when the country is new for the user
+    rememberLocation = async(userId, country)=>{
+        try {
+            const query = `
+                INSERT INTO known_locations (user_id, country)
+                VALUES ($1, $2)
+                ON CONFLICT (user_id, country) DO UPDATE SET last_seen_at = NOW()
+                RETURNING (xmax = 0) AS inserted;
+            `;
+            const result = await this.db_connection.query_executor(query, [userId, country]);
+            return Boolean(result.rows[0]?.inserted);
+        } catch (error) {
+            console.log(`Remembering location failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    listLocations = async(userId)=>{
+        try {
+            const query = `
+                SELECT country, first_seen_at, last_seen_at
+                FROM known_locations
+                WHERE user_id = $1
+                ORDER BY first_seen_at;
+            `;
+            const result = await this.db_connection.query_executor(query, [userId]);
+            return result.rows;
+        } catch (error) {
+            console.log(`Listing known locations failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    forgetLocation = async(userId, country)=>{
+        try {
+            const query = `DELETE FROM known_locations WHERE user_id = $1 AND country = $2;`;
+            await this.db_connection.query_executor(query, [userId, country]);
+        } catch (error) {
+            console.log(`Forgetting location failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    createToken = async({tokenHash, userId, deviceId, purpose, ipAddress, newCountry, expiresAt})=>{
+        try {
+            const query = `
+                INSERT INTO device_tokens (token_hash, user_id, device_id, purpose, ip_address, new_country, expires_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)
+                RETURNING id;
+            `;
+            const params = [tokenHash, userId, deviceId, purpose, ipAddress, newCountry, expiresAt];
+            const result = await this.db_connection.query_executor(query, params);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Device token creation failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // marks the token used, so a link works once. -> the token, null when unknown, used or expired
+    useToken = async(tokenHash, purpose)=>{
+        try {
+            const query = `
+                UPDATE device_tokens
+                SET used_at = NOW()
+                WHERE token_hash = $1
+                  AND purpose = $2
+                  AND used_at IS NULL
+                  AND expires_at > NOW()
+                RETURNING *;
+            `;
+            const result = await this.db_connection.query_executor(query, [tokenHash, purpose]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Using device token failed: ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+module.exports = DeviceModel;
@@ -0,0 +1,121 @@
+const DB_Connection = require('../database/db.js')
+
+// extracted_text and search_vector can be large, they stay in the database
+const FILE_COLUMNS = 'id, user_id, storage, storage_key, original_name, content_type, size_bytes, sha256, text_status, created_at';
+
+class FileModel {
+    constructor(){
+        this.db_connection = new DB_Connection();
+    }
+
+    createFile = async({userId, storage, storageKey, originalName, contentType, sizeBytes, sha256, extractedText = null, textStatus = 'none'})=>{
+        try {
+            const query = `
+                INSERT INTO files (user_id, storage, storage_key, original_name, content_type, size_bytes, sha256, extracted_text, text_status)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                RETURNING ${FILE_COLUMNS};
+            `;
+            const params = [userId, storage, storageKey, originalName, contentType, sizeBytes, sha256, extractedText, textStatus];
+            const result = await this.db_connection.query_executor(query, params);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`File insertion failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    getFileById = async(fileId)=>{
+        try {
+            const result = await this.db_connection.query_executor(`SELECT ${FILE_COLUMNS} FROM files WHERE id = $1`, [fileId]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Finding file failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // newest first, or best match first with `search` (websearch syntax: words, "quoted phrase", -excluded)
+    listFiles = async(userId, {search, limit = 20, offset = 0} = {})=>{
+        try {
+            const values = [userId];
+            let where = 'WHERE user_id = $1';
+            let order = 'ORDER BY created_at DESC, id';
+            let snippet = 'NULL AS snippet';
+
+            if(search){
+                values.push(search);
+                where += ` AND search_vector @@ websearch_to_tsquery('simple', $2)`;
+                order = `ORDER BY ts_rank(search_vector, websearch_to_tsquery('simple', $2)) DESC, created_at DESC, id`;
+                snippet = `ts_headline('simple', coalesce(extracted_text, ''), websearch_to_tsquery('simple', $2), 'MaxFragments=1, MinWords=5, MaxWords=20') AS snippet`;
+            }
+
+            const countResult = await this.db_connection.query_executor(
+                `SELECT COUNT(*)::int AS total FROM files ${where}`,
+                values
+            );
+
+            const query = `
+                SELECT ${FILE_COLUMNS}, ${snippet}
+                FROM files
+                ${where}
+                ${order}
+                LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+            `;
+            const result = await this.db_connection.query_executor(query, [...values, limit, offset]);
+
+            return { files: result.rows, total: countResult.rows[0].total };
+        } catch (error) {
+            console.log(`Listing files failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // {used_bytes, file_count}. With lock = true the user row is locked until the transaction ends,
+    // so two uploads can't both fit in the quota that only has room for one
+    getUsage = async(userId, {lock = false} = {})=>{
+        try {
+            if(lock){
+                await this.db_connection.query_executor(`SELECT id FROM users WHERE id = $1 FOR UPDATE`, [userId]);
+            }
+            const query = `
+                SELECT COALESCE(SUM(size_bytes), 0)::bigint AS used_bytes, COUNT(*)::int AS file_count
+                FROM files
+                WHERE user_id = $1;
+            `;
+            const result = await this.db_connection.query_executor(query, [userId]);
+            return { used_bytes: Number(result.rows[0].used_bytes), file_count: result.rows[0].file_count };
+        } catch (error) {
+            console.log(`File usage lookup failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    deleteFile = async(fileId)=>{
+        try {
+            const result = await this.db_connection.query_executor(
+                `DELETE FROM files WHERE id = $1 RETURNING ${FILE_COLUMNS}`,
+                [fileId]
+            );
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`File deletion failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // every file of the user, for the data export and for deleting the stored objects with the account
+    listAllFiles = async(userId)=>{
+        try {
+            const result = await this.db_connection.query_executor(
+                `SELECT ${FILE_COLUMNS} FROM files WHERE user_id = $1 ORDER BY created_at`,
+                [userId]
+            );
+            return result.rows;
+        } catch (error) {
+            console.log(`Listing all files failed: ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+module.exports = FileModel;
@@ -0,0 +1,153 @@
+const DB_Connection = require('../database/db.js')
+
+class MfaModel {
+    constructor(){
+        this.db_connection = new DB_Connection();
+    }
+
+    getMfa = async(userId)=>{
+        try {
+            const query = `
+                SELECT *
+                FROM user_mfa
+                WHERE user_id = $1
+                LIMIT 1;
+            `;
+            const result = await this.db_connection.query_executor(query, [userId]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Finding MFA settings failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    isMfaEnabled = async(userId)=>{
+        try {
+            const query = `SELECT 1 FROM user_mfa WHERE user_id = $1 AND enabled = true LIMIT 1;`;
+            const result = await this.db_connection.query_executor(query, [userId]);
+            return result.rowCount === 1;
+        } catch (error) {
+            console.log(`MFA enabled checking failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // a new setup replaces any unconfirmed secret, an enabled one is left alone
+    savePendingSecret = async(userId, encryptedSecret)=>{
+        try {
+            const query = `
+                INSERT INTO user_mfa (user_id, totp_secret_encrypted, enabled)
+                VALUES ($1, $2, false)
+                ON CONFLICT (user_id) DO UPDATE
+                SET totp_secret_encrypted = EXCLUDED.totp_secret_encrypted,
+                    last_used_step = NULL,
+                    updated_at = NOW()
+                WHERE user_mfa.enabled = false
+                RETURNING user_id;
+            `;
+            const result = await this.db_connection.query_executor(query, [userId, encryptedSecret]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Saving MFA secret failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    enableMfa = async(userId)=>{
+        try {
+            const query = `
+                UPDATE user_mfa
+                SET enabled = true,
+                    confirmed_at = NOW(),
+                    updated_at = NOW()
+                WHERE user_id = $1
+                RETURNING user_id, enabled, confirmed_at;
+            `;
+            const result = await this.db_connection.query_executor(query, [userId]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Enabling MFA failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    disableMfa = async(userId)=>{
+        try {
+            await this.db_connection.query_executor(`DELETE FROM mfa_recovery_codes WHERE user_id = $1`, [userId]);
+            const result = await this.db_connection.query_executor(
+                `DELETE FROM user_mfa WHERE user_id = $1 RETURNING user_id`,
+                [userId]
+            );
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Disabling MFA failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // only moves forward, so a code (time step) can't be used twice
+    markStepUsed = async(userId, step)=>{
+        try {
+            const query = `
+                UPDATE user_mfa
+                SET last_used_step = $2,
+                    updated_at = NOW()
+                WHERE user_id = $1
+                  AND (last_used_step IS NULL OR last_used_step < $2)
+                RETURNING user_id;
+            `;
+            const result = await this.db_connection.query_executor(query, [userId, step]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Recording MFA step failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    replaceRecoveryCodes = async(userId, codeHashes)=>{
+        try {
+            await this.db_connection.query_executor(`DELETE FROM mfa_recovery_codes WHERE user_id = $1`, [userId]);
+            const query = `
+                INSERT INTO mfa_recovery_codes (user_id, code_hash)
+                SELECT $1, unnest($2::text[])
+                RETURNING id;
+            `;
+            const result = await this.db_connection.query_executor(query, [userId, codeHashes]);
+            return result.rowCount;
+        } catch (error) {
+            console.log(`Replacing recovery codes failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    consumeRecoveryCode = async(userId, codeHash)=>{
+        try {
+            const query = `
+                UPDATE mfa_recovery_codes
+                SET used_at = NOW()
+                WHERE user_id = $1
+                  AND code_hash = $2
+                  AND used_at IS NULL
+                RETURNING id;
+            `;
+            const result = await this.db_connection.query_executor(query, [userId, codeHash]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Using recovery code failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    countRemainingRecoveryCodes = async(userId)=>{
+        try {
+            const query = `SELECT COUNT(id)::int AS cnt FROM mfa_recovery_codes WHERE user_id = $1 AND used_at IS NULL;`;
+            const result = await this.db_connection.query_executor(query, [userId]);
+            return result.rows[0].cnt;
+        } catch (error) {
+            console.log(`Counting recovery codes failed: ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+module.exports = MfaModel;
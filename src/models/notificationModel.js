@@ -0,0 +1,200 @@
+const DB_Connection = require('../database/db.js')
+
+const NOTIFICATION_COLUMNS = 'id, type, data, read_at, delivered_at, created_at';
+
+// how many missed notifications a reconnecting socket gets, older ones are only in the REST inbox
+const MAX_REPLAY = 100;
+
+class NotificationModel {
+    constructor(){
+        this.db_connection = new DB_Connection();
+    }
+
+    createNotification = async({userId, type, data = {}})=>{
+        try {
+            const query = `
+                INSERT INTO notifications (user_id, type, data)
+                VALUES ($1, $2, $3)
+                RETURNING ${NOTIFICATION_COLUMNS};
+            `;
+            const result = await this.db_connection.query_executor(query, [userId, type, JSON.stringify(data)]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Creating notification failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // newest first
+    listNotifications = async(userId, {unreadOnly = false, limit = 20, offset = 0} = {})=>{
+        try {
+            const where = `WHERE user_id = $1${unreadOnly ? ' AND read_at IS NULL' : ''}`;
+
+            const countResult = await this.db_connection.query_executor(
+                `SELECT COUNT(*)::int AS total FROM notifications ${where}`,
+                [userId]
+            );
+
+            const query = `
+                SELECT ${NOTIFICATION_COLUMNS}
+                FROM notifications
+                ${where}
+                ORDER BY id DESC
+                LIMIT $2 OFFSET $3
+            `;
+            const result = await this.db_connection.query_executor(query, [userId, limit, offset]);
+
+            return { notifications: result.rows, total: countResult.rows[0].total };
+        } catch (error) {
+            console.log(`Listing notifications failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    countUnread = async(userId)=>{
+        try {
+            const result = await this.db_connection.query_executor(
+                `SELECT COUNT(*)::int AS unread FROM notifications WHERE user_id = $1 AND read_at IS NULL`,
+                [userId]
+            );
+            return result.rows[0].unread;
+        } catch (error) {
+            console.log(`Counting unread notifications failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // scoped to the owner, someone else's id is simply not found
+    setRead = async(userId, notificationId, read)=>{
+        try {
+            const query = `
+                UPDATE notifications
+                SET read_at = ${read ? 'COALESCE(read_at, NOW())' : 'NULL'}
+                WHERE id = $1 AND user_id = $2
+                RETURNING ${NOTIFICATION_COLUMNS};
+            `;
+            const result = await this.db_connection.query_executor(query, [notificationId, userId]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Updating notification failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // -> how many were unread
+    markAllRead = async(userId)=>{
+        try {
+            const result = await this.db_connection.query_executor(
+                `UPDATE notifications SET read_at = NOW() WHERE user_id = $1 AND read_at IS NULL`,
+                [userId]
+            );
+            return result.rowCount;
+        } catch (error) {
+            console.log(`Marking notifications read failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    deleteNotification = async(userId, notificationId)=>{
+        try {
+            const result = await this.db_connection.query_executor(
+                `DELETE FROM notifications WHERE id = $1 AND user_id = $2`,
+                [notificationId, userId]
+            );
+            return result.rowCount > 0;
+        } catch (error) {
+            console.log(`Deleting notification failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // oldest first. With afterId: everything newer than what the client last saw (one device can be behind another),
+    // without it: what no socket of the user has received yet
+    listMissed = async(userId, {afterId = null} = {})=>{
+        try {
+            const where = afterId === null ? 'delivered_at IS NULL' : 'id > $2';
+            const query = `
+                SELECT ${NOTIFICATION_COLUMNS}
+                FROM (
+                    SELECT * FROM notifications
+                    WHERE user_id = $1 AND ${where}
+                    ORDER BY id DESC
+                    LIMIT ${MAX_REPLAY}
+                ) latest
+                ORDER BY id;
+            `;
+            const result = await this.db_connection.query_executor(query, afterId === null ? [userId] : [userId, afterId]);
+            return result.rows;
+        } catch (error) {
+            console.log(`Listing missed notifications failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    markDelivered = async(notificationIds)=>{
+        try {
+            if(!notificationIds.length) return;
+            await this.db_connection.query_executor(
+                `UPDATE notifications SET delivered_at = NOW() WHERE id = ANY($1::bigint[]) AND delivered_at IS NULL`,
+                [notificationIds]
+            );
+        } catch (error) {
+            console.log(`Marking notifications delivered failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    addDigestItem = async({userId, type, data = {}})=>{
+        try {
+            await this.db_connection.query_executor(
+                `INSERT INTO notification_digest_items (user_id, type, data) VALUES ($1, $2, $3)`,
+                [userId, type, JSON.stringify(data)]
+            );
+        } catch (error) {
+            console.log(`Adding digest item failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    listDigestUserIds = async()=>{
+        try {
+            const result = await this.db_connection.query_executor(
+                `SELECT DISTINCT user_id FROM notification_digest_items ORDER BY user_id`
+            );
+            return result.rows.map(row => row.user_id);
+        } catch (error) {
+            console.log(`Listing digest users failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // removes and returns what is waiting, oldest first. Inside a transaction with the enqueued digest mail
+    // the items come back if that fails
+    takeDigestItems = async(userId)=>{
+        try {
+            const result = await this.db_connection.query_executor(
+                `DELETE FROM notification_digest_items WHERE user_id = $1 RETURNING id, type, data, created_at`,
+                [userId]
+            );
+            return result.rows.sort((a, b) => Number(a.id) - Number(b.id));
+        } catch (error) {
+            console.log(`Taking digest items failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    listAllNotifications = async(userId)=>{
+        try {
+            const result = await this.db_connection.query_executor(
+                `SELECT ${NOTIFICATION_COLUMNS} FROM notifications WHERE user_id = $1 ORDER BY id`,
+                [userId]
+            );
+            return result.rows;
+        } catch (error) {
+            console.log(`Listing notifications failed: ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+module.exports = NotificationModel;
@@ -0,0 +1,57 @@
+const DB_Connection = require('../database/db.js')
+
+const PREFERENCE_COLUMNS = 'user_id, channels, quiet_hours_start, quiet_hours_end, timezone, email_digest, updated_at';
+
+class NotificationPreferenceModel {
+    constructor(){
+        this.db_connection = new DB_Connection();
+    }
+
+    // null until the user saves something, callers fall back to the defaults
+    getPreferences = async(userId)=>{
+        try {
+            const result = await this.db_connection.query_executor(
+                `SELECT ${PREFERENCE_COLUMNS} FROM notification_preferences WHERE user_id = $1`,
+                [userId]
+            );
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Getting notification preferences failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // partial update: channels are merged per type, quietHours undefined keeps them, null clears them,
+    // { start, end, timezone } replaces them
+    updatePreferences = async(userId, {channels = {}, quietHours, emailDigest = null} = {})=>{
+        try {
+            const query = `
+                INSERT INTO notification_preferences (user_id, channels, quiet_hours_start, quiet_hours_end, timezone, email_digest)
+                VALUES ($1, $2, $3, $4, COALESCE($5, 'UTC'), COALESCE($6, 'daily'))
+                ON CONFLICT (user_id) DO UPDATE SET
+                    channels = notification_preferences.channels || EXCLUDED.channels,
+                    quiet_hours_start = CASE WHEN $7 THEN EXCLUDED.quiet_hours_start ELSE notification_preferences.quiet_hours_start END,
+                    quiet_hours_end = CASE WHEN $7 THEN EXCLUDED.quiet_hours_end ELSE notification_preferences.quiet_hours_end END,
+                    timezone = COALESCE($5, notification_preferences.timezone),
+                    email_digest = COALESCE($6, notification_preferences.email_digest),
+                    updated_at = NOW()
+                RETURNING ${PREFERENCE_COLUMNS};
+            `;
+            const result = await this.db_connection.query_executor(query, [
+                userId,
+                JSON.stringify(channels),
+                quietHours?.start ?? null,
+                quietHours?.end ?? null,
+                quietHours?.timezone ?? null,
+                emailDigest,
+                quietHours !== undefined
+            ]);
+            return result.rows[0];
+        } catch (error) {
+            console.log(`Updating notification preferences failed: ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+module.exports = NotificationPreferenceModel;
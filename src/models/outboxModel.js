@@ -0,0 +1,226 @@
+const DB_Connection = require('../database/db.js')
+
+class OutboxModel {
+    constructor(){
+        this.db_connection = new DB_Connection();
+    }
+
+    // goes through query_executor, so inside db_connection.transaction() the row commits or rolls back with the caller's changes
+    enqueue = async({kind, topic, payload = {}, maxAttempts, availableAt = null})=>{
+        try {
+            const query = `
+                INSERT INTO outbox_messages (kind, topic, payload, max_attempts, available_at)
+                VALUES ($1, $2, $3, COALESCE($4, 8), COALESCE($5, NOW()))
+                RETURNING id, kind, topic, status, created_at;
+            `;
+            const result = await this.db_connection.query_executor(query, [kind, topic, JSON.stringify(payload), maxAttempts ?? null, availableAt]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Enqueueing outbox message failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // takes up to `limit` due messages for this worker. SKIP LOCKED keeps concurrent dispatchers off each other's rows,
+    // and a processing row whose lease ran out (its worker died mid-send) is due again, unless it used up its
+    // attempts: see deadLetterExpired
+    claimBatch = async({workerId, limit = 20, leaseSeconds = 60})=>{
+        try {
+            const query = `
+                UPDATE outbox_messages
+                SET status = 'processing', locked_at = NOW(), locked_by = $1, attempts = attempts + 1
+                WHERE id IN (
+                    SELECT id FROM outbox_messages
+                    WHERE (status = 'pending' AND available_at <= NOW())
+                       OR (status = 'processing' AND locked_at < NOW() - make_interval(secs => $3) AND attempts < max_attempts)
+                    ORDER BY available_at, id
+                    LIMIT $2
+                    FOR UPDATE SKIP LOCKED
+                )
+                RETURNING *;
+            `;
+            const result = await this.db_connection.query_executor(query, [workerId, limit, leaseSeconds]);
+            return result.rows.sort((a, b)=> Number(a.id) - Number(b.id));
+        } catch (error) {
+            console.log(`Claiming outbox messages failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // a message whose worker keeps dying while on it (a payload that crashes the process) would otherwise be
+    // reclaimed forever: once its lease runs out with the attempts used up it is dead. -> the rows that went
+    deadLetterExpired = async({leaseSeconds = 60})=>{
+        try {
+            const query = `
+                UPDATE outbox_messages
+                SET status = 'dead', processed_at = NOW(), locked_at = NULL, locked_by = NULL,
+                    last_error = 'Lease expired on the last attempt, the worker handling it stopped (' || COALESCE(locked_by, 'unknown') || ')'
+                WHERE status = 'processing'
+                  AND locked_at < NOW() - make_interval(secs => $1)
+                  AND attempts >= max_attempts
+                RETURNING id, kind, topic, attempts;
+            `;
+            const result = await this.db_connection.query_executor(query, [leaseSeconds]);
+            return result.rows;
+        } catch (error) {
+            console.log(`Dead-lettering expired outbox messages failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // moves the lease of the claimed messages this worker still holds to now, while it works through a batch.
+    // -> the ids it still holds, a message whose lease ran out may have gone to another worker
+    renewLeases = async({workerId, messageIds})=>{
+        try {
+            const query = `
+                UPDATE outbox_messages
+                SET locked_at = NOW()
+                WHERE id = ANY($2::bigint[]) AND status = 'processing' AND locked_by = $1
+                RETURNING id;
+            `;
+            const result = await this.db_connection.query_executor(query, [workerId, messageIds]);
+            return result.rows.map(row => String(row.id));
+        } catch (error) {
+            console.log(`Renewing outbox leases failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // both only touch a row this worker still holds: once its lease expired and another worker reclaimed the message,
+    // or it went dead, the outcome is that worker's. -> false / null when the lease was lost
+    markSent = async(messageId, workerId)=>{
+        try {
+            const query = `
+                UPDATE outbox_messages
+                SET status = 'sent', processed_at = NOW(), locked_at = NULL, locked_by = NULL, last_error = NULL
+                WHERE id = $1 AND status = 'processing' AND locked_by = $2;
+            `;
+            const result = await this.db_connection.query_executor(query, [messageId, workerId]);
+            return result.rowCount > 0;
+        } catch (error) {
+            console.log(`Marking outbox message as sent failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // back to pending until retryAt, or dead once attempts reached max_attempts.
+    // listeners narrows an event's next attempt to the listeners that failed this one
+    markFailed = async(messageId, workerId, errorMessage, retryAt, listeners = null)=>{
+        try {
+            const query = `
+                UPDATE outbox_messages
+                SET status = CASE WHEN attempts >= max_attempts THEN 'dead' ELSE 'pending' END,
+                    processed_at = CASE WHEN attempts >= max_attempts THEN NOW() ELSE NULL END,
+                    available_at = $3,
+                    last_error = $2,
+                    listeners = COALESCE($4, listeners),
+                    locked_at = NULL,
+                    locked_by = NULL
+                WHERE id = $1 AND status = 'processing' AND locked_by = $5
+                RETURNING id, status, attempts, max_attempts;
+            `;
+            const result = await this.db_connection.query_executor(query, [messageId, String(errorMessage).slice(0, 2000), retryAt, listeners, workerId]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Marking outbox message as failed failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    getMessageById = async(messageId)=>{
+        try {
+            const result = await this.db_connection.query_executor(`SELECT * FROM outbox_messages WHERE id = $1`, [messageId]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Finding outbox message failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    listMessages = async({filters = {}, limit = 20, offset = 0})=>{
+        try {
+            const where = [];
+            const values = [];
+            let idx = 1;
+
+            for(const key of ['status', 'kind', 'topic']){
+                if(filters[key] === undefined) continue;
+                where.push(`${key} = $${idx++}`);
+                values.push(filters[key]);
+            }
+
+            const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+            const countResult = await this.db_connection.query_executor(
+                `SELECT COUNT(*)::int AS total FROM outbox_messages ${whereSql}`,
+                values
+            );
+
+            const query = `
+                SELECT *
+                FROM outbox_messages
+                ${whereSql}
+                ORDER BY id DESC
+                LIMIT $${idx++} OFFSET $${idx}
+            `;
+            const result = await this.db_connection.query_executor(query, [...values, limit, offset]);
+
+            return { messages: result.rows, total: countResult.rows[0].total };
+        } catch (error) {
+            console.log(`Listing outbox messages failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // {pending, processing, sent, dead, oldest_pending_at}
+    getStats = async()=>{
+        try {
+            const query = `
+                SELECT
+                    COUNT(*) FILTER (WHERE status = 'pending')::int AS pending,
+                    COUNT(*) FILTER (WHERE status = 'processing')::int AS processing,
+                    COUNT(*) FILTER (WHERE status = 'sent')::int AS sent,
+                    COUNT(*) FILTER (WHERE status = 'dead')::int AS dead,
+                    MIN(created_at) FILTER (WHERE status = 'pending') AS oldest_pending_at
+                FROM outbox_messages;
+            `;
+            const result = await this.db_connection.query_executor(query);
+            return result.rows[0];
+        } catch (error) {
+            console.log(`Outbox stats failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // dead or pending messages go out again on the next poll with a fresh attempt budget
+    retryMessage = async(messageId)=>{
+        try {
+            const query = `
+                UPDATE outbox_messages
+                SET status = 'pending', attempts = 0, available_at = NOW(), processed_at = NULL, locked_at = NULL, locked_by = NULL
+                WHERE id = $1 AND status IN ('dead', 'pending')
+                RETURNING *;
+            `;
+            const result = await this.db_connection.query_executor(query, [messageId]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Retrying outbox message failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    deleteSentBefore = async(before)=>{
+        try {
+            const result = await this.db_connection.query_executor(
+                `DELETE FROM outbox_messages WHERE status = 'sent' AND processed_at < $1`,
+                [before]
+            );
+            return result.rowCount;
+        } catch (error) {
+            console.log(`Cleaning up outbox messages failed: ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+module.exports = OutboxModel;
@@ -0,0 +1,89 @@
+const DB_Connection = require('../database/db.js')
+
+class PlanModel {
+    constructor(){
+        this.db_connection = new DB_Connection();
+    }
+
+    listPlans = async({activeOnly = false} = {})=>{
+        try {
+            const query = `
+                SELECT code, name, description, features, limits, is_active, sort_order, billing_price_id, created_at, updated_at
+                FROM plans
+                ${activeOnly ? 'WHERE is_active = true' : ''}
+                ORDER BY sort_order, code;
+            `;
+            const result = await this.db_connection.query_executor(query);
+            return result.rows;
+        } catch (error) {
+            console.log(`Listing plans failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    getPlan = async(code)=>{
+        try {
+            const result = await this.db_connection.query_executor(`SELECT * FROM plans WHERE code = $1`, [code]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Finding plan failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // a webhook names the price; billing_price_id wins, the price's lookup_key set to the plan code works too
+    findPlanForPrice = async(priceId, lookupKey)=>{
+        try {
+            const query = `
+                SELECT * FROM plans
+                WHERE billing_price_id = $1 OR code = $2
+                ORDER BY (billing_price_id IS NOT DISTINCT FROM $1) DESC
+                LIMIT 1;
+            `;
+            const result = await this.db_connection.query_executor(query, [priceId ?? null, lookupKey ?? null]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Finding plan for price failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // creates the plan or replaces what is given, fields left undefined keep their value
+    upsertPlan = async(code, {name, description, features, limits, isActive, sortOrder, billingPriceId})=>{
+        try {
+            const query = `
+                INSERT INTO plans (code, name, description, features, limits, is_active, sort_order, billing_price_id)
+                VALUES ($1, COALESCE($2::varchar, $1), $3::text, COALESCE($4::jsonb, '{}'), COALESCE($5::jsonb, '{}'), COALESCE($6::boolean, true), COALESCE($7::int, 0), $9::varchar)
+                ON CONFLICT (code) DO UPDATE SET
+                    name = COALESCE($2::varchar, plans.name),
+                    description = CASE WHEN $8::boolean THEN $3::text ELSE plans.description END,
+                    features = COALESCE($4::jsonb, plans.features),
+                    limits = COALESCE($5::jsonb, plans.limits),
+                    is_active = COALESCE($6::boolean, plans.is_active),
+                    sort_order = COALESCE($7::int, plans.sort_order),
+                    billing_price_id = CASE WHEN $10::boolean THEN $9::varchar ELSE plans.billing_price_id END,
+                    updated_at = NOW()
+                RETURNING *, (xmax = 0) AS created;
+            `;
+            const params = [
+                code,
+                name ?? null,
+                description ?? null,
+                features === undefined ? null : JSON.stringify(features),
+                limits === undefined ? null : JSON.stringify(limits),
+                isActive ?? null,
+                sortOrder ?? null,
+                description !== undefined,
+                billingPriceId ?? null,
+                billingPriceId !== undefined
+            ];
+            const result = await this.db_connection.query_executor(query, params);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Saving plan failed: ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+module.exports = PlanModel;
@@ -0,0 +1,137 @@
+const DB_Connection = require('../database/db.js')
+
+class PresenceModel {
+    constructor(){
+        this.db_connection = new DB_Connection();
+    }
+
+    // -> how many sockets the user has now, across all instances. The statements of one query share a snapshot,
+    // so here and below the counts still see the row being written or removed and leave it out by hand
+    addConnection = async({socketId, userId, instanceId})=>{
+        try {
+            const query = `
+                WITH inserted AS (
+                    INSERT INTO socket_connections (socket_id, user_id, instance_id)
+                    VALUES ($1, $2, $3)
+                    ON CONFLICT (socket_id) DO UPDATE SET seen_at = NOW()
+                    RETURNING user_id
+                )
+                SELECT (SELECT COUNT(*)::int FROM socket_connections WHERE user_id = $2 AND socket_id <> $1) + 1 AS connections;
+            `;
+            const result = await this.db_connection.query_executor(query, [socketId, userId, instanceId]);
+            return result.rows[0].connections;
+        } catch (error) {
+            console.log(`Adding socket connection failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // -> { userId, remaining, lastSeenAt } or null when the row was already swept. The last socket sets last_seen_at
+    removeConnection = async(socketId)=>{
+        try {
+            const query = `
+                WITH removed AS (
+                    DELETE FROM socket_connections WHERE socket_id = $1 RETURNING user_id
+                ),
+                remaining AS (
+                    SELECT removed.user_id, (
+                        SELECT COUNT(*)::int FROM socket_connections c WHERE c.user_id = removed.user_id AND c.socket_id <> $1
+                    ) AS remaining
+                    FROM removed
+                ),
+                seen AS (
+                    UPDATE users SET last_seen_at = NOW()
+                    FROM remaining
+                    WHERE users.id = remaining.user_id AND remaining.remaining = 0
+                    RETURNING users.last_seen_at
+                )
+                SELECT remaining.user_id, remaining.remaining, (SELECT last_seen_at FROM seen) AS last_seen_at
+                FROM remaining;
+            `;
+            const result = await this.db_connection.query_executor(query, [socketId]);
+            const row = result.rows[0];
+            return row ? { userId: row.user_id, remaining: row.remaining, lastSeenAt: row.last_seen_at } : null;
+        } catch (error) {
+            console.log(`Removing socket connection failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    touchInstance = async(instanceId)=>{
+        try {
+            await this.db_connection.query_executor(
+                `UPDATE socket_connections SET seen_at = NOW() WHERE instance_id = $1`,
+                [instanceId]
+            );
+        } catch (error) {
+            console.log(`Refreshing socket connections failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // drops the rows of instances that stopped refreshing them (or of one instance, on shutdown).
+    // -> [{ user_id, last_seen_at }] for the users that have no socket left
+    removeStaleConnections = async({olderThanSeconds = null, instanceId = null} = {})=>{
+        try {
+            const condition = instanceId !== null ? 'instance_id = $1' : `seen_at < NOW() - make_interval(secs => $1)`;
+            const query = `
+                WITH removed AS (
+                    DELETE FROM socket_connections WHERE ${condition}
+                    RETURNING socket_id, user_id, seen_at
+                ),
+                gone AS (
+                    SELECT user_id, MAX(seen_at) AS last_seen_at
+                    FROM removed
+                    WHERE NOT EXISTS (
+                        SELECT 1 FROM socket_connections c
+                        WHERE c.user_id = removed.user_id AND c.socket_id NOT IN (SELECT socket_id FROM removed)
+                    )
+                    GROUP BY user_id
+                )
+                UPDATE users SET last_seen_at = gone.last_seen_at
+                FROM gone
+                WHERE users.id = gone.user_id
+                RETURNING users.id AS user_id, users.last_seen_at;
+            `;
+            const result = await this.db_connection.query_executor(query, [instanceId !== null ? instanceId : olderThanSeconds]);
+            return result.rows;
+        } catch (error) {
+            console.log(`Removing stale socket connections failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    countConnections = async(userId)=>{
+        try {
+            const result = await this.db_connection.query_executor(
+                `SELECT COUNT(*)::int AS connections FROM socket_connections WHERE user_id = $1`,
+                [userId]
+            );
+            return result.rows[0].connections;
+        } catch (error) {
+            console.log(`Counting socket connections failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // users that don't exist (or are being deleted) are left out
+    getPresence = async(userIds)=>{
+        try {
+            const query = `
+                SELECT u.id AS user_id, COUNT(c.socket_id)::int AS connections, u.last_seen_at
+                FROM users u
+                LEFT JOIN socket_connections c ON c.user_id = u.id
+                WHERE u.id = ANY($1::int[]) AND u.deleted_at IS NULL
+                GROUP BY u.id
+                ORDER BY u.id;
+            `;
+            const result = await this.db_connection.query_executor(query, [userIds]);
+            return result.rows;
+        } catch (error) {
+            console.log(`Getting presence failed: ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+module.exports = PresenceModel;
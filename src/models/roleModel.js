@@ -0,0 +1,110 @@
+const DB_Connection = require('../database/db.js')
+const { Roles, Permissions, RolePermissions } = require('../auth/accessControl.js');
+
+class RoleModel {
+    constructor(){
+        this.db_connection = new DB_Connection();
+    }
+
+    // accessControl.js is the source of truth, run after migrations so new roles / permissions land in the tables
+    seedRolesAndPermissions = async()=>{
+        try {
+            await this.db_connection.transaction(async(client)=>{
+                await client.query(
+                    `INSERT INTO roles (name) SELECT unnest($1::text[]) ON CONFLICT (name) DO NOTHING`,
+                    [Object.values(Roles)]
+                );
+                await client.query(
+                    `INSERT INTO permissions (name) SELECT unnest($1::text[]) ON CONFLICT (name) DO NOTHING`,
+                    [Object.values(Permissions)]
+                );
+
+                for(const [role, permissions] of Object.entries(RolePermissions)){
+                    if(!permissions.length) continue;
+                    await client.query(`
+                        INSERT INTO role_permissions (role_id, permission_id)
+                        SELECT r.id, p.id
+                        FROM roles r
+                        JOIN permissions p ON p.name = ANY($2::text[])
+                        WHERE r.name = $1
+                        ON CONFLICT DO NOTHING
+                    `, [role, permissions]);
+                }
+            });
+            return {success: true};
+        } catch (error) {
+            console.log(`Seeding roles and permissions failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // users without any role row are treated as plain users
+    getUserAccess = async(userId)=>{
+        try {
+            const query = `
+                WITH assigned AS (
+                    SELECT r.id, r.name
+                    FROM user_roles ur
+                    JOIN roles r ON r.id = ur.role_id
+                    WHERE ur.user_id = $1
+                ), effective AS (
+                    SELECT id, name FROM assigned
+                    UNION ALL
+                    SELECT id, name FROM roles
+                    WHERE name = $2 AND NOT EXISTS (SELECT 1 FROM assigned)
+                )
+                SELECT e.name AS role, p.name AS permission
+                FROM effective e
+                LEFT JOIN role_permissions rp ON rp.role_id = e.id
+                LEFT JOIN permissions p ON p.id = rp.permission_id;
+            `;
+            const result = await this.db_connection.query_executor(query, [userId, Roles.USER]);
+
+            const roles = new Set();
+            const permissions = new Set();
+            for(const row of result.rows){
+                roles.add(row.role);
+                if(row.permission) permissions.add(row.permission);
+            }
+
+            return { roles: [...roles], permissions: [...permissions] };
+        } catch (error) {
+            console.log(`Finding user roles failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    assignRole = async(userId, roleName)=>{
+        try {
+            const query = `
+                INSERT INTO user_roles (user_id, role_id)
+                SELECT $1, id FROM roles WHERE name = $2
+                ON CONFLICT DO NOTHING
+                RETURNING user_id, role_id;
+            `;
+            const result = await this.db_connection.query_executor(query, [userId, roleName]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Assigning role failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    removeRole = async(userId, roleName)=>{
+        try {
+            const query = `
+                DELETE FROM user_roles
+                WHERE user_id = $1
+                  AND role_id = (SELECT id FROM roles WHERE name = $2)
+                RETURNING user_id, role_id;
+            `;
+            const result = await this.db_connection.query_executor(query, [userId, roleName]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Removing role failed: ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+module.exports = RoleModel;
@@ -0,0 +1,172 @@
+const DB_Connection = require('../database/db.js')
+
+class SessionModel {
+    constructor(){
+        this.db_connection = new DB_Connection();
+    }
+
+    createSession = async({id, userId, refreshTokenHash, deviceLabel, userAgent, ipAddress, expiresAt})=>{
+        try {
+            const query = `
+                INSERT INTO user_sessions
+                (id, user_id, refresh_token_hash, device_label, user_agent, ip_address, expires_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)
+                RETURNING id, user_id, device_label, created_at, expires_at;
+            `;
+            const params = [id, userId, refreshTokenHash, deviceLabel, userAgent, ipAddress, expiresAt];
+            const result = await this.db_connection.query_executor(query, params);
+
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Session creation failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    getSessionById = async(sessionId)=>{
+        try {
+            const query = `
+                SELECT *
+                FROM user_sessions
+                WHERE id = $1
+                LIMIT 1;
+            `;
+            const result = await this.db_connection.query_executor(query, [sessionId]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Finding session failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    getActiveSession = async(sessionId)=>{
+        try {
+            const query = `
+                SELECT *
+                FROM user_sessions
+                WHERE id = $1
+                  AND revoked_at IS NULL
+                  AND expires_at > NOW()
+                LIMIT 1;
+            `;
+            const result = await this.db_connection.query_executor(query, [sessionId]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Finding active session failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // swaps the stored hash only if it is still the one presented, so a refresh token can be rotated once
+    rotateRefreshToken = async(sessionId, currentHash, nextHash, expiresAt, ipAddress)=>{
+        try {
+            const query = `
+                UPDATE user_sessions
+                SET refresh_token_hash = $3,
+                    expires_at = $4,
+                    ip_address = COALESCE($5, ip_address),
+                    last_used_at = NOW()
+                WHERE id = $1
+                  AND refresh_token_hash = $2
+                  AND revoked_at IS NULL
+                RETURNING id;
+            `;
+            const params = [sessionId, currentHash, nextHash, expiresAt, ipAddress];
+            const result = await this.db_connection.query_executor(query, params);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Rotation of refresh token failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    listActiveSessions = async(userId)=>{
+        try {
+            const query = `
+                SELECT id, device_label, user_agent, ip_address, created_at, last_used_at, expires_at
+                FROM user_sessions
+                WHERE user_id = $1
+                  AND revoked_at IS NULL
+                  AND expires_at > NOW()
+                ORDER BY last_used_at DESC;
+            `;
+            const result = await this.db_connection.query_executor(query, [userId]);
+            return result.rows;
+        } catch (error) {
+            console.log(`Listing sessions failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // revoked and expired ones too, for the data export
+    listAllSessions = async(userId)=>{
+        try {
+            const query = `
+                SELECT id, device_label, user_agent, ip_address, created_at, last_used_at, expires_at, revoked_at
+                FROM user_sessions
+                WHERE user_id = $1
+                ORDER BY created_at DESC;
+            `;
+            const result = await this.db_connection.query_executor(query, [userId]);
+            return result.rows;
+        } catch (error) {
+            console.log(`Listing all sessions failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    revokeSession = async(userId, sessionId)=>{
+        try {
+            const query = `
+                UPDATE user_sessions
+                SET revoked_at = NOW()
+                WHERE id = $1
+                  AND user_id = $2
+                  AND revoked_at IS NULL
+                RETURNING id;
+            `;
+            const result = await this.db_connection.query_executor(query, [sessionId, userId]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Revoking session failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    revokeOtherSessions = async(userId, keepSessionId)=>{
+        try {
+            const query = `
+                UPDATE user_sessions
+                SET revoked_at = NOW()
+                WHERE user_id = $1
+                  AND id <> $2
+                  AND revoked_at IS NULL
+                RETURNING id;
+            `;
+            const result = await this.db_connection.query_executor(query, [userId, keepSessionId]);
+            return result.rows.map(r => r.id);
+        } catch (error) {
+            console.log(`Revoking other sessions failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    revokeAllSessions = async(userId)=>{
+        try {
+            const query = `
+                UPDATE user_sessions
+                SET revoked_at = NOW()
+                WHERE user_id = $1
+                  AND revoked_at IS NULL
+                RETURNING id;
+            `;
+            const result = await this.db_connection.query_executor(query, [userId]);
+            return result.rows.map(r => r.id);
+        } catch (error) {
+            console.log(`Revoking all sessions failed: ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+module.exports = SessionModel;
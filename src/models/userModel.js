@@ -5,60 +5,17 @@ class UserModel {
         this.db_connection = new DB_Connection();
     }
 
-    create_users_table = async()=>{
-        try {
-            const query = `
-                CREATE TABLE IF NOT EXISTS users (
-                    id SERIAL PRIMARY KEY,
-                    username VARCHAR(50) UNIQUE NOT NULL,
-                    email VARCHAR(255) UNIQUE NOT NULL,
-                    password_hash VARCHAR(255) NOT NULL,
-                    full_name VARCHAR(255),
-                    is_active BOOLEAN DEFAULT true,
-                    email_verified BOOLEAN DEFAULT false,
-                    verification_token VARCHAR(255),
-                    password_reset_token VARCHAR(255),
-                    password_reset_expires TIMESTAMP,
-                    last_login TIMESTAMP,
-                    login_attempts INTEGER DEFAULT 0,
-                    locked_until TIMESTAMP,
-                    refresh_token TEXT,
-                    google_id VARCHAR(100) UNIQUE,
-                    provider VARCHAR(50),
-                    avatar_url TEXT,
-                    subscription_type VARCHAR(20) NOT NULL DEFAULT 'free',
-                    created_at TIMESTAMP DEFAULT NOW(),
-                    updated_at TIMESTAMP DEFAULT NOW()
-                );
-
-                CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
-                CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
-                CREATE INDEX IF NOT EXISTS idx_users_verification_token ON users(verification_token);
-                CREATE INDEX IF NOT EXISTS idx_users_password_reset_token ON users(password_reset_token);
-                CREATE INDEX IF NOT EXISTS idx_users_is_active ON users(is_active);
-                CREATE INDEX IF NOT EXISTS idx_users_google_id ON users(google_id);
-            `;
-
-            await this.db_connection.query_executor(query);
-            console.log("User table successfully created");
-            return {success: true};
-        } catch (error) {
-            console.log(`Error creating table: ${error.message}`);
-            throw error;            
-        }
-    }
-
     createUser = async(userData)=>{
         try {
-            const {username, email, passwordHash} = userData;
+            const {username, email, passwordHash, locale = null} = userData;
             
             const query = `
-                INSERT INTO users (username, email, password_hash)
-                VALUES ($1, $2, $3)
-                RETURNING id, username, email, full_name, is_active, email_verified, subscription_type, verification_token, created_at, updated_at;
+                INSERT INTO users (username, email, password_hash, locale)
+                VALUES ($1, $2, $3, $4)
+                RETURNING id, username, email, full_name, is_active, email_verified, subscription_type, verification_token, locale, created_at, updated_at;
             `;
 
-            const params = [username, email, passwordHash];
+            const params = [username, email, passwordHash, locale];
             const result = await this.db_connection.query_executor(query, params);
 
             return result.rows[0];
@@ -88,7 +45,7 @@ class UserModel {
         }
     }
 
-    createUserFormGoogle = async({googleId, email, fullName, avatarUrl, emailVerified})=>{
+    createUserFormGoogle = async({googleId, email, fullName, avatarUrl, emailVerified, locale = null})=>{
         try {
             const passPlaceholder = 'google_auth_' + Math.random().toString(36).slice(2, 18);
             const usernameBase = email ? email.split('@')[0] : `g_${googleId.slice(0, 8)}`;
@@ -102,11 +59,11 @@ class UserModel {
 
             const query = `
                 INSERT INTO users 
-                (username, email, password_hash, full_name, google_id, provider, avatar_url, email_verified)
-                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-                RETURNING id, username, email, full_name, is_active, email_verified, google_id, provider, avatar_url, subscription_type, created_at, updated_at;
+                (username, email, password_hash, full_name, google_id, provider, avatar_url, email_verified, email_confirmed_at, locale)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CASE WHEN $8 THEN NOW() END, $9)
+                RETURNING id, username, email, full_name, is_active, email_verified, email_confirmed_at, google_id, provider, avatar_url, subscription_type, locale, created_at, updated_at;
             `;
-            const params = [username, email, passPlaceholder, fullName, googleId, "google", avatarUrl, !!emailVerified];
+            const params = [username, email, passPlaceholder, fullName, googleId, "google", avatarUrl, !!emailVerified, locale];
             const result = await this.db_connection.query_executor(query, params);
 
             return result.rows[0] || null;
@@ -188,14 +145,16 @@ class UserModel {
                 throw new Error("No updates were sent from frontend");
             }
 
-            const allowed = new Set(["username", "email", "full_name", "is_active"]);
+            const allowed = new Set(["username", "email", "full_name", "is_active", "locale"]);
             const sets = [];
             const values = [];
             let idx = 1;
+            let emailParam = null;
 
             for(const [key, value] of Object.entries(updates)){
                 if(!allowed.has(key)) continue;
 
+                if(key === 'email') emailParam = `$${idx}`;
                 sets.push(`${key} = $${idx++}`);
                 values.push(value);
             }
@@ -204,13 +163,22 @@ class UserModel {
                 throw new Error("No valid value was sent");
             }
 
+            // a new address has to be verified again, the old one's verification says nothing about it
+            if(emailParam){
+                sets.push(
+                    `email_verified = email_verified AND email = ${emailParam}::varchar`,
+                    `email_confirmed_at = CASE WHEN email = ${emailParam}::varchar THEN email_confirmed_at END`,
+                    `verification_token = CASE WHEN email = ${emailParam}::varchar THEN verification_token END`
+                );
+            }
+
             sets.push(`updated_at = NOW()`);
 
             const query = `
                 UPDATE users
                 SET ${sets.join(', ')}
                 WHERE id = $${idx}
-                RETURNING id, username, email, full_name, is_active, email_verified, subscription_type, created_at, updated_at
+                RETURNING id, username, email, full_name, is_active, email_verified, subscription_type, locale, created_at, updated_at
             `;
             values.push(userId);
             
@@ -240,6 +208,157 @@ class UserModel {
         }
     }
 
+    scheduleDeletion = async(userId, purgeAfter)=>{
+        try {
+            const query = `
+                UPDATE users
+                SET deleted_at = NOW(),
+                    purge_after = $2,
+                    updated_at = NOW()
+                WHERE id = $1
+                RETURNING id, deleted_at, purge_after
+            `;
+            const result = await this.db_connection.query_executor(query, [userId, purgeAfter]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Scheduling user deletion failed: ${error.message}`);
+            return {success: false};
+        }
+    }
+
+    cancelDeletion = async(userId)=>{
+        try {
+            const query = `
+                UPDATE users
+                SET deleted_at = NULL,
+                    purge_after = NULL,
+                    updated_at = NOW()
+                WHERE id = $1
+                  AND deleted_at IS NOT NULL
+                RETURNING id
+            `;
+            const result = await this.db_connection.query_executor(query, [userId]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Cancelling user deletion failed: ${error.message}`);
+            return {success: false};
+        }
+    }
+
+    getUsersDueForPurge = async(limit = 100)=>{
+        try {
+            const query = `
+                SELECT id, email, avatar_key, avatar_storage, avatar_variants
+                FROM users
+                WHERE deleted_at IS NOT NULL
+                  AND purge_after <= NOW()
+                ORDER BY purge_after
+                LIMIT $1
+            `;
+            const result = await this.db_connection.query_executor(query, [limit]);
+            return result.rows;
+        } catch (error) {
+            console.log(`Finding users due for purge failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // admin listing, filter keys and sort column are whitelisted by the caller
+    listUsers = async({filters = {}, sort = 'created_at', order = 'desc', limit = 20, offset = 0})=>{
+        try {
+            const where = [];
+            const values = [];
+            let idx = 1;
+
+            for(const key of ['email_verified', 'is_active', 'subscription_type']){
+                if(filters[key] === undefined) continue;
+                where.push(`${key} = $${idx++}`);
+                values.push(filters[key]);
+            }
+
+            if(filters.provider === 'local'){
+                where.push(`(provider IS NULL OR provider = 'local')`);
+            } else if(filters.provider){
+                where.push(`provider = $${idx++}`);
+                values.push(filters.provider);
+            }
+
+            if(filters.created_from){
+                where.push(`created_at >= $${idx++}`);
+                values.push(filters.created_from);
+            }
+
+            if(filters.created_to){
+                where.push(`created_at <= $${idx++}`);
+                values.push(filters.created_to);
+            }
+
+            if(filters.search){
+                where.push(`(username ILIKE $${idx} OR email ILIKE $${idx})`);
+                values.push(`%${filters.search}%`);
+                idx++;
+            }
+
+            const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+            const direction = order === 'asc' ? 'ASC' : 'DESC';
+
+            const countResult = await this.db_connection.query_executor(
+                `SELECT COUNT(*)::int AS total FROM users ${whereSql}`,
+                values
+            );
+
+            const query = `
+                SELECT id, username, email, full_name, is_active, email_verified, subscription_type, provider,
+                       last_login, login_attempts, locked_until, created_at, updated_at
+                FROM users
+                ${whereSql}
+                ORDER BY ${sort} ${direction} NULLS LAST, id ${direction}
+                LIMIT $${idx++} OFFSET $${idx}
+            `;
+            const result = await this.db_connection.query_executor(query, [...values, limit, offset]);
+
+            return { users: result.rows, total: countResult.rows[0].total };
+        } catch (error) {
+            console.log(`Listing users failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    setActive = async(userId, isActive)=>{
+        try {
+            const query = `
+                UPDATE users
+                SET is_active = $1,
+                    updated_at = NOW()
+                WHERE id = $2
+                RETURNING id, is_active;
+            `;
+            const result = await this.db_connection.query_executor(query, [isActive, userId]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Changing active state failed: ${error.message}`);
+            return {success: false};
+        }
+    }
+
+    // password sign-in stays refused until the password is reset, see DeviceService.deny
+    setPasswordResetRequired = async(userId, required)=>{
+        try {
+            const query = `
+                UPDATE users
+                SET password_reset_required = $1,
+                    updated_at = NOW()
+                WHERE id = $2
+                RETURNING id, password_reset_required;
+            `;
+            const result = await this.db_connection.query_executor(query, [required, userId]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Changing password reset requirement failed: ${error.message}`);
+            throw error;
+        }
+    }
+
     setLastLogin = async(userId)=>{
         try {
             const query = `
@@ -318,17 +437,19 @@ class UserModel {
         }
     }
 
-    setEmailVerified = async(userId)=>{
+    // confirmed: the owner proved they read the address (the verification link), not just verified on sign up
+    setEmailVerified = async(userId, {confirmed = false} = {})=>{
         try {
             const query = `
                 UPDATE users
                 SET email_verified = true,
+                    email_confirmed_at = CASE WHEN $2 THEN NOW() ELSE email_confirmed_at END,
                     verification_token = NULL,
                     updated_at = NOW()
                 WHERE id = $1
                 RETURNING id, email_verified
             `;
-            const params = [userId];
+            const params = [userId, confirmed];
 
             const result = await this.db_connection.query_executor(query, params);
 
@@ -424,6 +545,7 @@ class UserModel {
                 SET password_hash = $1,
                     password_reset_token = NULL,
                     password_reset_expires = NULL,
+                    password_reset_required = false,
                     updated_at = NOW()
                 WHERE id = $2
                 RETURNING id
@@ -438,55 +560,6 @@ class UserModel {
         }
     }
 
-    // token related parts
-
-    updateRefreshToken = async(userId, refreshToken)=> {
-        try {
-            const query = `
-                UPDATE users 
-                SET refresh_token = $2, updated_at = NOW()
-                WHERE id = $1
-                `;
-            const params = [userId, refreshToken];
-            await this.db_connection.query_executor(query, params);
-        } catch (error) {
-            console.log("Updation of refresh token failed");
-        }
-    }
-
-    findByRefreshToken = async(refreshToken)=> {
-       try {
-            const query = `
-                SELECT id, username, email, full_name
-                FROM users 
-                WHERE refresh_token = $1 AND is_active = true
-                `;
-
-            const result = await this.db_connection.query_executor(query, [refreshToken]);
-            return result.rows[0] || null;
-       } catch (error) {
-            console.log("finding by refresh token failed");
-            throw error;
-       }
-    }
-
-    clearRefreshToken = async(userId)=> {
-        try {
-            const query = `
-                UPDATE users 
-                SET refresh_token = NULL, updated_at = NOW()
-                WHERE id = $1
-                RETURNING id
-                `;
-
-            const result = await this.db_connection.query_executor(query, [userId]);
-            return result.rows[0] || null;
-        } catch (error) {
-            console.log("Clearing of refresh token failed");
-            throw error;
-        }
-    }
-
     // miscellaneous utility functions
     isAccountLocked = async(userId)=>{
         try {
@@ -545,16 +618,22 @@ class UserModel {
         }
     }
 
-    setAvatarUrl = async(userId, avatarUrl)=>{
+    // key, storage and variants say where the files live, so they can be deleted when replaced or with the account
+    setAvatar = async(userId, {url, key = null, storage = null, variants = null, blurhash = null, color = null})=>{
         try {
             const query = `
                 UPDATE users
                 SET avatar_url = $1,
+                    avatar_key = $2,
+                    avatar_storage = $3,
+                    avatar_variants = $4,
+                    avatar_blurhash = $5,
+                    avatar_color = $6,
                     updated_at = NOW()
-                WHERE id = $2
-                RETURNING id, avatar_url
+                WHERE id = $7
+                RETURNING id, avatar_url, avatar_key, avatar_storage, avatar_variants, avatar_blurhash, avatar_color
             `;
-            const params = [avatarUrl.secure_url, userId];
+            const params = [url, key, storage, variants && JSON.stringify(variants), blurhash, color, userId];
             const result = await this.db_connection.query_executor(query, params);
             return result.rows[0] || null;
         } catch (error) {
@@ -0,0 +1,233 @@
+const DB_Connection = require('../database/db.js')
+
+// what admins see of an endpoint, the secret is only returned when it is created or rotated
+const ENDPOINT_COLUMNS = `id, url, description, events, is_active, consecutive_failures, disabled_at, disabled_reason,
+    last_success_at, last_failure_at, created_by, created_at, updated_at`;
+
+const DELIVERY_COLUMNS = `id, endpoint_id, event, event_id, payload, status, attempts, last_status_code, last_error,
+    response_body, duration_ms, replay_of, created_at, last_attempt_at, delivered_at`;
+
+class WebhookModel {
+    constructor(){
+        this.db_connection = new DB_Connection();
+    }
+
+    createEndpoint = async({url, description = null, events, secret, createdBy})=>{
+        try {
+            const query = `
+                INSERT INTO webhook_endpoints (url, description, events, secret, created_by)
+                VALUES ($1, $2, $3, $4, $5)
+                RETURNING ${ENDPOINT_COLUMNS};
+            `;
+            const result = await this.db_connection.query_executor(query, [url, description, JSON.stringify(events), secret, createdBy]);
+            return result.rows[0];
+        } catch (error) {
+            console.log(`Creating webhook endpoint failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    getEndpoint = async(id, {withSecret = false} = {})=>{
+        try {
+            const result = await this.db_connection.query_executor(
+                `SELECT ${ENDPOINT_COLUMNS}${withSecret ? ', secret' : ''} FROM webhook_endpoints WHERE id = $1`,
+                [id]
+            );
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Finding webhook endpoint failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    listEndpoints = async({activeOnly = false, withSecret = false} = {})=>{
+        try {
+            const query = `
+                SELECT ${ENDPOINT_COLUMNS}${withSecret ? ', secret' : ''}
+                FROM webhook_endpoints
+                ${activeOnly ? 'WHERE is_active = true' : ''}
+                ORDER BY id;
+            `;
+            const result = await this.db_connection.query_executor(query);
+            return result.rows;
+        } catch (error) {
+            console.log(`Listing webhook endpoints failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // fields left out keep their value. Turning an endpoint back on clears what disabled it
+    updateEndpoint = async(id, {url, description, events, isActive})=>{
+        try {
+            const query = `
+                UPDATE webhook_endpoints
+                SET url = COALESCE($2, url),
+                    description = CASE WHEN $3::boolean THEN $4 ELSE description END,
+                    events = COALESCE($5::jsonb, events),
+                    is_active = COALESCE($6::boolean, is_active),
+                    consecutive_failures = CASE WHEN $6 = true AND NOT is_active THEN 0 ELSE consecutive_failures END,
+                    disabled_at = CASE WHEN $6 IS NULL THEN disabled_at WHEN $6 THEN NULL ELSE COALESCE(disabled_at, NOW()) END,
+                    disabled_reason = CASE WHEN $6 IS NULL THEN disabled_reason WHEN $6 THEN NULL ELSE COALESCE(disabled_reason, 'Disabled by an admin') END,
+                    updated_at = NOW()
+                WHERE id = $1
+                RETURNING ${ENDPOINT_COLUMNS};
+            `;
+            const result = await this.db_connection.query_executor(query, [
+                id,
+                url ?? null,
+                description !== undefined,
+                description ?? null,
+                events ? JSON.stringify(events) : null,
+                isActive ?? null
+            ]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Updating webhook endpoint failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    rotateSecret = async(id, secret)=>{
+        try {
+            const result = await this.db_connection.query_executor(
+                `UPDATE webhook_endpoints SET secret = $2, updated_at = NOW() WHERE id = $1 RETURNING ${ENDPOINT_COLUMNS}`,
+                [id, secret]
+            );
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Rotating webhook secret failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // its deliveries go with it
+    deleteEndpoint = async(id)=>{
+        try {
+            const result = await this.db_connection.query_executor(`DELETE FROM webhook_endpoints WHERE id = $1 RETURNING id`, [id]);
+            return result.rowCount > 0;
+        } catch (error) {
+            console.log(`Deleting webhook endpoint failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // counts the attempt against the endpoint; reaching disableAfter failures in a row turns it off.
+    // -> the endpoint, with just_disabled when this attempt did it
+    recordEndpointResult = async(id, succeeded, disableAfter)=>{
+        try {
+            const query = `
+                WITH before AS (
+                    SELECT is_active FROM webhook_endpoints WHERE id = $1
+                )
+                UPDATE webhook_endpoints e
+                SET consecutive_failures = CASE WHEN $2::boolean THEN 0 ELSE e.consecutive_failures + 1 END,
+                    last_success_at = CASE WHEN $2 THEN NOW() ELSE e.last_success_at END,
+                    last_failure_at = CASE WHEN $2 THEN e.last_failure_at ELSE NOW() END,
+                    is_active = e.is_active AND ($2 OR e.consecutive_failures + 1 < $3::int),
+                    disabled_at = CASE WHEN e.is_active AND NOT $2 AND e.consecutive_failures + 1 >= $3::int THEN NOW() ELSE e.disabled_at END,
+                    disabled_reason = CASE WHEN e.is_active AND NOT $2 AND e.consecutive_failures + 1 >= $3::int
+                        THEN 'Disabled after ' || $3::int || ' failed deliveries in a row' ELSE e.disabled_reason END
+                FROM before
+                WHERE e.id = $1
+                RETURNING ${ENDPOINT_COLUMNS.split(',').map(column => `e.${column.trim()}`).join(', ')},
+                    (before.is_active AND NOT e.is_active) AS just_disabled;
+            `;
+            const result = await this.db_connection.query_executor(query, [id, succeeded, disableAfter]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Recording webhook result failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // -> the new row, null when this event already has a delivery for the endpoint
+    createDelivery = async({endpointId, event, eventId, payload, replayOf = null})=>{
+        try {
+            const query = `
+                INSERT INTO webhook_deliveries (endpoint_id, event, event_id, payload, replay_of)
+                VALUES ($1, $2, $3, $4, $5)
+                ON CONFLICT (endpoint_id, event_id) WHERE replay_of IS NULL DO NOTHING
+                RETURNING ${DELIVERY_COLUMNS};
+            `;
+            const result = await this.db_connection.query_executor(query, [endpointId, event, eventId, JSON.stringify(payload), replayOf]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Creating webhook delivery failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    getDelivery = async(id)=>{
+        try {
+            const result = await this.db_connection.query_executor(`SELECT ${DELIVERY_COLUMNS} FROM webhook_deliveries WHERE id = $1`, [id]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Finding webhook delivery failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // newest first
+    listDeliveries = async(endpointId, {status, event, limit = 20, offset = 0} = {})=>{
+        try {
+            const where = ['endpoint_id = $1'];
+            const values = [endpointId];
+            if(status !== undefined){
+                values.push(status);
+                where.push(`status = $${values.length}`);
+            }
+            if(event !== undefined){
+                values.push(event);
+                where.push(`event = $${values.length}`);
+            }
+            const whereSql = `WHERE ${where.join(' AND ')}`;
+
+            const countResult = await this.db_connection.query_executor(
+                `SELECT COUNT(*)::int AS total FROM webhook_deliveries ${whereSql}`,
+                values
+            );
+
+            const query = `
+                SELECT ${DELIVERY_COLUMNS}
+                FROM webhook_deliveries
+                ${whereSql}
+                ORDER BY id DESC
+                LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+            `;
+            const result = await this.db_connection.query_executor(query, [...values, limit, offset]);
+
+            return { deliveries: result.rows, total: countResult.rows[0].total };
+        } catch (error) {
+            console.log(`Listing webhook deliveries failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // status: succeeded, pending (another attempt follows), failed (that was the last one) or skipped
+    recordAttempt = async(id, {status, statusCode = null, error = null, responseBody = null, durationMs = null})=>{
+        try {
+            const query = `
+                UPDATE webhook_deliveries
+                SET status = $2::varchar,
+                    attempts = attempts + CASE WHEN $2::varchar = 'skipped' THEN 0 ELSE 1 END,
+                    last_status_code = $3,
+                    last_error = $4,
+                    response_body = $5,
+                    duration_ms = $6,
+                    last_attempt_at = NOW(),
+                    delivered_at = CASE WHEN $2::varchar = 'succeeded' THEN NOW() ELSE delivered_at END
+                WHERE id = $1
+                RETURNING ${DELIVERY_COLUMNS};
+            `;
+            const result = await this.db_connection.query_executor(query, [
+                id, status, statusCode, error && String(error).slice(0, 2000), responseBody, durationMs
+            ]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.log(`Recording webhook attempt failed: ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+module.exports = WebhookModel;
@@ -0,0 +1,43 @@
+const AnnouncementModel = require('../models/announcementModel.js');
+
+const BATCH_SIZE = 500;
+
+// sends an announcement once it is due (the outbox holds its event back until scheduled_at). Every recipient gets
+// an 'announcement' notification like any other: the inbox keeps it for users who are offline, the socket pushes
+// it live and an email goes out when the admin asked for one, all within the user's preferences
+class AnnouncementSender {
+    constructor(notificationService) {
+        this.notificationService = notificationService;
+        this.announcementModel = new AnnouncementModel();
+    }
+
+    // -> how many users it went to, null when it was cancelled, already sent or moved to a later time
+    send = async (announcementId) => {
+        const announcement = await this.announcementModel.claimAnnouncement(announcementId);
+        if (!announcement) return null;
+
+        const data = { announcement_id: announcement.id, title: announcement.title, body: announcement.body };
+        const exclude = announcement.send_email ? [] : ['email'];
+
+        let recipients = 0;
+        let afterId = 0;
+        for (;;) {
+            const userIds = await this.announcementModel.listRecipientIds(announcement, { afterId, limit: BATCH_SIZE });
+            for (const userId of userIds) {
+                try {
+                    await this.notificationService.deliver(userId, 'announcement', data, data, { exclude });
+                    recipients++;
+                } catch (error) {
+                    console.error(`Announcement ${announcement.id} for user ${userId} failed:`, error.message);
+                }
+            }
+            if (userIds.length < BATCH_SIZE) break;
+            afterId = userIds[userIds.length - 1];
+        }
+
+        await this.announcementModel.markSent(announcement.id, recipients);
+        return recipients;
+    };
+}
+
+module.exports = AnnouncementSender;
@@ -0,0 +1,53 @@
+const DB_Connection = require('../database/db.js');
+const outbox = require('../events/outbox.js');
+const UserModel = require('../models/userModel.js');
+const NotificationModel = require('../models/notificationModel.js');
+const NotificationPreferenceModel = require('../models/notificationPreferenceModel.js');
+const NotificationService = require('./notificationService.js');
+const { quietUntil } = require('./quietHours.js');
+const unsubscribeLink = require('./unsubscribeLink.js');
+
+// the rest is summed up as "and N more", the inbox has all of them
+const MAX_DIGEST_ITEMS = 20;
+
+// one email per user with the low priority notifications collected since the last run
+class NotificationDigest {
+    constructor() {
+        this.db_connection = new DB_Connection();
+        this.userModel = new UserModel();
+        this.notificationModel = new NotificationModel();
+        this.preferenceModel = new NotificationPreferenceModel();
+    }
+
+    // -> how many digests were queued, one failing user doesn't stop the others
+    sendAll = async () => {
+        let sent = 0;
+        for (const userId of await this.notificationModel.listDigestUserIds()) {
+            try {
+                if (await this.sendFor(userId)) sent++;
+            } catch (error) {
+                console.error(`Notification digest for user ${userId} failed:`, error.message);
+            }
+        }
+        return sent;
+    };
+
+    // the items are taken in the same transaction that queues the mail, so they are neither lost nor sent twice
+    sendFor = (userId) => this.db_connection.transaction(async () => {
+        const items = await this.notificationModel.takeDigestItems(userId);
+        const user = await this.userModel.getUserById(userId);
+        if (!items.length || !user?.email) return false;
+
+        const preferences = NotificationService.readPreferences(await this.preferenceModel.getPreferences(userId));
+        const shown = items.slice(-MAX_DIGEST_ITEMS);
+
+        await outbox.enqueueEmail('notification_digest', user, {
+            items: shown.map(item => ({ type: item.type, data: item.data, createdAt: item.created_at })),
+            more: items.length - shown.length,
+            unsubscribeUrl: unsubscribeLink.url(userId, 'digest')
+        }, { availableAt: quietUntil(preferences.quietHours || {}) });
+        return true;
+    });
+}
+
+module.exports = NotificationDigest;
@@ -1,39 +1,217 @@
 const bus = require('../events/eventBus.js');
 const Events = require('../events/eventsNames.js');
-const EmailUtils = require('../utils/emailUtils.js');
+const outbox = require('../events/outbox.js');
+const DB_Connection = require('../database/db.js');
+const UserModel = require('../models/userModel.js');
+const NotificationModel = require('../models/notificationModel.js');
+const NotificationPreferenceModel = require('../models/notificationPreferenceModel.js');
+const { getType, resolveChannels } = require('./notificationTypes.js');
+const { quietUntil } = require('./quietHours.js');
+const unsubscribeLink = require('./unsubscribeLink.js');
+const AnnouncementSender = require('./announcementSender.js');
 
+// ENABLE_PUSH_NOTIFICATIONS (inbox and socket) and ENABLE_EMAIL_NOTIFICATIONS switch a channel off for the whole
+// deployment, within them every user picks channels per type, see notificationTypes.js
 class NotificationService{
     constructor(pushAdapter){
         this.push = pushAdapter;
         this.enableEmail = process.env.ENABLE_EMAIL_NOTIFICATIONS === 'true';
         this.enablePush = process.env.ENABLE_PUSH_NOTIFICATIONS === 'true';
+        this.db_connection = new DB_Connection();
+        this.userModel = new UserModel();
+        this.notificationModel = new NotificationModel();
+        this.preferenceModel = new NotificationPreferenceModel();
+        this.announcements = new AnnouncementSender(this);
 
         this.registerListeners();
+        this.push?.onConnection?.(this.replayMissed);
+    }
+
+    // what clients get, over the socket and from /api/notifications
+    static present = (notification)=>({
+        id: Number(notification.id),
+        type: notification.type,
+        data: notification.data,
+        read: notification.read_at !== null,
+        read_at: notification.read_at,
+        created_at: notification.created_at
+    });
+
+    // a notification_preferences row (or null) as the service uses it
+    static readPreferences = (row)=>({
+        channels: row?.channels || {},
+        quietHours: row?.quiet_hours_start ? {
+            start: row.quiet_hours_start.slice(0, 5),
+            end: row.quiet_hours_end.slice(0, 5),
+            timezone: row.timezone
+        } : null,
+        emailDigest: row?.email_digest || 'daily'
+    });
+
+    // listeners return it: a failure reaches the bus and the outbox retries the event for this listener
+    notify = async(userId, type, data = {}, emailData, options)=>{
+        if(!this.enablePush && !this.enableEmail) return null;
+        return this.deliver(userId, type, data, emailData, options);
+    }
+
+    // data is what the inbox and the socket get, emailData what the type's own mail template needs (defaults to data).
+    // The inbox copy is stored first, so it isn't lost when the user has no socket open: it goes out on their next
+    // connection. During quiet hours nothing is pushed live and emails wait for the end; security notices ignore them.
+    // exclude drops channels for this one notification, whatever the user picked.
+    // The inbox row and the email commit together and the live push only follows the commit, so a failure retried
+    // by the outbox leaves no inbox copy or push behind from the attempt that failed.
+    // -> the inbox row, null when the user has in_app off or is gone by the time the event is handled
+    deliver = async(userId, type, data = {}, emailData = data, { exclude = [] } = {})=>{
+        const spec = getType(type);
+        if(!spec) throw new Error(`Unknown notification type: ${type}`);
+
+        const user = await this.userModel.getUserById(userId);
+        if(!user) return null;
+
+        const preferences = NotificationService.readPreferences(await this.preferenceModel.getPreferences(userId));
+        const channels = resolveChannels(type, preferences.channels).filter(channel => !exclude.includes(channel));
+        const quietEnd = spec.security ? null : quietUntil(preferences.quietHours || {});
+
+        let pushing = null;
+        const notification = await this.db_connection.transaction(async()=>{
+            let notification = null;
+            if(this.enablePush && channels.includes('in_app')){
+                notification = await this.notificationModel.createNotification({userId, type, data});
+            }
+
+            if(this.enableEmail && channels.includes('email')){
+                await this.email(user, type, spec, emailData, { preferences, quietEnd });
+            }
+
+            if(this.enablePush && channels.includes('push') && !quietEnd && this.push){
+                this.db_connection.afterCommit(()=>{ pushing = this.pushLive(userId, type, data, notification); });
+            }
+            return notification;
+        });
+        // called inside another transaction the push waits for that one's commit and isn't waited for here
+        await pushing;
+        return notification;
+    }
+
+    // a push that doesn't get through leaves the inbox row undelivered, the user's next connection replays it
+    pushLive = async(userId, type, data, notification)=>{
+        try {
+            // the event named after the type is what clients listened to before the inbox existed
+            this.push.pushToUser(userId, type, data);
+            const payload = notification
+                ? NotificationService.present(notification)
+                : { id: null, type, data, read: false, read_at: null, created_at: new Date() };
+            const reached = await this.push.pushToUser(userId, 'notification', payload);
+            if(reached && notification) await this.notificationModel.markDelivered([notification.id]);
+        } catch (error) {
+            console.error(`Pushing ${type} to user ${userId} failed:`, error.message);
+        }
+    }
+
+    // low priority types wait for the daily digest (src/jobs/notificationDigestJob.js) unless the user turned it off
+    email = async(user, type, spec, data, { preferences, quietEnd })=>{
+        const userId = user.id;
+        if(spec.priority === 'low' && preferences.emailDigest === 'daily'){
+            return this.notificationModel.addDigestItem({userId, type, data});
+        }
+
+        if(!user.email) return null;
+
+        const options = { availableAt: quietEnd };
+        if(spec.email) return outbox.enqueueEmail(spec.email, user, data, options);
+
+        // a mandatory email has nothing to unsubscribe from
+        const mandatory = (spec.mandatory || []).includes('email');
+        return outbox.enqueueEmail('notification', user, {
+            type,
+            data,
+            unsubscribeUrl: mandatory ? undefined : unsubscribeLink.url(userId, type)
+        }, options);
+    }
+
+    // a client passes the id of the last notification it has (handshake auth or query `lastNotificationId`)
+    // and gets everything after it; without one it gets what no socket of the user received yet
+    replayMissed = async(userId, socket)=>{
+        try {
+            const handshake = socket.handshake || {};
+            const lastId = parseInt(handshake.auth?.lastNotificationId ?? handshake.query?.lastNotificationId);
+            const missed = await this.notificationModel.listMissed(userId, { afterId: Number.isInteger(lastId) && lastId >= 0 ? lastId : null });
+
+            for(const notification of missed){
+                socket.emit('notification', NotificationService.present(notification));
+            }
+            await this.notificationModel.markDelivered(missed.map(notification => notification.id));
+        } catch (error) {
+            console.error(`Replaying notifications for user ${userId} failed:`, error.message);
+        }
     }
 
     registerListeners = ()=>{
-        bus.on(Events.USER_REGISTERED, ({userId, email, username})=>{
-            if(this.enablePush) this.push?.pushToUser(userId, 'welcome', {message: `Welcome ${username}!`});
+        // a name per event, so the outbox retries and the metrics tell the listeners apart
+        const on = (event, listener)=> bus.on(event, listener, { name: `notifications:${event}` });
+
+        on(Events.USER_REGISTERED, ({userId, email, username})=>{
+            return this.notify(userId, 'welcome', {message: `Welcome ${username}!`});
+        });
+
+        on(Events.USER_EMAIL_VERIFIED, ({userId, email})=>{
+            return this.notify(userId, 'email_verified', {email});
+        });
+
+        // the sign-in mail goes out from DeviceService, only for a device or country the user hasn't used and
+        // with the "this wasn't me" link, whose token has no place in an event payload
+        on(Events.USER_LOGIN, ({userId})=>{
+            return this.notify(userId, 'login', {message: 'Login successful'}, undefined, { exclude: ['email'] });
+        });
+
+        on(Events.USER_PROFILE_UPDATED, ({userId, changed})=>{
+            return this.notify(userId, 'profile_updated', { changed });
+        });
+
+        on(Events.PASSWORD_RESET_REQUESTED, ({ userId, email })=>{
+            return this.notify(userId, 'password_reset_requested', { email });
+        });
+
+        on(Events.PASSWORD_CHANGED, ({ userId })=>{
+            return this.notify(userId, 'password_changed', { message: 'Password updated' }, { changedAt: new Date() });
+        });
+
+        on(Events.REFRESH_TOKEN_REUSED, ({ userId })=>{
+            return this.notify(userId, 'security_alert', { message: 'Suspicious token reuse detected, please log in again' });
+        });
+
+        on(Events.ACCOUNT_LOCKED, ({ userId, lockedUntil, reason })=>{
+            return this.notify(userId, 'account_locked', { locked_until: lockedUntil }, { lockedUntil, reason });
+        });
+
+        on(Events.MFA_ENABLED, ({ userId })=>{
+            return this.notify(userId, 'mfa_enabled', { message: 'Two-factor authentication was turned on' });
+        });
+
+        on(Events.MFA_DISABLED, ({ userId })=>{
+            return this.notify(userId, 'mfa_disabled', { message: 'Two-factor authentication was turned off. If this was not you, change your password now' });
         });
 
-        bus.on(Events.USER_EMAIL_VERIFIED, ({userId, email})=>{
-            if(this.enablePush) this.push?.pushToUser(userId, 'email_verified', {email});
+        on(Events.MFA_RECOVERY_CODE_USED, ({ userId, remaining })=>{
+            return this.notify(userId, 'mfa_recovery_code_used', { remaining });
         });
 
-        bus.on(Events.USER_LOGIN, ({userId})=>{
-            if(this.enablePush) this.push?.pushToUser(userId, 'login', {message: 'Login successful'});
+        on(Events.USER_PLAN_CHANGED, ({ userId, from, to })=>{
+            return this.notify(userId, 'plan_changed', { from, to });
         });
 
-        bus.on(Events.USER_PROFILE_UPDATED, ({userId, changed})=>{
-            if(this.enablePush) this.push?.pushToUser(userId, 'profile_updated', { changed });
+        on(Events.BILLING_PAYMENT_FAILED, ({ userId, amountDue, currency, graceUntil })=>{
+            return this.notify(userId, 'payment_failed', { amount_due: amountDue, currency, grace_until: graceUntil });
         });
 
-        bus.on(Events.PASSWORD_RESET_REQUESTED, ({ userId, email })=>{
-            if(this.enablePush) this.push?.pushToUser(userId, 'password_reset_requested', { email });
+        on(Events.BILLING_TRIAL_ENDING, ({ userId, trialEndsAt })=>{
+            return this.notify(userId, 'trial_ending', { trial_ends_at: trialEndsAt });
         });
 
-        bus.on(Events.PASSWORD_CHANGED, ({ userId })=>{
-            if(this.enablePush) this.push?.pushToUser(userId, 'password_changed', { message: 'Password updated' });
+        // a big audience takes longer than a listener may, so the sending isn't waited for
+        on(Events.ANNOUNCEMENT_DUE, ({ announcementId })=>{
+            this.announcements.send(announcementId)
+                .catch(error => console.error(`Announcement ${announcementId} failed:`, error.message));
         });
     }
 }
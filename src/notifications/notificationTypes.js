@@ -0,0 +1,45 @@
+// every notification the app raises and how it may reach the user:
+//   in_app  the inbox (/api/notifications), push  the live socket event, email  a mail through the outbox
+// defaults apply until the user picks their own channels, mandatory ones stay on whatever the preferences say.
+// security notices skip quiet hours and the digest; low priority emails wait for the daily digest.
+// email names the EmailUtils.emails entry for types with a mail of their own, the rest use the generic one.
+const CHANNELS = ['in_app', 'push', 'email'];
+
+const PRIORITIES = ['low', 'normal', 'high'];
+
+const NOTIFICATION_TYPES = {
+    welcome: { priority: 'low', defaults: ['in_app', 'push'] },
+    email_verified: { priority: 'low', defaults: ['in_app', 'push'] },
+    profile_updated: { priority: 'low', defaults: ['in_app', 'push'] },
+    login: { priority: 'high', security: true, defaults: ['in_app', 'push', 'email'], mandatory: ['email'], email: 'new_login' },
+    password_reset_requested: { priority: 'high', security: true, defaults: ['in_app', 'push'], mandatory: ['in_app'] },
+    password_changed: { priority: 'high', security: true, defaults: ['in_app', 'push', 'email'], mandatory: ['email'], email: 'password_changed' },
+    security_alert: { priority: 'high', security: true, defaults: ['in_app', 'push', 'email'], mandatory: ['in_app', 'email'] },
+    account_locked: { priority: 'high', security: true, defaults: ['in_app', 'email'], mandatory: ['email'], email: 'account_locked' },
+    mfa_enabled: { priority: 'high', security: true, defaults: ['in_app', 'push', 'email'], mandatory: ['in_app'] },
+    mfa_disabled: { priority: 'high', security: true, defaults: ['in_app', 'push', 'email'], mandatory: ['in_app', 'email'] },
+    mfa_recovery_code_used: { priority: 'high', security: true, defaults: ['in_app', 'push', 'email'], mandatory: ['in_app'] },
+    plan_changed: { priority: 'normal', defaults: ['in_app', 'push', 'email'] },
+    payment_failed: { priority: 'high', defaults: ['in_app', 'push', 'email'] },
+    trial_ending: { priority: 'normal', defaults: ['in_app', 'email'] },
+    // email only goes out when the admin sending it asked for one
+    announcement: { priority: 'normal', defaults: ['in_app', 'push', 'email'] }
+};
+
+const getType = (type) => NOTIFICATION_TYPES[type] || null;
+
+// stored choices win over the defaults, mandatory channels are added back either way
+const resolveChannels = (type, chosen = {}) => {
+    const spec = getType(type);
+    if (!spec) return [];
+    const picked = Array.isArray(chosen[type]) ? chosen[type] : spec.defaults;
+    return CHANNELS.filter(channel => picked.includes(channel) || (spec.mandatory || []).includes(channel));
+};
+
+module.exports = {
+    CHANNELS,
+    PRIORITIES,
+    NOTIFICATION_TYPES,
+    getType,
+    resolveChannels
+};
@@ -0,0 +1,47 @@
+// quiet hours are "HH:MM" wall-clock times in the user's IANA timezone, start 22:00 / end 07:00 wraps past midnight
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)(:[0-5]\d)?$/;
+
+const toMinutes = (time) => {
+    const match = TIME_PATTERN.exec(String(time));
+    return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+};
+
+const isValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+const localMinutes = (date, timezone) => {
+    const parts = new Intl.DateTimeFormat('en-GB', { timeZone: timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+        .formatToParts(date);
+    const value = (type) => parseInt(parts.find(part => part.type === type).value);
+    return value('hour') * 60 + value('minute');
+};
+
+// -> when the current quiet period ends, or null outside of it (and for users without quiet hours).
+// Counted in minutes from now, so a DST switch inside the window shifts the end by that hour
+const quietUntil = ({ start, end, timezone = 'UTC' } = {}, now = new Date()) => {
+    const from = toMinutes(start);
+    const to = toMinutes(end);
+    if (from === null || to === null || from === to) return null;
+
+    const current = localMinutes(now, timezone);
+    const inside = from < to ? current >= from && current < to : current >= from || current < to;
+    if (!inside) return null;
+
+    const minutesLeft = (to - current + 1440) % 1440;
+    const endsAt = new Date(now.getTime() + minutesLeft * 60000);
+    endsAt.setSeconds(0, 0);
+    return endsAt;
+};
+
+module.exports = {
+    TIME_PATTERN,
+    isValidTimezone,
+    quietUntil
+};
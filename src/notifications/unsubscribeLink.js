@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+
+// links in notification emails turn that email off without logging in, so they carry the user and the type
+// signed with NOTIFICATION_UNSUBSCRIBE_SECRET. They don't expire: an old email should still work.
+// type "digest" stands for every low priority type, the ones the digest email collects
+
+const secret = () => process.env.NOTIFICATION_UNSUBSCRIBE_SECRET || process.env.JWT_ACCESS_SECRET;
+
+const signature = (userId, type) => crypto.createHmac('sha256', secret()).update(`unsubscribe:${userId}:${type}`).digest('base64url');
+
+const createToken = (userId, type) => `${userId}.${type}.${signature(userId, type)}`;
+
+// -> { userId, type } or null
+const verifyToken = (token) => {
+    const match = /^(\d+)\.([a-z_]+)\.([\w-]+)$/.exec(String(token || ''));
+    if (!match) return null;
+
+    const [, userId, type, given] = match;
+    const expected = Buffer.from(signature(userId, type));
+    const received = Buffer.from(given);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return null;
+    return { userId: parseInt(userId), type };
+};
+
+const url = (userId, type) => {
+    const base = (process.env.APP_BASE_URL || 'http://localhost:3000').replace(/\/+$/, '');
+    return `${base}/api/notifications/unsubscribe?token=${encodeURIComponent(createToken(userId, type))}`;
+};
+
+module.exports = {
+    createToken,
+    verifyToken,
+    url
+};
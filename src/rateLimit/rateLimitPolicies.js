@@ -0,0 +1,48 @@
+// every rate limit the API applies, by name. by says what is counted: ip, the caller's address (IPv6 by /56),
+// or account, the username / email in the request body (field), so credential stuffing spread over many IPs
+// still hits one counter. failuresOnly counts only answers of 400 and up, a user who gets in uses nothing up.
+// RATE_LIMIT_<NAME>=<limit>/<minutes> overrides one (RATE_LIMIT_SIGNIN=100/5). The limit every /api request
+// counts against, per plan, is in src/middlewares/planRateLimit.js
+const POLICIES = {
+    // login, Google login and the second factor
+    signin: { by: 'ip', limit: 50, windowMinutes: 5 },
+    signin_account: { by: 'account', field: 'identifier', limit: 10, windowMinutes: 15, failuresOnly: true },
+    register: { by: 'ip', limit: 20, windowMinutes: 60 },
+    password_reset: { by: 'ip', limit: 20, windowMinutes: 60 },
+    password_reset_account: { by: 'account', field: 'email', limit: 3, windowMinutes: 60 },
+    verification_email: { by: 'ip', limit: 20, windowMinutes: 60 },
+    verification_email_account: { by: 'account', field: 'email', limit: 3, windowMinutes: 60 },
+    // links and tokens: refresh, email verification, password reset, device confirm / deny
+    token: { by: 'ip', limit: 60, windowMinutes: 15 }
+};
+
+const OVERRIDE_PATTERN = /^\s*(\d+)\s*\/\s*(\d+)\s*$/;
+
+// -> { name, by, field, limit, windowMs, failuresOnly }
+const resolvePolicy = (name, env = process.env) => {
+    const policy = POLICIES[name];
+    if (!policy) throw new Error(`Unknown rate limit policy "${name}"`);
+
+    let { limit, windowMinutes } = policy;
+    const override = env[`RATE_LIMIT_${name.toUpperCase()}`];
+    if (override) {
+        const match = OVERRIDE_PATTERN.exec(override);
+        if (!match) throw new Error(`RATE_LIMIT_${name.toUpperCase()} must look like <limit>/<minutes>, got "${override}"`);
+        limit = parseInt(match[1]);
+        windowMinutes = parseInt(match[2]);
+    }
+
+    return {
+        name,
+        by: policy.by,
+        field: policy.field,
+        limit,
+        windowMs: windowMinutes * 60 * 1000,
+        failuresOnly: Boolean(policy.failuresOnly)
+    };
+};
+
+module.exports = {
+    POLICIES,
+    resolvePolicy
+};
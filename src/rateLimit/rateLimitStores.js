@@ -0,0 +1,151 @@
+const { MemoryStore } = require('express-rate-limit');
+const DB_Connection = require('../database/db.js');
+
+const STORES = ['memory', 'postgres', 'redis'];
+
+// expired counters are removed this often, a counter past its window is already ignored
+const CLEANUP_INTERVAL_MS = 5 * 60 * 1000;
+
+// counts in rate_limit_hits (migration 0018). One upsert per request: the window starts with the first hit
+// and a hit after it ended starts a new one
+class PostgresStore {
+    constructor(prefix) {
+        this.prefix = prefix;
+        this.localKeys = false;
+        this.db_connection = new DB_Connection();
+    }
+
+    init = (options) => {
+        this.windowMs = options.windowMs;
+        this.cleanup = setInterval(() => {
+            this.db_connection.query_executor(
+                `DELETE FROM rate_limit_hits WHERE key LIKE $1 AND reset_at <= NOW()`,
+                [`${this.prefix}%`]
+            ).catch(error => console.error(`Rate limit cleanup for ${this.prefix} failed:`, error.message));
+        }, CLEANUP_INTERVAL_MS);
+        this.cleanup.unref();
+    };
+
+    get = async (key) => {
+        const result = await this.db_connection.query_executor(
+            `SELECT hits, reset_at FROM rate_limit_hits WHERE key = $1 AND reset_at > NOW()`,
+            [this.prefix + key]
+        );
+        const row = result.rows[0];
+        return row ? { totalHits: row.hits, resetTime: row.reset_at } : undefined;
+    };
+
+    increment = async (key) => {
+        const query = `
+            INSERT INTO rate_limit_hits (key, hits, reset_at)
+            VALUES ($1, 1, NOW() + $2::int * INTERVAL '1 millisecond')
+            ON CONFLICT (key) DO UPDATE
+            SET hits = CASE WHEN rate_limit_hits.reset_at <= NOW() THEN 1 ELSE rate_limit_hits.hits + 1 END,
+                reset_at = CASE WHEN rate_limit_hits.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE rate_limit_hits.reset_at END
+            RETURNING hits, reset_at;
+        `;
+        const result = await this.db_connection.query_executor(query, [this.prefix + key, this.windowMs]);
+        return { totalHits: result.rows[0].hits, resetTime: result.rows[0].reset_at };
+    };
+
+    decrement = async (key) => {
+        await this.db_connection.query_executor(
+            `UPDATE rate_limit_hits SET hits = GREATEST(hits - 1, 0) WHERE key = $1 AND reset_at > NOW()`,
+            [this.prefix + key]
+        );
+    };
+
+    resetKey = async (key) => {
+        await this.db_connection.query_executor(`DELETE FROM rate_limit_hits WHERE key = $1`, [this.prefix + key]);
+    };
+
+    shutdown = () => clearInterval(this.cleanup);
+}
+
+// INCR and the expiry in one script, so a counter never ends up without a TTL
+const INCREMENT_SCRIPT = `
+local hits = redis.call('INCR', KEYS[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+    redis.call('PEXPIRE', KEYS[1], ARGV[1])
+    ttl = tonumber(ARGV[1])
+end
+return { hits, ttl }
+`;
+
+// counters are keys that expire with their window. All limiters share one connection
+let redisClient = null;
+
+const connectRedis = (url) => {
+    if (!redisClient) {
+        const { createClient } = require('redis');
+        const client = createClient({ url });
+        client.on('error', error => console.error('Rate limit redis error:', error.message));
+        redisClient = client.connect().then(() => client);
+    }
+    return redisClient;
+};
+
+class RedisStore {
+    constructor(prefix, url) {
+        this.prefix = prefix;
+        this.localKeys = false;
+        this.client = connectRedis(url);
+    }
+
+    init = (options) => {
+        this.windowMs = options.windowMs;
+    };
+
+    get = async (key) => {
+        const client = await this.client;
+        const [hits, ttl] = await Promise.all([client.get(this.prefix + key), client.pTTL(this.prefix + key)]);
+        if (hits === null || ttl < 0) return undefined;
+        return { totalHits: parseInt(hits), resetTime: new Date(Date.now() + ttl) };
+    };
+
+    increment = async (key) => {
+        const client = await this.client;
+        const [hits, ttl] = await client.eval(INCREMENT_SCRIPT, { keys: [this.prefix + key], arguments: [String(this.windowMs)] });
+        return { totalHits: Number(hits), resetTime: new Date(Date.now() + Number(ttl)) };
+    };
+
+    decrement = async (key) => {
+        const client = await this.client;
+        // only while the window lasts, a DECR on a missing key would create one without a TTL
+        if (await client.exists(this.prefix + key)) await client.decr(this.prefix + key);
+    };
+
+    resetKey = async (key) => {
+        const client = await this.client;
+        await client.del(this.prefix + key);
+    };
+}
+
+// RATE_LIMIT_STORE picks where limiters count:
+//   memory    express-rate-limit's default, per process: limits reset on restart and every instance counts alone
+//   postgres  the app database, nothing else to run
+//   redis     RATE_LIMIT_REDIS_URL (Redis or anything speaking its protocol), the cheapest per request
+// Every limiter needs a store of its own, prefix keeps their keys apart. Drivers are only required when picked
+const createStore = (prefix, env = process.env) => {
+    const name = (env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+
+    switch (name) {
+        case 'memory':
+            return new MemoryStore();
+        case 'postgres':
+            return new PostgresStore(prefix);
+        case 'redis':
+            if (!env.RATE_LIMIT_REDIS_URL) throw new Error('RATE_LIMIT_STORE=redis needs RATE_LIMIT_REDIS_URL');
+            return new RedisStore(prefix, env.RATE_LIMIT_REDIS_URL);
+        default:
+            throw new Error(`Unknown RATE_LIMIT_STORE "${name}", use one of: ${STORES.join(', ')}`);
+    }
+};
+
+module.exports = {
+    createStore,
+    PostgresStore,
+    RedisStore,
+    STORES
+};
@@ -0,0 +1,54 @@
+// every room a socket can be in. On connect the server puts a socket in its user and session rooms, one room per
+// role and broadcast; `subscribe` / `unsubscribe` from the client go through authorize() below.
+// socket.data holds { userId, sessionId, roles, permissions } from the access token
+
+const userRoom = (userId) => `user:${userId}`;
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+const roleRoom = (role) => `role:${role}`;
+const presenceRoom = (userId) => `presence:${userId}`;
+const BROADCAST_ROOM = 'broadcast';
+
+// required rooms can't be left: pushes and forced logouts go through them
+const CHANNELS = [
+    { pattern: /^user:(\d+)$/, required: true, authorize: (data, userId) => Number(userId) === data.userId },
+    { pattern: /^session:([\w-]+)$/, required: true, authorize: (data, sessionId) => sessionId === data.sessionId },
+    { pattern: /^role:([\w:-]+)$/, authorize: (data, role) => data.roles.includes(role) },
+    { pattern: /^broadcast$/, authorize: () => true },
+    // like GET /api/presence, any signed in user may follow anyone
+    { pattern: /^presence:(\d+)$/, authorize: () => true }
+];
+
+const findChannel = (name) => {
+    for (const channel of CHANNELS) {
+        const match = channel.pattern.exec(String(name));
+        if (match) return { channel, args: match.slice(1) };
+    }
+    return null;
+};
+
+// -> null when the socket may join, otherwise the reason it can't
+const authorizeJoin = (data, name) => {
+    const found = findChannel(name);
+    if (!found) return 'unknown channel';
+    return found.channel.authorize(data, ...found.args) ? null : 'forbidden';
+};
+
+const canLeave = (name) => !findChannel(name)?.channel.required;
+
+const defaultRooms = (data) => [
+    userRoom(data.userId),
+    ...(data.sessionId ? [sessionRoom(data.sessionId)] : []),
+    ...data.roles.map(roleRoom),
+    BROADCAST_ROOM
+];
+
+module.exports = {
+    userRoom,
+    sessionRoom,
+    roleRoom,
+    presenceRoom,
+    BROADCAST_ROOM,
+    authorizeJoin,
+    canLeave,
+    defaultRooms
+};
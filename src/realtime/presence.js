@@ -0,0 +1,66 @@
+const os = require('os');
+const crypto = require('crypto');
+const PresenceModel = require('../models/presenceModel.js');
+const { presenceRoom } = require('./channels.js');
+
+// who is online, shared by all instances through socket_connections. Going online / offline is emitted as
+// `presence` to the presence:<userId> room, whoever subscribed to that user gets it
+class Presence {
+    constructor(io, { heartbeatSeconds = parseInt(process.env.PRESENCE_HEARTBEAT_SECONDS || '30') } = {}) {
+        this.io = io;
+        this.presenceModel = new PresenceModel();
+        this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+        this.heartbeatSeconds = heartbeatSeconds;
+        this.timer = null;
+    }
+
+    static present = (row) => ({
+        user_id: row.user_id,
+        online: row.connections > 0,
+        last_seen_at: row.connections > 0 ? null : row.last_seen_at
+    });
+
+    announce = (userId, online, lastSeenAt = null) => {
+        this.io.to(presenceRoom(userId)).emit('presence', { user_id: userId, online, last_seen_at: online ? null : lastSeenAt });
+    };
+
+    connected = async (userId, socket) => {
+        const connections = await this.presenceModel.addConnection({ socketId: socket.id, userId, instanceId: this.instanceId });
+        if (connections === 1) this.announce(userId, true);
+    };
+
+    disconnected = async (socket) => {
+        const removed = await this.presenceModel.removeConnection(socket.id);
+        if (removed && removed.remaining === 0) this.announce(removed.userId, false, removed.lastSeenAt);
+    };
+
+    // -> sockets the user has open on all instances together
+    connections = (userId) => this.presenceModel.countConnections(userId);
+
+    // refreshes this instance's rows and clears the ones nobody refreshed for three beats (a crashed instance)
+    heartbeat = async () => {
+        try {
+            await this.presenceModel.touchInstance(this.instanceId);
+            const gone = await this.presenceModel.removeStaleConnections({ olderThanSeconds: this.heartbeatSeconds * 3 });
+            for (const { user_id, last_seen_at } of gone) this.announce(user_id, false, last_seen_at);
+        } catch (error) {
+            console.error('Presence heartbeat failed:', error.message);
+        }
+    };
+
+    start = () => {
+        this.timer = setInterval(this.heartbeat, this.heartbeatSeconds * 1000);
+        this.timer.unref();
+    };
+
+    // graceful shutdown: this instance's sockets go offline now instead of after the timeout
+    stop = async () => {
+        clearInterval(this.timer);
+        const gone = await this.presenceModel.removeStaleConnections({ instanceId: this.instanceId });
+        for (const { user_id, last_seen_at } of gone) this.announce(user_id, false, last_seen_at);
+    };
+}
+
+module.exports = {
+    Presence
+};
@@ -0,0 +1,43 @@
+const DB_Connection = require('../database/db.js');
+
+const ADAPTERS = ['memory', 'postgres', 'redis'];
+
+// SOCKET_ADAPTER picks how emits reach sockets held by other instances:
+//   memory    the socket.io default, only this process (a single instance)
+//   postgres  LISTEN/NOTIFY on the app database, nothing else to run
+//   redis     pub/sub on SOCKET_REDIS_URL (Redis or anything speaking its protocol: Valkey, KeyDB, ...)
+// -> a value for io.adapter(), null for memory. The drivers are only required when picked
+const createSocketAdapter = async (env = process.env) => {
+    const name = (env.SOCKET_ADAPTER || 'memory').toLowerCase();
+    const prefix = env.SOCKET_CHANNEL_PREFIX || 'socket.io';
+
+    switch (name) {
+        case 'memory':
+            return null;
+        case 'postgres': {
+            const { createAdapter } = require('@socket.io/postgres-adapter');
+            // keeps one pool client for LISTEN; the attachments table comes from the migrations
+            return createAdapter(new DB_Connection().pool, { channelPrefix: prefix, tableName: 'socket_io_attachments' });
+        }
+        case 'redis': {
+            if (!env.SOCKET_REDIS_URL) throw new Error('SOCKET_ADAPTER=redis needs SOCKET_REDIS_URL');
+            const { createClient } = require('redis');
+            const { createAdapter } = require('@socket.io/redis-adapter');
+
+            const pubClient = createClient({ url: env.SOCKET_REDIS_URL });
+            const subClient = pubClient.duplicate();
+            for (const client of [pubClient, subClient]) {
+                client.on('error', error => console.error('Socket adapter redis error:', error.message));
+            }
+            await Promise.all([pubClient.connect(), subClient.connect()]);
+            return createAdapter(pubClient, subClient, { key: prefix });
+        }
+        default:
+            throw new Error(`Unknown SOCKET_ADAPTER "${name}", use one of: ${ADAPTERS.join(', ')}`);
+    }
+};
+
+module.exports = {
+    createSocketAdapter,
+    ADAPTERS
+};
@@ -0,0 +1,126 @@
+const bus = require('../events/eventBus.js');
+const Events = require('../events/eventsNames.js');
+const AuthenticateToken = require('../middlewares/authenticateToken.js');
+const { userRoom, sessionRoom, defaultRooms } = require('./channels.js');
+
+// the longest delay setTimeout takes
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// who is behind a socket, for as long as their access token holds: checked like an HTTP request on connect,
+// renewed in-band with auth:refresh, and cut when the token runs out or the session is revoked
+class SocketAuth {
+    constructor(io, {
+        warningSeconds = parseInt(process.env.SOCKET_AUTH_WARNING_SECONDS || '60'),
+        allowQueryToken = process.env.SOCKET_ALLOW_QUERY_TOKEN === 'true'
+    } = {}) {
+        this.io = io;
+        this.authenticator = new AuthenticateToken();
+        this.warningSeconds = warningSeconds;
+        this.allowQueryToken = allowQueryToken;
+        // kept out of socket.data, which adapters serialize
+        this.timers = new WeakMap();
+    }
+
+    // the client sees this as connect_error, with err.data.status like the HTTP status it would have got
+    refusal = (status, message) => Object.assign(new Error(message), { data: { status } });
+
+    identity = ({ user, access, sessionId, expiresAt }) => ({
+        userId: user.id,
+        sessionId,
+        roles: access.roles || [],
+        permissions: access.permissions || [],
+        expiresAt
+    });
+
+    // io.use(): the token comes in the handshake auth payload (`io(url, { auth: { token } })`), a query string
+    // ends up in proxy and access logs. SOCKET_ALLOW_QUERY_TOKEN=true keeps old clients working meanwhile
+    middleware = async (socket, next) => {
+        try {
+            let token = socket.handshake.auth?.token;
+            if (!token && this.allowQueryToken && socket.handshake.query?.token) {
+                console.warn('Socket token sent in the query string, clients should move it to the handshake auth payload');
+                token = socket.handshake.query.token;
+            }
+            if (!token) return next(this.refusal(401, 'Access token required'));
+
+            const verified = await this.authenticator.verifyAccessToken(token);
+            if (verified.error) return next(this.refusal(verified.error.status, verified.error.message));
+
+            socket.data = this.identity(verified);
+            next();
+        } catch (error) {
+            console.error('Socket authentication error:', error.message);
+            next(this.refusal(500, 'Internal server error'));
+        }
+    };
+
+    // auth:expiring goes out SOCKET_AUTH_WARNING_SECONDS before the token runs out, auth:expired and a disconnect when it does
+    scheduleExpiry = (socket) => {
+        this.clearExpiry(socket);
+        if (!socket.data.expiresAt) return;
+
+        const left = socket.data.expiresAt.getTime() - Date.now();
+        const delay = (ms) => Math.min(Math.max(ms, 0), MAX_TIMER_MS);
+        const warning = setTimeout(() => {
+            socket.emit('auth:expiring', { expires_at: socket.data.expiresAt });
+        }, delay(left - this.warningSeconds * 1000));
+        const expiry = setTimeout(() => {
+            socket.emit('auth:expired', { message: 'Token expired' });
+            socket.disconnect(true);
+        }, delay(left));
+        this.timers.set(socket, [warning, expiry]);
+    };
+
+    clearExpiry = (socket) => {
+        for (const timer of this.timers.get(socket) || []) clearTimeout(timer);
+        this.timers.delete(socket);
+    };
+
+    // a fresh access token of the same user keeps the socket open; rooms follow the new roles and session.
+    // A rejected token changes nothing, the old one still runs out on its own
+    reauthenticate = async (socket, token) => {
+        if (!token || typeof token !== 'string') return { success: false, error: 'Access token required' };
+
+        const verified = await this.authenticator.verifyAccessToken(token);
+        if (verified.error) return { success: false, error: verified.error.message };
+        if (verified.user.id !== socket.data.userId) return { success: false, error: 'Token belongs to another user' };
+
+        const before = defaultRooms(socket.data);
+        socket.data = this.identity(verified);
+        const after = defaultRooms(socket.data);
+
+        for (const room of before.filter(room => !after.includes(room))) socket.leave(room);
+        // only rooms the new token adds, what the client unsubscribed from stays that way
+        socket.join(after.filter(room => !before.includes(room)));
+
+        this.scheduleExpiry(socket);
+        return { success: true, expires_at: socket.data.expiresAt };
+    };
+
+    // works across instances through the adapter
+    revoke = (room, reason) => {
+        this.io.to(room).emit('auth:revoked', { reason });
+        this.io.in(room).disconnectSockets(true);
+    };
+
+    registerListeners = () => {
+        const on = (event, listener) => bus.on(event, listener, { name: 'socket-auth' });
+
+        // logout, logout everywhere, refresh token reuse, admin lock / deactivation, account deletion
+        on(Events.SESSION_REVOKED, ({ sessionIds = [] }) => {
+            for (const sessionId of sessionIds) this.revoke(sessionRoom(sessionId), 'session_revoked');
+        });
+
+        // the same for tokens issued before sessions existed, which carry no session id
+        on(Events.USER_DEACTIVATED, ({ userId }) => this.revoke(userRoom(userId), 'deactivated'));
+        on(Events.USER_DELETION_SCHEDULED, ({ userId }) => this.revoke(userRoom(userId), 'deletion_scheduled'));
+
+        // a lock after failed logins can be set off by anyone who knows the username: it stops new logins but,
+        // as over HTTP, leaves the open sessions alone
+        on(Events.ACCOUNT_LOCKED, ({ userId, reason }) => {
+            if (reason === 'admin') this.revoke(userRoom(userId), 'locked');
+        });
+    };
+}
+
+module.exports = SocketAuth;
@@ -1,5 +1,21 @@
 const {Server} = require('socket.io');
-const jwt = require('jsonwebtoken');
+const { createSocketAdapter } = require('./socketAdapter.js');
+const { Presence } = require('./presence.js');
+const SocketAuth = require('./socketAuth.js');
+const { userRoom, roleRoom, presenceRoom, BROADCAST_ROOM, authorizeJoin, canLeave, defaultRooms } = require('./channels.js');
+const PresenceModel = require('../models/presenceModel.js');
+
+// how many users one socket may follow the presence of
+const MAX_PRESENCE_SUBSCRIPTIONS = 100;
+
+// SOCKET_ALLOWED_ORIGINS: comma separated origins browsers may connect from, * for any (the default).
+// Clients that send no Origin (mobile apps, servers) are not affected
+const allowedOrigins = (value = process.env.SOCKET_ALLOWED_ORIGINS)=>{
+    const origins = String(value || '*').split(',').map(origin => origin.trim().replace(/\/+$/, '')).filter(Boolean);
+    return origins.includes('*') ? '*' : origins;
+}
+
+const isOriginAllowed = (origin, origins)=> !origin || origins === '*' || origins.includes(origin);
 
 const createSocketServer = (httpServer)=>{
     if(process.env.ENABLE_WEBSOCKETS !== 'true'){
@@ -7,54 +23,142 @@ const createSocketServer = (httpServer)=>{
         return null;
     }
 
+    const origins = allowedOrigins();
+    if(origins === '*' && process.env.NODE_ENV === 'production'){
+        console.warn('SOCKET_ALLOWED_ORIGINS is not set, sockets accept any origin');
+    }
+
     const io = new Server(httpServer, {
-        cors: {origin: '*'}
+        cors: {origin: origins},
+        // CORS only covers polling, a websocket upgrade has to be checked by hand
+        allowRequest: (req, callback)=> callback(null, isOriginAllowed(req.headers.origin, origins))
     });
 
-    const userSockets = new Map();
+    const auth = new SocketAuth(io);
+    const presence = new Presence(io);
+    const presenceModel = new PresenceModel();
+    const connectionListeners = [];
+
+    io.use(auth.middleware);
+    auth.registerListeners();
+
+    io.on('connection', async(socket)=>{
+        const { userId } = socket.data;
+
+        socket.join(defaultRooms(socket.data));
+        auth.scheduleExpiry(socket);
+
+        socket.on('disconnect', ()=>{
+            auth.clearExpiry(socket);
+            presence.disconnected(socket).catch(error => console.error('Presence update failed:', error.message));
+        });
+
+        // auth:refresh token -> ack { success, expires_at } before the current token runs out
+        socket.on('auth:refresh', async(token, ack)=>{
+            try {
+                const result = await auth.reauthenticate(socket, token);
+                if(typeof ack === 'function') ack(result);
+            } catch (error) {
+                console.error('Socket re-authentication failed:', error.message);
+                if(typeof ack === 'function') ack({ success: false, error: 'Internal server error' });
+            }
+        });
+
+        // subscribe [channels] -> ack { subscribed, denied: { channel: reason } }, see channels.js for who may join what
+        socket.on('subscribe', (channels, ack)=>{
+            const subscribed = [];
+            const denied = {};
+            for(const channel of Array.isArray(channels) ? channels.map(String) : []){
+                const reason = authorizeJoin(socket.data, channel);
+                if(reason) denied[channel] = reason;
+                else subscribed.push(channel);
+            }
+            socket.join(subscribed);
+            if(typeof ack === 'function') ack({ success: true, subscribed, denied });
+        });
+
+        socket.on('unsubscribe', (channels, ack)=>{
+            const left = (Array.isArray(channels) ? channels.map(String) : []).filter(canLeave);
+            for(const channel of left) socket.leave(channel);
+            if(typeof ack === 'function') ack({ success: true, unsubscribed: left });
+        });
+
+        // presence:subscribe [userIds] -> joins their presence rooms, the ack gets their current state
+        socket.on('presence:subscribe', async(userIds, ack)=>{
+            const ids = Array.isArray(userIds) ? [...new Set(userIds.map(Number))].filter(id => Number.isInteger(id) && id > 0) : [];
+            const joined = [...socket.rooms].filter(room => room.startsWith('presence:')).length;
+            if(!ids.length || joined + ids.length > MAX_PRESENCE_SUBSCRIPTIONS){
+                return typeof ack === 'function' && ack({ success: false, error: `Give up to ${MAX_PRESENCE_SUBSCRIPTIONS} user ids` });
+            }
+
+            try {
+                socket.join(ids.map(presenceRoom).filter(room => !authorizeJoin(socket.data, room)));
+                const rows = await presenceModel.getPresence(ids);
+                if(typeof ack === 'function') ack({ success: true, presence: rows.map(Presence.present) });
+            } catch (error) {
+                console.error('Presence subscribe failed:', error.message);
+                if(typeof ack === 'function') ack({ success: false, error: 'Internal server error' });
+            }
+        });
 
-    io.on('connection', (socket)=>{
-        const token = socket.handshake.query?.token;
-        let userId = null;
+        socket.on('presence:unsubscribe', (userIds)=>{
+            for(const id of Array.isArray(userIds) ? userIds : []) socket.leave(presenceRoom(Number(id)));
+        });
 
         try {
-            if(!token) throw new Error("missing token");
-            const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
-            userId = decoded.sub || decoded.id;
+            await presence.connected(userId, socket);
+            // gone while its row was being written, the disconnect handler found nothing to remove
+            if(socket.disconnected) await presence.disconnected(socket);
         } catch (error) {
-            socket.emit('auth_error', {
-                message: 'invalid token'
-            });
-            return socket.disconnect();
+            console.error('Presence update failed:', error.message);
         }
 
-        if(!userSockets.has(userId)) userSockets.set(userId, new Set());
-        userSockets.get(userId).add(socket);
-        console.log(userSockets.get(userId));
-        
-
         socket.emit('connected', {
-            message: 'Notification ready'
+            message: 'Notification ready',
+            expires_at: socket.data.expiresAt
         });
 
-        socket.on('disconnect', ()=>{
-            const set = userSockets.get(userId);
-            if(set){
-                set.delete(socket);
-                if(set.size === 0) userSockets.delete(userId);
-            }
-        });
+        for(const listener of connectionListeners){
+            listener(userId, socket);
+        }
     });
 
-    const pushToUser = (userId, event, payload)=>{
-        const sockets = userSockets.get(userId);
-        if(!sockets) return;
-        for(const s of sockets){
-            s.emit(event, payload);
+    // reaches the user's sockets on every instance (through the adapter).
+    // -> how many sockets the user has open, 0 when that can't be looked up
+    const pushToUser = async(userId, event, payload)=>{
+        io.to(userRoom(userId)).emit(event, payload);
+        try {
+            return await presence.connections(userId);
+        } catch (error) {
+            return 0;
         }
     }
 
-    return {io, pushToUser};
+    const pushToRole = (role, event, payload)=>{
+        io.to(roleRoom(role)).emit(event, payload);
+    }
+
+    // everyone connected, except sockets that unsubscribed from broadcast
+    const broadcast = (event, payload)=>{
+        io.to(BROADCAST_ROOM).emit(event, payload);
+    }
+
+    // listener(userId, socket) runs for every authenticated connection
+    const onConnection = (listener)=>{
+        connectionListeners.push(listener);
+    }
+
+    // after the migrations: the postgres adapter and presence need their tables
+    const start = async()=>{
+        const adapter = await createSocketAdapter();
+        if(adapter) io.adapter(adapter);
+        presence.start();
+        console.log(`Socket adapter: ${process.env.SOCKET_ADAPTER || 'memory'}`);
+    }
+
+    const stop = ()=> presence.stop();
+
+    return {io, pushToUser, pushToRole, broadcast, onConnection, start, stop};
 }
 
-module.exports = createSocketServer;
\ No newline at end of file
+module.exports = createSocketServer;
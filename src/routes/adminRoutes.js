@@ -0,0 +1,874 @@
+const express = require('express');
+const AdminController = require('../controllers/adminController.js');
+const OutboxController = require('../controllers/outboxController.js');
+const PlanController = require('../controllers/planController.js');
+const AnnouncementController = require('../controllers/announcementController.js');
+const WebhookController = require('../controllers/webhookController.js');
+const AuditController = require('../controllers/auditController.js');
+const AuthenticateToken = require('../middlewares/authenticateToken.js');
+const Authorize = require('../middlewares/authorize.js');
+const { Permissions } = require('../auth/accessControl.js');
+
+// essential modules
+const adminRouter = express.Router();
+const adminController = new AdminController();
+const outboxController = new OutboxController();
+const planController = new PlanController();
+const announcementController = new AnnouncementController();
+const webhookController = new WebhookController();
+const auditController = new AuditController();
+const authenticateToken = new AuthenticateToken();
+const authorize = new Authorize();
+
+// everything below needs an authenticated operator
+adminRouter.use(authenticateToken.authenticateToken, authorize.requirePermission(Permissions.USERS_MANAGE));
+
+adminRouter.param('userId', (req, res, next, userId)=>{
+    if(!/^\d+$/.test(userId)){
+        return res.status(400).json({ success: false, error: 'userId param must be an integer' });
+    }
+    next();
+});
+
+adminRouter.param('messageId', (req, res, next, messageId)=>{
+    if(!/^\d+$/.test(messageId)){
+        return res.status(400).json({ success: false, error: 'messageId param must be an integer' });
+    }
+    next();
+});
+
+adminRouter.param('announcementId', (req, res, next, announcementId)=>{
+    if(!/^\d+$/.test(announcementId)){
+        return res.status(400).json({ success: false, error: 'announcementId param must be an integer' });
+    }
+    next();
+});
+
+adminRouter.param('endpointId', (req, res, next, endpointId)=>{
+    if(!/^\d+$/.test(endpointId)){
+        return res.status(400).json({ success: false, error: 'endpointId param must be an integer' });
+    }
+    next();
+});
+
+adminRouter.param('deliveryId', (req, res, next, deliveryId)=>{
+    if(!/^\d+$/.test(deliveryId)){
+        return res.status(400).json({ success: false, error: 'deliveryId param must be an integer' });
+    }
+    next();
+});
+
+/**
+ * @openapi
+ * /api/admin/users:
+ *   get:
+ *     tags: [Admin]
+ *     summary: List users (paginated, filterable, sortable)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - in: query
+ *         name: sort
+ *         schema: { type: string, enum: [created_at, last_login, username, email, id], default: created_at }
+ *       - in: query
+ *         name: order
+ *         schema: { type: string, enum: [asc, desc], default: desc }
+ *       - in: query
+ *         name: email_verified
+ *         schema: { type: boolean }
+ *       - in: query
+ *         name: is_active
+ *         schema: { type: boolean }
+ *       - in: query
+ *         name: subscription_type
+ *         schema: { type: string }
+ *         description: Plan code (free, plus, premium unless plans were added)
+ *       - in: query
+ *         name: provider
+ *         description: google, or local for password accounts
+ *         schema: { type: string }
+ *       - in: query
+ *         name: created_from
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: created_to
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: search
+ *         description: Partial match on username or email
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Page of users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminUserListResponse'
+ *       400:
+ *         description: Invalid filter / sort
+ *       403:
+ *         description: Missing users:manage permission
+ */
+adminRouter.get('/users', adminController.listUsers);
+
+/**
+ * @openapi
+ * /api/admin/users/{userId}:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Get one user with roles and active session count
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/UserIdParam'
+ *     responses:
+ *       200:
+ *         description: User
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminUserResponse'
+ *       404:
+ *         description: Not found
+ *   delete:
+ *     tags: [Admin]
+ *     summary: Permanently delete a user (needs users:delete too)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/UserIdParam'
+ *     responses:
+ *       200:
+ *         description: Deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BasicSuccess'
+ *       400:
+ *         description: Cannot delete your own account
+ *       404:
+ *         description: Not found
+ */
+adminRouter.get('/users/:userId', adminController.getUser);
+adminRouter.delete('/users/:userId', authorize.requirePermission(Permissions.USERS_DELETE), adminController.deleteUser);
+
+/**
+ * @openapi
+ * /api/admin/users/{userId}/lock:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Lock an account (also ends its sessions)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/UserIdParam'
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AdminLockRequest'
+ *     responses:
+ *       200:
+ *         description: Locked
+ *       400:
+ *         description: Invalid duration or own account
+ *       404:
+ *         description: Not found
+ */
+adminRouter.post('/users/:userId/lock', adminController.lockUser);
+
+/**
+ * @openapi
+ * /api/admin/users/{userId}/unlock:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Unlock an account and reset failed login attempts
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/UserIdParam'
+ *     responses:
+ *       200:
+ *         description: Unlocked
+ *       404:
+ *         description: Not found
+ */
+adminRouter.post('/users/:userId/unlock', adminController.unlockUser);
+
+/**
+ * @openapi
+ * /api/admin/users/{userId}/deactivate:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Deactivate an account (can't log in, sessions end)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/UserIdParam'
+ *     responses:
+ *       200:
+ *         description: Deactivated
+ *       400:
+ *         description: Own account
+ *       404:
+ *         description: Not found
+ */
+adminRouter.post('/users/:userId/deactivate', adminController.deactivateUser);
+
+/**
+ * @openapi
+ * /api/admin/users/{userId}/reactivate:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Reactivate a deactivated account
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/UserIdParam'
+ *     responses:
+ *       200:
+ *         description: Reactivated
+ *       404:
+ *         description: Not found
+ */
+adminRouter.post('/users/:userId/reactivate', adminController.reactivateUser);
+
+/**
+ * @openapi
+ * /api/admin/users/{userId}/verify-email:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Mark the user's email as verified
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/UserIdParam'
+ *     responses:
+ *       200:
+ *         description: Verified
+ *       404:
+ *         description: Not found
+ */
+adminRouter.post('/users/:userId/verify-email', adminController.verifyEmail);
+
+/**
+ * @openapi
+ * /api/admin/users/{userId}/logout:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Force logout (revoke every session of the user)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/UserIdParam'
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *       404:
+ *         description: Not found
+ */
+adminRouter.post('/users/:userId/logout', authorize.requirePermission(Permissions.SESSIONS_MANAGE), adminController.forceLogout);
+
+/**
+ * @openapi
+ * /api/admin/users/{userId}/roles/{role}:
+ *   put:
+ *     tags: [Admin]
+ *     summary: Grant a role (needs roles:manage)
+ *     description: A change ends every session of the user, their next tokens carry the new roles.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/UserIdParam'
+ *       - $ref: '#/components/parameters/RoleParam'
+ *     responses:
+ *       200:
+ *         description: The user's roles after the change and how many sessions were revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RoleChangeResponse'
+ *       400:
+ *         description: Unknown role, or your own account
+ *       403:
+ *         description: Missing roles:manage
+ *       404:
+ *         description: Not found
+ *   delete:
+ *     tags: [Admin]
+ *     summary: Revoke a role (needs roles:manage)
+ *     description: A change ends every session of the user, their next tokens carry the new roles.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/UserIdParam'
+ *       - $ref: '#/components/parameters/RoleParam'
+ *     responses:
+ *       200:
+ *         description: The user's roles after the change and how many sessions were revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RoleChangeResponse'
+ *       400:
+ *         description: Unknown role, or your own account
+ *       403:
+ *         description: Missing roles:manage
+ *       404:
+ *         description: Not found
+ */
+adminRouter.put('/users/:userId/roles/:role', authorize.requirePermission(Permissions.ROLES_MANAGE), adminController.grantRole);
+adminRouter.delete('/users/:userId/roles/:role', authorize.requirePermission(Permissions.ROLES_MANAGE), adminController.revokeRole);
+
+/**
+ * @openapi
+ * /api/admin/outbox:
+ *   get:
+ *     tags: [Admin]
+ *     summary: List outbox messages (queued emails and events), newest first
+ *     description: Needs outbox:manage. Filter on status=dead to find messages that gave up.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [pending, processing, sent, dead] }
+ *       - in: query
+ *         name: kind
+ *         schema: { type: string, enum: [event, email, webhook] }
+ *       - in: query
+ *         name: topic
+ *         description: Exact event name or email type
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Page of messages
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OutboxListResponse'
+ *       400:
+ *         description: Invalid filter
+ *       403:
+ *         description: Missing outbox:manage permission
+ */
+adminRouter.get('/outbox', authorize.requirePermission(Permissions.OUTBOX_MANAGE), outboxController.listMessages);
+
+/**
+ * @openapi
+ * /api/admin/outbox/stats:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Message counts per status and the age of the oldest pending one
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Counts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OutboxStatsResponse'
+ *       403:
+ *         description: Missing outbox:manage permission
+ */
+adminRouter.get('/outbox/stats', authorize.requirePermission(Permissions.OUTBOX_MANAGE), outboxController.getStats);
+
+/**
+ * @openapi
+ * /api/admin/outbox/{messageId}/retry:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Queue a dead or pending message again with a fresh attempt budget
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Queued again
+ *       404:
+ *         description: Not found
+ *       409:
+ *         description: Message is already sent or being processed
+ */
+adminRouter.post('/outbox/:messageId/retry', authorize.requirePermission(Permissions.OUTBOX_MANAGE), outboxController.retryMessage);
+
+/**
+ * @openapi
+ * /api/admin/users/{userId}/plan:
+ *   patch:
+ *     tags: [Admin]
+ *     summary: Move a user to another plan (subscriptions:manage)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/UserIdParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [plan]
+ *             properties:
+ *               plan: { type: string, example: plus }
+ *     responses:
+ *       200:
+ *         description: Plan changed
+ *       400:
+ *         description: Unknown or inactive plan
+ *       403:
+ *         description: Missing subscriptions:manage permission
+ *       404:
+ *         description: User not found
+ */
+adminRouter.patch('/users/:userId/plan', authorize.requirePermission(Permissions.SUBSCRIPTIONS_MANAGE), planController.changeUserPlan);
+
+/**
+ * @openapi
+ * /api/admin/plans:
+ *   get:
+ *     tags: [Admin]
+ *     summary: All plans, inactive ones included (subscriptions:manage)
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Plans
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PlanListResponse'
+ */
+adminRouter.get('/plans', authorize.requirePermission(Permissions.SUBSCRIPTIONS_MANAGE), planController.listAllPlans);
+
+/**
+ * @openapi
+ * /api/admin/plans/{planCode}:
+ *   put:
+ *     tags: [Admin]
+ *     summary: Create a plan or update its entitlements (subscriptions:manage)
+ *     description: Fields left out keep their value. features and limits are replaced as a whole when given.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planCode
+ *         required: true
+ *         schema: { type: string, pattern: '^[a-z0-9_-]{1,20}$' }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PlanUpdateRequest'
+ *     responses:
+ *       200:
+ *         description: Updated
+ *       201:
+ *         description: Created
+ *       400:
+ *         description: Invalid fields
+ */
+adminRouter.put('/plans/:planCode', authorize.requirePermission(Permissions.SUBSCRIPTIONS_MANAGE), planController.savePlan);
+
+/**
+ * @openapi
+ * /api/admin/announcements:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Send an announcement to everyone, the users of some plans or a list of users (announcements:manage)
+ *     description: |
+ *       Without scheduled_at (or with a past one) it goes out right away, otherwise at that time.
+ *       Every active user in the audience gets an `announcement` notification: stored in their inbox, pushed over
+ *       the socket and, with send_email, emailed, within their notification preferences.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AnnouncementCreateRequest'
+ *     responses:
+ *       201:
+ *         description: Scheduled or being sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AnnouncementResponse'
+ *       400:
+ *         description: Invalid fields, audience or unknown plan
+ *       403:
+ *         description: Missing announcements:manage permission
+ *   get:
+ *     tags: [Admin]
+ *     summary: List announcements, newest first (announcements:manage)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [scheduled, sending, sent, cancelled] }
+ *     responses:
+ *       200:
+ *         description: Page of announcements
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AnnouncementListResponse'
+ *       400:
+ *         description: Invalid filter
+ */
+adminRouter.post('/announcements', authorize.requirePermission(Permissions.ANNOUNCEMENTS_MANAGE), announcementController.createAnnouncement);
+adminRouter.get('/announcements', authorize.requirePermission(Permissions.ANNOUNCEMENTS_MANAGE), announcementController.listAnnouncements);
+
+/**
+ * @openapi
+ * /api/admin/announcements/{announcementId}:
+ *   get:
+ *     tags: [Admin]
+ *     summary: One announcement with its status and, once sent, how many users it went to
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: announcementId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Announcement
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AnnouncementResponse'
+ *       404:
+ *         description: Not found
+ */
+adminRouter.get('/announcements/:announcementId', authorize.requirePermission(Permissions.ANNOUNCEMENTS_MANAGE), announcementController.getAnnouncement);
+
+/**
+ * @openapi
+ * /api/admin/announcements/{announcementId}/cancel:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Cancel a scheduled announcement
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: announcementId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Cancelled
+ *       404:
+ *         description: Not found
+ *       409:
+ *         description: Already sent, being sent or cancelled
+ */
+adminRouter.post('/announcements/:announcementId/cancel', authorize.requirePermission(Permissions.ANNOUNCEMENTS_MANAGE), announcementController.cancelAnnouncement);
+
+/**
+ * @openapi
+ * /api/admin/webhooks:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Register a webhook endpoint for user lifecycle events (webhooks:manage)
+ *     description: |
+ *       events takes event names or patterns (`user.password.*`, `user.*`). Each matching event is POSTed to url,
+ *       signed with the endpoint's secret, which is only in this response. https is required in production.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookEndpointRequest'
+ *     responses:
+ *       201:
+ *         description: Created, with its secret
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookEndpointSecretResponse'
+ *       400:
+ *         description: Invalid url, unknown event or pattern
+ *       403:
+ *         description: Missing webhooks:manage permission
+ *   get:
+ *     tags: [Admin]
+ *     summary: List webhook endpoints and the events they can subscribe to (webhooks:manage)
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Endpoints
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 endpoints:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/WebhookEndpoint' }
+ *                 events:
+ *                   type: array
+ *                   items: { type: string }
+ */
+adminRouter.post('/webhooks', authorize.requirePermission(Permissions.WEBHOOKS_MANAGE), webhookController.createEndpoint);
+adminRouter.get('/webhooks', authorize.requirePermission(Permissions.WEBHOOKS_MANAGE), webhookController.listEndpoints);
+
+/**
+ * @openapi
+ * /api/admin/webhooks/{endpointId}:
+ *   get:
+ *     tags: [Admin]
+ *     summary: One webhook endpoint, with its failure count and why it was disabled
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: endpointId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Endpoint
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookEndpointResponse'
+ *       404:
+ *         description: Not found
+ *   patch:
+ *     tags: [Admin]
+ *     summary: Change a webhook endpoint, or turn it off and on
+ *     description: is_active true turns on an endpoint that was disabled after failing, its failure count starts over.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: endpointId
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/WebhookEndpointRequest'
+ *               - type: object
+ *                 properties:
+ *                   is_active: { type: boolean }
+ *     responses:
+ *       200:
+ *         description: Updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookEndpointResponse'
+ *       400:
+ *         description: Invalid fields
+ *       404:
+ *         description: Not found
+ *   delete:
+ *     tags: [Admin]
+ *     summary: Delete a webhook endpoint and its delivery log
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: endpointId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Deleted
+ *       404:
+ *         description: Not found
+ */
+adminRouter.get('/webhooks/:endpointId', authorize.requirePermission(Permissions.WEBHOOKS_MANAGE), webhookController.getEndpoint);
+adminRouter.patch('/webhooks/:endpointId', authorize.requirePermission(Permissions.WEBHOOKS_MANAGE), webhookController.updateEndpoint);
+adminRouter.delete('/webhooks/:endpointId', authorize.requirePermission(Permissions.WEBHOOKS_MANAGE), webhookController.deleteEndpoint);
+
+/**
+ * @openapi
+ * /api/admin/webhooks/{endpointId}/rotate-secret:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Replace an endpoint's signing secret, the old one stops working right away
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: endpointId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: The new secret
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookEndpointSecretResponse'
+ *       404:
+ *         description: Not found
+ */
+adminRouter.post('/webhooks/:endpointId/rotate-secret', authorize.requirePermission(Permissions.WEBHOOKS_MANAGE), webhookController.rotateSecret);
+
+/**
+ * @openapi
+ * /api/admin/webhooks/{endpointId}/deliveries:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Delivery log of an endpoint, newest first
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: endpointId
+ *         required: true
+ *         schema: { type: integer }
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [pending, succeeded, failed, skipped] }
+ *       - in: query
+ *         name: event
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Page of deliveries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDeliveryListResponse'
+ *       400:
+ *         description: Invalid filter
+ *       404:
+ *         description: Not found
+ */
+adminRouter.get('/webhooks/:endpointId/deliveries', authorize.requirePermission(Permissions.WEBHOOKS_MANAGE), webhookController.listDeliveries);
+
+/**
+ * @openapi
+ * /api/admin/webhooks/{endpointId}/deliveries/{deliveryId}/replay:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Send a delivery again, whatever became of it
+ *     description: The replay is a new delivery with its own attempts, receivers get the same X-Webhook-Id as the first time.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: endpointId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       202:
+ *         description: Queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 message: { type: string }
+ *                 delivery: { $ref: '#/components/schemas/WebhookDelivery' }
+ *       404:
+ *         description: Endpoint or delivery not found
+ *       409:
+ *         description: The endpoint is disabled
+ */
+adminRouter.post('/webhooks/:endpointId/deliveries/:deliveryId/replay', authorize.requirePermission(Permissions.WEBHOOKS_MANAGE), webhookController.replayDelivery);
+
+/**
+ * @openapi
+ * /api/admin/audit-logs:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Search the security audit log, newest first (audit:read)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/AuditUserIdParam'
+ *       - $ref: '#/components/parameters/AuditActorIdParam'
+ *       - $ref: '#/components/parameters/AuditActionParam'
+ *       - $ref: '#/components/parameters/AuditOutcomeParam'
+ *       - $ref: '#/components/parameters/AuditIpParam'
+ *       - $ref: '#/components/parameters/AuditFromParam'
+ *       - $ref: '#/components/parameters/AuditToParam'
+ *     responses:
+ *       200:
+ *         description: Page of entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuditLogListResponse'
+ *       400:
+ *         description: Invalid filter
+ *       403:
+ *         description: Missing audit:read permission
+ */
+adminRouter.get('/audit-logs', authorize.requirePermission(Permissions.AUDIT_READ), auditController.searchLogs);
+
+/**
+ * @openapi
+ * /api/admin/audit-logs/export:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Download every entry the filters match, oldest first (audit:read)
+ *     description: Streamed as CSV (metadata as a JSON column) or newline delimited JSON. The export itself is audited.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [csv, ndjson], default: csv }
+ *       - $ref: '#/components/parameters/AuditUserIdParam'
+ *       - $ref: '#/components/parameters/AuditActorIdParam'
+ *       - $ref: '#/components/parameters/AuditActionParam'
+ *       - $ref: '#/components/parameters/AuditOutcomeParam'
+ *       - $ref: '#/components/parameters/AuditIpParam'
+ *       - $ref: '#/components/parameters/AuditFromParam'
+ *       - $ref: '#/components/parameters/AuditToParam'
+ *     responses:
+ *       200:
+ *         description: The file
+ *         content:
+ *           text/csv:
+ *             schema: { type: string }
+ *           application/x-ndjson:
+ *             schema: { type: string }
+ *       400:
+ *         description: Invalid format or filter
+ */
+adminRouter.get('/audit-logs/export', authorize.requirePermission(Permissions.AUDIT_READ), auditController.exportLogs);
+
+module.exports = {
+    adminRouter
+};
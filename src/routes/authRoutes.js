@@ -1,33 +1,23 @@
 const express = require('express');
 const UserController = require('../controllers/userController.js');
+const SessionController = require('../controllers/sessionController.js');
+const MfaController = require('../controllers/mfaController.js');
+const AuditController = require('../controllers/auditController.js');
+const DeviceController = require('../controllers/deviceController.js');
 const AuthenticateToken = require('../middlewares/authenticateToken.js');
+const Authorize = require('../middlewares/authorize.js');
+const { Permissions } = require('../auth/accessControl.js');
+const { rateLimits } = require('../middlewares/rateLimit.js');
 
 // essential modules
 const authRouter = express.Router();
 const userController = new UserController();
+const sessionController = new SessionController();
+const mfaController = new MfaController();
+const auditController = new AuditController();
+const deviceController = new DeviceController();
 const authenticateToken = new AuthenticateToken();
-
-/**
- * @openapi
- * /api/auth/init-table:
- *   get:
- *     tags: [Auth]
- *     summary: Initialize (create) users table if it does not exist
- *     responses:
- *       200:
- *         description: Table created or already exists
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/BasicSuccess'
- *       500:
- *         description: Internal error
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
- */
-authRouter.get('/init-table', userController.createTable);
+const authorize = new Authorize();
 
 /**
  * @openapi
@@ -55,7 +45,7 @@ authRouter.get('/init-table', userController.createTable);
  *       409:
  *         description: Conflict (duplicate email/username)
  */
-authRouter.post('/register', userController.register);
+authRouter.post('/register', rateLimits('register'), userController.register);
 
 /**
  * @openapi
@@ -71,15 +61,193 @@ authRouter.post('/register', userController.register);
  *             $ref: '#/components/schemas/AuthLoginRequest'
  *     responses:
  *       200:
+ *         description: Login success, or an MFA challenge when two-factor authentication is on
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthLoginResponse'
+ *                 - $ref: '#/components/schemas/MfaChallengeResponse'
+ *       401:
+ *         description: Invalid credentials
+ *       403:
+ *         description: |
+ *           Account deactivated; `password_reset_required` after "this wasn't me" on a device email, until the
+ *           password is reset; `device_confirmation_required` for a new device while DEVICE_CONFIRMATION_REQUIRED is on
+ *       429:
+ *         description: Too many sign-ins from this IP, or failed ones for this identifier from anywhere (policies signin, signin_account)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RateLimitResponse'
+ */
+authRouter.post('/login', rateLimits('signin', 'signin_account'), userController.login);
+
+/**
+ * @openapi
+ * /api/auth/mfa/verify:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Second login step, exchange the MFA challenge + code for tokens
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MfaVerifyRequest'
+ *     responses:
+ *       200:
  *         description: Login success
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/AuthLoginResponse'
  *       401:
- *         description: Invalid credentials
+ *         description: Invalid code or expired challenge
+ *       403:
+ *         description: New device, `device_confirmation_required` while DEVICE_CONFIRMATION_REQUIRED is on
+ *       423:
+ *         description: Account locked after repeated failures
+ */
+authRouter.post('/mfa/verify', rateLimits('signin'), userController.verifyMfaLogin);
+
+/**
+ * @openapi
+ * /api/auth/mfa:
+ *   get:
+ *     tags: [Auth]
+ *     summary: Two-factor authentication status
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MfaStatusResponse'
+ */
+authRouter.get('/mfa', authenticateToken.authenticateToken, mfaController.getStatus);
+
+/**
+ * @openapi
+ * /api/auth/mfa/setup:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Start TOTP enrollment (returns secret + otpauth URI for a QR code)
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pending secret created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MfaSetupResponse'
+ *       409:
+ *         description: Already enabled
  */
-authRouter.post('/login', userController.login);
+authRouter.post('/mfa/setup', authenticateToken.authenticateToken, mfaController.setup);
+
+/**
+ * @openapi
+ * /api/auth/mfa/confirm:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Confirm enrollment with a code, enables 2FA and returns recovery codes once
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MfaCodeRequest'
+ *     responses:
+ *       200:
+ *         description: Enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MfaRecoveryCodesResponse'
+ *       400:
+ *         description: Invalid code or setup not started
+ */
+authRouter.post('/mfa/confirm', authenticateToken.authenticateToken, mfaController.confirm);
+
+/**
+ * @openapi
+ * /api/auth/mfa/disable:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Turn 2FA off (password + code or recovery code)
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MfaDisableRequest'
+ *     responses:
+ *       200:
+ *         description: Disabled
+ *       400:
+ *         description: Invalid password or code
+ */
+authRouter.post('/mfa/disable', authenticateToken.authenticateToken, mfaController.disable);
+
+/**
+ * @openapi
+ * /api/auth/mfa/recovery-codes:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Replace all recovery codes (needs a current TOTP code)
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MfaCodeRequest'
+ *     responses:
+ *       200:
+ *         description: New codes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MfaRecoveryCodesResponse'
+ *       400:
+ *         description: Invalid code or 2FA not enabled
+ */
+authRouter.post('/mfa/recovery-codes', authenticateToken.authenticateToken, mfaController.regenerateRecoveryCodes);
+
+/**
+ * @openapi
+ * /api/auth/refresh:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Exchange a refresh token for a new token pair (rotates the refresh token)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshTokenRequest'
+ *     responses:
+ *       200:
+ *         description: New access + refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RefreshTokenResponse'
+ *       400:
+ *         description: refreshToken missing
+ *       401:
+ *         description: Invalid, expired or reused refresh token (reuse revokes every session of the user)
+ */
+authRouter.post('/refresh', rateLimits('token'), userController.refreshToken);
 
 /**
  * @openapi
@@ -115,18 +283,23 @@ authRouter.get('/me', authenticateToken.authenticateToken, userController.getPro
  *             $ref: '#/components/schemas/GoogleLoginRequest'
  *     responses:
  *       200:
- *         description: Google login success
+ *         description: Google login success, or an MFA challenge when two-factor authentication is on
  *       400:
  *         description: Invalid Google credential
+ *       403:
+ *         description: Account deactivated; `device_confirmation_required` for a new device while DEVICE_CONFIRMATION_REQUIRED is on
+ *       423:
+ *         description: Account locked
  */
-authRouter.post('/google-login', userController.googleLogin);
+authRouter.post('/google-login', rateLimits('signin'), userController.googleLogin);
 
 /**
  * @openapi
  * /api/auth/logout/{userId}:
  *   post:
  *     tags: [Auth]
- *     summary: Logout user (invalidate refresh token)
+ *     summary: Logout the current session (other devices stay logged in)
+ *     description: With sessions:manage permission another user's id can be passed, which ends all of that user's sessions.
  *     security:
  *       - BearerAuth: []
  *     parameters:
@@ -143,8 +316,193 @@ authRouter.post('/google-login', userController.googleLogin);
  *               $ref: '#/components/schemas/BasicSuccess'
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Not your id and missing sessions:manage
+ */
+authRouter.post('/logout/:userId',
+    authenticateToken.authenticateToken,
+    authorize.requireSelfOrPermission(Permissions.SESSIONS_MANAGE),
+    userController.logout
+);
+
+/**
+ * @openapi
+ * /api/auth/sessions:
+ *   get:
+ *     tags: [Auth]
+ *     summary: List my active sessions (one per logged in device)
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, the one used for this request is flagged as current
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SessionListResponse'
+ *       401:
+ *         description: Unauthorized
+ */
+authRouter.get('/sessions', authenticateToken.authenticateToken, sessionController.listSessions);
+
+/**
+ * @openapi
+ * /api/auth/sessions/revoke-others:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Revoke every session except the current one
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked
+ *       400:
+ *         description: Current session unknown (token issued before sessions existed)
+ *       401:
+ *         description: Unauthorized
+ */
+authRouter.post('/sessions/revoke-others', authenticateToken.authenticateToken, sessionController.revokeOtherSessions);
+
+/**
+ * @openapi
+ * /api/auth/security-activity:
+ *   get:
+ *     tags: [Auth]
+ *     summary: Recent security activity on my account, newest first
+ *     description: |
+ *       Sign-ins (failed ones too), password and two-factor changes, revoked sessions and changes an admin made
+ *       to the account, with the IP and device they came from.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *     responses:
+ *       200:
+ *         description: Page of activity
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SecurityActivityResponse'
+ *       401:
+ *         description: Unauthorized
  */
-authRouter.post('/logout/:userId', authenticateToken.authenticateToken, userController.logout);
+authRouter.get('/security-activity', authenticateToken.authenticateToken, auditController.listMyActivity);
+
+/**
+ * @openapi
+ * /api/auth/sessions/{sessionId}:
+ *   delete:
+ *     tags: [Auth]
+ *     summary: Revoke one of my sessions
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BasicSuccess'
+ *       400:
+ *         description: Invalid sessionId
+ *       404:
+ *         description: Session not found or already revoked
+ */
+authRouter.delete('/sessions/:sessionId', authenticateToken.authenticateToken, sessionController.revokeSession);
+
+/**
+ * @openapi
+ * /api/auth/devices:
+ *   get:
+ *     tags: [Auth]
+ *     summary: Devices I signed in from, most recently used first
+ *     description: A sign-in from any other device, or from a country none of them was in, gets a "new sign-in" email.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Known devices
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/KnownDeviceListResponse'
+ *       401:
+ *         description: Unauthorized
+ */
+authRouter.get('/devices', authenticateToken.authenticateToken, deviceController.listDevices);
+
+/**
+ * @openapi
+ * /api/auth/devices/confirm:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Confirm a new device with the token from the confirmation email
+ *     description: Only sent while DEVICE_CONFIRMATION_REQUIRED is on. The device can log in afterwards.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DeviceTokenRequest'
+ *     responses:
+ *       200:
+ *         description: Device confirmed
+ *       400:
+ *         description: Invalid, used or expired token
+ */
+authRouter.post('/devices/confirm', rateLimits('token'), deviceController.confirmDevice);
+
+/**
+ * @openapi
+ * /api/auth/devices/deny:
+ *   post:
+ *     tags: [Auth]
+ *     summary: '"This wasn''t me": disown a sign-in with the token from a device email'
+ *     description: |
+ *       Forgets the device, signs out every session and refuses password logins until the password is reset;
+ *       a reset link goes to the account's email.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DeviceTokenRequest'
+ *     responses:
+ *       200:
+ *         description: Sessions revoked, reset email sent
+ *       400:
+ *         description: Invalid, used or expired token
+ */
+authRouter.post('/devices/deny', rateLimits('token'), deviceController.denyDevice);
+
+/**
+ * @openapi
+ * /api/auth/devices/{deviceId}:
+ *   delete:
+ *     tags: [Auth]
+ *     summary: Forget one of my devices, its next sign-in counts as new again
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Device removed
+ *       400:
+ *         description: Invalid deviceId
+ *       404:
+ *         description: Device not found
+ */
+authRouter.delete('/devices/:deviceId', authenticateToken.authenticateToken, deviceController.removeDevice);
 
 /**
  * @openapi
@@ -178,9 +536,13 @@ authRouter.get('/verify-token', authenticateToken.authenticateToken, userControl
  *       200:
  *         description: Email sent (or already verified)
  *       429:
- *         description: Rate limited
+ *         description: Too many requests from this IP, or for this email (policies verification_email, verification_email_account)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RateLimitResponse'
  */
-authRouter.post('/send-verification-email', userController.sendVerificationEmail);
+authRouter.post('/send-verification-email', rateLimits('verification_email', 'verification_email_account'), userController.sendVerificationEmail);
 
 /**
  * @openapi
@@ -199,7 +561,7 @@ authRouter.post('/send-verification-email', userController.sendVerificationEmail
  *       400:
  *         description: Invalid or expired token
  */
-authRouter.get('/verify-email', userController.verifyEmail);
+authRouter.get('/verify-email', rateLimits('token'), userController.verifyEmail);
 
 /**
  * @openapi
@@ -216,8 +578,14 @@ authRouter.get('/verify-email', userController.verifyEmail);
  *     responses:
  *       200:
  *         description: Reset email sent (always generic)
+ *       429:
+ *         description: Too many requests from this IP, or for this email (policies password_reset, password_reset_account)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RateLimitResponse'
  */
-authRouter.post('/password/request', userController.requestPassword);
+authRouter.post('/password/request', rateLimits('password_reset', 'password_reset_account'), userController.requestPassword);
 
 /**
  * @openapi
@@ -237,7 +605,7 @@ authRouter.post('/password/request', userController.requestPassword);
  *       400:
  *         description: Invalid token / payload
  */
-authRouter.post('/password/reset', userController.resetPassword);
+authRouter.post('/password/reset', rateLimits('token'), userController.resetPassword);
 
 /**
  * @openapi
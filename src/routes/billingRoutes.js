@@ -0,0 +1,100 @@
+const express = require('express');
+const BillingController = require('../controllers/billingController.js');
+const AuthenticateToken = require('../middlewares/authenticateToken.js');
+
+// essential modules
+const billingRouter = express.Router();
+// the provider's calls, mounted on its own so the API rate limit doesn't apply to them
+const billingWebhookRouter = express.Router();
+const billingController = new BillingController();
+const authenticateToken = new AuthenticateToken();
+
+/**
+ * @openapi
+ * /api/billing/webhook:
+ *   post:
+ *     tags: [Billing]
+ *     summary: Webhook for the billing provider (Stripe event format)
+ *     description: |
+ *       Authenticated by the `Stripe-Signature` header (HMAC-SHA256 with BILLING_WEBHOOK_SECRET over the raw body).
+ *       Each event id is applied once, a redelivery gets 200 with duplicate true. A 500 makes the provider retry.
+ *     security: []
+ *     parameters:
+ *       - in: header
+ *         name: Stripe-Signature
+ *         required: true
+ *         schema: { type: string, example: 't=1767225600,v1=5257a869e7...' }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BillingEvent'
+ *     responses:
+ *       200:
+ *         description: Received
+ *       400:
+ *         description: Bad signature, expired timestamp or not an event
+ *       500:
+ *         description: Applying the event failed, will be retried by the provider
+ *       503:
+ *         description: BILLING_WEBHOOK_SECRET not set
+ */
+billingWebhookRouter.post('/', billingController.webhook);
+
+billingRouter.use(authenticateToken.authenticateToken);
+
+/**
+ * @openapi
+ * /api/billing/checkout:
+ *   post:
+ *     tags: [Billing]
+ *     summary: Start paying for a plan
+ *     description: Returns the provider's checkout page. The plan changes when the payment webhook arrives, not here.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [plan]
+ *             properties:
+ *               plan: { type: string, example: plus }
+ *     responses:
+ *       201:
+ *         description: Checkout session created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CheckoutResponse'
+ *       400:
+ *         description: Unknown, inactive, free or unpriced plan
+ *       409:
+ *         description: Already subscribed to this plan
+ */
+billingRouter.post('/checkout', billingController.createCheckout);
+
+/**
+ * @openapi
+ * /api/billing/subscription:
+ *   get:
+ *     tags: [Billing]
+ *     summary: The caller's plan, subscriptions and latest invoices
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Billing overview
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BillingOverviewResponse'
+ */
+billingRouter.get('/subscription', billingController.getSubscription);
+
+module.exports = {
+    billingRouter,
+    billingWebhookRouter
+};
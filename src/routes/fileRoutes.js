@@ -0,0 +1,191 @@
+const express = require('express');
+const FileController = require('../controllers/fileController.js');
+const AuthenticateToken = require('../middlewares/authenticateToken.js');
+const RequireEntitlement = require('../middlewares/requireEntitlement.js');
+
+// essential modules
+const fileRouter = express.Router();
+const fileController = new FileController();
+const authenticateToken = new AuthenticateToken();
+const requireEntitlement = new RequireEntitlement();
+
+// listing is on every plan, searching the content only where the plan has files.search
+const requireSearchEntitlement = (req, res, next)=>{
+    if(req.query.q === undefined) return next();
+    return requireEntitlement.requireFeature('files.search')(req, res, next);
+};
+
+fileRouter.param('fileId', (req, res, next, fileId)=>{
+    if(!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(fileId)){
+        return res.status(400).json({ success: false, error: 'fileId param must be a UUID' });
+    }
+    next();
+});
+
+/**
+ * @openapi
+ * /api/files/{fileId}/download:
+ *   get:
+ *     tags: [Files]
+ *     summary: Download a file through a signed link
+ *     description: No Authorization header, the link from GET /api/files/{fileId}/url is the permission. Always sent as an attachment.
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: fileId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *       - in: query
+ *         name: expires
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: signature
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: The file
+ *         content:
+ *           application/octet-stream:
+ *             schema: { type: string, format: binary }
+ *       403:
+ *         description: Bad signature or expired link
+ *       404:
+ *         description: File deleted since the link was made
+ */
+fileRouter.get('/:fileId/download', fileController.download);
+
+// everything below needs a signed in user
+fileRouter.use(authenticateToken.authenticateToken);
+
+/**
+ * @openapi
+ * /api/files:
+ *   post:
+ *     tags: [Files]
+ *     summary: Upload a document
+ *     description: |
+ *       Streamed to disk, never held in memory. Limited to FILE_MAX_SIZE_BYTES per file and to the storage_mb
+ *       limit of the user's plan. Text of PDFs and text files is extracted for search.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Stored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FileResponse'
+ *       400:
+ *         description: No file
+ *       403:
+ *         description: The plan doesn't include files.upload
+ *       413:
+ *         description: File too large or storage quota exceeded
+ *       415:
+ *         description: Not a type we take (checked on the file content)
+ *   get:
+ *     tags: [Files]
+ *     summary: List my files, or search them
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema: { type: string }
+ *         description: Words to find in file names and extracted text (websearch syntax, "quoted phrase", -excluded). Needs the files.search feature
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *     responses:
+ *       200:
+ *         description: Files (newest first, best match first with q) and storage usage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FileListResponse'
+ *       403:
+ *         description: q given and the plan doesn't include files.search
+ */
+fileRouter.post('/', requireEntitlement.requireFeature('files.upload'), fileController.receiveUpload, fileController.upload);
+fileRouter.get('/', requireSearchEntitlement, fileController.listFiles);
+
+/**
+ * @openapi
+ * /api/files/{fileId}:
+ *   get:
+ *     tags: [Files]
+ *     summary: File details (owner, or files:manage permission)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: fileId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: File
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FileResponse'
+ *       404:
+ *         description: No such file, or not yours
+ *   delete:
+ *     tags: [Files]
+ *     summary: Delete a file (owner, or files:manage permission)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: fileId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Deleted
+ *       404:
+ *         description: No such file, or not yours
+ */
+fileRouter.get('/:fileId', fileController.getFile);
+fileRouter.delete('/:fileId', fileController.deleteFile);
+
+/**
+ * @openapi
+ * /api/files/{fileId}/url:
+ *   get:
+ *     tags: [Files]
+ *     summary: Signed download link, valid for FILE_URL_TTL_SECONDS (owner, or files:manage permission)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: fileId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Link
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FileUrlResponse'
+ *       404:
+ *         description: No such file, or not yours
+ */
+fileRouter.get('/:fileId/url', fileController.getDownloadUrl);
+
+module.exports = {
+    fileRouter
+};
@@ -0,0 +1,203 @@
+const express = require('express');
+const NotificationController = require('../controllers/notificationController.js');
+const AuthenticateToken = require('../middlewares/authenticateToken.js');
+
+// essential modules
+const notificationRouter = express.Router();
+const notificationController = new NotificationController();
+const authenticateToken = new AuthenticateToken();
+
+notificationRouter.param('notificationId', (req, res, next, notificationId)=>{
+    if(!/^[1-9]\d{0,17}$/.test(notificationId)){
+        return res.status(400).json({ success: false, error: 'notificationId param must be a positive integer' });
+    }
+    next();
+});
+
+/**
+ * @openapi
+ * /api/notifications/unsubscribe:
+ *   get:
+ *     tags: [Notifications]
+ *     summary: Confirmation page behind the unsubscribe link of a notification email
+ *     description: Only asks, so a mail scanner following the link doesn't unsubscribe anyone.
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: HTML page with a button that POSTs to the same URL
+ *       400:
+ *         description: Invalid link
+ *   post:
+ *     tags: [Notifications]
+ *     summary: One-click unsubscribe (RFC 8058)
+ *     description: Turns email off for the type the link was made for ("digest" covers every low priority type).
+ *       Security notices never carry a link. Mail clients call this from the List-Unsubscribe header.
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Unsubscribed
+ *       400:
+ *         description: Invalid link
+ */
+notificationRouter.get('/unsubscribe', notificationController.unsubscribePage);
+notificationRouter.post('/unsubscribe', notificationController.unsubscribe);
+
+notificationRouter.use(authenticateToken.authenticateToken);
+
+/**
+ * @openapi
+ * /api/notifications/preferences:
+ *   get:
+ *     tags: [Notifications]
+ *     summary: Where each notification type goes for the caller
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 preferences:
+ *                   $ref: '#/components/schemas/NotificationPreferences'
+ *   put:
+ *     tags: [Notifications]
+ *     summary: Change channels per type, quiet hours or the email digest
+ *     description: Partial, leave out what shouldn't change. Turning off a mandatory channel of a security notice is a 400.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NotificationPreferencesUpdate'
+ *     responses:
+ *       200:
+ *         description: Saved, with the resulting preferences
+ *       400:
+ *         description: Unknown type or channel, invalid quiet hours, or a mandatory channel left out
+ */
+notificationRouter.get('/preferences', notificationController.getPreferences);
+notificationRouter.put('/preferences', notificationController.updatePreferences);
+
+/**
+ * @openapi
+ * /api/notifications:
+ *   get:
+ *     tags: [Notifications]
+ *     summary: The caller's notifications, newest first
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - in: query
+ *         name: unread
+ *         schema: { type: boolean }
+ *         description: Only unread ones
+ *     responses:
+ *       200:
+ *         description: Notifications
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotificationListResponse'
+ *       401:
+ *         description: Unauthorized
+ */
+notificationRouter.get('/', notificationController.listNotifications);
+
+/**
+ * @openapi
+ * /api/notifications/unread-count:
+ *   get:
+ *     tags: [Notifications]
+ *     summary: Number of unread notifications (badge)
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Count
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 unread_count: { type: integer }
+ */
+notificationRouter.get('/unread-count', notificationController.getUnreadCount);
+
+/**
+ * @openapi
+ * /api/notifications/read-all:
+ *   post:
+ *     tags: [Notifications]
+ *     summary: Mark every notification as read
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Marked, `updated` says how many were unread
+ */
+notificationRouter.post('/read-all', notificationController.markAllRead);
+
+/**
+ * @openapi
+ * /api/notifications/{notificationId}:
+ *   patch:
+ *     tags: [Notifications]
+ *     summary: Mark a notification as read or unread
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: notificationId
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               read: { type: boolean, default: true }
+ *     responses:
+ *       200:
+ *         description: Updated notification and the new unread count
+ *       404:
+ *         description: Not found (or someone else's)
+ *   delete:
+ *     tags: [Notifications]
+ *     summary: Delete a notification
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: notificationId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Deleted
+ *       404:
+ *         description: Not found (or someone else's)
+ */
+notificationRouter.patch('/:notificationId', notificationController.updateNotification);
+notificationRouter.delete('/:notificationId', notificationController.deleteNotification);
+
+module.exports = {
+    notificationRouter
+};
@@ -0,0 +1,48 @@
+const express = require('express');
+const PlanController = require('../controllers/planController.js');
+const AuthenticateToken = require('../middlewares/authenticateToken.js');
+
+// essential modules
+const planRouter = express.Router();
+const planController = new PlanController();
+const authenticateToken = new AuthenticateToken();
+
+/**
+ * @openapi
+ * /api/plans:
+ *   get:
+ *     tags: [Plans]
+ *     summary: Active plans with their features and limits
+ *     responses:
+ *       200:
+ *         description: Plans, cheapest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PlanListResponse'
+ */
+planRouter.get('/', planController.listPlans);
+
+/**
+ * @openapi
+ * /api/plans/me:
+ *   get:
+ *     tags: [Plans]
+ *     summary: The caller's plan and what it allows
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Entitlements, defaults filled in for limits the plan doesn't set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EntitlementsResponse'
+ *       401:
+ *         description: Unauthorized
+ */
+planRouter.get('/me', authenticateToken.authenticateToken, planController.getMyEntitlements);
+
+module.exports = {
+    planRouter
+};
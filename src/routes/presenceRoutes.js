@@ -0,0 +1,48 @@
+const express = require('express');
+const PresenceController = require('../controllers/presenceController.js');
+const AuthenticateToken = require('../middlewares/authenticateToken.js');
+
+// essential modules
+const presenceRouter = express.Router();
+const presenceController = new PresenceController();
+const authenticateToken = new AuthenticateToken();
+
+/**
+ * @openapi
+ * /api/presence:
+ *   get:
+ *     tags: [Presence]
+ *     summary: Whether users are online, and when the others were last seen
+ *     description: Online means the user has a socket open on any instance. Live changes come over the socket
+ *       as `presence` events after `presence:subscribe`.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user_ids
+ *         required: true
+ *         schema: { type: string, example: '12,15,20' }
+ *         description: Up to 100 comma separated ids, unknown ones are left out of the answer
+ *     responses:
+ *       200:
+ *         description: Presence
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 presence:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Presence'
+ *       400:
+ *         description: Missing or invalid user_ids
+ *       401:
+ *         description: Unauthorized
+ */
+presenceRouter.get('/', authenticateToken.authenticateToken, presenceController.getPresence);
+
+module.exports = {
+    presenceRouter
+};
@@ -1,20 +1,33 @@
 const express = require('express');
 const UserController = require('../controllers/userController.js');
 const AuthenticateToken = require('../middlewares/authenticateToken.js');
+const Authorize = require('../middlewares/authorize.js');
+const { Permissions } = require('../auth/accessControl.js');
 const multer = require('multer');
-const upload = multer({storage: multer.memoryStorage()});
+// multer stops reading past the limit, so an oversized upload is never buffered in full
+const maxAvatarSize = parseInt(process.env.MAX_AVATAR_SIZE_BYTES || '2097152');
+const upload = multer({storage: multer.memoryStorage(), limits: {fileSize: maxAvatarSize, files: 1}});
+
+const uploadSingle = (field)=> (req, res, next)=> upload.single(field)(req, res, (error)=>{
+    if(error instanceof multer.MulterError){
+        const message = error.code === 'LIMIT_FILE_SIZE' ? `File too large (max ${(maxAvatarSize / 1048576).toFixed(1)}MB)` : error.message;
+        return res.status(400).json({ success: false, error: message });
+    }
+    next(error);
+});
 
 // essential modules
 const userRouter = express.Router();
 const userController = new UserController();
 const authenticateToken = new AuthenticateToken();
+const authorize = new Authorize();
 
 /**
  * @openapi
  * /api/user/get-profile/{userId}:
  *   get:
  *     tags: [User]
- *     summary: Get a user profile by id
+ *     summary: Get a user profile by id (self, or users:read permission)
  *     security:
  *       - BearerAuth: []
  *     parameters:
@@ -29,17 +42,24 @@ const authenticateToken = new AuthenticateToken();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/User'
+ *       403:
+ *         description: Not your profile and missing users:read
  *       404:
  *         description: Not found
  */
-userRouter.get('/get-profile/:userId', authenticateToken.authenticateToken, userController.getProfile);
+userRouter.get('/get-profile/:userId',
+    authenticateToken.authenticateToken,
+    authorize.requireSelfOrPermission(Permissions.USERS_READ),
+    userController.getProfile
+);
 
 /**
  * @openapi
  * /api/user/update-profile/{userId}:
  *   patch:
  *     tags: [User]
- *     summary: Update profile fields (self only)
+ *     summary: Update profile fields (self, or users:update permission)
+ *     description: A new email comes back with email_verified false and, when REQUIRE_EMAIL_VERIFICATION is on, gets a verification link.
  *     security:
  *       - BearerAuth: []
  *     parameters:
@@ -61,14 +81,19 @@ userRouter.get('/get-profile/:userId', authenticateToken.authenticateToken, user
  *       403:
  *         description: Forbidden
  */
-userRouter.patch('/update-profile/:userId', authenticateToken.authenticateToken, userController.updateProfile);
+userRouter.patch('/update-profile/:userId',
+    authenticateToken.authenticateToken,
+    authorize.requireSelfOrPermission(Permissions.USERS_UPDATE),
+    userController.updateProfile
+);
 
 /**
  * @openapi
  * /api/user/subscription/{userId}:
  *   patch:
  *     tags: [User]
- *     summary: Change subscription type
+ *     summary: Change subscription type (subscriptions:manage permission)
+ *     description: Users can no longer pick their own plan; the plan changes through billing or an admin. Same as PATCH /api/admin/users/{userId}/plan.
  *     security:
  *       - BearerAuth: []
  *     parameters:
@@ -86,18 +111,24 @@ userRouter.patch('/update-profile/:userId', authenticateToken.authenticateToken,
  *       200:
  *         description: Subscription updated
  *       400:
- *         description: Bad request
+ *         description: Unknown or inactive plan
  *       403:
- *         description: Forbidden
+ *         description: Missing subscriptions:manage permission
+ *       404:
+ *         description: User not found
  */
-userRouter.patch('/subscription/:userId', authenticateToken.authenticateToken, userController.changeSubscription);
+userRouter.patch('/subscription/:userId',
+    authenticateToken.authenticateToken,
+    authorize.requirePermission(Permissions.SUBSCRIPTIONS_MANAGE),
+    userController.changeSubscription
+);
 
 /**
  * @openapi
  * /api/user/avatar/{userId}:
  *   post:
  *     tags: [User]
- *     summary: Upload / replace user avatar
+ *     summary: Upload / replace user avatar (self, or users:update permission)
  *     security:
  *       - BearerAuth: []
  *     parameters:
@@ -123,16 +154,70 @@ userRouter.patch('/subscription/:userId', authenticateToken.authenticateToken, u
  *             schema:
  *               $ref: '#/components/schemas/AvatarUploadResponse'
  *       400:
- *         description: Invalid file
+ *         description: Not a png / jpeg / webp image (checked on the file content), too large, or too many pixels
  *       403:
  *         description: Forbidden
  */
 userRouter.post('/avatar/:userId',
     authenticateToken.authenticateToken,
-    upload.single('avatar'),
+    authorize.requireSelfOrPermission(Permissions.USERS_UPDATE),
+    uploadSingle('avatar'),
     userController.uploadAvatar
 );
 
+/**
+ * @openapi
+ * /api/user/me:
+ *   delete:
+ *     tags: [User]
+ *     summary: Delete my account (soft delete, purged after ACCOUNT_DELETION_GRACE_DAYS)
+ *     description: Signs out every session. Logging in again before purge_after cancels the deletion.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DeleteAccountRequest'
+ *     responses:
+ *       200:
+ *         description: Scheduled (or deleted when there is no grace period)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DeleteAccountResponse'
+ *       400:
+ *         description: Missing password / idToken
+ *       401:
+ *         description: Wrong password or Google token
+ */
+userRouter.delete('/me',
+    authenticateToken.authenticateToken,
+    userController.deleteAccount
+);
+
+/**
+ * @openapi
+ * /api/user/me/export:
+ *   get:
+ *     tags: [User]
+ *     summary: Download everything stored about me as JSON
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Export archive (sent as an attachment)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DataExport'
+ */
+userRouter.get('/me/export',
+    authenticateToken.authenticateToken,
+    userController.exportData
+);
+
 module.exports = {
     userRouter
 };
\ No newline at end of file
@@ -0,0 +1,76 @@
+const path = require('path');
+const { Readable } = require('stream');
+const { v2: cloudinary } = require('cloudinary');
+
+// how long the download URL get() asks for stays valid, it is used right away
+const DOWNLOAD_URL_SECONDS = 60;
+
+// cloudinary wants a public id without the extension, it picks the format itself.
+// Private files are uploaded with type "private", their public URL doesn't serve anything
+class CloudinaryStorage {
+    name = 'cloudinary';
+
+    constructor({ cloudName, apiKey, apiSecret, folder = '' }) {
+        if (!cloudName || !apiKey || !apiSecret) {
+            throw new Error('CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET are required for the cloudinary storage driver');
+        }
+        cloudinary.config({ cloud_name: cloudName, api_key: apiKey, api_secret: apiSecret });
+        this.folder = folder.replace(/\/+$/, '');
+    }
+
+    publicId = (key) => {
+        const withoutExtension = key.slice(0, key.length - path.extname(key).length);
+        return this.folder ? `${this.folder}/${withoutExtension}` : withoutExtension;
+    };
+
+    deliveryType = (visibility) => (visibility === 'private' ? 'private' : 'upload');
+
+    // body is a Buffer or a readable stream
+    put = ({ key, body, contentType, visibility = 'public' }) => new Promise((resolve, reject) => {
+        const upload = cloudinary.uploader.upload_stream(
+            {
+                public_id: this.publicId(key),
+                resource_type: /^image\//.test(contentType || '') ? 'image' : 'raw',
+                type: this.deliveryType(visibility),
+                overwrite: true
+            },
+            (err, result) => {
+                if (err) return reject(err);
+                resolve({ key: result.public_id, url: visibility === 'public' ? result.secure_url : null });
+            }
+        );
+
+        if (typeof body?.pipe === 'function') {
+            body.on('error', reject);
+            body.pipe(upload);
+        } else {
+            upload.end(body);
+        }
+    });
+
+    // the resource type isn't stored with the key, so like delete() it tries image first, then raw
+    get = async (key, { visibility = 'public' } = {}) => {
+        for (const resourceType of ['image', 'raw']) {
+            const url = cloudinary.utils.private_download_url(key, '', {
+                resource_type: resourceType,
+                type: this.deliveryType(visibility),
+                expires_at: Math.floor(Date.now() / 1000) + DOWNLOAD_URL_SECONDS
+            });
+            const response = await fetch(url);
+            if (response.ok) return Readable.fromWeb(response.body);
+            if (response.status !== 404) throw new Error(`Cloudinary download failed with status ${response.status}`);
+        }
+        return null;
+    };
+
+    // the key is the public id put() returned. A missing object is not an error, cloudinary answers { result: 'not found' }
+    delete = async (key, { visibility = 'public' } = {}) => {
+        const type = this.deliveryType(visibility);
+        const result = await cloudinary.uploader.destroy(key, { resource_type: 'image', type, invalidate: true });
+        if (result?.result === 'not found') {
+            await cloudinary.uploader.destroy(key, { resource_type: 'raw', type, invalidate: true });
+        }
+    };
+}
+
+module.exports = CloudinaryStorage;
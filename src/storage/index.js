@@ -0,0 +1,55 @@
+const CloudinaryStorage = require('./cloudinaryStorage.js');
+const LocalDiskStorage = require('./localDiskStorage.js');
+const S3Storage = require('./s3Storage.js');
+
+const STORAGE_DRIVERS = ['cloudinary', 'local', 's3'];
+
+const defaultDriver = (env = process.env) =>
+    (env.STORAGE_DRIVER || (env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local')).toLowerCase();
+
+const createStorage = (name, env = process.env) => {
+    switch (name) {
+        case 'cloudinary':
+            return new CloudinaryStorage({
+                cloudName: env.CLOUDINARY_CLOUD_NAME,
+                apiKey: env.CLOUDINARY_API_KEY,
+                apiSecret: env.CLOUDINARY_API_SECRET,
+                folder: env.CLOUDINARY_FOLDER || ''
+            });
+        case 'local':
+            return new LocalDiskStorage({
+                directory: env.STORAGE_LOCAL_DIR || 'uploads',
+                privateDirectory: env.STORAGE_LOCAL_PRIVATE_DIR || 'uploads-private',
+                baseUrl: env.STORAGE_PUBLIC_BASE_URL || ''
+            });
+        case 's3':
+            return new S3Storage({
+                bucket: env.S3_BUCKET,
+                region: env.S3_REGION || 'us-east-1',
+                endpoint: env.S3_ENDPOINT,
+                accessKeyId: env.S3_ACCESS_KEY_ID,
+                secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+                forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true',
+                publicUrl: env.S3_PUBLIC_URL
+            });
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER "${name}", use one of: ${STORAGE_DRIVERS.join(', ')}`);
+    }
+};
+
+const instances = new Map();
+
+// STORAGE_DRIVER picks where new uploads go. Objects remember the driver that stored them,
+// so after switching drivers the old ones can still be deleted as long as that driver stays configured
+const getStorage = (name = defaultDriver()) => {
+    if (!instances.has(name)) {
+        instances.set(name, createStorage(name));
+    }
+    return instances.get(name);
+};
+
+module.exports = {
+    STORAGE_DRIVERS,
+    createStorage,
+    getStorage
+};
@@ -0,0 +1,53 @@
+const fs = require('fs/promises');
+const { createReadStream } = require('fs');
+const path = require('path');
+
+// public files under STORAGE_LOCAL_DIR, served by the static route index.js mounts on /uploads.
+// Private files go to a directory of their own that nothing serves, they are only read back through get()
+class LocalDiskStorage {
+    name = 'local';
+
+    constructor({ directory, privateDirectory, baseUrl = '', publicPath = '/uploads' }) {
+        this.directories = {
+            public: path.resolve(directory),
+            private: path.resolve(privateDirectory || `${directory}-private`)
+        };
+        this.urlPrefix = `${baseUrl.replace(/\/+$/, '')}${publicPath}`;
+    }
+
+    // keys come from our own code, still nothing may end up outside the upload directory
+    resolve = (key, visibility = 'public') => {
+        const directory = this.directories[visibility];
+        const file = path.resolve(directory, key);
+        if (!file.startsWith(directory + path.sep)) {
+            throw new Error(`Storage key escapes the upload directory: ${key}`);
+        }
+        return file;
+    };
+
+    // body is a Buffer or a readable stream
+    put = async ({ key, body, visibility = 'public' }) => {
+        const file = this.resolve(key, visibility);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, body);
+        return { key, url: visibility === 'public' ? `${this.urlPrefix}/${key}` : null };
+    };
+
+    // -> readable stream, or null when there is no such file
+    get = async (key, { visibility = 'public' } = {}) => {
+        const file = this.resolve(key, visibility);
+        try {
+            await fs.access(file);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+        return createReadStream(file);
+    };
+
+    delete = async (key, { visibility = 'public' } = {}) => {
+        await fs.rm(this.resolve(key, visibility), { force: true });
+    };
+}
+
+module.exports = LocalDiskStorage;
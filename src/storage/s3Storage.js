@@ -0,0 +1,56 @@
+// AWS S3 or anything speaking its API (MinIO, R2, Spaces...). Objects are not given an ACL,
+// make the avatars/ prefix publicly readable or put a CDN in front and set S3_PUBLIC_URL.
+// Private objects (files/) must stay unreadable from outside, the API streams them through get()
+class S3Storage {
+    name = 's3';
+
+    constructor({ bucket, region = 'us-east-1', endpoint, accessKeyId, secretAccessKey, forcePathStyle = false, publicUrl }) {
+        if (!bucket) throw new Error('S3_BUCKET is required for the s3 storage driver');
+
+        // loaded here so instances on another driver don't pay for the SDK
+        const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+        this.commands = { PutObjectCommand, GetObjectCommand, DeleteObjectCommand };
+
+        this.bucket = bucket;
+        this.client = new S3Client({
+            region,
+            endpoint: endpoint || undefined,
+            forcePathStyle,
+            credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+        });
+
+        if (publicUrl) this.urlPrefix = publicUrl.replace(/\/+$/, '');
+        else if (endpoint) this.urlPrefix = `${endpoint.replace(/\/+$/, '')}/${bucket}`;
+        else this.urlPrefix = `https://${bucket}.s3.${region}.amazonaws.com`;
+    }
+
+    // a stream body needs contentLength, S3 doesn't take uploads of unknown size in a single PUT
+    put = async ({ key, body, contentType, contentLength, visibility = 'public' }) => {
+        await this.client.send(new this.commands.PutObjectCommand({
+            Bucket: this.bucket,
+            Key: key,
+            Body: body,
+            ContentType: contentType,
+            ContentLength: contentLength,
+            // every upload gets a new key, so the object never changes under its URL
+            CacheControl: visibility === 'public' ? 'public, max-age=31536000, immutable' : 'private, no-store'
+        }));
+        return { key, url: visibility === 'public' ? `${this.urlPrefix}/${key}` : null };
+    };
+
+    get = async (key) => {
+        try {
+            const result = await this.client.send(new this.commands.GetObjectCommand({ Bucket: this.bucket, Key: key }));
+            return result.Body;
+        } catch (error) {
+            if (error.name === 'NoSuchKey') return null;
+            throw error;
+        }
+    };
+
+    delete = async (key) => {
+        await this.client.send(new this.commands.DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+    };
+}
+
+module.exports = S3Storage;
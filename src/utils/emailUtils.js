@@ -1,23 +1,22 @@
 const crypto = require('crypto');
-const { MailtrapClient } = require('mailtrap');
+const { createTransport } = require('../email/transports/index.js');
+const { TemplateRenderer, escapeHtml } = require('../email/templateRenderer.js');
+const outbox = require('../events/outbox.js');
 
 class EmailUtils {
-    static #client;
+    static #transport;
+    static renderer = new TemplateRenderer();
 
     static generateToken() {
         return crypto.randomBytes(32).toString('hex');
     }
 
-    static getClient() {
-        if (!this.#client) {
-            const { MAILTRAP_TOKEN } = process.env;
-            if (!MAILTRAP_TOKEN) {
-                console.warn('Mailtrap API token missing. Emails will only be logged.');
-                return null;
-            }
-            this.#client = new MailtrapClient({ token: MAILTRAP_TOKEN });
+    // mailtrap | smtp | file | console, see src/email/transports
+    static getTransport() {
+        if (!this.#transport) {
+            this.#transport = createTransport();
         }
-        return this.#client;
+        return this.#transport;
     }
 
     static from() {
@@ -27,82 +26,198 @@ class EmailUtils {
         };
     }
 
-    static async sendVerificationEmail(username, email, token) {
-        const base = process.env.APP_BASE_URL || 'http://localhost:3000';
-        const link = `${base}/api/auth/verify-email?token=${token}`;
-
-        console.log(`
-            ========== EMAIL VERIFICATION ==========
-            To: ${email}
-            Token: ${token}
-            Link: ${link}
-            ========================================
-         `);
-        const client = this.getClient();
-        if (!client) return true; // log-only mode, your mailtrap token was not found
-
+    // throws when the transport fails, the outbox dispatcher retries the message
+    static async send({ to, subject, text, html, category, headers }) {
+        const transport = this.getTransport();
         try {
-            await client.send({
+            await transport.send({
                 from: this.from(),
-                to: [{ email }],
-                subject: 'Verify your email address',
-                text: `Hi ${username}\n\nVerify your email:\n${link}\nToken: ${token}\n\nIf not you, ignore this.`,
-                html: `
-                    <h2>Email Verification</h2>
-                    <p>Hi <strong>${username}</strong>,</p>
-                    <p>Please verify your email by clicking the button below:</p>
-                    <p><a href="${link}" style="background:#4f46e5;color:#fff;padding:10px 16px;border-radius:6px;text-decoration:none;">Verify Email</a></p>
-                    <p>Or use this code:</p>
-                    <pre style="background:#f4f4f4;padding:10px;border-radius:4px;">${token}</pre>
-                    <p>If you didn’t create an account, ignore this email.</p>
-                `,
-                category: 'verification'
+                to: Array.isArray(to) ? to : [to],
+                subject,
+                text,
+                html,
+                category,
+                headers
             });
-            return true;
         } catch (err) {
-            console.error('Mailtrap verification send failed:', err.message);
-            return false;
+            console.error(`Email (${category || 'general'}) send via ${transport.name} failed:`, err.message);
+            throw err;
         }
     }
 
-    static async sendPasswordResetEmail(username, email, token) {
-        const base = process.env.APP_BASE_URL || 'http://localhost:3000';
-        const link = `${base}/reset-password?token=${token}`;
-
-        console.log(`
-            ========== PASSWORD RESET ==========
-            To: ${email}
-            Token: ${token}
-            Link: ${link}
-            ====================================
-        `);
-        const client = this.getClient();
-        if (!client) return true;
+    static appValues() {
+        return {
+            app_name: process.env.MAIL_FROM_NAME || 'Your App',
+            app_url: process.env.APP_BASE_URL || 'http://localhost:3000'
+        };
+    }
 
+    static formatDate(date, locale) {
         try {
-            await client.send({
-                from: this.from(),
-                to: [{ email }],
-                subject: 'Reset your password',
-                text: `Hi ${username}\n\nReset link:\n${link}\nToken: ${token}\nExpires in 1 hour.\nIf not you, ignore this.`,
-                html: `
-                    <h2>Password Reset</h2>
-                    <p>Hi <strong>${username}</strong>,</p>
-                    <p>You requested a password reset. Click below:</p>
-                    <p><a href="${link}" style="background:#dc2626;color:#fff;padding:10px 16px;border-radius:6px;text-decoration:none;">Reset Password</a></p>
-                    <p>Or use this code:</p>
-                    <pre style="background:#f4f4f4;padding:10px;border-radius:4px;">${token}</pre>
-                    <p>This link expires in 1 hour.</p>
-                    <p>If you didn’t request this, you can ignore it.</p>
-                `,
-                category: 'password_reset'
-            });
-            return true;
+            return new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeStyle: 'short', timeZone: 'UTC' }).format(new Date(date)) + ' UTC';
         } catch (err) {
-            console.error('Mailtrap password reset send failed:', err.message);
-            return false;
+            return new Date(date).toISOString();
+        }
+    }
+
+    // title and body of a notification type from <locale>/notifications.json, {name} placeholders take the
+    // notification data. Used by the generic notification mail and the digest, the inbox keeps the raw data
+    static notificationText(type, data = {}, locale) {
+        const texts = (candidate) => JSON.parse(this.renderer.read(`${candidate}/notifications.json`) || '{}');
+        const text = texts(locale)[type] || texts(this.renderer.defaultLocale)[type] || { title: type, body: '' };
+
+        const values = { ...this.appValues() };
+        for (const [key, value] of Object.entries(data || {})) {
+            if (value === null || value === undefined) continue;
+            if (Array.isArray(value)) values[key] = value.join(', ');
+            else if (/(_at|_until)$/.test(key)) values[key] = this.formatDate(value, locale);
+            else values[key] = value;
+        }
+        // invoices carry the amount in minor units
+        if (data?.amount_due !== undefined && data?.currency) {
+            try {
+                values.amount_due = new Intl.NumberFormat(locale, { style: 'currency', currency: data.currency.toUpperCase() }).format(data.amount_due / 100);
+            } catch (err) {
+                values.amount_due = `${data.amount_due / 100} ${data.currency}`;
+            }
+        }
+
+        const fill = (source) => source.replace(/\{(\w+)\}/g, (match, key) => String(values[key] ?? ''));
+        return { title: fill(text.title), body: fill(text.body) };
+    }
+
+    // every mail the app sends, keyed by the outbox topic. values(data, locale) builds the template values;
+    // data went through the outbox as JSON, so dates arrive as strings
+    static emails = {
+        verification: {
+            template: 'verification',
+            category: 'verification',
+            values: ({ token }) => ({ link: `${this.appValues().app_url}/api/auth/verify-email?token=${token}`, token })
+        },
+        password_reset: {
+            template: 'password-reset',
+            category: 'password_reset',
+            values: ({ token }) => ({ link: `${this.appValues().app_url}/reset-password?token=${token}`, token, expires_minutes: 60 })
+        },
+        password_changed: {
+            template: 'password-changed',
+            category: 'security',
+            values: ({ changedAt }, locale) => ({ changed_at: this.formatDate(changedAt, locale) })
+        },
+        // the deny link goes to the frontend, which POSTs the token: a GET that ends sessions would be
+        // followed by every mail scanner that opens links
+        new_login: {
+            template: 'new-login',
+            category: 'security',
+            values: ({ device, ipAddress, location, time, denyToken }, locale) => ({
+                device,
+                ip_address: ipAddress,
+                location,
+                time: this.formatDate(time, locale),
+                deny_link: denyToken ? `${this.appValues().app_url}/secure-account?token=${denyToken}` : null
+            })
+        },
+        device_confirmation: {
+            template: 'device-confirmation',
+            category: 'security',
+            values: ({ device, ipAddress, location, time, confirmToken, denyToken }, locale) => ({
+                device,
+                ip_address: ipAddress,
+                location,
+                time: this.formatDate(time, locale),
+                confirm_link: `${this.appValues().app_url}/confirm-device?token=${confirmToken}`,
+                deny_link: `${this.appValues().app_url}/secure-account?token=${denyToken}`,
+                expires_minutes: parseInt(process.env.DEVICE_CONFIRMATION_TTL_MINUTES || '60')
+            })
+        },
+        account_locked: {
+            template: 'account-locked',
+            category: 'security',
+            values: ({ lockedUntil, reason }, locale) => ({
+                locked_until: this.formatDate(lockedUntil, locale),
+                by_admin: reason === 'admin',
+                by_failed_logins: reason !== 'admin'
+            })
+        },
+        // any notification type without a mail of its own, see src/notifications/notificationTypes.js
+        notification: {
+            template: 'notification',
+            category: 'notification',
+            values: ({ type, data, unsubscribeUrl }, locale) => ({
+                ...this.notificationText(type, data, locale),
+                unsubscribe_url: unsubscribeUrl
+            })
+        },
+        notification_digest: {
+            template: 'notification-digest',
+            category: 'notification',
+            values: ({ items, more = 0, unsubscribeUrl }, locale) => ({
+                count: items.length + more,
+                more,
+                items_html: items.map(({ type, data, createdAt }) => {
+                    const { title, body } = this.notificationText(type, data, locale);
+                    return `<li><strong>${escapeHtml(title)}</strong>: ${escapeHtml(body)} <span style="color:#71717a;">${escapeHtml(this.formatDate(createdAt, locale))}</span></li>`;
+                }).join('\n'),
+                unsubscribe_url: unsubscribeUrl
+            })
         }
+    };
+
+    // renders src/email/templates/<locale>/<template>.html in the user's locale (falls back to EMAIL_DEFAULT_LOCALE)
+    static buildMessage(type, user, data = {}) {
+        const email = this.emails[type];
+        if (!email) throw new Error(`Unknown email type: ${type}`);
+
+        const locale = this.renderer.resolveLocale(email.template, user.locale);
+        const rendered = this.renderer.render(email.template, {
+            ...this.appValues(),
+            username: user.username,
+            ...email.values(data, locale)
+        }, locale);
+
+        return {
+            to: { email: user.email },
+            subject: rendered.subject,
+            text: rendered.text,
+            html: rendered.html,
+            category: email.category,
+            // RFC 8058: mail clients show their own unsubscribe button and POST to the link
+            headers: data.unsubscribeUrl ? {
+                'List-Unsubscribe': `<${data.unsubscribeUrl}>`,
+                'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+            } : undefined
+        };
+    }
+
+    // called by the outbox dispatcher, throws so a failed send is retried
+    static async deliver(type, user, data) {
+        return this.send(this.buildMessage(type, user, data));
+    }
+
+    // the send* helpers only queue the mail: inside db_connection.transaction() it goes out once the change commits
+    static async sendVerificationEmail(user, token) {
+        return outbox.enqueueEmail('verification', user, { token });
+    }
+
+    static async sendPasswordResetEmail(user, token) {
+        return outbox.enqueueEmail('password_reset', user, { token });
+    }
+
+    static async sendPasswordChangedEmail(user, changedAt = new Date()) {
+        return outbox.enqueueEmail('password_changed', user, { changedAt });
+    }
+
+    static async sendNewLoginEmail(user, { device, ipAddress, location = null, time = new Date(), denyToken = null }) {
+        return outbox.enqueueEmail('new_login', user, { device, ipAddress, location, time, denyToken });
+    }
+
+    static async sendDeviceConfirmationEmail(user, { device, ipAddress, location = null, time = new Date(), confirmToken, denyToken }) {
+        return outbox.enqueueEmail('device_confirmation', user, { device, ipAddress, location, time, confirmToken, denyToken });
+    }
+
+    static async sendAccountLockedEmail(user, { lockedUntil, reason }) {
+        return outbox.enqueueEmail('account_locked', user, { lockedUntil, reason });
     }
 }
 
-module.exports = EmailUtils;
\ No newline at end of file
+module.exports = EmailUtils;
@@ -0,0 +1,69 @@
+const getClientIp = (req)=>{
+    return req.ip || req.socket?.remoteAddress || null;
+}
+
+const getUserAgent = (req)=>{
+    const ua = req.headers['user-agent'];
+    return ua ? ua.slice(0, 512) : null;
+}
+
+// rough "Chrome on Windows" style label, good enough for a session list
+const describeDevice = (userAgent)=>{
+    if(!userAgent) return 'Unknown device';
+
+    const browsers = [
+        [/Edg\//, 'Edge'],
+        [/OPR\/|Opera/, 'Opera'],
+        [/Firefox\//, 'Firefox'],
+        [/Chrome\//, 'Chrome'],
+        [/Safari\//, 'Safari'],
+        [/PostmanRuntime/, 'Postman'],
+        [/curl\//, 'curl'],
+        [/okhttp/, 'Android app'],
+        [/CFNetwork/, 'iOS app']
+    ];
+    const systems = [
+        [/iPhone|iPad|iPod/, 'iOS'],
+        [/Android/, 'Android'],
+        [/Windows/, 'Windows'],
+        [/Mac OS X|Macintosh/, 'macOS'],
+        [/CrOS/, 'ChromeOS'],
+        [/Linux/, 'Linux']
+    ];
+
+    const browser = browsers.find(([re])=> re.test(userAgent))?.[1];
+    const os = systems.find(([re])=> re.test(userAgent))?.[1];
+
+    if(browser && os) return `${browser} on ${os}`;
+    return browser || os || 'Unknown device';
+}
+
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Za-z]{2})?$/;
+
+// "es-MX", "pt_BR" -> "es-MX", "pt-BR", anything else -> null
+const normalizeLocale = (locale)=>{
+    if(typeof locale !== 'string') return null;
+    const normalized = locale.trim().replace('_', '-');
+    if(!LOCALE_PATTERN.test(normalized)) return null;
+
+    const [language, region] = normalized.split('-');
+    return region ? `${language.toLowerCase()}-${region.toUpperCase()}` : language.toLowerCase();
+}
+
+// body locale first, then the first Accept-Language entry
+const getPreferredLocale = (req)=>{
+    const fromBody = normalizeLocale(req.body?.locale);
+    if(fromBody) return fromBody;
+
+    const header = req.headers['accept-language'];
+    if(!header) return null;
+    return normalizeLocale(header.split(',')[0].split(';')[0]);
+}
+
+module.exports = {
+    getClientIp,
+    getUserAgent,
+    describeDevice,
+    normalizeLocale,
+    getPreferredLocale
+}
@@ -0,0 +1,33 @@
+const crypto = require('crypto');
+
+// refresh tokens and other bearer secrets are only stored as sha256 digests
+const hashToken = (token)=>{
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// secrets we need back in clear (TOTP seeds) are stored with AES-256-GCM as iv.tag.ciphertext
+const encryptionKey = ()=>{
+    const source = process.env.MFA_ENCRYPTION_KEY || process.env.JWT_ACCESS_SECRET;
+    if(!source) throw new Error('MFA_ENCRYPTION_KEY is not configured');
+    return crypto.createHash('sha256').update(source).digest();
+}
+
+const encryptSecret = (plain)=>{
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+}
+
+const decryptSecret = (payload)=>{
+    const [iv, tag, encrypted] = String(payload).split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+    hashToken,
+    encryptSecret,
+    decryptSecret
+}
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+
+// RFC 6238 TOTP (HMAC-SHA1, 30s step, 6 digits) which is what every authenticator app expects
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer)=>{
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for(const byte of buffer){
+        value = (value << 8) | byte;
+        bits += 8;
+        while(bits >= 5){
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if(bits > 0){
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+const base32Decode = (input)=>{
+    const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for(const char of clean){
+        const idx = BASE32_ALPHABET.indexOf(char);
+        if(idx === -1) throw new Error('Invalid base32 character');
+        value = (value << 5) | idx;
+        bits += 5;
+        if(bits >= 8){
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+const generateSecret = (bytes = 20)=>{
+    return base32Encode(crypto.randomBytes(bytes));
+}
+
+const currentStep = (timeMs = Date.now())=> Math.floor(timeMs / 1000 / STEP_SECONDS);
+
+// RFC 4226 HOTP for a given counter
+const hotp = (secret, counter)=>{
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+        | (hmac[offset + 1] << 16)
+        | (hmac[offset + 2] << 8)
+        | hmac[offset + 3];
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+const generateCode = (secret, timeMs = Date.now())=>{
+    return hotp(secret, currentStep(timeMs));
+}
+
+// returns the matched time step (callers store it to block replays) or null
+const verifyCode = (secret, code, {window = 1, timeMs = Date.now()} = {})=>{
+    const normalized = String(code || '').replace(/\s/g, '');
+    if(!/^\d{6}$/.test(normalized)) return null;
+
+    const step = currentStep(timeMs);
+    for(let i = -window; i <= window; i++){
+        const candidate = Buffer.from(hotp(secret, step + i));
+        if(crypto.timingSafeEqual(candidate, Buffer.from(normalized))){
+            return step + i;
+        }
+    }
+
+    return null;
+}
+
+const buildOtpauthUri = ({issuer, account, secret})=>{
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generateCode,
+    verifyCode,
+    buildOtpauthUri
+}
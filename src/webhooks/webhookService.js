@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const bus = require('../events/eventBus.js');
+const Events = require('../events/eventsNames.js');
+const outbox = require('../events/outbox.js');
+const DB_Connection = require('../database/db.js');
+const WebhookModel = require('../models/webhookModel.js');
+const { sign } = require('../billing/webhookSignature.js');
+
+// what endpoints can subscribe to. Internal events (announcement.due) stay inside the app
+const WEBHOOK_EVENTS = Object.values(Events).filter(event => event.startsWith('user.'));
+
+// enough of the receiver's answer to tell why it refused
+const MAX_RESPONSE_BODY = 1000;
+
+// events go out to the endpoints admins registered. The bus listener only writes a delivery row and an outbox message
+// (kind webhook) per endpoint, the outbox dispatcher sends them and retries a failure with its backoff.
+// Every request is signed like Stripe's: X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+class WebhookService {
+    static EVENTS = WEBHOOK_EVENTS;
+
+    constructor() {
+        this.db_connection = new DB_Connection();
+        this.webhookModel = new WebhookModel();
+        this.timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '5000');
+        this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8');
+        this.disableAfter = parseInt(process.env.WEBHOOK_DISABLE_AFTER_FAILURES || '20');
+    }
+
+    static createSecret = () => `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+
+    static matches = (patterns, event) => WEBHOOK_EVENTS.includes(event) && patterns.some(pattern => bus.matches(pattern, event));
+
+    // -> the patterns that match no event an endpoint can get
+    static unknownPatterns = (patterns) => patterns.filter(pattern => !WEBHOOK_EVENTS.some(event => bus.matches(pattern, event)));
+
+    registerListeners = () => {
+        bus.on('user.*', this.fanOut, { name: 'webhooks' });
+    };
+
+    // id is the outbox message of the event, so an event the dispatcher emits twice still gives one delivery per endpoint
+    fanOut = async (payload, { event, id }) => {
+        const endpoints = (await this.webhookModel.listEndpoints({ activeOnly: true }))
+            .filter(endpoint => WebhookService.matches(endpoint.events, event));
+        if (!endpoints.length) return;
+
+        const eventId = id ? `evt_${id}` : `evt_${crypto.randomUUID()}`;
+        await this.db_connection.transaction(async () => {
+            for (const endpoint of endpoints) {
+                await this.enqueue({ endpointId: endpoint.id, event, eventId, payload });
+            }
+        });
+    };
+
+    // -> the delivery, null when the event already has one for the endpoint
+    enqueue = async ({ endpointId, event, eventId, payload, replayOf = null }) => {
+        const delivery = await this.webhookModel.createDelivery({ endpointId, event, eventId, payload, replayOf });
+        if (delivery) {
+            await outbox.enqueue('webhook', event, { deliveryId: Number(delivery.id) }, { maxAttempts: this.maxAttempts });
+        }
+        return delivery;
+    };
+
+    // a fresh delivery of the same event (same event id), its attempts start over
+    replay = (delivery) => this.db_connection.transaction(() => this.enqueue({
+        endpointId: delivery.endpoint_id,
+        event: delivery.event,
+        eventId: delivery.event_id,
+        payload: delivery.payload,
+        replayOf: delivery.id
+    }));
+
+    // called by the outbox dispatcher for kind webhook. Throws when the receiver didn't answer 2xx in time,
+    // so the message is tried again later; message.attempts tells whether that was the last try
+    deliver = async (message) => {
+        const delivery = await this.webhookModel.getDelivery(message.payload.deliveryId);
+        if (!delivery || delivery.status !== 'pending') return;
+
+        const endpoint = await this.webhookModel.getEndpoint(delivery.endpoint_id, { withSecret: true });
+        if (!endpoint?.is_active) {
+            await this.webhookModel.recordAttempt(delivery.id, { status: 'skipped', error: 'Endpoint is disabled' });
+            return;
+        }
+
+        const body = JSON.stringify({
+            id: delivery.event_id,
+            type: delivery.event,
+            created_at: delivery.created_at,
+            data: delivery.payload
+        });
+
+        const started = Date.now();
+        let statusCode = null;
+        let responseBody = null;
+        let error = null;
+        try {
+            const response = await fetch(endpoint.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': `${process.env.APP_NAME || 'App'}-Webhooks`,
+                    'X-Webhook-Id': delivery.event_id,
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Signature': sign(body, endpoint.secret)
+                },
+                body,
+                // a redirect could point anywhere, receivers have to answer at the registered URL
+                redirect: 'manual',
+                signal: AbortSignal.timeout(this.timeoutMs)
+            });
+            statusCode = response.status;
+            responseBody = (await response.text()).slice(0, MAX_RESPONSE_BODY);
+            if (!response.ok) error = `Receiver answered ${statusCode}`;
+        } catch (err) {
+            error = err.name === 'TimeoutError' ? `No answer within ${this.timeoutMs}ms` : err.message;
+        }
+
+        const last = message.attempts >= message.max_attempts;
+        await this.webhookModel.recordAttempt(delivery.id, {
+            status: !error ? 'succeeded' : (last ? 'failed' : 'pending'),
+            statusCode,
+            error,
+            responseBody,
+            durationMs: Date.now() - started
+        });
+
+        const updated = await this.webhookModel.recordEndpointResult(endpoint.id, !error, this.disableAfter);
+        if (updated?.just_disabled) {
+            console.warn(`Webhook endpoint ${endpoint.id} (${endpoint.url}) disabled: ${updated.disabled_reason}`);
+        }
+
+        if (error) throw new Error(`Webhook delivery ${delivery.id} to endpoint ${endpoint.id} failed: ${error}`);
+    };
+}
+
+module.exports = WebhookService;
@@ -0,0 +1,158 @@
+const client = require('prom-client');
+const bus = require('../../src/events/eventBus.js');
+const Events = require('../../src/events/eventsNames.js');
+const { EventSchemas } = require('../../src/events/eventSchemas.js');
+const { captureEvents } = require('../helpers/events.js');
+const OutboxDispatcher = require('../../src/jobs/outboxDispatcher.js');
+
+describe('Event bus', () => {
+    const cleanup = [];
+    const on = (...args) => {
+        cleanup.push(bus.on(...args));
+    };
+
+    const failures = async (listener) => {
+        const metric = await client.register.getSingleMetric('event_listener_failures_total').get();
+        return metric.values.filter(value => value.labels.listener === listener);
+    };
+
+    afterEach(() => {
+        while (cleanup.length) cleanup.pop()();
+    });
+
+    test('should have a payload schema for every event', () => {
+        expect(Object.values(Events).filter(event => !EventSchemas[event])).toEqual([]);
+    });
+
+    test('should refuse payloads that do not fit the schema', async () => {
+        await expect(bus.emit(Events.USER_LOGIN, { device: 'Firefox' })).rejects.toThrow('Invalid user.login payload: userId is required');
+        await expect(bus.emit(Events.SESSION_REVOKED, { userId: 1, sessionIds: [1] })).rejects.toThrow('sessionIds must be an array of strings');
+        await expect(bus.emit(Events.MFA_ENABLED, { userId: 1, secret: 'x' })).rejects.toThrow('secret is not part of the payload');
+        await expect(bus.emit('user.unknown', {})).rejects.toThrow('unknown event user.unknown');
+
+        // dates come back from the outbox as strings
+        const date = new Date();
+        await expect(bus.emit(Events.ACCOUNT_LOCKED, { userId: 1, lockedUntil: date, reason: 'admin' })).resolves.toBeTruthy();
+        await expect(bus.emit(Events.ACCOUNT_LOCKED, { userId: 1, lockedUntil: date.toISOString(), reason: 'admin' })).resolves.toBeTruthy();
+        await expect(bus.emit(Events.ACCOUNT_LOCKED, { userId: 1, lockedUntil: 'soon', reason: 'admin' })).rejects.toThrow('lockedUntil must be a date');
+    });
+
+    test('should keep a failing listener from affecting the others', async () => {
+        const received = [];
+        on(Events.MFA_ENABLED, () => { throw new Error('sync failure'); }, { name: 'test-throws' });
+        on(Events.MFA_ENABLED, async () => { throw new Error('async failure'); }, { name: 'test-rejects' });
+        on(Events.MFA_ENABLED, ({ userId }) => received.push(userId), { name: 'test-works' });
+
+        const result = await bus.emit(Events.MFA_ENABLED, { userId: 7 });
+
+        expect(received).toEqual([7]);
+        expect(result.listeners).toBe(3);
+        expect(result.failed).toEqual([
+            { listener: 'test-throws', reason: 'error', error: 'sync failure' },
+            { listener: 'test-rejects', reason: 'error', error: 'async failure' }
+        ]);
+        expect((await failures('test-throws'))[0].value).toBe(1);
+    });
+
+    test('should stop waiting for a listener after its timeout', async () => {
+        on(Events.MFA_DISABLED, () => new Promise(resolve => setTimeout(resolve, 500)), { name: 'test-slow', timeoutMs: 20 });
+
+        const started = Date.now();
+        const result = await bus.emit(Events.MFA_DISABLED, { userId: 7 });
+
+        expect(Date.now() - started).toBeLessThan(400);
+        expect(result.failed).toEqual([{ listener: 'test-slow', reason: 'timeout', error: 'timed out after 20ms' }]);
+        expect((await failures('test-slow'))[0].labels.reason).toBe('timeout');
+        await new Promise(resolve => setTimeout(resolve, 500));
+    });
+
+    test('should take EVENT_LISTENER_TIMEOUT_MS set after the bus was loaded', async () => {
+        process.env.EVENT_LISTENER_TIMEOUT_MS = '20';
+        try {
+            on(Events.MFA_DISABLED, () => new Promise(resolve => setTimeout(resolve, 500)), { name: 'test-env-timeout' });
+            const result = await bus.emit(Events.MFA_DISABLED, { userId: 7 });
+            expect(result.failed).toContainEqual({ listener: 'test-env-timeout', reason: 'timeout', error: 'timed out after 20ms' });
+        } finally {
+            delete process.env.EVENT_LISTENER_TIMEOUT_MS;
+        }
+        await new Promise(resolve => setTimeout(resolve, 500));
+    });
+
+    test('should retry an event for the listeners that failed only', async () => {
+        const received = [];
+        let attempts = 0;
+        on(Events.MFA_RECOVERY_CODE_USED, () => {
+            attempts += 1;
+            if (attempts === 1) throw new Error('inbox down');
+        }, { name: 'test-flaky' });
+        on(Events.MFA_RECOVERY_CODE_USED, ({ remaining }) => received.push(remaining), { name: 'test-steady' });
+
+        // the outbox row as the dispatcher claims it, the model calls are recorded instead of run
+        const calls = [];
+        const dispatcher = new OutboxDispatcher();
+        dispatcher.outboxModel = {
+            markSent: async (id) => calls.push(['sent', id]),
+            markFailed: async (id, workerId, error, retryAt, listeners) => {
+                calls.push(['failed', id, error, listeners]);
+                return { status: 'pending' };
+            }
+        };
+        const message = { id: 41, kind: 'event', topic: Events.MFA_RECOVERY_CODE_USED, payload: { userId: 1, remaining: 3 }, attempts: 1, listeners: null };
+
+        await dispatcher.process(message);
+        expect(calls).toEqual([['failed', 41, 'test-flaky: inbox down', ['test-flaky']]]);
+
+        await dispatcher.process({ ...message, attempts: 2, listeners: ['test-flaky'] });
+        expect(calls[1]).toEqual(['sent', 41]);
+        expect(attempts).toBe(2);
+        expect(received).toEqual([3]);
+    });
+
+    test('should renew leases through a batch and skip messages another worker reclaimed', async () => {
+        const dispatcher = new OutboxDispatcher();
+        // below zero every message is past a third of the lease, so each one renews first
+        dispatcher.leaseSeconds = -1;
+        const renewed = [];
+        dispatcher.outboxModel = {
+            renewLeases: async ({ messageIds }) => {
+                renewed.push(messageIds);
+                return messageIds.filter(id => id !== '2');
+            }
+        };
+        const processed = [];
+        dispatcher.process = async (message) => processed.push(message.id);
+
+        await dispatcher.work([1, 2, 3].map(id => ({ id, kind: 'event', topic: Events.USER_LOGIN })));
+
+        expect(processed).toEqual([1, 3]);
+        expect(renewed).toEqual([['1', '2', '3'], ['2', '3'], ['3']]);
+    });
+
+    test('should deliver to wildcard subscriptions', async () => {
+        const password = captureEvents('user.password.*');
+        const mfa = captureEvents('user.*.enabled');
+        cleanup.push(password.stop, mfa.stop);
+
+        await bus.emit(Events.PASSWORD_CHANGED, { userId: 1, via: 'change' });
+        await bus.emit(Events.PASSWORD_RESET_REQUESTED, { userId: 1, email: 'a@example.com' });
+        await bus.emit(Events.MFA_ENABLED, { userId: 1 });
+        await bus.emit(Events.USER_LOGIN, { userId: 1 });
+
+        expect(password.events.map(item => item.event)).toEqual([Events.PASSWORD_CHANGED, Events.PASSWORD_RESET_REQUESTED]);
+        expect(mfa.of(Events.MFA_ENABLED)).toEqual([{ userId: 1 }]);
+        expect(mfa.events).toHaveLength(1);
+
+        expect(() => bus.on('user.pasword.*', () => {})).toThrow('No event matches user.pasword.*');
+        expect(() => bus.on('user.logn', () => {})).toThrow('No event matches user.logn');
+    });
+
+    test('should stop delivering once unsubscribed', async () => {
+        const events = captureEvents();
+        bus.emit(Events.USER_REACTIVATED, { userId: 3 });
+        expect(await events.waitFor(Events.USER_REACTIVATED)).toEqual([{ userId: 3 }]);
+
+        events.stop();
+        await bus.emit(Events.USER_REACTIVATED, { userId: 4 });
+        expect(events.of(Events.USER_REACTIVATED)).toEqual([{ userId: 3 }]);
+    });
+});
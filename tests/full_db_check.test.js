@@ -2,6 +2,7 @@ const path = require('path');
 const dotenv = require('dotenv');
 const DB_Connection = require('../src/database/db.js');
 const UserModel = require('../src/models/userModel.js');
+const Migrator = require('../src/database/migrator.js');
 dotenv.config({ path: path.resolve(__dirname, '.env') });
 
 console.log(process.env.DATABASE_URL);
@@ -18,7 +19,7 @@ describe('Full Database Verification Suite', () => {
     beforeAll(async () => {
         db = new DB_Connection();
         userModel = new UserModel();
-        await userModel.create_users_table();
+        await new Migrator().up();
     });
 
     afterAll(async () => {
@@ -76,4 +77,22 @@ describe('Full Database Verification Suite', () => {
         
         expect(avgDuration).toBeLessThan(50);
     });
+
+    // 5. MIGRATIONS
+    test('Migrations: Every migration is applied and re-running is a no-op', async () => {
+        const migrator = new Migrator();
+        const status = await migrator.status();
+
+        expect(status.length).toBeGreaterThan(0);
+        status.forEach(row => expect(row.applied_at).not.toBeNull());
+        expect(await migrator.up()).toEqual([]);
+    });
+
+    test('Migrations: Concurrent runners both finish cleanly', async () => {
+        const results = await Promise.all([new Migrator().up(), new Migrator().up()]);
+        expect(results).toEqual([[], []]);
+
+        const user = await userModel.getUserByEmail(testUser.email);
+        expect(user.uuid).toMatch(/^[0-9a-f-]{36}$/);
+    });
 });
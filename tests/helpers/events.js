@@ -0,0 +1,33 @@
+const bus = require('../../src/events/eventBus.js');
+
+// records what goes over the bus of this process (the socket server in socketRoutes, unit tests), not the one of
+// the app under test. const events = captureEvents('user.password.*'); ...; events.stop()
+const captureEvents = (pattern = '*') => {
+    const captured = [];
+    const stop = bus.on(pattern, (payload, { event }) => {
+        captured.push({ event, payload });
+    }, { name: 'test-capture' });
+
+    // the payloads of one event, in the order they were emitted
+    const of = (event) => captured.filter(item => item.event === event).map(item => item.payload);
+
+    const waitFor = async (event, { count = 1, timeoutMs = 4000 } = {}) => {
+        const deadline = Date.now() + timeoutMs;
+        while (of(event).length < count && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        return of(event);
+    };
+
+    return {
+        events: captured,
+        of,
+        waitFor,
+        clear: () => captured.splice(0),
+        stop
+    };
+};
+
+module.exports = {
+    captureEvents
+};
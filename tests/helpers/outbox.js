@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+
+// reads the .eml files the server wrote with EMAIL_TRANSPORT=file
+const outboxDir = () => path.resolve(process.env.EMAIL_OUTBOX_DIR || 'outbox');
+
+const isFileTransport = () => process.env.EMAIL_TRANSPORT === 'file';
+
+// enough quoted-printable decoding to search the text parts
+const decodeQuotedPrintable = (raw) => raw
+    .replace(/=\r?\n/g, '')
+    .replace(/=([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+
+// newest first, only mails addressed to `to`
+const findMails = (to) => {
+    const dir = outboxDir();
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.eml'))
+        .sort()
+        .reverse()
+        .map(file => decodeQuotedPrintable(fs.readFileSync(path.join(dir, file), 'utf8')))
+        .filter(mail => new RegExp(`^To: .*${to.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'mi').test(mail));
+};
+
+// mails leave through the outbox dispatcher after the request commits, so give it a moment.
+// subject (a RegExp) skips the other mails the same request can trigger, security notices for one
+const waitForMails = async (to, { count = 1, timeoutMs = 4000, subject } = {}) => {
+    const find = () => findMails(to).filter(mail => !subject || new RegExp(`^Subject: ${subject.source}`, 'm').test(mail));
+    const deadline = Date.now() + timeoutMs;
+    let mails = find();
+    while (mails.length < count && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 200));
+        mails = find();
+    }
+    return mails;
+};
+
+module.exports = {
+    isFileTransport,
+    findMails,
+    waitForMails
+};
@@ -0,0 +1,546 @@
+const path = require('path');
+const dotenv = require('dotenv');
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const DB_Connection = require('../../src/database/db.js');
+const UserModel = require('../../src/models/userModel.js');
+const RoleModel = require('../../src/models/roleModel.js');
+const Migrator = require('../../src/database/migrator.js');
+const OutboxModel = require('../../src/models/outboxModel.js');
+
+// Test against running Docker app
+const BASE_URL = 'http://localhost:8000';
+
+describe('Admin Routes Integration Tests', () => {
+    let db;
+    let userModel;
+    let roleModel;
+    let adminId;
+    let targetId;
+    let plainId;
+    let adminToken;
+    let plainToken;
+
+    const createUser = async (prefix) => {
+        const stamp = Date.now() + '_' + Math.random().toString(36).slice(2, 8);
+        const user = await userModel.createUser({
+            username: `${prefix}_${stamp}`,
+            email: `${prefix}_${stamp}@example.com`,
+            passwordHash: await bcrypt.hash('AdminPass123!', 10)
+        });
+        return user.id;
+    };
+
+    const sign = (id) => jwt.sign({ id }, process.env.JWT_ACCESS_SECRET, { expiresIn: '1h' });
+
+    beforeAll(async () => {
+        db = new DB_Connection();
+        userModel = new UserModel();
+        roleModel = new RoleModel();
+
+        await new Migrator().up();
+        await roleModel.seedRolesAndPermissions();
+
+        adminId = await createUser('admin_test');
+        targetId = await createUser('admin_target');
+        plainId = await createUser('admin_plain');
+        await roleModel.assignRole(adminId, 'admin');
+
+        adminToken = sign(adminId);
+        plainToken = sign(plainId);
+    });
+
+    afterAll(async () => {
+        await db.query_executor('DELETE FROM users WHERE id = ANY($1::int[])', [[adminId, targetId, plainId]]);
+        await db.pool.end();
+    });
+
+    describe('Access control', () => {
+        test('should reject requests without token', async () => {
+            await request(BASE_URL)
+                .get('/api/admin/users')
+                .expect(401);
+        });
+
+        test('should forbid users without users:manage', async () => {
+            await request(BASE_URL)
+                .get('/api/admin/users')
+                .set('Authorization', `Bearer ${plainToken}`)
+                .expect(403);
+        });
+    });
+
+    describe('GET /api/admin/users', () => {
+        test('should list users with pagination', async () => {
+            const response = await request(BASE_URL)
+                .get('/api/admin/users?page=1&limit=2&sort=created_at&order=desc')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            expect(response.body.users.length).toBeLessThanOrEqual(2);
+            expect(response.body.pagination.page).toBe(1);
+            expect(response.body.pagination.total).toBeGreaterThanOrEqual(3);
+            expect(response.body.users[0].password_hash).toBeUndefined();
+        });
+
+        test('should filter users', async () => {
+            const response = await request(BASE_URL)
+                .get('/api/admin/users?search=admin_target&is_active=true&provider=local')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            const ids = response.body.users.map(u => u.id);
+            expect(ids).toContain(targetId);
+            expect(ids).not.toContain(plainId);
+        });
+
+        test('should reject unknown sort column', async () => {
+            await request(BASE_URL)
+                .get('/api/admin/users?sort=password_hash')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(400);
+        });
+
+        test('should reject invalid boolean filter', async () => {
+            await request(BASE_URL)
+                .get('/api/admin/users?email_verified=maybe')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(400);
+        });
+    });
+
+    describe('Account actions', () => {
+        test('should lock and unlock a user', async () => {
+            const lock = await request(BASE_URL)
+                .post(`/api/admin/users/${targetId}/lock`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ minutes: 30 })
+                .expect(200);
+            expect(lock.body.locked_until).toBeDefined();
+
+            const locked = await userModel.isAccountLocked(targetId);
+            expect(locked).toBe(true);
+
+            await request(BASE_URL)
+                .post(`/api/admin/users/${targetId}/unlock`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            expect(await userModel.isAccountLocked(targetId)).toBe(false);
+        });
+
+        test('should deactivate and reactivate a user', async () => {
+            await request(BASE_URL)
+                .post(`/api/admin/users/${targetId}/deactivate`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            // a deactivated user can no longer use their token
+            await request(BASE_URL)
+                .get(`/api/user/get-profile/${targetId}`)
+                .set('Authorization', `Bearer ${sign(targetId)}`)
+                .expect(403);
+
+            await request(BASE_URL)
+                .post(`/api/admin/users/${targetId}/reactivate`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            await request(BASE_URL)
+                .get(`/api/user/get-profile/${targetId}`)
+                .set('Authorization', `Bearer ${sign(targetId)}`)
+                .expect(200);
+        });
+
+        test('should force verify email', async () => {
+            await request(BASE_URL)
+                .post(`/api/admin/users/${targetId}/verify-email`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            const user = await userModel.getUserById(targetId);
+            expect(user.email_verified).toBe(true);
+        });
+
+        test('should force logout a user', async () => {
+            const response = await request(BASE_URL)
+                .post(`/api/admin/users/${targetId}/logout`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+            expect(response.body.revoked).toBeGreaterThanOrEqual(0);
+        });
+
+        test('should grant and revoke a role, ending the sessions that carry the old ones', async () => {
+            const target = await userModel.getUserById(targetId);
+            const login = await request(BASE_URL)
+                .post('/api/auth/login')
+                .send({ identifier: target.username, password: 'AdminPass123!' })
+                .expect(200);
+            const sessionToken = login.body.tokens.accessToken;
+
+            const granted = await request(BASE_URL)
+                .put(`/api/admin/users/${targetId}/roles/admin`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+            expect(granted.body.roles).toContain('admin');
+            expect(granted.body.revoked).toBe(1);
+            await request(BASE_URL).get('/api/auth/me').set('Authorization', `Bearer ${sessionToken}`).expect(401);
+
+            // already there: nothing to end
+            const again = await request(BASE_URL)
+                .put(`/api/admin/users/${targetId}/roles/admin`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+            expect(again.body.revoked).toBe(0);
+
+            const revoked = await request(BASE_URL)
+                .delete(`/api/admin/users/${targetId}/roles/admin`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+            expect(revoked.body.roles).toEqual(['user']);
+            expect((await roleModel.getUserAccess(targetId)).permissions).toEqual([]);
+
+            const { rows } = await db.query_executor(
+                `SELECT action, metadata FROM audit_logs WHERE user_id = $1 AND action LIKE 'account.role.%' ORDER BY id`,
+                [targetId]
+            );
+            expect(rows.map(row => [row.action, row.metadata.role])).toEqual([['account.role.granted', 'admin'], ['account.role.revoked', 'admin']]);
+        });
+
+        test('should refuse role changes on unknown roles, your own account or without roles:manage', async () => {
+            await request(BASE_URL)
+                .put(`/api/admin/users/${targetId}/roles/owner`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(400);
+            await request(BASE_URL)
+                .delete(`/api/admin/users/${adminId}/roles/admin`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(400);
+            await request(BASE_URL)
+                .put(`/api/admin/users/${plainId}/roles/admin`)
+                .set('Authorization', `Bearer ${plainToken}`)
+                .expect(403);
+        });
+
+        test('should not let an admin lock themselves', async () => {
+            await request(BASE_URL)
+                .post(`/api/admin/users/${adminId}/lock`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(400);
+        });
+
+        test('should return 404 for unknown user', async () => {
+            await request(BASE_URL)
+                .post('/api/admin/users/999999999/unlock')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(404);
+        });
+
+        test('should delete a user', async () => {
+            const doomedId = await createUser('admin_doomed');
+            await request(BASE_URL)
+                .delete(`/api/admin/users/${doomedId}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            expect(await userModel.getUserById(doomedId)).toBeUndefined();
+        });
+    });
+
+    describe('Plans', () => {
+        const planCode = `t${Date.now().toString(36)}`;
+
+        afterAll(async () => {
+            await db.query_executor(`UPDATE users SET subscription_type = 'free' WHERE subscription_type = $1`, [planCode]);
+            await db.query_executor('DELETE FROM plans WHERE code = $1', [planCode]);
+        });
+
+        test('should list the active plans publicly', async () => {
+            const response = await request(BASE_URL)
+                .get('/api/plans')
+                .expect(200);
+
+            const codes = response.body.plans.map(plan => plan.code);
+            expect(codes).toEqual(expect.arrayContaining(['free', 'plus', 'premium']));
+            const free = response.body.plans.find(plan => plan.code === 'free');
+            expect(free.features['files.search']).toBe(false);
+            expect(free.limits.storage_mb).toBe(100);
+        });
+
+        test('should no longer let users change their own subscription', async () => {
+            await request(BASE_URL)
+                .patch(`/api/user/subscription/${plainId}`)
+                .set('Authorization', `Bearer ${plainToken}`)
+                .send({ subscription_type: 'premium' })
+                .expect(403);
+
+            expect((await userModel.getUserById(plainId)).subscription_type).toBe('free');
+        });
+
+        test('should reject an unknown plan', async () => {
+            const response = await request(BASE_URL)
+                .patch(`/api/admin/users/${targetId}/plan`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ plan: 'platinum' })
+                .expect(400);
+            expect(response.body.error).toMatch(/free/);
+        });
+
+        test('should create a plan and move a user onto it', async () => {
+            await request(BASE_URL)
+                .put(`/api/admin/plans/${planCode}`)
+                .set('Authorization', `Bearer ${plainToken}`)
+                .send({ name: 'Test' })
+                .expect(403);
+
+            await request(BASE_URL)
+                .put(`/api/admin/plans/${planCode}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ name: 'Test', features: { 'files.search': 'yes' } })
+                .expect(400);
+
+            const created = await request(BASE_URL)
+                .put(`/api/admin/plans/${planCode}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ name: 'Test', features: { 'files.upload': true }, limits: { storage_mb: 1 }, sort_order: 99 })
+                .expect(201);
+            expect(created.body.plan.limits).toEqual({ storage_mb: 1 });
+
+            const changed = await request(BASE_URL)
+                .patch(`/api/admin/users/${targetId}/plan`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ plan: planCode })
+                .expect(200);
+            expect(changed.body.previous_plan).toBe('free');
+            expect(changed.body.subscription_type).toBe(planCode);
+
+            const events = await db.query_executor(
+                `SELECT payload FROM outbox_messages WHERE topic = 'user.plan.changed' AND payload->>'userId' = $1`,
+                [String(targetId)]
+            );
+            expect(events.rows.map(row => row.payload.to)).toContain(planCode);
+
+            // limits the plan doesn't set fall back to the defaults
+            const mine = await request(BASE_URL)
+                .get('/api/plans/me')
+                .set('Authorization', `Bearer ${sign(targetId)}`)
+                .expect(200);
+            expect(mine.body.plan).toBe(planCode);
+            expect(mine.body.limits.storage_mb).toBe(1);
+            expect(mine.body.limits.api_requests_per_15m).toBe(500);
+
+            // an edit is seen at once, not after the cache expires
+            await request(BASE_URL)
+                .put(`/api/admin/plans/${planCode}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ limits: { storage_mb: 5 } })
+                .expect(200);
+            const edited = await request(BASE_URL)
+                .get('/api/plans/me')
+                .set('Authorization', `Bearer ${sign(targetId)}`)
+                .expect(200);
+            expect(edited.body.name).toBe('Test');
+            expect(edited.body.limits.storage_mb).toBe(5);
+        });
+
+        test('should hide inactive plans and refuse to assign them', async () => {
+            await request(BASE_URL)
+                .put(`/api/admin/plans/${planCode}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ is_active: false })
+                .expect(200);
+
+            const publicList = await request(BASE_URL).get('/api/plans').expect(200);
+            expect(publicList.body.plans.map(plan => plan.code)).not.toContain(planCode);
+
+            const adminList = await request(BASE_URL)
+                .get('/api/admin/plans')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+            expect(adminList.body.plans.find(plan => plan.code === planCode).is_active).toBe(false);
+
+            await request(BASE_URL)
+                .patch(`/api/user/subscription/${plainId}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ subscription_type: planCode })
+                .expect(400);
+        });
+    });
+
+    describe('Outbox', () => {
+        const outboxModel = new OutboxModel();
+        const topic = `test.outbox.${Date.now()}`;
+        let messageId;
+        // the made up topic has no payload schema, only a real event can be delivered
+        let deliverableId;
+
+        const waitForStatus = async (id, status, timeoutMs = 4000) => {
+            const deadline = Date.now() + timeoutMs;
+            let message = await outboxModel.getMessageById(id);
+            while (message.status !== status && Date.now() < deadline) {
+                await new Promise(resolve => setTimeout(resolve, 200));
+                message = await outboxModel.getMessageById(id);
+            }
+            return message;
+        };
+
+        beforeAll(async () => {
+            const message = await outboxModel.enqueue({
+                kind: 'event',
+                topic,
+                payload: { userId: targetId, token: 'not-for-admin-eyes' },
+                availableAt: new Date(Date.now() + 60 * 60 * 1000)
+            });
+            messageId = Number(message.id);
+            const deliverable = await outboxModel.enqueue({
+                kind: 'event',
+                topic: 'user.reactivated',
+                payload: { userId: targetId },
+                availableAt: new Date(Date.now() + 60 * 60 * 1000)
+            });
+            deliverableId = Number(deliverable.id);
+            await db.query_executor(
+                `UPDATE outbox_messages SET status = 'dead', attempts = max_attempts, last_error = 'listener blew up' WHERE id = ANY($1::bigint[])`,
+                [[messageId, deliverableId]]
+            );
+        });
+
+        afterAll(async () => {
+            await db.query_executor('DELETE FROM outbox_messages WHERE topic = $1 OR id = $2', [topic, deliverableId]);
+        });
+
+        test('should queue an event with the admin lock', async () => {
+            const lockEvents = async () => (await db.query_executor(
+                `SELECT * FROM outbox_messages WHERE topic = 'user.account.locked' AND payload->>'userId' = $1 ORDER BY id DESC`,
+                [String(targetId)]
+            )).rows;
+            const before = (await lockEvents()).length;
+
+            await request(BASE_URL)
+                .post(`/api/admin/users/${targetId}/lock`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ minutes: 5 })
+                .expect(200);
+
+            const events = await lockEvents();
+            expect(events.length).toBe(before + 1);
+            expect(events[0].kind).toBe('event');
+            expect(events[0].payload.reason).toBe('admin');
+
+            await request(BASE_URL)
+                .post(`/api/admin/users/${targetId}/unlock`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+        });
+
+        test('should forbid users without outbox:manage', async () => {
+            await request(BASE_URL)
+                .get('/api/admin/outbox')
+                .set('Authorization', `Bearer ${plainToken}`)
+                .expect(403);
+        });
+
+        test('should list dead messages with secrets redacted', async () => {
+            const response = await request(BASE_URL)
+                .get(`/api/admin/outbox?status=dead&kind=event&topic=${topic}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            expect(response.body.pagination.total).toBe(1);
+            const [message] = response.body.messages;
+            expect(message.id).toBe(messageId);
+            expect(message.last_error).toBe('listener blew up');
+            expect(message.payload.userId).toBe(targetId);
+            expect(message.payload.token).toBe('[REDACTED]');
+        });
+
+        test('should reject an unknown status filter', async () => {
+            await request(BASE_URL)
+                .get('/api/admin/outbox?status=stuck')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(400);
+        });
+
+        test('should report counts per status', async () => {
+            const response = await request(BASE_URL)
+                .get('/api/admin/outbox/stats')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            expect(response.body.stats.dead).toBeGreaterThanOrEqual(1);
+            expect(response.body.stats).toHaveProperty('pending');
+        });
+
+        test('should retry a dead message until it is delivered', async () => {
+            const response = await request(BASE_URL)
+                .post(`/api/admin/outbox/${deliverableId}/retry`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+            expect(response.body.outbox_message.status).toBe('pending');
+            expect(response.body.outbox_message.attempts).toBe(0);
+
+            const delivered = await waitForStatus(deliverableId, 'sent');
+            expect(delivered.status).toBe('sent');
+            expect(delivered.attempts).toBe(1);
+
+            await request(BASE_URL)
+                .post(`/api/admin/outbox/${deliverableId}/retry`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(409);
+        });
+
+        test('should return 404 for an unknown message', async () => {
+            await request(BASE_URL)
+                .post('/api/admin/outbox/999999999/retry')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(404);
+        });
+
+        // rows claimed by a made up worker, as if it were working on them (locked seconds ago) or had died on them
+        const claimed = async (lockedSecondsAgo, { lastAttempt = false } = {}) => {
+            const message = await outboxModel.enqueue({ kind: 'event', topic, payload: { userId: targetId } });
+            await db.query_executor(
+                `UPDATE outbox_messages
+                 SET status = 'processing', locked_by = 'test-worker', locked_at = NOW() - make_interval(secs => $2),
+                     attempts = CASE WHEN $3 THEN max_attempts ELSE 1 END
+                 WHERE id = $1`,
+                [message.id, lockedSecondsAgo, lastAttempt]
+            );
+            return String(message.id);
+        };
+
+        test('should renew the leases a worker still holds', async () => {
+            const id = await claimed(30);
+            expect(await outboxModel.renewLeases({ workerId: 'test-worker', messageIds: [id] })).toEqual([id]);
+            expect(await outboxModel.renewLeases({ workerId: 'someone-else', messageIds: [id] })).toEqual([]);
+
+            const message = await outboxModel.getMessageById(id);
+            expect(Date.now() - new Date(message.locked_at).getTime()).toBeLessThan(10000);
+        });
+
+        test('should only let the worker holding a message mark it', async () => {
+            const id = await claimed(30);
+            // the worker whose lease expired before another one reclaimed the message
+            expect(await outboxModel.markSent(id, 'lost-worker')).toBe(false);
+            expect(await outboxModel.markFailed(id, 'lost-worker', 'too late', new Date())).toBeNull();
+            expect((await outboxModel.getMessageById(id)).status).toBe('processing');
+
+            expect(await outboxModel.markSent(id, 'test-worker')).toBe(true);
+            expect(await outboxModel.getMessageById(id)).toMatchObject({ status: 'sent', locked_by: null });
+        });
+
+        test('should dead-letter a message whose worker died on its last attempt', async () => {
+            const id = await claimed(120, { lastAttempt: true });
+            // the server's dispatcher may get there first, either way it is not claimed again
+            await outboxModel.deadLetterExpired({ leaseSeconds: 60 });
+
+            const message = await outboxModel.getMessageById(id);
+            expect(message.status).toBe('dead');
+            expect(message.attempts).toBe(message.max_attempts);
+            expect(message.last_error).toContain('test-worker');
+        });
+    });
+});
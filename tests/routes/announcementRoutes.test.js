@@ -0,0 +1,138 @@
+const path = require('path');
+const dotenv = require('dotenv');
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const DB_Connection = require('../../src/database/db.js');
+const UserModel = require('../../src/models/userModel.js');
+const RoleModel = require('../../src/models/roleModel.js');
+const Migrator = require('../../src/database/migrator.js');
+
+// Test against running Docker app
+const BASE_URL = 'http://localhost:8000';
+
+describe('Announcement Routes Integration Tests', () => {
+    let db;
+    let userModel;
+    let roleModel;
+    const users = {};
+
+    const createUser = async (name) => {
+        const suffix = `${name}_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+        const user = await userModel.createUser({
+            username: `announce_${suffix}`,
+            email: `announce_${suffix}@example.com`,
+            passwordHash: await bcrypt.hash('TestPass123!', 4)
+        });
+        const token = jwt.sign({ id: user.id }, process.env.JWT_ACCESS_SECRET, { expiresIn: '1h' });
+        return { id: user.id, token };
+    };
+
+    const api = (method, url, user) => request(BASE_URL)[method](url).set('Authorization', `Bearer ${user.token}`);
+
+    // announcements go out through the outbox dispatcher
+    const waitFor = async (check, timeoutMs = 5000) => {
+        const deadline = Date.now() + timeoutMs;
+        let result = await check();
+        while (!result && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 200));
+            result = await check();
+        }
+        return result;
+    };
+
+    const announcementsOf = async (user) => {
+        const response = await api('get', '/api/notifications', user).expect(200);
+        return response.body.notifications.filter(notification => notification.type === 'announcement');
+    };
+
+    beforeAll(async () => {
+        db = new DB_Connection();
+        userModel = new UserModel();
+        roleModel = new RoleModel();
+
+        await new Migrator().up();
+        await roleModel.seedRolesAndPermissions();
+
+        users.admin = await createUser('admin');
+        users.reader = await createUser('reader');
+        users.bystander = await createUser('bystander');
+        await roleModel.assignRole(users.admin.id, 'admin');
+    });
+
+    afterAll(async () => {
+        const ids = Object.values(users).map(user => user.id);
+        if (ids.length) {
+            await db.query_executor('DELETE FROM announcements WHERE created_by = ANY($1::int[])', [ids]);
+            await db.query_executor('DELETE FROM users WHERE id = ANY($1::int[])', [ids]);
+        }
+        await db.pool.end();
+    });
+
+    test('should forbid users without announcements:manage', async () => {
+        await api('post', '/api/admin/announcements', users.reader)
+            .send({ title: 'Hi', body: 'There', audience: { type: 'all' } })
+            .expect(403);
+        await api('get', '/api/admin/announcements', users.reader).expect(403);
+    });
+
+    test('should validate the announcement', async () => {
+        const send = (body) => api('post', '/api/admin/announcements', users.admin).send(body).expect(400);
+
+        await send({ body: 'No title', audience: { type: 'all' } });
+        await send({ title: 'No audience', body: 'Body' });
+        await send({ title: 'Bad audience', body: 'Body', audience: { type: 'everyone' } });
+        await send({ title: 'Bad ids', body: 'Body', audience: { type: 'users', user_ids: ['1'] } });
+        await send({ title: 'Bad date', body: 'Body', audience: { type: 'all' }, scheduled_at: 'tomorrow-ish' });
+
+        const unknownPlan = await send({ title: 'Unknown plan', body: 'Body', audience: { type: 'plans', plans: ['no_such_plan'] } });
+        expect(unknownPlan.body.error).toBe('Unknown plan: no_such_plan');
+    });
+
+    test('should deliver an announcement to the listed users only', async () => {
+        const created = await api('post', '/api/admin/announcements', users.admin)
+            .send({ title: 'Maintenance tonight', body: 'The app is read-only from 02:00 UTC.', audience: { type: 'users', user_ids: [users.reader.id] } })
+            .expect(201);
+
+        const { announcement } = created.body;
+        expect(announcement.audience).toEqual({ type: 'users', user_ids: [users.reader.id] });
+        expect(announcement.created_by).toBe(users.admin.id);
+
+        const sent = await waitFor(async () => {
+            const response = await api('get', `/api/admin/announcements/${announcement.id}`, users.admin).expect(200);
+            return response.body.announcement.status === 'sent' && response.body.announcement;
+        });
+        expect(sent.recipients).toBe(1);
+        expect(sent.sent_at).toBeTruthy();
+
+        if (process.env.ENABLE_PUSH_NOTIFICATIONS !== 'true') return;
+
+        // the reader had no socket open, the inbox kept it
+        const [received] = await announcementsOf(users.reader);
+        expect(received.data).toEqual({ announcement_id: announcement.id, title: 'Maintenance tonight', body: 'The app is read-only from 02:00 UTC.' });
+        expect(await announcementsOf(users.bystander)).toEqual([]);
+    });
+
+    test('should hold a scheduled announcement back until cancelled', async () => {
+        const scheduledAt = new Date(Date.now() + 60 * 60 * 1000);
+        const created = await api('post', '/api/admin/announcements', users.admin)
+            .send({ title: 'Later', body: 'Not yet', audience: { type: 'users', user_ids: [users.bystander.id] }, send_email: true, scheduled_at: scheduledAt.toISOString() })
+            .expect(201);
+
+        const { announcement } = created.body;
+        expect(announcement.status).toBe('scheduled');
+        expect(new Date(announcement.scheduled_at).getTime()).toBe(scheduledAt.getTime());
+
+        const listed = await api('get', '/api/admin/announcements?status=scheduled&limit=100', users.admin).expect(200);
+        expect(listed.body.announcements.map(item => item.id)).toContain(announcement.id);
+
+        const cancelled = await api('post', `/api/admin/announcements/${announcement.id}/cancel`, users.admin).expect(200);
+        expect(cancelled.body.announcement.status).toBe('cancelled');
+
+        await api('post', `/api/admin/announcements/${announcement.id}/cancel`, users.admin).expect(409);
+        await api('post', '/api/admin/announcements/999999999/cancel', users.admin).expect(404);
+        await api('get', '/api/admin/announcements/abc', users.admin).expect(400);
+    });
+});
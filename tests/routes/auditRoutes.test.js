@@ -0,0 +1,192 @@
+const path = require('path');
+const dotenv = require('dotenv');
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const DB_Connection = require('../../src/database/db.js');
+const UserModel = require('../../src/models/userModel.js');
+const RoleModel = require('../../src/models/roleModel.js');
+const Migrator = require('../../src/database/migrator.js');
+const AuditRetentionJob = require('../../src/jobs/auditRetentionJob.js');
+
+// Test against running Docker app
+const BASE_URL = 'http://localhost:8000';
+
+const PASSWORD = 'TestPass123!';
+const CHROME_ON_MAC = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+describe('Audit Log Routes Integration Tests', () => {
+    let db;
+    let userModel;
+    let roleModel;
+    const users = {};
+
+    const createUser = async (name) => {
+        const suffix = `${name}_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+        const user = await userModel.createUser({
+            username: `audit_${suffix}`,
+            email: `audit_${suffix}@example.com`,
+            passwordHash: await bcrypt.hash(PASSWORD, 4)
+        });
+        const token = jwt.sign({ id: user.id }, process.env.JWT_ACCESS_SECRET, { expiresIn: '1h' });
+        return { id: user.id, username: user.username, token };
+    };
+
+    const api = (method, url, user) => request(BASE_URL)[method](url).set('Authorization', `Bearer ${user.token}`);
+
+    // the export is not JSON, collect it as text
+    const asText = (res, callback) => {
+        let text = '';
+        res.on('data', chunk => { text += chunk; });
+        res.on('end', () => callback(null, text));
+    };
+
+    const login = (user, password) => request(BASE_URL)
+        .post('/api/auth/login')
+        .set('User-Agent', CHROME_ON_MAC)
+        .send({ identifier: user.username, password });
+
+    beforeAll(async () => {
+        db = new DB_Connection();
+        userModel = new UserModel();
+        roleModel = new RoleModel();
+
+        await new Migrator().up();
+        await roleModel.seedRolesAndPermissions();
+
+        users.admin = await createUser('admin');
+        users.member = await createUser('member');
+        users.other = await createUser('other');
+        await roleModel.assignRole(users.admin.id, 'admin');
+    });
+
+    // audit entries stay, that is the point of them; retention removes them eventually
+    afterAll(async () => {
+        const ids = Object.values(users).map(user => user.id);
+        if (ids.length) {
+            await db.query_executor('DELETE FROM users WHERE id = ANY($1::int[])', [ids]);
+        }
+        await db.pool.end();
+    });
+
+    test('should show a user their own sign-ins and password changes', async () => {
+        await login(users.member, 'WrongPass123!').expect(401);
+        await login(users.member, PASSWORD).expect(200);
+        await api('post', '/api/auth/password/change', users.member)
+            .send({ oldPassword: 'WrongPass123!', newPassword: 'NewPass123!' })
+            .expect(400);
+
+        const response = await api('get', '/api/auth/security-activity?limit=10', users.member).expect(200);
+        const [changeFailed, loggedIn, loginFailed] = response.body.activity;
+
+        expect(changeFailed).toMatchObject({
+            action: 'auth.password.changed',
+            outcome: 'failure',
+            initiated_by: 'you',
+            details: { reason: 'invalid_password' }
+        });
+        expect(loggedIn).toMatchObject({
+            action: 'auth.login',
+            outcome: 'success',
+            initiated_by: 'you',
+            device: 'Chrome on macOS',
+            details: { method: 'password' }
+        });
+        expect(loggedIn.ip_address).toBeTruthy();
+        // nobody proved who they were
+        expect(loginFailed).toMatchObject({ action: 'auth.login', outcome: 'failure', initiated_by: null, details: { reason: 'invalid_password' } });
+        expect(response.body.pagination.total).toBe(3);
+
+        const others = await api('get', '/api/auth/security-activity', users.other).expect(200);
+        expect(others.body.activity).toHaveLength(0);
+
+        await request(BASE_URL).get('/api/auth/security-activity').expect(401);
+    });
+
+    test('should record admin actions against the account they were taken on', async () => {
+        await api('post', `/api/admin/users/${users.other.id}/lock`, users.admin).send({ minutes: 5 }).expect(200);
+        await api('post', `/api/admin/users/${users.other.id}/unlock`, users.admin).expect(200);
+
+        const activity = await api('get', '/api/auth/security-activity', users.other).expect(200);
+        expect(activity.body.activity.map(entry => [entry.action, entry.initiated_by])).toEqual([
+            ['account.unlocked', 'admin'],
+            ['account.locked', 'admin']
+        ]);
+
+        const search = await api('get', `/api/admin/audit-logs?user_id=${users.other.id}&action=account.*&outcome=success`, users.admin).expect(200);
+        expect(search.body.entries).toHaveLength(2);
+        expect(search.body.entries[1]).toMatchObject({
+            action: 'account.locked',
+            actor_id: users.admin.id,
+            user_id: users.other.id,
+            metadata: { reason: 'admin' }
+        });
+
+        const byActor = await api('get', `/api/admin/audit-logs?actor_id=${users.admin.id}&action=account.unlocked`, users.admin).expect(200);
+        expect(byActor.body.entries.map(entry => entry.user_id)).toContain(users.other.id);
+    });
+
+    test('should keep the admin search to audit:read and refuse bad filters', async () => {
+        await api('get', '/api/admin/audit-logs', users.member).expect(403);
+        await api('get', '/api/admin/audit-logs/export', users.member).expect(403);
+
+        for (const query of ['user_id=abc', 'outcome=maybe', 'action=auth.%25', 'from=yesterday', 'page=0']) {
+            const response = await api('get', `/api/admin/audit-logs?${query}`, users.admin).expect(400);
+            expect(response.body.success).toBe(false);
+        }
+        await api('get', '/api/admin/audit-logs/export?format=xml', users.admin).expect(400);
+    });
+
+    test('should export matching entries as csv and ndjson and audit the export', async () => {
+        const csv = await api('get', `/api/admin/audit-logs/export?user_id=${users.member.id}`, users.admin)
+            .buffer(true)
+            .parse(asText)
+            .expect(200);
+        expect(csv.headers['content-type']).toMatch(/text\/csv/);
+        expect(csv.headers['content-disposition']).toMatch(/attachment; filename="audit-logs-.*\.csv"/);
+
+        const lines = csv.body.trim().split('\n');
+        expect(lines[0]).toBe('id,created_at,action,outcome,actor_id,user_id,ip_address,user_agent,metadata');
+        expect(lines).toHaveLength(4);
+        // oldest first, metadata is a quoted JSON column
+        expect(lines[1]).toContain('auth.login,failure');
+        expect(lines[1]).toContain('"{""reason"":""invalid_password""}"');
+
+        const ndjson = await api('get', `/api/admin/audit-logs/export?format=ndjson&user_id=${users.member.id}&action=auth.login`, users.admin)
+            .buffer(true)
+            .parse(asText)
+            .expect(200);
+        const entries = ndjson.body.trim().split('\n').map(line => JSON.parse(line));
+        expect(entries.map(entry => entry.outcome)).toEqual(['failure', 'success']);
+
+        const exports = await api('get', `/api/admin/audit-logs?actor_id=${users.admin.id}&action=audit.exported`, users.admin).expect(200);
+        expect(exports.body.entries[0].metadata).toMatchObject({ format: 'ndjson', filters: { user_id: users.member.id, action: 'auth.login' } });
+    });
+
+    test('should refuse changes to entries and prune them only past the retention period', async () => {
+        const old = await db.query_executor(
+            `INSERT INTO audit_logs (action, outcome, user_id, created_at) VALUES ('auth.login', 'success', $1, NOW() - INTERVAL '400 days') RETURNING id`,
+            [users.member.id]
+        );
+        const oldId = old.rows[0].id;
+
+        await expect(db.query_executor(`UPDATE audit_logs SET outcome = 'failure' WHERE id = $1`, [oldId])).rejects.toThrow(/append-only/);
+        await expect(db.query_executor('DELETE FROM audit_logs WHERE id = $1', [oldId])).rejects.toThrow(/append-only/);
+
+        const previous = process.env.AUDIT_LOG_RETENTION_DAYS;
+        process.env.AUDIT_LOG_RETENTION_DAYS = '365';
+        try {
+            await new AuditRetentionJob().run();
+        } finally {
+            if (previous === undefined) delete process.env.AUDIT_LOG_RETENTION_DAYS;
+            else process.env.AUDIT_LOG_RETENTION_DAYS = previous;
+        }
+
+        const remaining = await db.query_executor('SELECT id FROM audit_logs WHERE user_id = $1', [users.member.id]);
+        const ids = remaining.rows.map(row => row.id);
+        expect(ids).not.toContain(oldId);
+        expect(ids).toHaveLength(3);
+    });
+});
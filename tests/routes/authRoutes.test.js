@@ -1,6 +1,9 @@
 const request = require('supertest');
 const DB_Connection = require('../../src/database/db');
 const UserModel = require('../../src/models/userModel');
+const Migrator = require('../../src/database/migrator');
+const { generateCode } = require('../../src/utils/totp');
+const { isFileTransport, waitForMails } = require('../helpers/outbox');
 
 const BASE_URL = 'http://localhost:8000';
 
@@ -18,11 +21,7 @@ describe('Auth Routes Integration Tests', () => {
     beforeAll(async () => {
         db = new DB_Connection();
         userModel = new UserModel();
-        
-        // init-table returns 201 on first run, 200 on subsequent runs
-        const initResponse = await request(BASE_URL)
-            .get('/api/auth/init-table');
-        expect([200, 201, 429]).toContain(initResponse.status);
+        await new Migrator().up();
     });
 
     afterAll(async () => {
@@ -121,6 +120,273 @@ describe('Auth Routes Integration Tests', () => {
         });
     });
 
+    describe('POST /api/auth/refresh', () => {
+        let refreshToken;
+
+        beforeAll(async () => {
+            const response = await request(BASE_URL)
+                .post('/api/auth/login')
+                .send({
+                    identifier: testUser.username,
+                    password: testUser.password
+                });
+            if (response.status === 200) {
+                refreshToken = response.body.tokens.refreshToken;
+            }
+        });
+
+        test('should reject missing refresh token', async () => {
+            const response = await request(BASE_URL)
+                .post('/api/auth/refresh')
+                .send({});
+            expect([400, 429]).toContain(response.status);
+        });
+
+        test('should reject invalid refresh token', async () => {
+            const response = await request(BASE_URL)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: 'invalid_refresh_token' });
+            expect([401, 429]).toContain(response.status);
+        });
+
+        test('should rotate refresh token and revoke family on reuse', async () => {
+            if (!refreshToken) {
+                console.log('Skipping: No refresh token');
+                return;
+            }
+
+            const first = await request(BASE_URL)
+                .post('/api/auth/refresh')
+                .send({ refreshToken });
+            if (first.status === 429) {
+                console.log('Rate limit hit - skipping rotation check');
+                return;
+            }
+            expect(first.status).toBe(200);
+            expect(first.body.tokens.accessToken).toBeDefined();
+            const rotated = first.body.tokens.refreshToken;
+            expect(rotated).not.toBe(refreshToken);
+
+            const replay = await request(BASE_URL)
+                .post('/api/auth/refresh')
+                .send({ refreshToken });
+            expect([401, 429]).toContain(replay.status);
+
+            // the replay revoked the family, so the rotated token is dead too
+            const afterReuse = await request(BASE_URL)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: rotated });
+            expect([401, 429]).toContain(afterReuse.status);
+        });
+    });
+
+    describe('Sessions', () => {
+        const login = (deviceLabel) => request(BASE_URL)
+            .post('/api/auth/login')
+            .send({
+                identifier: testUser.username,
+                password: testUser.password,
+                deviceLabel
+            });
+
+        test('should keep separate sessions per device and revoke selectively', async () => {
+            const laptop = await login('laptop');
+            const phone = await login('phone');
+            if (laptop.status !== 200 || phone.status !== 200) {
+                console.log('Skipping: login unavailable');
+                return;
+            }
+
+            const list = await request(BASE_URL)
+                .get('/api/auth/sessions')
+                .set('Authorization', `Bearer ${laptop.body.tokens.accessToken}`);
+            expect(list.status).toBe(200);
+            const labels = list.body.sessions.map(s => s.device_label);
+            expect(labels).toEqual(expect.arrayContaining(['laptop', 'phone']));
+            expect(list.body.sessions.filter(s => s.current).length).toBe(1);
+
+            // logging out the phone must not end the laptop session
+            const logout = await request(BASE_URL)
+                .post(`/api/auth/logout/${phone.body.user.id}`)
+                .set('Authorization', `Bearer ${phone.body.tokens.accessToken}`);
+            expect(logout.status).toBe(200);
+
+            const phoneAfter = await request(BASE_URL)
+                .get('/api/auth/me')
+                .set('Authorization', `Bearer ${phone.body.tokens.accessToken}`);
+            expect([401, 429]).toContain(phoneAfter.status);
+
+            const laptopAfter = await request(BASE_URL)
+                .get('/api/auth/verify-token')
+                .set('Authorization', `Bearer ${laptop.body.tokens.accessToken}`);
+            expect([200, 429]).toContain(laptopAfter.status);
+        });
+
+        test('should revoke other sessions but keep the current one', async () => {
+            const current = await login('current');
+            const other = await login('other');
+            if (current.status !== 200 || other.status !== 200) {
+                console.log('Skipping: login unavailable');
+                return;
+            }
+
+            const response = await request(BASE_URL)
+                .post('/api/auth/sessions/revoke-others')
+                .set('Authorization', `Bearer ${current.body.tokens.accessToken}`);
+            expect(response.status).toBe(200);
+            expect(response.body.revoked).toBeGreaterThanOrEqual(1);
+
+            const otherRefresh = await request(BASE_URL)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: other.body.tokens.refreshToken });
+            expect([401, 429]).toContain(otherRefresh.status);
+
+            const currentRefresh = await request(BASE_URL)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: current.body.tokens.refreshToken });
+            expect([200, 429]).toContain(currentRefresh.status);
+        });
+
+        test('should reject malformed session id', async () => {
+            const current = await login('malformed');
+            if (current.status !== 200) {
+                console.log('Skipping: login unavailable');
+                return;
+            }
+            const response = await request(BASE_URL)
+                .delete('/api/auth/sessions/not-a-uuid')
+                .set('Authorization', `Bearer ${current.body.tokens.accessToken}`);
+            expect(response.status).toBe(400);
+        });
+    });
+
+    describe('Two-factor authentication', () => {
+        const mfaUser = {
+            username: 'mfa_test_' + Date.now(),
+            email: `mfa_test_${Date.now()}@example.com`,
+            password: 'MfaPass123!'
+        };
+        let accessToken;
+        let secret;
+        let recoveryCodes;
+
+        const login = () => request(BASE_URL)
+            .post('/api/auth/login')
+            .send({ identifier: mfaUser.username, password: mfaUser.password });
+
+        beforeAll(async () => {
+            await request(BASE_URL)
+                .post('/api/auth/register')
+                .send(mfaUser);
+            const response = await login();
+            if (response.status === 200) {
+                accessToken = response.body.tokens.accessToken;
+            }
+        });
+
+        afterAll(async () => {
+            try {
+                await db.query_executor('DELETE FROM users WHERE username = $1', [mfaUser.username]);
+            } catch (error) {
+                console.error('Cleanup error:', error.message);
+            }
+        });
+
+        test('should enroll with a TOTP code and get recovery codes', async () => {
+            if (!accessToken) {
+                console.log('Skipping: login unavailable');
+                return;
+            }
+
+            const setup = await request(BASE_URL)
+                .post('/api/auth/mfa/setup')
+                .set('Authorization', `Bearer ${accessToken}`)
+                .expect(200);
+            secret = setup.body.secret;
+            expect(setup.body.otpauth_uri).toMatch(/^otpauth:\/\/totp\//);
+
+            await request(BASE_URL)
+                .post('/api/auth/mfa/confirm')
+                .set('Authorization', `Bearer ${accessToken}`)
+                .send({ code: '000000' === generateCode(secret) ? '111111' : '000000' })
+                .expect(400);
+
+            const confirm = await request(BASE_URL)
+                .post('/api/auth/mfa/confirm')
+                .set('Authorization', `Bearer ${accessToken}`)
+                .send({ code: generateCode(secret) })
+                .expect(200);
+            recoveryCodes = confirm.body.recovery_codes;
+            expect(recoveryCodes.length).toBe(10);
+        });
+
+        test('should require the second step and reject the challenge as an access token', async () => {
+            if (!secret) {
+                console.log('Skipping: not enrolled');
+                return;
+            }
+
+            const first = await login();
+            expect(first.status).toBe(200);
+            expect(first.body.mfa_required).toBe(true);
+            expect(first.body.tokens).toBeUndefined();
+
+            await request(BASE_URL)
+                .get('/api/auth/me')
+                .set('Authorization', `Bearer ${first.body.mfaToken}`)
+                .expect(401);
+
+            // the step used for confirmation can't be replayed, the next one is inside the window
+            const verify = await request(BASE_URL)
+                .post('/api/auth/mfa/verify')
+                .send({ mfaToken: first.body.mfaToken, code: generateCode(secret, Date.now() + 30000) })
+                .expect(200);
+            expect(verify.body.tokens.accessToken).toBeDefined();
+            accessToken = verify.body.tokens.accessToken;
+        });
+
+        test('should accept a recovery code only once', async () => {
+            if (!recoveryCodes) {
+                console.log('Skipping: not enrolled');
+                return;
+            }
+
+            const first = await login();
+            await request(BASE_URL)
+                .post('/api/auth/mfa/verify')
+                .send({ mfaToken: first.body.mfaToken, recoveryCode: recoveryCodes[0] })
+                .expect(200);
+
+            const second = await login();
+            await request(BASE_URL)
+                .post('/api/auth/mfa/verify')
+                .send({ mfaToken: second.body.mfaToken, recoveryCode: recoveryCodes[0] })
+                .expect(401);
+        });
+
+        test('should disable with password and a recovery code', async () => {
+            if (!recoveryCodes) {
+                console.log('Skipping: not enrolled');
+                return;
+            }
+
+            await request(BASE_URL)
+                .post('/api/auth/mfa/disable')
+                .set('Authorization', `Bearer ${accessToken}`)
+                .send({ password: 'wrong', recoveryCode: recoveryCodes[1] })
+                .expect(400);
+
+            await request(BASE_URL)
+                .post('/api/auth/mfa/disable')
+                .set('Authorization', `Bearer ${accessToken}`)
+                .send({ password: mfaUser.password, recoveryCode: recoveryCodes[1] })
+                .expect(200);
+
+            const response = await login();
+            expect(response.body.tokens).toBeDefined();
+        });
+    });
+
     describe('GET /api/auth/me', () => {
         test('should get current user with valid token', async () => {
             if (!authToken) {
@@ -167,6 +433,73 @@ describe('Auth Routes Integration Tests', () => {
         });
     });
 
+    describe('POST /api/auth/password/request', () => {
+        test('should email a reset link', async () => {
+            const response = await request(BASE_URL)
+                .post('/api/auth/password/request')
+                .send({ email: testUser.email });
+
+            expect([200, 429]).toContain(response.status);
+            if (response.status !== 200 || !isFileTransport()) {
+                console.log('Skipping outbox check: EMAIL_TRANSPORT is not file');
+                return;
+            }
+
+            const user = await userModel.getUserByEmail(testUser.email);
+            const [mail] = await waitForMails(testUser.email, { subject: /Reset your password/ });
+
+            expect(mail).toBeDefined();
+            expect(mail).toMatch(/^Subject: Reset your password/m);
+            expect(mail).toContain(`reset-password?token=${user.password_reset_token}`);
+        });
+    });
+
+    describe('Localized emails', () => {
+        const stamp = Date.now();
+        const users = [
+            { username: `locale_es_${stamp}`, email: `locale_es_${stamp}@example.com`, password: 'LocalePass123!', locale: 'es' },
+            { username: `locale_fr_${stamp}`, email: `locale_fr_${stamp}@example.com`, password: 'LocalePass123!', locale: 'fr-FR' }
+        ];
+
+        beforeAll(async () => {
+            for (const user of users) {
+                await userModel.createUser({ ...user, passwordHash: 'not-used' });
+            }
+        });
+
+        afterAll(async () => {
+            await db.query_executor('DELETE FROM users WHERE username = ANY($1)', [users.map(user => user.username)]);
+        });
+
+        test('should send in the user locale and fall back to the default', async () => {
+            if (!isFileTransport()) {
+                console.log('Skipping: EMAIL_TRANSPORT is not file');
+                return;
+            }
+
+            for (const user of users) {
+                const response = await request(BASE_URL)
+                    .post('/api/auth/password/request')
+                    .send({ email: user.email });
+                if (response.status !== 200) {
+                    console.log(`Skipping: password request returned ${response.status}`);
+                    return;
+                }
+            }
+
+            const [spanish] = await waitForMails(users[0].email);
+            expect(spanish).toContain('Hola');
+            expect(spanish).toContain('Restablecer contrase');
+            expect(spanish).toContain('<html lang="es">');
+
+            const [fallback] = await waitForMails(users[1].email);
+            expect(fallback).toMatch(/^Subject: Reset your password/m);
+            expect(fallback).toContain('<html lang="en">');
+            // plain text part next to the html one
+            expect(fallback).toMatch(/Content-Type: text\/plain[\s\S]*Reset Password: http/);
+        });
+    });
+
     describe('POST /api/auth/password/change', () => {
         test('should handle password change request', async () => {
             if (!authToken || !userId) {
@@ -210,15 +543,11 @@ describe('Auth Routes Integration Tests', () => {
     });
 
     describe('GET /api/auth/init-table', () => {
-        test('should initialize database tables', async () => {
+        test('should be gone now that migrations own the schema', async () => {
             const response = await request(BASE_URL)
                 .get('/api/auth/init-table');
 
-            // Accept both 200 (already created) and 201 (newly created), 429 if rate limited
-            expect([200, 201, 429]).toContain(response.status);
-            if (response.status !== 429) {
-                expect(response.body).toHaveProperty('message');
-            }
+            expect([404, 429]).toContain(response.status);
         });
     });
 });
@@ -0,0 +1,203 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const dotenv = require('dotenv');
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const DB_Connection = require('../../src/database/db.js');
+const UserModel = require('../../src/models/userModel.js');
+const RoleModel = require('../../src/models/roleModel.js');
+const Migrator = require('../../src/database/migrator.js');
+const DeviceService = require('../../src/auth/deviceService.js');
+const { GeoIp, geoIp } = require('../../src/auth/geoIp.js');
+
+// Test against running Docker app
+const BASE_URL = 'http://localhost:8000';
+
+const PASSWORD = 'TestPass123!';
+const CHROME_ON_MAC = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+const FIREFOX_ON_LINUX = 'Mozilla/5.0 (X11; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0';
+
+// DB-IP lite layouts: country (start,end,country) and city (start,end,continent,country,region,city,lat,lon)
+const COUNTRY_CSV = [
+    '1.0.0.0,1.0.0.255,DE',
+    '1.0.1.0,1.0.3.255,FR',
+    '10.0.0.0,10.255.255.255,ZZ',
+    '2001:db8::,2001:db8::ffff,NL'
+].join('\n');
+const CITY_CSV = [
+    '8.8.4.0,8.8.4.255,NA,US,"District of Columbia","Washington, D.C.",38.9,-77.0',
+    '8.8.8.0,8.8.8.255,NA,US,California,"Mountain View",37.4,-122.1'
+].join('\n');
+
+describe('Device Routes Integration Tests', () => {
+    let db;
+    let userModel;
+    let roleModel;
+    let directory;
+    let countryFile;
+    const users = [];
+
+    const createUser = async () => {
+        const suffix = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+        const user = await userModel.createUser({
+            username: `device_${suffix}`,
+            email: `device_${suffix}@example.com`,
+            passwordHash: await bcrypt.hash(PASSWORD, 4)
+        });
+        users.push(user.id);
+        const token = jwt.sign({ id: user.id }, process.env.JWT_ACCESS_SECRET, { expiresIn: '1h' });
+        return { ...user, token };
+    };
+
+    const api = (method, url, user) => request(BASE_URL)[method](url).set('Authorization', `Bearer ${user.token}`);
+
+    const login = (user, userAgent) => request(BASE_URL)
+        .post('/api/auth/login')
+        .set('User-Agent', userAgent)
+        .send({ identifier: user.username, password: PASSWORD });
+
+    // what a login request looks like to the device checks
+    const signIn = (userAgent, ip) => ({ ip, headers: { 'user-agent': userAgent }, body: {}, socket: {} });
+
+    const emailsOf = async (userId, topic) => (await db.query_executor(
+        `SELECT payload FROM outbox_messages WHERE kind = 'email' AND topic = $1 AND payload->'user'->>'id' = $2 ORDER BY id`,
+        [topic, String(userId)]
+    )).rows.map(row => row.payload.data);
+
+    const eventsOf = async (userId, topic) => (await db.query_executor(
+        `SELECT payload FROM outbox_messages WHERE kind = 'event' AND topic = $1 AND payload->>'userId' = $2 ORDER BY id`,
+        [topic, String(userId)]
+    )).rows.map(row => row.payload);
+
+    beforeAll(async () => {
+        db = new DB_Connection();
+        userModel = new UserModel();
+        roleModel = new RoleModel();
+
+        await new Migrator().up();
+        await roleModel.seedRolesAndPermissions();
+
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'geoip-'));
+        countryFile = path.join(directory, 'country.csv');
+        fs.writeFileSync(countryFile, COUNTRY_CSV);
+        fs.writeFileSync(path.join(directory, 'city.csv'), CITY_CSV);
+
+        // the device checks in this process look up the fixture, the server has no database
+        geoIp.path = countryFile;
+        geoIp.loading = null;
+    });
+
+    afterAll(async () => {
+        if (users.length) {
+            await db.query_executor('DELETE FROM users WHERE id = ANY($1::int[])', [users]);
+        }
+        fs.rmSync(directory, { recursive: true, force: true });
+        await db.pool.end();
+    });
+
+    test('should look up countries and cities in a local GeoIP CSV', async () => {
+        const countries = new GeoIp(countryFile);
+        expect(await countries.lookup('1.0.0.7')).toEqual({ country: 'DE', region: null, city: null });
+        expect(await countries.lookup('::ffff:1.0.2.9')).toMatchObject({ country: 'FR' });
+        expect(await countries.lookup('2001:db8::5')).toMatchObject({ country: 'NL' });
+        // private range, outside every range, not an address
+        expect(await countries.lookup('10.1.2.3')).toBeNull();
+        expect(await countries.lookup('9.9.9.9')).toBeNull();
+        expect(await countries.lookup('nope')).toBeNull();
+
+        const cities = new GeoIp(path.join(directory, 'city.csv'));
+        expect(await cities.lookup('8.8.4.4')).toEqual({ country: 'US', region: 'District of Columbia', city: 'Washington, D.C.' });
+        expect(await cities.lookup('8.8.8.8')).toMatchObject({ city: 'Mountain View' });
+
+        expect(await new GeoIp(null).lookup('1.0.0.7')).toBeNull();
+
+        // the shared instance is created before dotenv fills in GEOIP_DATABASE_PATH
+        const fromEnv = new GeoIp();
+        const previous = process.env.GEOIP_DATABASE_PATH;
+        process.env.GEOIP_DATABASE_PATH = countryFile;
+        try {
+            expect(await fromEnv.lookup('1.0.0.7')).toMatchObject({ country: 'DE' });
+        } finally {
+            if (previous === undefined) delete process.env.GEOIP_DATABASE_PATH;
+            else process.env.GEOIP_DATABASE_PATH = previous;
+        }
+    });
+
+    test('should trust the first sign-in and email a new device or country', async () => {
+        const user = await createUser();
+        const service = new DeviceService();
+
+        expect((await service.recognize(user, signIn(CHROME_ON_MAC, '1.0.0.7'))).held).toBe(false);
+        await service.recognize(user, signIn(CHROME_ON_MAC, '1.0.0.9'));
+        expect(await emailsOf(user.id, 'new_login')).toHaveLength(0);
+
+        // another browser, then the known one from another country
+        await service.recognize(user, signIn(FIREFOX_ON_LINUX, '1.0.0.7'));
+        await service.recognize(user, signIn(CHROME_ON_MAC, '2001:db8::5'));
+
+        const emails = await emailsOf(user.id, 'new_login');
+        expect(emails).toHaveLength(2);
+        expect(emails[0]).toMatchObject({ device: 'Firefox on Linux', ipAddress: '1.0.0.7', location: 'DE' });
+        expect(emails[1]).toMatchObject({ device: 'Chrome on macOS', location: 'NL' });
+        expect(emails[0].denyToken).toMatch(/^[0-9a-f]{64}$/);
+
+        const events = await eventsOf(user.id, 'user.login.unrecognized');
+        expect(events.map(({ newDevice, newLocation }) => [newDevice, newLocation])).toEqual([[true, false], [false, true]]);
+        // webhooks get these, the link stays in the mail
+        expect(events[0].denyToken).toBeUndefined();
+
+        const response = await api('get', '/api/auth/devices', user).expect(200);
+        expect(response.body.devices.map(device => device.label).sort()).toEqual(['Chrome on macOS', 'Firefox on Linux']);
+        expect(response.body.devices.find(device => device.label === 'Chrome on macOS').location).toBe('NL');
+    });
+
+    test('should sign everything out and require a new password after "this wasn\'t me"', async () => {
+        const user = await createUser();
+        await new DeviceService().recognize(user, signIn(CHROME_ON_MAC, '1.0.0.7'));
+
+        await login(user, FIREFOX_ON_LINUX).expect(200);
+        const [{ denyToken }] = await emailsOf(user.id, 'new_login');
+
+        const denied = await request(BASE_URL).post('/api/auth/devices/deny').send({ token: denyToken }).expect(200);
+        expect(denied.body.revoked).toBe(1);
+        await request(BASE_URL).post('/api/auth/devices/deny').send({ token: denyToken }).expect(400);
+
+        const refused = await login(user, CHROME_ON_MAC).expect(403);
+        expect(refused.body.password_reset_required).toBe(true);
+
+        const [rejected] = await eventsOf(user.id, 'user.device.rejected');
+        expect(rejected).toMatchObject({ device: 'Firefox on Linux', sessionsRevoked: 1 });
+        expect(await eventsOf(user.id, 'user.session.revoked')).toHaveLength(1);
+
+        const [{ token }] = await emailsOf(user.id, 'password_reset');
+        await request(BASE_URL).post('/api/auth/password/reset').send({ token, newPassword: PASSWORD }).expect(200);
+        await login(user, CHROME_ON_MAC).expect(200);
+    });
+
+    test('should hold a new device back until it is confirmed', async () => {
+        const user = await createUser();
+        const service = new DeviceService();
+        service.requireConfirmation = true;
+
+        expect((await service.recognize(user, signIn(CHROME_ON_MAC, '1.0.0.7'))).held).toBe(false);
+        const held = await service.recognize(user, signIn(FIREFOX_ON_LINUX, '1.0.0.7'));
+        expect(held.held).toBe(true);
+
+        const [mail] = await emailsOf(user.id, 'device_confirmation');
+        expect(mail).toMatchObject({ device: 'Firefox on Linux' });
+        expect(await emailsOf(user.id, 'new_login')).toHaveLength(0);
+
+        await request(BASE_URL).post('/api/auth/devices/confirm').send({ token: 'a'.repeat(64) }).expect(400);
+        const confirmed = await request(BASE_URL).post('/api/auth/devices/confirm').send({ token: mail.confirmToken }).expect(200);
+        expect(confirmed.body.device).toMatchObject({ id: held.device.id, confirmed: true });
+
+        expect((await service.recognize(user, signIn(FIREFOX_ON_LINUX, '1.0.0.7'))).held).toBe(false);
+
+        await api('delete', `/api/auth/devices/${held.device.id}`, user).expect(200);
+        await api('delete', `/api/auth/devices/${held.device.id}`, user).expect(404);
+    });
+});
@@ -0,0 +1,283 @@
+const path = require('path');
+const dotenv = require('dotenv');
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+const fs = require('fs');
+const crypto = require('crypto');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const sharp = require('sharp');
+const DB_Connection = require('../../src/database/db.js');
+const UserModel = require('../../src/models/userModel.js');
+const FileModel = require('../../src/models/fileModel.js');
+const Migrator = require('../../src/database/migrator.js');
+
+// Test against running Docker app
+const BASE_URL = 'http://localhost:8000';
+
+// a one page PDF with a line of text, offsets in the xref table computed as it is written
+const buildPdf = (text) => {
+    const content = `BT /F1 18 Tf 40 100 Td (${text}) Tj ET`;
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 400 200] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+    ];
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((body, index) => {
+        const offset = pdf.length;
+        pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(pdf, 'latin1');
+};
+
+const binaryParser = (res, callback) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('File Routes Integration Tests', () => {
+    let db;
+    let userModel;
+    let fileModel;
+    const users = {};
+
+    const createUser = async (name) => {
+        const suffix = `${name}_${Date.now()}`;
+        const user = await userModel.createUser({
+            username: `files_${suffix}`,
+            email: `files_${suffix}@example.com`,
+            passwordHash: await bcrypt.hash('TestPass123!', 4)
+        });
+        const token = jwt.sign({ id: user.id, username: user.username, email: user.email }, process.env.JWT_ACCESS_SECRET, { expiresIn: '1h' });
+        return { id: user.id, token };
+    };
+
+    const upload = (user, buffer, options) => request(BASE_URL)
+        .post('/api/files')
+        .set('Authorization', `Bearer ${user.token}`)
+        .attach('file', buffer, options);
+
+    beforeAll(async () => {
+        db = new DB_Connection();
+        userModel = new UserModel();
+        fileModel = new FileModel();
+
+        await new Migrator().up();
+
+        users.owner = await createUser('owner');
+        users.other = await createUser('other');
+        // searching the content is not on the free plan
+        await userModel.updateSubscriptionType(users.owner.id, 'plus');
+        await userModel.updateSubscriptionType(users.other.id, 'plus');
+    });
+
+    afterAll(async () => {
+        const ids = Object.values(users).map(user => user.id);
+        if (ids.length) {
+            await db.query_executor('DELETE FROM users WHERE id = ANY($1::int[])', [ids]);
+        }
+        await db.pool.end();
+    });
+
+    test('should require authentication', async () => {
+        await request(BASE_URL).get('/api/files').expect(401);
+        await request(BASE_URL)
+            .post('/api/files')
+            .attach('file', Buffer.from('hello'), 'hello.txt')
+            .expect(401);
+    });
+
+    test('should store a PDF and find it by the words inside', async () => {
+        const response = await upload(users.owner, buildPdf('Quarterly zanzibar invoice'), { filename: 'Rechnung März.pdf', contentType: 'application/pdf' })
+            .expect(201);
+
+        const file = response.body.file;
+        expect(file.id).toMatch(/^[0-9a-f-]{36}$/);
+        expect(file.name).toBe('Rechnung März.pdf');
+        expect(file.content_type).toBe('application/pdf');
+        expect(file.text_status).toBe('extracted');
+        expect(file.sha256).toBe(crypto.createHash('sha256').update(buildPdf('Quarterly zanzibar invoice')).digest('hex'));
+
+        const found = await request(BASE_URL)
+            .get('/api/files?q=zanzibar')
+            .set('Authorization', `Bearer ${users.owner.token}`)
+            .expect(200);
+        expect(found.body.files.map(item => item.id)).toEqual([file.id]);
+        expect(found.body.files[0].snippet).toMatch(/<b>zanzibar<\/b>/i);
+        expect(found.body.usage.used_bytes).toBe(file.size_bytes);
+
+        const missing = await request(BASE_URL)
+            .get('/api/files?q=zanzibar -invoice')
+            .set('Authorization', `Bearer ${users.owner.token}`)
+            .expect(200);
+        expect(missing.body.files).toHaveLength(0);
+
+        // another user's search never sees it
+        const foreign = await request(BASE_URL)
+            .get('/api/files?q=zanzibar')
+            .set('Authorization', `Bearer ${users.other.token}`)
+            .expect(200);
+        expect(foreign.body.files).toHaveLength(0);
+    });
+
+    test('should keep search off the free plan but still list', async () => {
+        const freeUser = users.free = await createUser('free');
+
+        const response = await request(BASE_URL)
+            .get('/api/files?q=zanzibar')
+            .set('Authorization', `Bearer ${freeUser.token}`)
+            .expect(403);
+        expect(response.body.required_feature).toBe('files.search');
+        expect(response.body.plan).toBe('free');
+
+        await request(BASE_URL)
+            .get('/api/files')
+            .set('Authorization', `Bearer ${freeUser.token}`)
+            .expect(200);
+    });
+
+    test('should take the type from the content, not the name', async () => {
+        const png = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#0a0' } }).png().toBuffer();
+        const response = await upload(users.owner, png, { filename: 'report.pdf', contentType: 'application/pdf' })
+            .expect(201);
+        expect(response.body.file.content_type).toBe('image/png');
+        expect(response.body.file.text_status).toBe('none');
+
+        const rejected = await upload(users.owner, Buffer.from([0x7f, 0x45, 0x4c, 0x46, 0x02, 0x01, 0x00, 0x00]), { filename: 'notes.txt', contentType: 'text/plain' })
+            .expect(415);
+        expect(rejected.body.success).toBe(false);
+    });
+
+    test('should hide files from other users', async () => {
+        const { body } = await upload(users.owner, Buffer.from('private notes'), 'notes.txt').expect(201);
+        const fileId = body.file.id;
+
+        for (const suffix of ['', '/url']) {
+            await request(BASE_URL)
+                .get(`/api/files/${fileId}${suffix}`)
+                .set('Authorization', `Bearer ${users.other.token}`)
+                .expect(404);
+        }
+        await request(BASE_URL)
+            .delete(`/api/files/${fileId}`)
+            .set('Authorization', `Bearer ${users.other.token}`)
+            .expect(404);
+
+        await request(BASE_URL)
+            .get(`/api/files/${fileId}`)
+            .set('Authorization', `Bearer ${users.owner.token}`)
+            .expect(200);
+
+        await request(BASE_URL)
+            .get('/api/files/not-a-uuid')
+            .set('Authorization', `Bearer ${users.owner.token}`)
+            .expect(400);
+    });
+
+    test('should download through a signed link only while it is valid', async () => {
+        const content = Buffer.from('line one\nline two\n');
+        const { body } = await upload(users.owner, content, { filename: 'lines.csv', contentType: 'text/csv' }).expect(201);
+        const fileId = body.file.id;
+        expect(body.file.content_type).toBe('text/csv');
+
+        const link = await request(BASE_URL)
+            .get(`/api/files/${fileId}/url`)
+            .set('Authorization', `Bearer ${users.owner.token}`)
+            .expect(200);
+        expect(new Date(link.body.expires_at).getTime()).toBeGreaterThan(Date.now());
+
+        const url = new URL(link.body.url, BASE_URL);
+        const downloaded = await request(BASE_URL)
+            .get(url.pathname + url.search)
+            .buffer(true)
+            .parse(binaryParser)
+            .expect(200);
+        expect(downloaded.body.equals(content)).toBe(true);
+        expect(downloaded.headers['content-disposition']).toMatch(/^attachment; filename="lines\.csv"/);
+        expect(downloaded.headers['content-type']).toMatch(/^text\/csv/);
+
+        // a forged signature, or a link for another file
+        const forged = new URL(url);
+        forged.searchParams.set('signature', url.searchParams.get('signature').replace(/^./, char => (char === 'A' ? 'B' : 'A')));
+        await request(BASE_URL).get(forged.pathname + forged.search).expect(403);
+        await request(BASE_URL).get(`/api/files/${crypto.randomUUID()}/download${url.search}`).expect(403);
+        await request(BASE_URL).get(`/api/files/${fileId}/download`).expect(403);
+
+        // correctly signed, but already expired
+        const expires = Math.floor(Date.now() / 1000) - 5;
+        const signature = crypto.createHmac('sha256', process.env.FILE_URL_SECRET || process.env.JWT_ACCESS_SECRET)
+            .update(`${fileId}:${expires}`)
+            .digest('base64url');
+        await request(BASE_URL).get(`/api/files/${fileId}/download?expires=${expires}&signature=${signature}`).expect(403);
+    });
+
+    test('should enforce the storage quota of the subscription', async () => {
+        const quotaUser = users.quota = await createUser('quota');
+
+        const listing = await request(BASE_URL)
+            .get('/api/files')
+            .set('Authorization', `Bearer ${quotaUser.token}`)
+            .expect(200);
+        const { quota_bytes: quota, used_bytes: used } = listing.body.usage;
+        expect(used).toBe(0);
+        expect(quota).toBe(100 * 1048576);
+
+        // fill the quota up to 10 bytes without shipping megabytes through the test
+        await fileModel.createFile({
+            userId: quotaUser.id,
+            storage: 'local',
+            storageKey: `files/user_${quotaUser.id}/placeholder.bin`,
+            originalName: 'placeholder.bin',
+            contentType: 'application/pdf',
+            sizeBytes: quota - 10,
+            sha256: '0'.repeat(64)
+        });
+
+        const response = await upload(quotaUser, Buffer.from('more than ten bytes'), 'over.txt').expect(413);
+        expect(response.body.error).toMatch(/quota/i);
+
+        await upload(quotaUser, Buffer.from('tiny'), 'tiny.txt').expect(201);
+    });
+
+    test('should delete the stored file with the row', async () => {
+        const { body } = await upload(users.owner, Buffer.from('short lived'), 'temp.txt').expect(201);
+        const fileId = body.file.id;
+        const { storage, storage_key: storageKey } = await fileModel.getFileById(fileId);
+
+        const link = await request(BASE_URL)
+            .get(`/api/files/${fileId}/url`)
+            .set('Authorization', `Bearer ${users.owner.token}`)
+            .expect(200);
+        const url = new URL(link.body.url, BASE_URL);
+
+        // private objects are never reachable as static files
+        await request(BASE_URL).get(`/uploads/${storageKey}`).expect(404);
+
+        await request(BASE_URL)
+            .delete(`/api/files/${fileId}`)
+            .set('Authorization', `Bearer ${users.owner.token}`)
+            .expect(200);
+
+        await request(BASE_URL)
+            .get(`/api/files/${fileId}`)
+            .set('Authorization', `Bearer ${users.owner.token}`)
+            .expect(404);
+        await request(BASE_URL).get(url.pathname + url.search).expect(404);
+
+        if (storage === 'local') {
+            const privateDir = path.resolve(process.env.STORAGE_LOCAL_PRIVATE_DIR || 'uploads-private');
+            expect(fs.existsSync(path.join(privateDir, storageKey))).toBe(false);
+        }
+    });
+});
@@ -0,0 +1,314 @@
+const path = require('path');
+const dotenv = require('dotenv');
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const DB_Connection = require('../../src/database/db.js');
+const UserModel = require('../../src/models/userModel.js');
+const NotificationModel = require('../../src/models/notificationModel.js');
+const NotificationService = require('../../src/notifications/notificationService.js');
+const bus = require('../../src/events/eventBus.js');
+const Events = require('../../src/events/eventsNames.js');
+const NotificationDigest = require('../../src/notifications/notificationDigest.js');
+const unsubscribeLink = require('../../src/notifications/unsubscribeLink.js');
+const Migrator = require('../../src/database/migrator.js');
+
+// Test against running Docker app
+const BASE_URL = 'http://localhost:8000';
+
+describe('Notification Routes Integration Tests', () => {
+    let db;
+    let userModel;
+    let notificationModel;
+    const users = {};
+
+    const createUser = async (name) => {
+        const suffix = `${name}_${Date.now()}`;
+        const user = await userModel.createUser({
+            username: `notify_${suffix}`,
+            email: `notify_${suffix}@example.com`,
+            passwordHash: await bcrypt.hash('TestPass123!', 4)
+        });
+        const token = jwt.sign({ id: user.id, username: user.username, email: user.email }, process.env.JWT_ACCESS_SECRET, { expiresIn: '1h' });
+        return { id: user.id, token };
+    };
+
+    const api = (method, url, user) => request(BASE_URL)[method](url).set('Authorization', `Bearer ${user.token}`);
+
+    // stands in for a socket.io socket, records what was emitted
+    const fakeSocket = (auth = {}) => {
+        const emitted = [];
+        return { handshake: { auth, query: {} }, emit: (event, payload) => emitted.push({ event, payload }), emitted };
+    };
+
+    beforeAll(async () => {
+        db = new DB_Connection();
+        userModel = new UserModel();
+        notificationModel = new NotificationModel();
+
+        await new Migrator().up();
+
+        users.reader = await createUser('reader');
+        users.other = await createUser('other');
+    });
+
+    afterAll(async () => {
+        const ids = Object.values(users).map(user => user.id);
+        if (ids.length) {
+            // held back mails would otherwise still go out after the users are gone
+            await db.query_executor(`DELETE FROM outbox_messages WHERE kind = 'email' AND (payload->'user'->>'id')::int = ANY($1::int[])`, [ids]);
+            await db.query_executor('DELETE FROM users WHERE id = ANY($1::int[])', [ids]);
+        }
+        await db.pool.end();
+    });
+
+    test('should require authentication', async () => {
+        await request(BASE_URL).get('/api/notifications').expect(401);
+        await request(BASE_URL).get('/api/notifications/unread-count').expect(401);
+    });
+
+    test('should keep a notification for a user who is not connected', async () => {
+        if (process.env.ENABLE_PUSH_NOTIFICATIONS !== 'true') return;
+
+        await api('patch', `/api/user/update-profile/${users.reader.id}`, users.reader)
+            .send({ full_name: 'Inbox Reader' })
+            .expect(200);
+
+        // the event goes through the outbox first
+        const deadline = Date.now() + 4000;
+        let notifications = [];
+        while (!notifications.length && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 200));
+            const { body } = await api('get', '/api/notifications', users.reader).expect(200);
+            notifications = body.notifications.filter(item => item.type === 'profile_updated');
+        }
+        expect(notifications).toHaveLength(1);
+        expect(notifications[0].read).toBe(false);
+        expect(notifications[0].data.changed).toContain('full_name');
+
+        await db.query_executor('DELETE FROM notifications WHERE user_id = $1', [users.reader.id]);
+    });
+
+    test('should list, count and mark notifications', async () => {
+        const created = [];
+        for (const type of ['welcome', 'login', 'password_changed']) {
+            created.push(await notificationModel.createNotification({ userId: users.reader.id, type, data: { message: type } }));
+        }
+        const [welcome, login, passwordChanged] = created.map(item => Number(item.id));
+
+        const list = await api('get', '/api/notifications?limit=2', users.reader).expect(200);
+        expect(list.body.notifications.map(item => item.id)).toEqual([passwordChanged, login]);
+        expect(list.body.pagination).toMatchObject({ page: 1, limit: 2, total: 3, total_pages: 2 });
+        expect(list.body.unread_count).toBe(3);
+
+        const read = await api('patch', `/api/notifications/${login}`, users.reader).send({ read: true }).expect(200);
+        expect(read.body.notification.read).toBe(true);
+        expect(read.body.unread_count).toBe(2);
+
+        const unreadOnly = await api('get', '/api/notifications?unread=true', users.reader).expect(200);
+        expect(unreadOnly.body.notifications.map(item => item.id)).toEqual([passwordChanged, welcome]);
+
+        const unread = await api('patch', `/api/notifications/${login}`, users.reader).send({ read: false }).expect(200);
+        expect(unread.body.notification.read_at).toBeNull();
+
+        const all = await api('post', '/api/notifications/read-all', users.reader).expect(200);
+        expect(all.body.updated).toBe(3);
+        const count = await api('get', '/api/notifications/unread-count', users.reader).expect(200);
+        expect(count.body.unread_count).toBe(0);
+
+        await api('delete', `/api/notifications/${welcome}`, users.reader).expect(200);
+        await api('delete', `/api/notifications/${welcome}`, users.reader).expect(404);
+        const after = await api('get', '/api/notifications', users.reader).expect(200);
+        expect(after.body.pagination.total).toBe(2);
+    });
+
+    test('should not expose other users notifications', async () => {
+        const foreign = await notificationModel.createNotification({ userId: users.other.id, type: 'welcome' });
+
+        await api('patch', `/api/notifications/${foreign.id}`, users.reader).send({ read: true }).expect(404);
+        await api('delete', `/api/notifications/${foreign.id}`, users.reader).expect(404);
+        await api('patch', '/api/notifications/abc', users.reader).send({ read: true }).expect(400);
+        await api('patch', `/api/notifications/${foreign.id}`, users.other).send({ read: 'yes' }).expect(400);
+
+        const { body } = await api('get', '/api/notifications', users.reader).expect(200);
+        expect(body.notifications.map(item => item.id)).not.toContain(Number(foreign.id));
+    });
+
+    test('should send missed notifications when the user connects again', async () => {
+        const user = users.offline = await createUser('offline');
+        const sockets = new Map();
+        const push = {
+            pushToUser: (userId, event, payload) => {
+                for (const socket of sockets.get(userId) || []) socket.emit(event, payload);
+                return (sockets.get(userId) || []).length;
+            }
+        };
+        const service = new NotificationService(push);
+        service.enablePush = true;
+
+        // nobody connected: stored, not delivered
+        const first = await service.deliver(user.id, 'welcome', { message: 'hi' });
+        const second = await service.deliver(user.id, 'password_changed', { message: 'Password updated' });
+
+        const phone = fakeSocket();
+        await service.replayMissed(user.id, phone);
+        expect(phone.emitted.map(({ event, payload }) => [event, payload.id])).toEqual([
+            ['notification', Number(first.id)],
+            ['notification', Number(second.id)]
+        ]);
+
+        // delivered now, a plain reconnect gets nothing twice
+        const again = fakeSocket();
+        await service.replayMissed(user.id, again);
+        expect(again.emitted).toHaveLength(0);
+
+        // while connected it goes out live and counts as delivered
+        sockets.set(user.id, [again]);
+        const third = await service.deliver(user.id, 'login', { message: 'Login successful' });
+        expect(again.emitted.map(({ event }) => event)).toEqual(['login', 'notification']);
+        sockets.clear();
+
+        // a device that was offline the whole time catches up from the last id it had
+        const laptop = fakeSocket({ lastNotificationId: Number(first.id) });
+        await service.replayMissed(user.id, laptop);
+        expect(laptop.emitted.map(({ payload }) => payload.id)).toEqual([Number(second.id), Number(third.id)]);
+    });
+
+    test('should leave nothing behind from a delivery that failed, so a retry sends it once', async () => {
+        const user = users.retried = await createUser('retried');
+        const pushed = [];
+        const service = new NotificationService({ pushToUser: (userId, event) => pushed.push(event) && 1 });
+        service.enablePush = true;
+        service.enableEmail = true;
+        const email = service.email;
+        service.email = async () => { throw new Error('outbox down'); };
+
+        await expect(service.deliver(user.id, 'plan_changed', { from: 'free', to: 'plus' })).rejects.toThrow('outbox down');
+        const inbox = async () => (await notificationModel.listMissed(user.id, { afterId: 0 })).length;
+        expect(await inbox()).toBe(0);
+        expect(pushed).toHaveLength(0);
+
+        service.email = email;
+        await service.deliver(user.id, 'plan_changed', { from: 'free', to: 'plus' });
+        expect(await inbox()).toBe(1);
+        expect(pushed).toEqual(['plan_changed', 'notification']);
+
+        // every event's listener has a name of its own for the retries and the metrics
+        expect(bus.listenersFor(Events.USER_REGISTERED).map(entry => entry.name)).toContain(`notifications:${Events.USER_REGISTERED}`);
+    });
+
+    describe('Preferences', () => {
+        const emailsOf = async (userId) => (await db.query_executor(
+            `SELECT topic, payload, available_at FROM outbox_messages WHERE kind = 'email' AND payload->'user'->>'id' = $1 ORDER BY id`,
+            [String(userId)]
+        )).rows;
+
+        // an "HH:MM" in UTC, minutes away from now
+        const utcTime = (minutes) => new Date(Date.now() + minutes * 60000).toISOString().slice(11, 16);
+
+        test('should save preferences but keep mandatory security channels', async () => {
+            const user = users.picky = await createUser('picky');
+            await request(BASE_URL).get('/api/notifications/preferences').expect(401);
+
+            const defaults = await api('get', '/api/notifications/preferences', user).expect(200);
+            expect(defaults.body.preferences).toMatchObject({
+                quiet_hours: null,
+                email_digest: 'daily',
+                mandatory: expect.objectContaining({ password_changed: ['email'] })
+            });
+            expect(defaults.body.preferences.channels.plan_changed).toEqual(['in_app', 'push', 'email']);
+
+            const locked = await api('put', '/api/notifications/preferences', user).send({ channels: { login: 'none' } }).expect(400);
+            expect(locked.body.error).toMatch(/security notice/);
+            await api('put', '/api/notifications/preferences', user).send({ channels: { nope: [] } }).expect(400);
+            await api('put', '/api/notifications/preferences', user).send({ channels: { welcome: ['fax'] } }).expect(400);
+            await api('put', '/api/notifications/preferences', user).send({ quiet_hours: { start: '22:00', end: '07:00', timezone: 'Mars/Olympus' } }).expect(400);
+            await api('put', '/api/notifications/preferences', user).send({ email_digest: 'weekly' }).expect(400);
+
+            await api('put', '/api/notifications/preferences', user)
+                .send({ channels: { plan_changed: ['in_app'], login: ['email'] }, quiet_hours: { start: '22:00', end: '07:00', timezone: 'Europe/Madrid' } })
+                .expect(200);
+            const { body } = await api('put', '/api/notifications/preferences', user).send({ channels: { welcome: 'none' }, email_digest: 'off' }).expect(200);
+            expect(body.preferences.channels).toMatchObject({ plan_changed: ['in_app'], login: ['email'], welcome: [] });
+            expect(body.preferences.quiet_hours).toEqual({ start: '22:00', end: '07:00', timezone: 'Europe/Madrid' });
+            expect(body.preferences.email_digest).toBe('off');
+        });
+
+        test('should route by channel, hold back during quiet hours and batch low priority emails', async () => {
+            const user = users.router = await createUser('router');
+            const pushed = [];
+            const service = new NotificationService({ pushToUser: (userId, event) => pushed.push(event) && 1 });
+            service.enablePush = true;
+            service.enableEmail = true;
+
+            await api('put', '/api/notifications/preferences', user)
+                .send({ channels: { plan_changed: ['in_app'], welcome: ['in_app', 'email'] } })
+                .expect(200);
+
+            // in_app only: stored, not pushed, no mail
+            const planChanged = await service.deliver(user.id, 'plan_changed', { from: 'free', to: 'plus' });
+            expect(planChanged.type).toBe('plan_changed');
+            expect(pushed).toHaveLength(0);
+            expect(await emailsOf(user.id)).toHaveLength(0);
+
+            await api('put', '/api/notifications/preferences', user)
+                .send({ quiet_hours: { start: utcTime(-60), end: utcTime(60), timezone: 'UTC' } })
+                .expect(200);
+
+            // quiet hours: no live push, the mail waits for the end
+            await service.deliver(user.id, 'payment_failed', { amount_due: 1200, currency: 'usd' });
+            expect(pushed).toHaveLength(0);
+            let emails = await emailsOf(user.id);
+            expect(emails.map(email => email.topic)).toEqual(['notification']);
+            expect(emails[0].available_at.getTime()).toBeGreaterThan(Date.now() + 50 * 60000);
+            expect(emails[0].payload.data.unsubscribeUrl).toContain('/api/notifications/unsubscribe?token=');
+
+            // a security notice doesn't wait
+            await service.deliver(user.id, 'login', { message: 'Login successful' }, { device: 'jest', time: new Date() });
+            expect(pushed).toEqual(['login', 'notification']);
+            emails = await emailsOf(user.id);
+            expect(emails[1].topic).toBe('new_login');
+            expect(emails[1].available_at.getTime()).toBeLessThanOrEqual(Date.now());
+            expect(emails[1].payload.data.unsubscribeUrl).toBeUndefined();
+
+            // low priority: collected for the digest instead of its own mail
+            await api('put', '/api/notifications/preferences', user).send({ quiet_hours: null }).expect(200);
+            await service.deliver(user.id, 'welcome', {});
+            await service.deliver(user.id, 'welcome', {});
+            expect(await emailsOf(user.id)).toHaveLength(2);
+
+            const digest = new NotificationDigest();
+            expect(await digest.sendFor(user.id)).toBe(true);
+            expect(await digest.sendFor(user.id)).toBe(false);
+            emails = await emailsOf(user.id);
+            expect(emails).toHaveLength(3);
+            expect(emails[2].topic).toBe('notification_digest');
+            expect(emails[2].payload.data.items.map(item => item.type)).toEqual(['welcome', 'welcome']);
+        });
+
+        test('should unsubscribe from an email type with the signed link', async () => {
+            const user = users.leaving = await createUser('leaving');
+            const link = new URL(unsubscribeLink.url(user.id, 'plan_changed'));
+            const path = `${link.pathname}${link.search}`;
+
+            const page = await request(BASE_URL).get(path).expect(200);
+            expect(page.text).toContain('<form method="post">');
+
+            // opening the page changes nothing, the POST does
+            const before = await api('get', '/api/notifications/preferences', user).expect(200);
+            expect(before.body.preferences.channels.plan_changed).toContain('email');
+
+            const done = await request(BASE_URL).post(path).send('List-Unsubscribe=One-Click').expect(200);
+            expect(done.body.types).toEqual(['plan_changed']);
+
+            const after = await api('get', '/api/notifications/preferences', user).expect(200);
+            expect(after.body.preferences.channels.plan_changed).toEqual(['in_app', 'push']);
+
+            const tampered = unsubscribeLink.createToken(users.other.id, 'plan_changed').replace(/^\d+/, String(user.id + 1000000));
+            await request(BASE_URL).post(`/api/notifications/unsubscribe?token=${tampered}`).expect(400);
+            await request(BASE_URL).get('/api/notifications/unsubscribe?token=garbage').expect(400);
+        });
+    });
+});
@@ -0,0 +1,113 @@
+const path = require('path');
+const dotenv = require('dotenv');
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const DB_Connection = require('../../src/database/db.js');
+const UserModel = require('../../src/models/userModel.js');
+const PresenceModel = require('../../src/models/presenceModel.js');
+const { Presence } = require('../../src/realtime/presence.js');
+const Migrator = require('../../src/database/migrator.js');
+
+// Test against running Docker app
+const BASE_URL = 'http://localhost:8000';
+
+describe('Presence Routes Integration Tests', () => {
+    let db;
+    let userModel;
+    let presenceModel;
+    const users = {};
+
+    const createUser = async (name) => {
+        const suffix = `${name}_${Date.now()}`;
+        const user = await userModel.createUser({
+            username: `presence_${suffix}`,
+            email: `presence_${suffix}@example.com`,
+            passwordHash: await bcrypt.hash('TestPass123!', 4)
+        });
+        const token = jwt.sign({ id: user.id, username: user.username, email: user.email }, process.env.JWT_ACCESS_SECRET, { expiresIn: '1h' });
+        return { id: user.id, token };
+    };
+
+    const presenceOf = async (viewer, ids) => {
+        const { body } = await request(BASE_URL)
+            .get(`/api/presence?user_ids=${ids.join(',')}`)
+            .set('Authorization', `Bearer ${viewer.token}`)
+            .expect(200);
+        return body.presence;
+    };
+
+    // stands in for the socket.io server, records what was announced to presence rooms
+    const fakeIo = () => {
+        const announced = [];
+        return { to: (room) => ({ emit: (event, payload) => announced.push({ room, event, payload }) }), announced };
+    };
+
+    beforeAll(async () => {
+        db = new DB_Connection();
+        userModel = new UserModel();
+        presenceModel = new PresenceModel();
+
+        await new Migrator().up();
+
+        users.viewer = await createUser('viewer');
+        users.phone = await createUser('phone');
+    });
+
+    afterAll(async () => {
+        const ids = Object.values(users).map(user => user.id);
+        if (ids.length) {
+            await db.query_executor('DELETE FROM users WHERE id = ANY($1::int[])', [ids]);
+        }
+        await db.pool.end();
+    });
+
+    test('should validate the user ids', async () => {
+        await request(BASE_URL).get(`/api/presence?user_ids=${users.phone.id}`).expect(401);
+
+        for (const query of ['', 'user_ids=', 'user_ids=abc', 'user_ids=0', `user_ids=${Array.from({ length: 101 }, (_, i) => i + 1).join(',')}`]) {
+            await request(BASE_URL)
+                .get(`/api/presence?${query}`)
+                .set('Authorization', `Bearer ${users.viewer.token}`)
+                .expect(400);
+        }
+    });
+
+    test('should be online while any socket is open and announce only the changes', async () => {
+        const io = fakeIo();
+        const presence = new Presence(io);
+        const user = users.phone;
+
+        expect(await presenceOf(users.viewer, [user.id, 999999999])).toEqual([{ user_id: user.id, online: false, last_seen_at: null }]);
+
+        await presence.connected(user.id, { id: `phone-${user.id}` });
+        await presence.connected(user.id, { id: `laptop-${user.id}` });
+        expect(io.announced).toEqual([{ room: `presence:${user.id}`, event: 'presence', payload: { user_id: user.id, online: true, last_seen_at: null } }]);
+        expect(await presenceOf(users.viewer, [user.id])).toEqual([{ user_id: user.id, online: true, last_seen_at: null }]);
+
+        // one device left, still online
+        await presence.disconnected({ id: `phone-${user.id}` });
+        expect(io.announced).toHaveLength(1);
+
+        await presence.disconnected({ id: `laptop-${user.id}` });
+        expect(io.announced[1].payload).toMatchObject({ user_id: user.id, online: false });
+        const [after] = await presenceOf(users.viewer, [user.id]);
+        expect(after.online).toBe(false);
+        expect(new Date(after.last_seen_at).getTime()).toBeGreaterThan(Date.now() - 60000);
+    });
+
+    test('should take a crashed instance users offline after the heartbeat timeout', async () => {
+        const user = users.crashed = await createUser('crashed');
+        await presenceModel.addConnection({ socketId: `dead-${user.id}`, userId: user.id, instanceId: 'dead-instance' });
+        await db.query_executor(`UPDATE socket_connections SET seen_at = NOW() - INTERVAL '10 minutes' WHERE socket_id = $1`, [`dead-${user.id}`]);
+
+        const io = fakeIo();
+        const presence = new Presence(io, { heartbeatSeconds: 30 });
+        await presence.heartbeat();
+
+        expect(io.announced.map(({ payload }) => payload)).toContainEqual(expect.objectContaining({ user_id: user.id, online: false }));
+        expect((await presenceOf(users.viewer, [user.id]))[0].online).toBe(false);
+    });
+});
@@ -0,0 +1,130 @@
+const path = require('path');
+const dotenv = require('dotenv');
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+const express = require('express');
+const request = require('supertest');
+const bcrypt = require('bcrypt');
+const DB_Connection = require('../../src/database/db.js');
+const UserModel = require('../../src/models/userModel.js');
+const Migrator = require('../../src/database/migrator.js');
+const { createRateLimiter, rateLimits } = require('../../src/middlewares/rateLimit.js');
+const { resolvePolicy } = require('../../src/rateLimit/rateLimitPolicies.js');
+
+// Test against running Docker app
+const BASE_URL = 'http://localhost:8000';
+
+describe('Rate Limit Integration Tests', () => {
+    let db;
+    let userModel;
+    const users = [];
+    const suffix = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+    // an app of its own with the limiter in front of one route, like another instance of the API would be
+    const appWith = (limiters, status = 200) => {
+        const app = express();
+        app.set('trust proxy', true);
+        app.use(express.json());
+        app.post('/try', limiters, (req, res) => res.status(status).json({ success: status < 400 }));
+        return app;
+    };
+
+    const createUser = async (name) => {
+        const user = await userModel.createUser({
+            username: `${name}_${suffix}`,
+            email: `${name}_${suffix}@example.com`,
+            passwordHash: await bcrypt.hash('TestPass123!', 4)
+        });
+        users.push(user.id);
+        return user;
+    };
+
+    const hit = (app, ip, body = {}) => request(app).post('/try').set('X-Forwarded-For', ip).send(body);
+
+    beforeAll(async () => {
+        db = new DB_Connection();
+        userModel = new UserModel();
+        await new Migrator().up();
+    });
+
+    afterAll(async () => {
+        if (users.length) {
+            await db.query_executor('DELETE FROM users WHERE id = ANY($1::int[])', [users]);
+        }
+        await db.query_executor(`DELETE FROM rate_limit_hits WHERE key LIKE $1`, [`rl:test_%${suffix}:%`]);
+        await db.pool.end();
+    });
+
+    test('should read policy overrides from the environment', () => {
+        expect(resolvePolicy('signin_account', {})).toMatchObject({ by: 'account', field: 'identifier', limit: 10, windowMs: 15 * 60 * 1000, failuresOnly: true });
+        expect(resolvePolicy('signin', { RATE_LIMIT_SIGNIN: '100/10' })).toMatchObject({ limit: 100, windowMs: 10 * 60 * 1000 });
+        expect(() => resolvePolicy('signin', { RATE_LIMIT_SIGNIN: 'lots' })).toThrow(/RATE_LIMIT_SIGNIN/);
+        expect(() => resolvePolicy('nope', {})).toThrow(/Unknown rate limit policy/);
+    });
+
+    test('should share one count between instances through the postgres store', async () => {
+        process.env.RATE_LIMIT_STORE = 'postgres';
+        const options = { name: `test_shared_${suffix}`, limit: 3, windowMs: 60 * 1000 };
+        const first = appWith(createRateLimiter(options));
+        const second = appWith(createRateLimiter(options));
+        delete process.env.RATE_LIMIT_STORE;
+
+        await hit(first, '203.0.113.5').expect(200);
+        await hit(second, '203.0.113.5').expect(200);
+        const third = await hit(first, '203.0.113.5').expect(200);
+        expect(third.headers['ratelimit']).toMatch(/r=0/);
+
+        const refused = await hit(second, '203.0.113.5').expect(429);
+        expect(refused.body).toMatchObject({ success: false, error: 'Too many requests, try again later' });
+        expect(refused.body.retry_after).toBeGreaterThan(0);
+        expect(refused.body.retry_after).toBeLessThanOrEqual(60);
+        expect(refused.headers['ratelimit-policy']).toMatch(new RegExp(`^"test_shared_${suffix}"`));
+
+        // another address has its own count
+        await hit(second, '203.0.113.6').expect(200);
+
+        const { rows } = await db.query_executor(`SELECT key, hits FROM rate_limit_hits WHERE key LIKE $1`, [`rl:test_shared_${suffix}:%`]);
+        expect(rows.map(row => row.hits).sort()).toEqual([1, 4]);
+    });
+
+    test('should count an account from every address and only its failures', async () => {
+        process.env.RATE_LIMIT_SIGNIN_ACCOUNT = '3/15';
+        const failing = appWith(rateLimits('signin_account'), 401);
+        delete process.env.RATE_LIMIT_SIGNIN_ACCOUNT;
+        const identifier = `stuffed_${suffix}`;
+
+        await hit(failing, '198.51.100.1', { identifier }).expect(401);
+        await hit(failing, '198.51.100.2', { identifier: identifier.toUpperCase() }).expect(401);
+        await hit(failing, '2001:db8::1', { identifier }).expect(401);
+        await hit(failing, '198.51.100.3', { identifier }).expect(429);
+
+        // another account, and a request without one, are not held back
+        await hit(failing, '198.51.100.3', { identifier: `other_${suffix}` }).expect(401);
+        await hit(failing, '198.51.100.3', {}).expect(401);
+
+        // the same policy on a route that answers 200: successful sign-ins use nothing up
+        const passing = appWith(rateLimits('signin_account'));
+        for (let i = 0; i < 4; i++) {
+            await hit(passing, '198.51.100.4', { identifier: `fine_${suffix}` }).expect(200);
+        }
+    });
+
+    test('should hold back password reset mails per email and count them in /metrics', async () => {
+        const { email } = await createUser('reset');
+        const other = await createUser('reset_other');
+        for (let i = 0; i < 3; i++) {
+            await request(BASE_URL).post('/api/auth/password/request').send({ email }).expect(200);
+        }
+
+        const refused = await request(BASE_URL).post('/api/auth/password/request').send({ email }).expect(429);
+        expect(refused.body.success).toBe(false);
+        expect(refused.body.retry_after).toBeGreaterThan(0);
+
+        // a different address is still fine from the same IP
+        await request(BASE_URL).post('/api/auth/password/request').send({ email: other.email }).expect(200);
+
+        const metrics = await request(BASE_URL).get('/metrics').expect(200);
+        expect(metrics.text).toMatch(/rate_limit_requests_total\{policy="password_reset_account",outcome="limited"\} [1-9]/);
+        expect(metrics.text).toMatch(/rate_limit_requests_total\{policy="api",outcome="allowed"\} [1-9]/);
+    });
+});
@@ -0,0 +1,186 @@
+const path = require('path');
+const dotenv = require('dotenv');
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+const http = require('http');
+const crypto = require('crypto');
+const { io: connect } = require('socket.io-client');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const DB_Connection = require('../../src/database/db.js');
+const UserModel = require('../../src/models/userModel.js');
+const SessionModel = require('../../src/models/sessionModel.js');
+const Migrator = require('../../src/database/migrator.js');
+const bus = require('../../src/events/eventBus.js');
+const Events = require('../../src/events/eventsNames.js');
+const createSocketServer = require('../../src/realtime/socketServer.js');
+
+// the socket server runs in this process so the test can raise bus events the way the outbox dispatcher does
+describe('Socket Authentication Integration Tests', () => {
+    let db;
+    let userModel;
+    let sessionModel;
+    let httpServer;
+    let socketLayer;
+    let url;
+    const users = {};
+    const clients = [];
+
+    const createUser = async (name) => {
+        const suffix = `${name}_${Date.now()}`;
+        const user = await userModel.createUser({
+            username: `socket_${suffix}`,
+            email: `socket_${suffix}@example.com`,
+            passwordHash: await bcrypt.hash('TestPass123!', 4)
+        });
+        return { id: user.id, username: user.username, email: user.email };
+    };
+
+    const tokenFor = (user, { expiresIn = '1h', sid, roles = ['user'] } = {}) => jwt.sign(
+        { id: user.id, username: user.username, email: user.email, roles, perms: [], ...(sid && { sid }) },
+        process.env.JWT_ACCESS_SECRET,
+        { expiresIn }
+    );
+
+    const open = (options = {}) => {
+        const client = connect(url, { transports: ['websocket'], reconnection: false, forceNew: true, ...options });
+        clients.push(client);
+        return client;
+    };
+
+    // -> the connect_error message, or 'connected'
+    const outcome = (client) => new Promise(resolve => {
+        client.once('connect', () => resolve('connected'));
+        client.once('connect_error', error => resolve(error.message));
+    });
+
+    const next = (client, event) => new Promise(resolve => client.once(event, resolve));
+
+    const ask = (client, event, payload) => new Promise(resolve => client.emit(event, payload, resolve));
+
+    beforeAll(async () => {
+        db = new DB_Connection();
+        userModel = new UserModel();
+        sessionModel = new SessionModel();
+
+        await new Migrator().up();
+
+        users.alice = await createUser('alice');
+        users.bob = await createUser('bob');
+
+        process.env.ENABLE_WEBSOCKETS = 'true';
+        process.env.SOCKET_ALLOWED_ORIGINS = 'http://app.example.test';
+        process.env.SOCKET_AUTH_WARNING_SECONDS = '1';
+        httpServer = http.createServer();
+        socketLayer = createSocketServer(httpServer);
+        await new Promise(resolve => httpServer.listen(0, resolve));
+        url = `http://localhost:${httpServer.address().port}`;
+    });
+
+    afterEach(() => {
+        while (clients.length) clients.pop().close();
+    });
+
+    afterAll(async () => {
+        socketLayer.io.close();
+        const ids = Object.values(users).map(user => user.id);
+        if (ids.length) {
+            await db.query_executor('DELETE FROM users WHERE id = ANY($1::int[])', [ids]);
+        }
+        await db.pool.end();
+    });
+
+    test('should only accept an access token from the handshake auth payload', async () => {
+        expect(await outcome(open())).toBe('Access token required');
+        expect(await outcome(open({ query: { token: tokenFor(users.alice) } }))).toBe('Access token required');
+        expect(await outcome(open({ auth: { token: 'not-a-jwt' } }))).toBe('Invalid token');
+        expect(await outcome(open({ auth: { token: tokenFor(users.alice, { expiresIn: -10 }) } }))).toBe('Token expired');
+
+        const client = open({ auth: { token: tokenFor(users.alice) } });
+        const connected = next(client, 'connected');
+        expect(await outcome(client)).toBe('connected');
+        expect((await connected).expires_at).toBeTruthy();
+    });
+
+    test('should refuse browsers from origins that are not allowed', async () => {
+        const token = tokenFor(users.alice);
+        expect(await outcome(open({ auth: { token }, extraHeaders: { Origin: 'http://evil.example.test' } }))).not.toBe('connected');
+        expect(await outcome(open({ auth: { token }, extraHeaders: { Origin: 'http://app.example.test' } }))).toBe('connected');
+    });
+
+    test('should only join the channels the user is allowed in', async () => {
+        const client = open({ auth: { token: tokenFor(users.alice) } });
+        await outcome(client);
+
+        const rooms = socketLayer.io.sockets.sockets.get(client.id).rooms;
+        expect([...rooms]).toEqual(expect.arrayContaining([`user:${users.alice.id}`, 'role:user', 'broadcast']));
+
+        const joined = await ask(client, 'subscribe', ['role:admin', `user:${users.bob.id}`, `presence:${users.bob.id}`, 'nope']);
+        expect(joined.subscribed).toEqual([`presence:${users.bob.id}`]);
+        expect(joined.denied).toEqual({ 'role:admin': 'forbidden', [`user:${users.bob.id}`]: 'forbidden', nope: 'unknown channel' });
+
+        const left = await ask(client, 'unsubscribe', [`user:${users.alice.id}`, 'broadcast']);
+        expect(left.unsubscribed).toEqual(['broadcast']);
+        expect(rooms.has(`user:${users.alice.id}`)).toBe(true);
+        expect(rooms.has('broadcast')).toBe(false);
+
+        // what reaches the user and the role rooms
+        const pushed = next(client, 'ping_user');
+        await socketLayer.pushToUser(users.alice.id, 'ping_user', { ok: true });
+        expect(await pushed).toEqual({ ok: true });
+    });
+
+    test('should warn before the token expires and keep the socket on a refresh', async () => {
+        const client = open({ auth: { token: tokenFor(users.alice, { expiresIn: 2 }) } });
+        await outcome(client);
+
+        await next(client, 'auth:expiring');
+        const rejected = await ask(client, 'auth:refresh', tokenFor(users.bob));
+        expect(rejected).toEqual({ success: false, error: 'Token belongs to another user' });
+        const refreshed = await ask(client, 'auth:refresh', tokenFor(users.alice));
+        expect(refreshed.success).toBe(true);
+
+        await new Promise(resolve => setTimeout(resolve, 2000));
+        expect(client.connected).toBe(true);
+
+        // nobody refreshes this one
+        const lapsing = open({ auth: { token: tokenFor(users.alice, { expiresIn: 1 }) } });
+        await outcome(lapsing);
+        const expired = next(lapsing, 'auth:expired');
+        await next(lapsing, 'disconnect');
+        expect(await expired).toEqual({ message: 'Token expired' });
+    });
+
+    test('should disconnect the sockets of a revoked session', async () => {
+        const sessionId = crypto.randomUUID();
+        await sessionModel.createSession({
+            id: sessionId,
+            userId: users.bob.id,
+            refreshTokenHash: crypto.randomBytes(16).toString('hex'),
+            deviceLabel: 'jest',
+            userAgent: 'jest',
+            ipAddress: '127.0.0.1',
+            expiresAt: new Date(Date.now() + 86400000)
+        });
+        const token = tokenFor(users.bob, { sid: sessionId });
+
+        const revokedClient = open({ auth: { token } });
+        const otherDevice = open({ auth: { token: tokenFor(users.bob) } });
+        await Promise.all([outcome(revokedClient), outcome(otherDevice)]);
+
+        const revoked = next(revokedClient, 'auth:revoked');
+        const gone = next(revokedClient, 'disconnect');
+        await sessionModel.revokeSession(users.bob.id, sessionId);
+        bus.emit(Events.SESSION_REVOKED, { userId: users.bob.id, sessionIds: [sessionId] });
+
+        expect(await revoked).toEqual({ reason: 'session_revoked' });
+        await gone;
+        expect(otherDevice.connected).toBe(true);
+        expect(await outcome(open({ auth: { token } }))).toBe('Session expired or revoked');
+
+        // deactivation reaches tokens without a session too
+        const ended = next(otherDevice, 'auth:revoked');
+        bus.emit(Events.USER_DEACTIVATED, { userId: users.bob.id });
+        expect(await ended).toEqual({ reason: 'deactivated' });
+    });
+});
@@ -6,7 +6,12 @@ const request = require('supertest');
 const jwt = require('jsonwebtoken');
 const DB_Connection = require('../../src/database/db.js');
 const UserModel = require('../../src/models/userModel.js');
+const RoleModel = require('../../src/models/roleModel.js');
+const Migrator = require('../../src/database/migrator.js');
+const AccountDeletionService = require('../../src/accounts/accountDeletionService.js');
 const bcrypt = require('bcrypt');
+const sharp = require('sharp');
+const zlib = require('zlib');
 
 // Test against running Docker app
 const BASE_URL = 'http://localhost:8000';
@@ -26,7 +31,7 @@ describe('User Routes Integration Tests', () => {
         db = new DB_Connection();
         userModel = new UserModel();
         
-        await userModel.create_users_table();
+        await new Migrator().up();
 
         const passwordHash = await bcrypt.hash(testUser.password, 10);
         const result = await userModel.createUser({
@@ -155,6 +160,54 @@ describe('User Routes Integration Tests', () => {
             // API should validate and reject
             expect(response.status).toBeGreaterThanOrEqual(200);
         });
+
+        const adminEmail = (process.env.ADMIN_EMAILS || '').split(',')[0].trim().toLowerCase();
+        const adminEmailTest = adminEmail ? test : test.skip;
+
+        adminEmailTest('should not grant admin for an ADMIN_EMAILS address set through the profile', async () => {
+            await db.query_executor('DELETE FROM users WHERE lower(email) = $1', [adminEmail]);
+            const claimer = await userModel.createUser({
+                username: 'claimer_' + Date.now(),
+                email: `claimer_${Date.now()}@example.com`,
+                passwordHash: await bcrypt.hash('password123', 4)
+            });
+            // what sign up does with REQUIRE_EMAIL_VERIFICATION off
+            await userModel.setEmailVerified(claimer.id);
+
+            try {
+                const login = await request(BASE_URL)
+                    .post('/api/auth/login')
+                    .send({ identifier: claimer.username, password: 'password123' })
+                    .expect(200);
+
+                const updated = await request(BASE_URL)
+                    .patch(`/api/user/update-profile/${claimer.id}`)
+                    .set('Authorization', `Bearer ${login.body.tokens.accessToken}`)
+                    .send({ email: adminEmail })
+                    .expect(200);
+                expect(updated.body.user.email).toBe(adminEmail);
+                expect(updated.body.user.email_verified).toBe(false);
+
+                // verified without a link proves nothing about the address either
+                await userModel.setEmailVerified(claimer.id);
+                const refreshed = await request(BASE_URL)
+                    .post('/api/auth/refresh')
+                    .send({ refreshToken: login.body.tokens.refreshToken })
+                    .expect(200);
+                expect(jwt.decode(refreshed.body.tokens.accessToken).roles).not.toContain('admin');
+                expect((await new RoleModel().getUserAccess(claimer.id)).roles).not.toContain('admin');
+
+                // once the owner confirmed it, the address counts
+                await userModel.setEmailVerified(claimer.id, { confirmed: true });
+                const confirmed = await request(BASE_URL)
+                    .post('/api/auth/refresh')
+                    .send({ refreshToken: refreshed.body.tokens.refreshToken })
+                    .expect(200);
+                expect(jwt.decode(confirmed.body.tokens.accessToken).roles).toContain('admin');
+            } finally {
+                await db.query_executor('DELETE FROM users WHERE id = $1', [claimer.id]);
+            }
+        });
     });
 
     describe('PATCH /api/user/subscription/:userId', () => {
@@ -217,6 +270,282 @@ describe('User Routes Integration Tests', () => {
             // API should validate file types
             expect(response.status).toBeGreaterThanOrEqual(200);
         });
+
+        test('should reject a file that only claims to be an image', async () => {
+            const response = await request(BASE_URL)
+                .post(`/api/user/avatar/${userId}`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .attach('avatar', Buffer.from('<svg onload="alert(1)"></svg>'), { filename: 'avatar.png', contentType: 'image/png' })
+                .expect(400);
+
+            expect(response.body.error).toMatch(/png, jpeg, webp/);
+        });
+
+        test('should reject an image with a huge canvas before decoding it', async () => {
+            // a real 1x1 png whose header is rewritten to claim 50000x50000 pixels
+            const png = await sharp({ create: { width: 1, height: 1, channels: 3, background: '#000' } }).png().toBuffer();
+            png.writeUInt32BE(50000, 16);
+            png.writeUInt32BE(50000, 20);
+            png.writeUInt32BE(zlib.crc32(png.subarray(12, 29)), 29);
+
+            const response = await request(BASE_URL)
+                .post(`/api/user/avatar/${userId}`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .attach('avatar', png, 'bomb.png')
+                .expect(400);
+
+            expect(response.body.error).toMatch(/too large/i);
+        });
+
+        test('should resize, strip metadata and delete the avatar it replaces', async () => {
+            if (process.env.STORAGE_DRIVER !== 'local') {
+                console.log('Skipping: STORAGE_DRIVER is not local');
+                return;
+            }
+
+            const photo = await sharp({ create: { width: 900, height: 600, channels: 3, background: { r: 200, g: 80, b: 40 } } })
+                .jpeg()
+                .withExif({ IFD0: { Make: 'TestCam' }, IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '51/1 30/1 0/1' } })
+                .toBuffer();
+            // named .txt on purpose, the content is what counts
+            const upload = () => request(BASE_URL)
+                .post(`/api/user/avatar/${userId}`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .attach('avatar', photo, { filename: 'holiday.txt', contentType: 'text/plain' })
+                .expect(200);
+
+            const first = await upload();
+            const { variants, blurhash, color } = first.body.avatar;
+            expect(Object.keys(variants)).toEqual(['thumb', 'medium', 'large']);
+            expect(first.body.avatar_url).toBe(variants.large.url);
+            expect(blurhash).toMatch(/^[0-9A-Za-z#$%*+,\-.:;=?@[\]^_{|}~]{20,}$/);
+            expect(color).toMatch(/^#[0-9a-f]{6}$/);
+
+            const firstPaths = Object.values(variants).map(variant => new URL(variant.url, BASE_URL).pathname);
+            expect(firstPaths[0]).toMatch(new RegExp(`^/uploads/avatars/user_${userId}_\\d+/thumb\\.webp$`));
+
+            for (const [name, variant] of Object.entries(variants)) {
+                const served = await request(BASE_URL)
+                    .get(new URL(variant.url, BASE_URL).pathname)
+                    .buffer(true)
+                    .parse((res, callback) => {
+                        const chunks = [];
+                        res.on('data', chunk => chunks.push(chunk));
+                        res.on('end', () => callback(null, Buffer.concat(chunks)));
+                    })
+                    .expect(200);
+                const metadata = await sharp(served.body).metadata();
+                expect(metadata.format).toBe('webp');
+                expect([metadata.width, metadata.height]).toEqual([variant.width, variant.height]);
+                expect(metadata.exif).toBeUndefined();
+                expect(variant.width).toBe({ thumb: 64, medium: 256, large: 512 }[name]);
+            }
+
+            const second = await upload();
+            expect(second.body.avatar_url).not.toBe(first.body.avatar_url);
+            for (const stalePath of firstPaths) {
+                await request(BASE_URL).get(stalePath).expect(404);
+            }
+
+            const profile = await request(BASE_URL)
+                .get(`/api/user/get-profile/${userId}`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .expect(200);
+            expect(profile.body.user.avatar_url).toBe(second.body.avatar_url);
+            expect(profile.body.user.avatar.blurhash).toBe(second.body.avatar.blurhash);
+
+            const user = await userModel.getUserById(userId);
+            expect(user.avatar_storage).toBe('local');
+        });
+    });
+
+    describe('Role based access', () => {
+        let roleModel;
+        let otherUserId;
+        let adminUserId;
+        let adminToken;
+
+        beforeAll(async () => {
+            roleModel = new RoleModel();
+            await roleModel.seedRolesAndPermissions();
+
+            const other = await userModel.createUser({
+                username: 'rbac_other_' + Date.now(),
+                email: `rbac_other_${Date.now()}@example.com`,
+                passwordHash: await bcrypt.hash('password123', 10)
+            });
+            otherUserId = other.id;
+
+            const admin = await userModel.createUser({
+                username: 'rbac_admin_' + Date.now(),
+                email: `rbac_admin_${Date.now()}@example.com`,
+                passwordHash: await bcrypt.hash('password123', 10)
+            });
+            adminUserId = admin.id;
+            await roleModel.assignRole(adminUserId, 'admin');
+
+            adminToken = jwt.sign({ id: adminUserId }, process.env.JWT_ACCESS_SECRET, { expiresIn: '1h' });
+        });
+
+        afterAll(async () => {
+            await db.query_executor('DELETE FROM users WHERE id = ANY($1::int[])', [[otherUserId, adminUserId]]);
+        });
+
+        test('should forbid reading another user profile without permission', async () => {
+            const response = await request(BASE_URL)
+                .get(`/api/user/get-profile/${otherUserId}`)
+                .set('Authorization', `Bearer ${authToken}`);
+            expect(response.status).toBe(403);
+        });
+
+        test('should let an admin read another user profile', async () => {
+            const response = await request(BASE_URL)
+                .get(`/api/user/get-profile/${otherUserId}`)
+                .set('Authorization', `Bearer ${adminToken}`);
+            expect(response.status).toBe(200);
+            expect(response.body.user.id).toBe(otherUserId);
+        });
+
+        test('should forbid changing another user subscription without permission', async () => {
+            const response = await request(BASE_URL)
+                .patch(`/api/user/subscription/${otherUserId}`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ subscription_type: 'premium' });
+            expect(response.status).toBe(403);
+        });
+
+        test('should forbid logging out another user without permission', async () => {
+            const response = await request(BASE_URL)
+                .post(`/api/auth/logout/${otherUserId}`)
+                .set('Authorization', `Bearer ${authToken}`);
+            expect([403, 429]).toContain(response.status);
+        });
+
+        test('should reject non numeric user id', async () => {
+            const response = await request(BASE_URL)
+                .get('/api/user/get-profile/abc')
+                .set('Authorization', `Bearer ${authToken}`);
+            expect(response.status).toBe(400);
+        });
+    });
+
+    describe('Account deletion and export', () => {
+        const owner = {
+            username: 'delete_me_' + Date.now(),
+            email: `delete_me_${Date.now()}@example.com`,
+            password: 'DeleteMe123!'
+        };
+        let ownerId;
+        let ownerToken;
+
+        const login = () => request(BASE_URL)
+            .post('/api/auth/login')
+            .send({ identifier: owner.username, password: owner.password });
+
+        beforeAll(async () => {
+            const created = await userModel.createUser({
+                username: owner.username,
+                email: owner.email,
+                passwordHash: await bcrypt.hash(owner.password, 10)
+            });
+            ownerId = created.id;
+
+            const response = await login();
+            ownerToken = response.body.tokens?.accessToken;
+        });
+
+        afterAll(async () => {
+            await db.query_executor('DELETE FROM users WHERE id = $1', [ownerId]);
+        });
+
+        test('should export my data without secrets', async () => {
+            if (!ownerToken) {
+                console.log('Skipping: login unavailable (rate limited?)');
+                return;
+            }
+            const response = await request(BASE_URL)
+                .get('/api/user/me/export')
+                .set('Authorization', `Bearer ${ownerToken}`)
+                .expect(200);
+
+            expect(response.headers['content-disposition']).toContain(`user-${ownerId}-export.json`);
+            expect(response.body.profile.email).toBe(owner.email);
+            expect(response.body.profile.password_hash).toBeUndefined();
+            expect(response.body.sessions.length).toBeGreaterThan(0);
+            expect(response.body.roles).toContain('user');
+            // the login above: its audit entry, device and (with a GeoIP database) country
+            expect(response.body.audit_logs.some(entry => entry.action === 'auth.login' && entry.outcome === 'success')).toBe(true);
+            expect(response.body.audit_logs[0]).toEqual(expect.objectContaining({ ip_address: expect.anything(), device: expect.any(String) }));
+            expect(response.body.known_devices.length).toBeGreaterThan(0);
+            expect(response.body.known_devices[0].fingerprint).toMatch(/^[0-9a-f]{64}$/);
+            expect(Array.isArray(response.body.known_locations)).toBe(true);
+        });
+
+        test('should require the password to delete', async () => {
+            if (!ownerToken) {
+                console.log('Skipping: login unavailable (rate limited?)');
+                return;
+            }
+            await request(BASE_URL)
+                .delete('/api/user/me')
+                .set('Authorization', `Bearer ${ownerToken}`)
+                .send({})
+                .expect(400);
+
+            await request(BASE_URL)
+                .delete('/api/user/me')
+                .set('Authorization', `Bearer ${ownerToken}`)
+                .send({ password: 'wrong-password' })
+                .expect(401);
+        });
+
+        test('should soft delete, then restore on login', async () => {
+            if (!ownerToken) {
+                console.log('Skipping: login unavailable (rate limited?)');
+                return;
+            }
+            const response = await request(BASE_URL)
+                .delete('/api/user/me')
+                .set('Authorization', `Bearer ${ownerToken}`)
+                .send({ password: owner.password })
+                .expect(200);
+            expect(response.body.purge_after).toBeDefined();
+
+            await request(BASE_URL)
+                .get('/api/user/me/export')
+                .set('Authorization', `Bearer ${ownerToken}`)
+                .expect(403);
+
+            const restored = await login();
+            if (restored.status === 429) {
+                ownerToken = null;
+                console.log('Skipping restore: rate limited');
+                return;
+            }
+            expect(restored.status).toBe(200);
+            expect(restored.body.account_restored).toBe(true);
+            ownerToken = restored.body.tokens.accessToken;
+
+            const user = await userModel.getUserById(ownerId);
+            expect(user.deleted_at).toBeNull();
+        });
+
+        test('should purge once the grace period is over', async () => {
+            if (!ownerToken) {
+                console.log('Skipping: login unavailable (rate limited?)');
+                return;
+            }
+            await request(BASE_URL)
+                .delete('/api/user/me')
+                .set('Authorization', `Bearer ${ownerToken}`)
+                .send({ password: owner.password })
+                .expect(200);
+
+            await db.query_executor(`UPDATE users SET purge_after = NOW() - INTERVAL '1 minute' WHERE id = $1`, [ownerId]);
+            await new AccountDeletionService().purgeDueAccounts();
+
+            expect(await userModel.getUserById(ownerId)).toBeUndefined();
+        });
     });
 
     describe('Performance Tests', () => {
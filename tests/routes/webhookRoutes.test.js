@@ -0,0 +1,215 @@
+const path = require('path');
+const dotenv = require('dotenv');
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+const http = require('http');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const DB_Connection = require('../../src/database/db.js');
+const UserModel = require('../../src/models/userModel.js');
+const RoleModel = require('../../src/models/roleModel.js');
+const Migrator = require('../../src/database/migrator.js');
+const { verify } = require('../../src/billing/webhookSignature.js');
+
+// Test against running Docker app
+const BASE_URL = 'http://localhost:8000';
+
+describe('Webhook Routes Integration Tests', () => {
+    let db;
+    let userModel;
+    let roleModel;
+    let receiver;
+    let receiverUrl;
+    // what the receiver answers next
+    let answerStatus = 200;
+    const received = [];
+    const users = {};
+    const endpointIds = [];
+
+    const createUser = async (name) => {
+        const suffix = `${name}_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+        const user = await userModel.createUser({
+            username: `hook_${suffix}`,
+            email: `hook_${suffix}@example.com`,
+            passwordHash: await bcrypt.hash('TestPass123!', 4)
+        });
+        const token = jwt.sign({ id: user.id }, process.env.JWT_ACCESS_SECRET, { expiresIn: '1h' });
+        return { id: user.id, username: user.username, token };
+    };
+
+    const api = (method, url, user) => request(BASE_URL)[method](url).set('Authorization', `Bearer ${user.token}`);
+
+    // deliveries go out through the outbox dispatcher
+    const waitFor = async (check, timeoutMs = 8000) => {
+        const deadline = Date.now() + timeoutMs;
+        let result = await check();
+        while (!result && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 200));
+            result = await check();
+        }
+        return result;
+    };
+
+    const createEndpoint = async (body) => {
+        const response = await api('post', '/api/admin/webhooks', users.admin).send(body).expect(201);
+        endpointIds.push(response.body.endpoint.id);
+        return response.body;
+    };
+
+    const updateProfile = (user) => api('patch', `/api/user/update-profile/${user.id}`, user)
+        .send({ username: `${user.username}_${Math.random().toString(36).slice(2, 6)}` })
+        .expect(200);
+
+    const receivedFor = (user) => received.filter(call => call.body.data?.userId === user.id);
+
+    beforeAll(async () => {
+        db = new DB_Connection();
+        userModel = new UserModel();
+        roleModel = new RoleModel();
+
+        await new Migrator().up();
+        await roleModel.seedRolesAndPermissions();
+
+        users.admin = await createUser('admin');
+        users.plain = await createUser('plain');
+        await roleModel.assignRole(users.admin.id, 'admin');
+
+        receiver = http.createServer((req, res) => {
+            let raw = '';
+            req.on('data', chunk => { raw += chunk; });
+            req.on('end', () => {
+                received.push({ headers: req.headers, raw, body: JSON.parse(raw) });
+                res.writeHead(answerStatus, { 'Content-Type': 'text/plain' });
+                res.end(answerStatus === 200 ? 'ok' : 'receiver broken');
+            });
+        });
+        await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+        receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+    });
+
+    afterAll(async () => {
+        if (endpointIds.length) {
+            await db.query_executor(
+                `DELETE FROM outbox_messages WHERE kind = 'webhook' AND (payload->>'deliveryId')::bigint IN (
+                    SELECT id FROM webhook_deliveries WHERE endpoint_id = ANY($1::int[]))`,
+                [endpointIds]
+            );
+            await db.query_executor('DELETE FROM webhook_endpoints WHERE id = ANY($1::int[])', [endpointIds]);
+        }
+        const ids = Object.values(users).map(user => user.id);
+        if (ids.length) {
+            await db.query_executor('DELETE FROM users WHERE id = ANY($1::int[])', [ids]);
+        }
+        await new Promise(resolve => receiver.close(resolve));
+        await db.pool.end();
+    });
+
+    test('should forbid users without webhooks:manage', async () => {
+        await api('post', '/api/admin/webhooks', users.plain)
+            .send({ url: receiverUrl, events: ['user.registered'] })
+            .expect(403);
+        await api('get', '/api/admin/webhooks', users.plain).expect(403);
+    });
+
+    test('should refuse invalid urls and events', async () => {
+        const invalid = [
+            { url: 'ftp://example.com/hook', events: ['user.registered'] },
+            { url: 'not a url', events: ['user.registered'] },
+            { url: receiverUrl, events: [] },
+            { url: receiverUrl, events: ['user.registred'] },
+            // internal, not for webhooks
+            { url: receiverUrl, events: ['announcement.due'] }
+        ];
+        for (const body of invalid) {
+            const response = await api('post', '/api/admin/webhooks', users.admin).send(body).expect(400);
+            expect(response.body.success).toBe(false);
+        }
+
+        const listed = await api('get', '/api/admin/webhooks', users.admin).expect(200);
+        expect(listed.body.events).toContain('user.registered');
+        expect(listed.body.events).not.toContain('announcement.due');
+    });
+
+    test('should deliver signed events, log them and replay with the same id', async () => {
+        const { endpoint, secret } = await createEndpoint({ url: receiverUrl, events: ['user.profile.*'], description: 'test receiver' });
+        expect(secret).toMatch(/^whsec_/);
+        expect(endpoint.secret).toBeUndefined();
+
+        const shown = await api('get', `/api/admin/webhooks/${endpoint.id}`, users.admin).expect(200);
+        expect(shown.body.endpoint.secret).toBeUndefined();
+
+        await updateProfile(users.plain);
+        const calls = await waitFor(() => receivedFor(users.plain).length >= 1 && receivedFor(users.plain));
+        expect(calls).toHaveLength(1);
+
+        const [call] = calls;
+        expect(call.headers['x-webhook-event']).toBe('user.profile.updated');
+        expect(call.headers['x-webhook-id']).toBe(call.body.id);
+        expect(call.body.type).toBe('user.profile.updated');
+        expect(call.body.data.changed).toEqual(['username']);
+        expect(verify(call.raw, call.headers['x-webhook-signature'], secret)).toBeNull();
+        expect(verify(call.raw, call.headers['x-webhook-signature'], 'whsec_other')).toBe('Signature mismatch');
+
+        const log = await waitFor(async () => {
+            const response = await api('get', `/api/admin/webhooks/${endpoint.id}/deliveries?status=succeeded`, users.admin).expect(200);
+            return response.body.deliveries.length && response.body;
+        });
+        const [delivery] = log.deliveries;
+        expect(delivery.event_id).toBe(call.body.id);
+        expect(delivery.attempts).toBe(1);
+        expect(delivery.last_status_code).toBe(200);
+
+        const replay = await api('post', `/api/admin/webhooks/${endpoint.id}/deliveries/${delivery.id}/replay`, users.admin).expect(202);
+        expect(replay.body.delivery.replay_of).toBe(delivery.id);
+
+        const replayed = await waitFor(() => receivedFor(users.plain).length >= 2 && receivedFor(users.plain));
+        expect(replayed[1].headers['x-webhook-id']).toBe(call.body.id);
+
+        await api('post', `/api/admin/webhooks/${endpoint.id}/deliveries/999999999/replay`, users.admin).expect(404);
+
+        // a rotated secret signs what follows, the old one no longer verifies
+        const rotated = await api('post', `/api/admin/webhooks/${endpoint.id}/rotate-secret`, users.admin).expect(200);
+        expect(rotated.body.secret).not.toBe(secret);
+        await updateProfile(users.plain);
+        const after = await waitFor(() => receivedFor(users.plain).length >= 3 && receivedFor(users.plain));
+        expect(verify(after[2].raw, after[2].headers['x-webhook-signature'], rotated.body.secret)).toBeNull();
+
+        await api('delete', `/api/admin/webhooks/${endpoint.id}`, users.admin).expect(200);
+        await api('get', `/api/admin/webhooks/${endpoint.id}`, users.admin).expect(404);
+    }, 30000);
+
+    test('should disable an endpoint that keeps failing and turn it back on', async () => {
+        const { endpoint } = await createEndpoint({ url: receiverUrl, events: ['user.profile.updated'] });
+        const threshold = parseInt(process.env.WEBHOOK_DISABLE_AFTER_FAILURES || '20');
+        // one failure away from the limit
+        await db.query_executor('UPDATE webhook_endpoints SET consecutive_failures = $2 WHERE id = $1', [endpoint.id, threshold - 1]);
+
+        answerStatus = 500;
+        try {
+            const before = receivedFor(users.plain).length;
+            await updateProfile(users.plain);
+
+            const disabled = await waitFor(async () => {
+                const response = await api('get', `/api/admin/webhooks/${endpoint.id}`, users.admin).expect(200);
+                return !response.body.endpoint.is_active && response.body.endpoint;
+            });
+            expect(disabled.disabled_reason).toMatch(/failed deliveries in a row/);
+            expect(receivedFor(users.plain).length).toBe(before + 1);
+
+            const log = await api('get', `/api/admin/webhooks/${endpoint.id}/deliveries`, users.admin).expect(200);
+            expect(log.body.deliveries[0]).toMatchObject({ last_status_code: 500, last_error: 'Receiver answered 500', response_body: 'receiver broken' });
+
+            // nothing to replay to while it is off
+            await api('post', `/api/admin/webhooks/${endpoint.id}/deliveries/${log.body.deliveries[0].id}/replay`, users.admin).expect(409);
+        } finally {
+            answerStatus = 200;
+        }
+
+        const enabled = await api('patch', `/api/admin/webhooks/${endpoint.id}`, users.admin).send({ is_active: true }).expect(200);
+        expect(enabled.body.endpoint).toMatchObject({ is_active: true, consecutive_failures: 0, disabled_at: null, disabled_reason: null });
+
+        await api('patch', `/api/admin/webhooks/${endpoint.id}`, users.admin).send({ events: ['user.nothing'] }).expect(400);
+        await api('patch', `/api/admin/webhooks/${endpoint.id}`, users.admin).send({}).expect(400);
+    }, 20000);
+});
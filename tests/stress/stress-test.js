@@ -51,13 +51,6 @@ const endpoints = [
         headers: {},
         threshold: { latency: 100, errors: 0 }
     },
-    {
-        name: 'Init Table',
-        path: '/api/auth/init-table',
-        method: 'GET',
-        headers: {},
-        threshold: { latency: 500, errors: 0 }
-    },
     {
         name: 'Login',
         path: '/api/auth/login',